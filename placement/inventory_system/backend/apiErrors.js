@@ -0,0 +1,60 @@
+// Every API error is sent as { code, message, details }: a stable code for
+// programs to branch on, a message for people and, where there is more to
+// say (field errors, the current copy of a changed item), details.
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'VALIDATION_FAILED',
+    428: 'PRECONDITION_REQUIRED',
+    500: 'INTERNAL_ERROR'
+};
+
+function errorBody(status, message, details = null) {
+    const code = ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+    return { code, message, details };
+}
+
+function sendError(res, status, message, details = null) {
+    return res.status(status).json(errorBody(status, message, details));
+}
+
+/**
+ * Route handlers reply to failures with res.status(n).json({ error, ...extra }).
+ * This middleware turns those bodies into the envelope, with anything sent
+ * besides the message as details.
+ */
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+            const { error, ...details } = body;
+            return json(errorBody(res.statusCode, error, Object.keys(details).length > 0 ? details : null));
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Requests that matched no API route
+function notFoundHandler(req, res) {
+    sendError(res, 404, `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+// Errors thrown outside the route handlers' own try/catch, such as malformed
+// JSON bodies. Express only treats four-argument middleware as an error handler.
+function errorHandler(error, req, res, next) {
+    const status = error.status || error.statusCode || 500;
+    if (status >= 500) {
+        console.error('Unhandled API error:', error);
+        return sendError(res, 500, 'Internal server error');
+    }
+    sendError(res, status, error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message);
+}
+
+module.exports = { ERROR_CODES, sendError, errorEnvelope, notFoundHandler, errorHandler };
@@ -0,0 +1,121 @@
+const express = require('express');
+const { paginate } = require('./itemQuery');
+
+// Audit log of item record changes. Stock movements have their own ledger,
+// so this records who edited an item and what each field was before and after.
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Bookkeeping fields that change on every write and aren't worth diffing
+const IGNORED_FIELDS = ['id', 'lastUpdated', 'version'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Field-by-field differences between two versions of a record, as
+ * { field: { before, after } }. Either version may be null (create/delete).
+ */
+function diffFields(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+
+        const was = before && before[field] !== undefined ? before[field] : null;
+        const now = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(was) !== JSON.stringify(now)) {
+            changes[field] = { before: was, after: now };
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Parse a from/to query bound. Date-only `to` values include the whole day.
+ * Returns null when absent and NaN when malformed.
+ */
+function parseDateBound(value, endOfDay) {
+    if (!value) return null;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+    return dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function createAuditLog(storage, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    /**
+     * Record a change to an item. Pass null as `before` for creates and as
+     * `after` for purges. Updates that change nothing are not recorded.
+     * Call inside the write's transaction so the entry commits with it.
+     */
+    function recordItemChange(action, before, after, user) {
+        const changes = diffFields(before, after);
+        if (action === 'update' && Object.keys(changes).length === 0) {
+            return null;
+        }
+
+        const item = after || before;
+        return storage.insert('auditLog', {
+            entityType: 'item',
+            entityId: item.id,
+            sku: item.sku,
+            action,
+            userId: user ? user.id : null,
+            username: user ? user.username : 'system',
+            timestamp: new Date().toISOString(),
+            changes
+        });
+    }
+
+    // List audit entries, newest first, filtered by item, user, action and date range
+    router.get('/audit', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const itemId = req.query.itemId ? Number(req.query.itemId) : null;
+            const { user, action } = req.query;
+            const from = parseDateBound(req.query.from, false);
+            const to = parseDateBound(req.query.to, true);
+            const page = req.query.page === undefined ? 1 : Number(req.query.page);
+            const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+
+            if (Number.isNaN(itemId)) {
+                return res.status(400).json({ error: 'itemId must be a number' });
+            }
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+            }
+            if (action && !AUDIT_ACTIONS.includes(action)) {
+                return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+            }
+            if (!Number.isInteger(page) || page < 1) {
+                return res.status(400).json({ error: 'page must be a positive integer' });
+            }
+            if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+                return res.status(400).json({ error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` });
+            }
+
+            const entries = storage.all('auditLog')
+                .filter(entry => itemId === null || entry.entityId === itemId)
+                .filter(entry => !user || entry.username === user)
+                .filter(entry => !action || entry.action === action)
+                .filter(entry => {
+                    const time = Date.parse(entry.timestamp);
+                    return (from === null || time >= from) && (to === null || time <= to);
+                })
+                .sort((a, b) => b.id - a.id);
+
+            const { items, ...pageInfo } = paginate(entries, { page, pageSize });
+            res.json({ entries: items, ...pageInfo });
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            res.status(500).json({ error: 'Failed to fetch audit log' });
+        }
+    });
+
+    return { router, recordItemChange };
+}
+
+module.exports = { createAuditLog, diffFields, AUDIT_ACTIONS };
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ConstraintError } = require('./storage');
+
+// Roles in increasing order of privilege; each role can do everything below it
+const ROLES = ['viewer', 'clerk', 'admin'];
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Hash a password as salt:hash using scrypt
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session tokens are only stored hashed, so a leaked data file can't be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Strip credentials before sending a user to the client
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+// Validate user fields for create/update, returning an error message or null
+function validateUser({ username, password, role }, isNew) {
+    if (isNew && (!username || !password)) {
+        return 'Username and password are required';
+    }
+    if (username !== undefined && !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+        return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+    }
+    if (password !== undefined && String(password).length < 8) {
+        return 'Password must be at least 8 characters';
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Sets up user accounts and token sessions on top of the storage layer.
+ * Returns the auth middleware plus a router for /auth and /users.
+ */
+function createAuth(storage) {
+    // Bootstrap an admin account the first time the server runs
+    if (storage.all('users').length === 0) {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || 'admin123';
+        storage.insert('users', {
+            username,
+            passwordHash: hashPassword(password),
+            role: 'admin',
+            createdAt: new Date().toISOString()
+        });
+        if (!process.env.ADMIN_PASSWORD) {
+            console.warn(`Created default admin account "${username}" with password "${password}". Change it!`);
+        }
+    }
+
+    function findSession(token) {
+        const tokenHash = hashToken(token);
+        const session = storage.all('sessions').find(s => s.tokenHash === tokenHash);
+
+        if (session && new Date(session.expiresAt) <= new Date()) {
+            storage.remove('sessions', session.id);
+            return null;
+        }
+        return session || null;
+    }
+
+    // Require a valid bearer token and attach the user to req.user
+    function authenticate(req, res, next) {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const session = findSession(token);
+        const user = session && storage.get('users', session.userId);
+
+        if (!user) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        req.user = publicUser(user);
+        req.sessionId = session.id;
+        next();
+    }
+
+    // Allow the request only if the user's role is at least `role`
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user || ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+                return res.status(403).json({ error: 'You do not have permission to do this' });
+            }
+            next();
+        };
+    }
+
+    const router = express.Router();
+
+    // Log in
+    router.post('/auth/login', (req, res) => {
+        try {
+            const { username, password } = req.body;
+            const user = storage.all('users').find(u => u.username === username);
+
+            if (!user || !password || !verifyPassword(String(password), user.passwordHash)) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+            storage.insert('sessions', {
+                tokenHash: hashToken(token),
+                userId: user.id,
+                createdAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+            });
+
+            res.json({ token, user: publicUser(user) });
+        } catch (error) {
+            console.error('Error logging in:', error);
+            res.status(500).json({ error: 'Failed to log in' });
+        }
+    });
+
+    // Log out (ends the current session only)
+    router.post('/auth/logout', authenticate, (req, res) => {
+        storage.remove('sessions', req.sessionId);
+        res.status(204).send();
+    });
+
+    // Get the logged-in user
+    router.get('/auth/me', authenticate, (req, res) => {
+        res.json(req.user);
+    });
+
+    // List users
+    router.get('/users', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            res.json(storage.all('users').map(publicUser));
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            res.status(500).json({ error: 'Failed to fetch users' });
+        }
+    });
+
+    // Create user
+    router.post('/users', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const { username, password, role = 'viewer' } = req.body;
+            const validationError = validateUser({ username, password, role }, true);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            const user = storage.insert('users', {
+                username,
+                passwordHash: hashPassword(String(password)),
+                role,
+                createdAt: new Date().toISOString()
+            });
+
+            res.status(201).json(publicUser(user));
+        } catch (error) {
+            if (error instanceof ConstraintError) {
+                return res.status(409).json({ error: 'Username already exists' });
+            }
+            console.error('Error creating user:', error);
+            res.status(500).json({ error: 'Failed to create user' });
+        }
+    });
+
+    // Update user role or password
+    router.put('/users/:id', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const user = storage.get('users', parseInt(req.params.id));
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const { password, role } = req.body;
+            const validationError = validateUser({ password, role }, false);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            if (user.id === req.user.id && role && role !== 'admin') {
+                return res.status(400).json({ error: 'You cannot remove your own admin role' });
+            }
+
+            const updated = storage.update('users', user.id, {
+                ...user,
+                role: role || user.role,
+                passwordHash: password ? hashPassword(String(password)) : user.passwordHash
+            });
+
+            res.json(publicUser(updated));
+        } catch (error) {
+            console.error('Error updating user:', error);
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    });
+
+    // Delete user and end their sessions
+    router.delete('/users/:id', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const userId = parseInt(req.params.id);
+            if (userId === req.user.id) {
+                return res.status(400).json({ error: 'You cannot delete your own account' });
+            }
+
+            const removed = storage.transaction(() => {
+                storage.all('sessions')
+                    .filter(s => s.userId === userId)
+                    .forEach(s => storage.remove('sessions', s.id));
+                return storage.remove('users', userId);
+            });
+
+            if (!removed) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    });
+
+    return { router, authenticate, requireRole };
+}
+
+module.exports = { createAuth, ROLES };
@@ -0,0 +1,142 @@
+const express = require('express');
+const bwipjs = require('bwip-js');
+
+// Symbologies offered for item labels, keyed by the ?type= value
+const BARCODE_TYPES = {
+    code128: { bcid: 'code128', height: 12, includetext: true, textxalign: 'center' },
+    qr: { bcid: 'qrcode', eclevel: 'M' }
+};
+const BARCODE_FORMATS = ['svg', 'png'];
+const MAX_LABELS = 500;
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// bwip-js options for an item's SKU
+function barcodeOptions(type, sku, scale = 3) {
+    return { ...BARCODE_TYPES[type], text: sku, scale };
+}
+
+/**
+ * Printable HTML page of labels (name, SKU, price and barcode) laid out for
+ * A4 sheets, with `copies` labels per item
+ */
+function renderLabelSheet(items, type, copies) {
+    const labels = items.flatMap(item => {
+        const svg = bwipjs.toSVG(barcodeOptions(type, item.sku, 2));
+        const label = `
+    <div class="label">
+        <div class="name">${escapeHtml(item.productName)}</div>
+        <div class="barcode">${svg}</div>
+        <div class="details"><span>${escapeHtml(item.sku)}</span><span>$${item.price.toFixed(2)}</span></div>
+    </div>`;
+        return Array(copies).fill(label);
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Item labels</title>
+<style>
+    @page { size: A4; margin: 10mm; }
+    body { margin: 0; font-family: sans-serif; }
+    .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; }
+    .label { height: 34mm; padding: 2mm; border: 1px dashed #ccc; box-sizing: border-box;
+        display: flex; flex-direction: column; break-inside: avoid; overflow: hidden; }
+    .name { font-size: 9pt; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .barcode { flex: 1; min-height: 0; display: flex; justify-content: center; padding: 1mm 0; }
+    .barcode svg { height: 100%; max-width: 100%; }
+    .details { display: flex; justify-content: space-between; font-size: 8pt; }
+    @media print { .label { border-color: transparent; } }
+</style>
+</head>
+<body onload="window.print()">
+<div class="sheet">${labels.join('')}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Routes for SKU barcodes: a single item's barcode as SVG or PNG, and a
+ * printable label sheet for several items.
+ */
+function createBarcodeRouter(storage, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    // Check ?type= and fall back to Code 128
+    function parseType(req, res) {
+        const type = req.query.type || 'code128';
+        if (!Object.prototype.hasOwnProperty.call(BARCODE_TYPES, type)) {
+            res.status(400).json({ error: `type must be one of: ${Object.keys(BARCODE_TYPES).join(', ')}` });
+            return null;
+        }
+        return type;
+    }
+
+    // Barcode for one item's SKU
+    router.get('/items/:id/barcode', authenticate, requireRole('viewer'), async (req, res) => {
+        try {
+            const item = storage.get('items', parseInt(req.params.id));
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+
+            const type = parseType(req, res);
+            if (!type) return;
+
+            const format = req.query.format || 'svg';
+            if (!BARCODE_FORMATS.includes(format)) {
+                return res.status(400).json({ error: 'format must be svg or png' });
+            }
+
+            const scale = req.query.scale === undefined ? 3 : Number(req.query.scale);
+            if (!Number.isInteger(scale) || scale < 1 || scale > 10) {
+                return res.status(400).json({ error: 'scale must be an integer between 1 and 10' });
+            }
+
+            const options = barcodeOptions(type, item.sku, scale);
+            if (format === 'svg') {
+                return res.type('image/svg+xml').send(bwipjs.toSVG(options));
+            }
+            res.type('image/png').send(await bwipjs.toBuffer(options));
+        } catch (error) {
+            console.error('Error rendering barcode:', error);
+            res.status(500).json({ error: 'Failed to render barcode' });
+        }
+    });
+
+    // Printable label sheet for ?ids=1,2,3 (in that order)
+    router.get('/labels', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const type = parseType(req, res);
+            if (!type) return;
+
+            const ids = String(req.query.ids || '').split(',').filter(Boolean).map(Number);
+            if (ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+                return res.status(400).json({ error: 'ids must be a comma-separated list of item ids' });
+            }
+
+            const copies = req.query.copies === undefined ? 1 : Number(req.query.copies);
+            if (!Number.isInteger(copies) || copies < 1 || copies * ids.length > MAX_LABELS) {
+                return res.status(400).json({ error: `copies must be a positive integer, up to ${MAX_LABELS} labels in total` });
+            }
+
+            const items = ids.map(id => storage.get('items', id));
+            const missing = ids.filter((id, index) => !items[index]);
+            if (missing.length > 0) {
+                return res.status(404).json({ error: `Items not found: ${missing.join(', ')}` });
+            }
+
+            res.type('text/html').send(renderLabelSheet(items, type, copies));
+        } catch (error) {
+            console.error('Error rendering labels:', error);
+            res.status(500).json({ error: 'Failed to render labels' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { BARCODE_TYPES, createBarcodeRouter };
@@ -0,0 +1,98 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes and CRLF line endings.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by header name.
+ * The ' that toCsv puts before formula-like text is removed again.
+ */
+function parseCsvObjects(text) {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+
+    const keys = header.map(h => h.trim());
+    return rows.map(row => {
+        const record = {};
+        keys.forEach((key, index) => {
+            const value = row[index] !== undefined ? row[index] : '';
+            record[key] = value[0] === "'" && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+        });
+        return record;
+    });
+}
+
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    // Text that would run as a formula gets a leading ' so it shows as typed;
+    // numbers such as -3 are left alone
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes objects to CSV using the given columns as the header
+ */
+function toCsv(records, columns) {
+    const lines = [columns.map(escapeField).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => escapeField(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv };
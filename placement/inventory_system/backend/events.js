@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const express = require('express');
+
+// In-process event bus for item changes. The SSE stream below pushes events
+// to browsers; other listeners (such as webhooks) can subscribe the same way.
+
+// stock.low is raised when an item falls to its reorder point (see server.js)
+const EVENT_TYPES = ['item.created', 'item.updated', 'item.deleted', 'stock.low'];
+
+// Recent events kept so a reconnecting client can catch up on what it missed
+const REPLAY_LIMIT = 200;
+const HEARTBEAT_MS = 25000;
+
+function createEventBus() {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+
+    const recent = [];
+    let lastId = 0;
+
+    /**
+     * Publish an event to every subscriber. Call after the change has been
+     * committed so listeners never see writes that were rolled back.
+     */
+    function publish(type, data) {
+        const event = { id: ++lastId, type, timestamp: new Date().toISOString(), data };
+
+        recent.push(event);
+        if (recent.length > REPLAY_LIMIT) {
+            recent.shift();
+        }
+
+        emitter.emit('event', event);
+        return event;
+    }
+
+    // Subscribe to all events; returns a function that unsubscribes
+    function subscribe(listener) {
+        emitter.on('event', listener);
+        return () => emitter.off('event', listener);
+    }
+
+    /**
+     * Events published after `id`, or null when they are no longer all
+     * available (too old, or from before a server restart).
+     */
+    function since(id) {
+        if (!Number.isInteger(id) || id > lastId) return null;
+        if (id === lastId) return [];
+        if (recent.length === 0 || recent[0].id > id + 1) return null;
+        return recent.filter(event => event.id > id);
+    }
+
+    return { publish, subscribe, since };
+}
+
+/**
+ * GET /events: a Server-Sent Events stream of the bus.
+ *
+ * EventSource can't send an Authorization header, so the session token may
+ * also be passed as ?token=. Clients reconnecting with ?lastEventId= (or the
+ * standard Last-Event-ID header) get the events they missed replayed, or a
+ * `resync` event when those are gone and they should reload instead.
+ */
+function createEventStreamRouter(bus, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    const tokenFromQuery = (req, res, next) => {
+        if (!req.get('Authorization') && req.query.token) {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    };
+
+    router.get('/events', tokenFromQuery, authenticate, requireRole('viewer'), (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = event => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        };
+
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId !== undefined && lastEventId !== '') {
+            const missed = bus.since(Number(lastEventId));
+            if (missed) {
+                missed.forEach(send);
+            } else {
+                res.write('event: resync\ndata: {}\n\n');
+            }
+        }
+
+        const unsubscribe = bus.subscribe(send);
+
+        // Comments keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createEventBus, createEventStreamRouter, EVENT_TYPES };
@@ -0,0 +1,290 @@
+// Generates frontend/apiClient.js from the OpenAPI document: JSDoc types for
+// the component schemas and one method per operation. Run it after changing
+// routes or schemas (npm run generate:client) and commit the result.
+
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('./openapi');
+
+const OUTPUT = path.join(__dirname, '..', 'frontend', 'apiClient.js');
+
+// apiClient.js is a plain script, so its types share the global scope with
+// the DOM's; prefixing keeps Error, Location and friends from clashing
+const typeName = schemaName => `Api${schemaName}`;
+
+// JSDoc type expression for a schema
+function typeOf(schema) {
+    if (!schema || Object.keys(schema).length === 0) return '*';
+    if (schema.$ref) return withNull(typeName(schema.$ref.split('/').pop()), schema);
+
+    let type;
+    if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value).replace(/"/g, '\'')).join('|');
+    } else if (schema.type === 'array') {
+        type = `Array<${typeOf(schema.items)}>`;
+    } else if (schema.type === 'object') {
+        type = objectType(schema);
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else {
+        type = schema.type;
+    }
+    return withNull(type, schema);
+}
+
+function withNull(type, schema) {
+    return schema.nullable ? `(${type}|null)` : type;
+}
+
+function objectType(schema) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const fields = Object.keys(properties)
+        .map(name => `${name}${required.includes(name) ? '' : '?'}: ${typeOf(properties[name])}`);
+    const rest = schema.additionalProperties === true ? '*' : schema.additionalProperties && typeOf(schema.additionalProperties);
+
+    if (fields.length === 0) return rest ? `Object<string, ${rest}>` : 'Object';
+    return `{ ${fields.join(', ')} }`;
+}
+
+// Top-level object schemas become @typedef {Object} with one @property each
+function typedef(name, schema) {
+    const lines = ['/**'];
+    if (schema.description) lines.push(` * ${schema.description}`);
+
+    if (schema.type !== 'object' || !schema.properties) {
+        lines.push(` * @typedef {${typeOf(schema)}} ${name}`, ' */');
+        return lines.join('\n');
+    }
+
+    lines.push(` * @typedef {Object} ${name}`);
+    const required = schema.required || [];
+    Object.keys(schema.properties).forEach(property => {
+        const propertySchema = schema.properties[property];
+        const field = required.includes(property) ? property : `[${property}]`;
+        const description = propertySchema.description ? ` - ${propertySchema.description}` : '';
+        lines.push(` * @property {${typeOf(propertySchema)}} ${field}${description}`);
+    });
+    lines.push(' */');
+    return lines.join('\n');
+}
+
+// The schema of the first content type, preferring JSON
+function contentSchema(content) {
+    if (!content) return null;
+    const type = content['application/json'] ? 'application/json' : Object.keys(content)[0];
+    return { type, schema: content[type].schema };
+}
+
+// JSDoc type for a request body in any of its content types; only JSON
+// bodies are objects, the rest are sent as text
+function bodyType(content) {
+    const types = Object.keys(content).map(type => (type === 'application/json' ? typeOf(content[type].schema) : 'string'));
+    return [...new Set(types)].join('|');
+}
+
+// camelCase name for a header parameter, such as ifMatch for If-Match
+function headerParamName(header) {
+    return header.toLowerCase().replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+}
+
+function describeOperation(method, route, operation) {
+    const parameters = operation.parameters || [];
+    const params = parameters.map(param => ({
+        name: param.in === 'header' ? headerParamName(param.name) : param.name,
+        header: param.in === 'header' ? param.name : null,
+        in: param.in,
+        required: Boolean(param.required),
+        type: typeOf(param.schema),
+        description: param.description
+    }));
+
+    const successStatus = Object.keys(operation.responses).find(status => status !== 'default');
+    const success = contentSchema(operation.responses[successStatus].content);
+    const body = operation.requestBody
+        ? { ...contentSchema(operation.requestBody.content), jsType: bodyType(operation.requestBody.content) }
+        : null;
+
+    return {
+        id: operation.operationId,
+        method: method.toUpperCase(),
+        route,
+        summary: operation.summary,
+        role: operation['x-required-role'] || null,
+        params,
+        body,
+        responseType: success && success.type === 'application/json' ? typeOf(success.schema) : (success ? 'string' : 'void')
+    };
+}
+
+function paramsType(params) {
+    const fields = params.map(param => `${param.name}${param.required ? '' : '?'}: ${param.type}`);
+    return `{ ${fields.join(', ')} }`;
+}
+
+function generateMethod(op) {
+    const hasParams = op.params.length > 0;
+    // An optional parameter can't come before the required body
+    const paramsOptional = op.params.every(param => !param.required) && !op.body;
+    const lines = ['        /**', `         * ${op.summary}${op.role ? ` (${op.role})` : ''}`];
+    if (hasParams) lines.push(`         * @param {${paramsType(op.params)}} ${paramsOptional ? '[params]' : 'params'}`);
+    if (op.body) lines.push(`         * @param {${op.body.jsType}} body`);
+    lines.push(
+        '         * @param {RequestInit} [init]',
+        `         * @returns {Promise<ApiResponse<${op.responseType}>>}`,
+        '         */'
+    );
+
+    const args = [hasParams ? 'params' : null, op.body ? 'body' : null, 'init'].filter(Boolean);
+    const headers = op.params.filter(param => param.header);
+    const headerMap = headers.length > 0
+        ? `{ ${headers.map(param => `'${param.header}': params.${param.name}`).join(', ')} }`
+        : 'null';
+    const requestArgs = [
+        `'${op.method}'`,
+        op.body ? 'body' : 'undefined',
+        op.body ? `'${op.body.type}'` : 'null',
+        headerMap,
+        'init'
+    ];
+    lines.push(`        ${op.id}: (${args.join(', ')}) => send(paths.${op.id}(${hasParams ? 'params' : ''}), apiRequest(${requestArgs.join(', ')})),`);
+    return lines.join('\n');
+}
+
+function generatePath(op) {
+    const pathParams = op.params.filter(param => param.in === 'path');
+    const queryParams = op.params.filter(param => param.in === 'query');
+    const urlParams = [...pathParams, ...queryParams];
+    const query = `[${queryParams.map(param => `'${param.name}'`).join(', ')}]`;
+
+    if (urlParams.length === 0) {
+        return `        ${op.id}: () => apiPath('${op.route}', {}, []),`;
+    }
+    return [
+        '        /**',
+        `         * @param {${paramsType(urlParams)}} ${pathParams.length === 0 ? '[params]' : 'params'}`,
+        '         * @returns {string}',
+        '         */',
+        `        ${op.id}: (params) => apiPath('${op.route}', params || {}, ${query}),`
+    ].join('\n');
+}
+
+function generate() {
+    const document = buildOpenApiDocument();
+    const operations = [];
+    Object.keys(document.paths).forEach(route => {
+        Object.keys(document.paths[route]).forEach(method => {
+            operations.push(describeOperation(method, route, document.paths[route][method]));
+        });
+    });
+
+    const schemas = document.components.schemas;
+    const typedefs = Object.keys(schemas).map(name => typedef(typeName(name), schemas[name]));
+
+    const stripComma = text => text.replace(/,$/, '');
+    const methods = operations.map(generateMethod);
+    const pathBuilders = operations.map(generatePath);
+    methods[methods.length - 1] = stripComma(methods[methods.length - 1]);
+    pathBuilders[pathBuilders.length - 1] = stripComma(pathBuilders[pathBuilders.length - 1]);
+
+    return `// @ts-check
+// Generated from the API's OpenAPI document (${document.info.title} ${document.info.version})
+// by backend/generateClient.js. Do not edit by hand: run npm run generate:client.
+
+${typedefs.join('\n\n')}
+
+/**
+ * A successful fetch Response whose JSON body is a T
+ * @template T
+ * @typedef {Omit<Response, 'ok' | 'json'> & { ok: true, json(): Promise<T> }} ApiSuccessResponse
+ */
+
+/**
+ * A failed fetch Response, whose JSON body is the error envelope
+ * @typedef {Omit<Response, 'ok' | 'json'> & { ok: false, json(): Promise<ApiError> }} ApiErrorResponse
+ */
+
+/**
+ * The response to an operation; check \`ok\` before reading the body
+ * @template T
+ * @typedef {ApiSuccessResponse<T>|ApiErrorResponse} ApiResponse
+ */
+
+/**
+ * Performs a request given its path below the API base URL
+ * @callback ApiSend
+ * @param {string} path
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+
+/**
+ * The route with its path parameters filled in, followed by a query string
+ * of the query parameters that are set
+ * @param {string} route
+ * @param {Object<string, *>} params
+ * @param {string[]} queryNames
+ * @returns {string}
+ */
+function apiPath(route, params, queryNames) {
+    const path = route.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(String(params[name])));
+    const query = new URLSearchParams();
+    queryNames.forEach(name => {
+        const value = params[name];
+        if (value !== undefined && value !== null && value !== '') {
+            query.set(name, String(value));
+        }
+    });
+    const search = query.toString();
+    return search ? \`\${path}?\${search}\` : path;
+}
+
+/**
+ * Request options for an operation. The body is sent as contentType unless
+ * init picks another of the operation's types; strings are sent as they are
+ * and anything else as JSON.
+ * @param {string} method
+ * @param {*} body
+ * @param {?string} contentType
+ * @param {?Object<string, string>} headers
+ * @param {RequestInit} [init]
+ * @returns {RequestInit}
+ */
+function apiRequest(method, body, contentType, headers, init = {}) {
+    const requestHeaders = { ...(/** @type {Object<string, string>} */ (init.headers) || {}) };
+    Object.keys(headers || {}).forEach(name => {
+        if (headers[name] !== undefined && headers[name] !== null) requestHeaders[name] = headers[name];
+    });
+
+    const request = { ...init, method, headers: requestHeaders };
+    if (body !== undefined) {
+        const type = requestHeaders['Content-Type'] || contentType;
+        requestHeaders['Content-Type'] = type;
+        request.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    return request;
+}
+
+/**
+ * One method per API operation, named after its operationId. Methods take
+ * their path, query and header parameters as one object, then the request
+ * body, then any extra fetch options, and resolve to the raw response so
+ * callers can check the status and headers.
+ * @param {ApiSend} send
+ */
+function createApiClient(send) {
+    const paths = {
+${pathBuilders.join('\n')}
+    };
+
+    return {
+        // URLs for requests made outside fetch, such as EventSource and <img>
+        paths,
+${methods.join('\n')}
+    };
+}
+`;
+}
+
+fs.writeFileSync(OUTPUT, generate());
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
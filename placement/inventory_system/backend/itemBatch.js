@@ -0,0 +1,195 @@
+// Batch item edits and deletes from the inventory table. A batch is checked
+// item by item up front so it can be applied all at once or not at all.
+
+const { batchChangesSchema, validate } = require('./validation');
+const { validateItemReferences } = require('./referenceData');
+const { VARIANT_SHARED_FIELDS, syncVariants } = require('./variants');
+
+const BATCH_ACTIONS = ['update', 'delete'];
+const MAX_BATCH_SIZE = 500;
+
+// Items written before versioning was added count as version 1
+const versionOf = item => item.version || 1;
+
+/**
+ * Checks the body's action, items and changes. Returns { value, errors }
+ * like validate(), where errors are field errors for a 422.
+ */
+function validateBatch(input, refs) {
+    const source = input && typeof input === 'object' ? input : {};
+    const errors = {};
+    const value = { action: source.action, items: [], changes: {} };
+
+    if (!BATCH_ACTIONS.includes(source.action)) {
+        errors.action = [`Must be one of: ${BATCH_ACTIONS.join(', ')}`];
+    }
+
+    if (!Array.isArray(source.items) || source.items.length === 0) {
+        errors.items = ['At least one item is required'];
+    } else if (source.items.length > MAX_BATCH_SIZE) {
+        errors.items = [`At most ${MAX_BATCH_SIZE} items can be changed at once`];
+    } else {
+        source.items.forEach((entry, index) => {
+            const { id, version } = entry && typeof entry === 'object' ? entry : {};
+            if (!Number.isInteger(id) || id < 1) {
+                errors[`items[${index}].id`] = ['Must be an item id'];
+            } else if (!Number.isInteger(version) || version < 1) {
+                errors[`items[${index}].version`] = ['Must be the version of the item as loaded'];
+            } else {
+                value.items.push({ id, version });
+            }
+        });
+    }
+
+    if (source.action === 'update') {
+        const { value: changes, errors: changeErrors } = validate(batchChangesSchema, source.changes, { partial: true });
+        if (changes.priceChangePercent === null) delete changes.priceChangePercent;
+        Object.assign(errors, changeErrors, validateItemReferences(changes, refs));
+
+        if ('price' in changes && 'priceChangePercent' in changes) {
+            errors.priceChangePercent = ['Set the price or change it by a percentage, not both'];
+        } else if (Object.keys(changes).length === 0 && !changeErrors) {
+            errors.changes = ['Choose at least one change'];
+        }
+        value.changes = changes;
+    }
+
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// The fields an update batch writes to one item, leaving out what it already has
+function itemChanges(item, changes, parentInBatch) {
+    // A variant follows its parent for what it inherits when the parent is in
+    // the batch too
+    const followsParent = field => parentInBatch &&
+        (VARIANT_SHARED_FIELDS.includes(field) || (field === 'price' && item.inheritsPrice));
+
+    const fields = {};
+    Object.keys(changes).forEach(field => {
+        if (field === 'priceChangePercent' || followsParent(field)) return;
+        if (changes[field] !== (item[field] ?? null)) fields[field] = changes[field];
+    });
+
+    if ('priceChangePercent' in changes && !followsParent('price')) {
+        const price = Math.round(item.price * (100 + changes.priceChangePercent)) / 100;
+        if (price !== item.price) fields.price = price;
+    }
+
+    // A variant given a price of its own stops following the parent's
+    if (item.parentId && 'price' in fields) fields.inheritsPrice = false;
+    return fields;
+}
+
+// Why one item can't be updated by the batch, or null
+function updateError(item, fields, parentInBatch) {
+    if (item.parentId && !parentInBatch && VARIANT_SHARED_FIELDS.some(field => field in fields)) {
+        return 'Variants take their category and supplier from the parent item; change it there or select it too';
+    }
+    return null;
+}
+
+// Why one item can't be deleted by the batch, or null
+function deleteError(item, selectedIds, items, reserved) {
+    const variants = items.filter(variant =>
+        variant.parentId === item.id && !variant.archived && !selectedIds.has(variant.id));
+    if (variants.length > 0) {
+        return `Item has ${variants.length} variant${variants.length === 1 ? '' : 's'} that are not selected; select or delete them first`;
+    }
+    const reservedQuantity = reserved.get(item.id) || 0;
+    if (reservedQuantity > 0) {
+        return `Item has ${reservedQuantity} units reserved by open sales orders and cannot be deleted`;
+    }
+    return null;
+}
+
+/**
+ * Works out what a validated batch would do without changing anything.
+ * Returns { results, writes }: one result per requested item
+ * ({ id, sku, status, error }) with status 'updated', 'deleted', 'unchanged'
+ * or 'failed', and the field changes to write for each item that changes.
+ * `reserved` is the quantity open sales orders hold per item id.
+ */
+function planBatch({ action, items: requested, changes }, items, reserved) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const selectedIds = new Set(requested.map(entry => entry.id));
+    const seen = new Set();
+    const results = [];
+    const writes = [];
+
+    requested.forEach(({ id, version }) => {
+        const item = byId.get(id);
+        const result = { id, sku: item ? item.sku : null, status: 'failed', error: null };
+        results.push(result);
+
+        if (!item) {
+            result.error = 'Item not found';
+        } else if (seen.has(id)) {
+            result.error = 'Item appears more than once in this batch';
+        } else if (versionOf(item) !== version) {
+            result.error = 'Item has been changed by someone else since it was loaded';
+        } else if (item.archived) {
+            result.error = 'Item is in the trash';
+        }
+        seen.add(id);
+        if (result.error) return;
+
+        if (action === 'delete') {
+            result.error = deleteError(item, selectedIds, items, reserved);
+            if (result.error) return;
+            result.status = 'deleted';
+            writes.push({ id, fields: null });
+            return;
+        }
+
+        const parentInBatch = Boolean(item.parentId) && selectedIds.has(item.parentId);
+        const fields = itemChanges(item, changes, parentInBatch);
+        result.error = updateError(item, fields, parentInBatch);
+        if (result.error) return;
+
+        if (Object.keys(fields).length === 0) {
+            result.status = 'unchanged';
+        } else {
+            result.status = 'updated';
+            writes.push({ id, fields });
+        }
+    });
+
+    return { results, writes };
+}
+
+/**
+ * Writes a planned batch's changes in one transaction, so a failure part way
+ * through leaves every item as it was. Deleted items go to the trash.
+ * `recordItemChange` is the audit log's. Returns the ids of variants changed
+ * to follow an updated parent.
+ */
+function applyBatch(storage, writes, { user, recordItemChange }) {
+    const now = new Date().toISOString();
+    const syncedIds = [];
+    storage.transaction(() => {
+        writes.forEach(({ id, fields }) => {
+            // Read each item afresh: syncing an earlier parent may have changed it
+            const existing = storage.get('items', id);
+            if (!fields) {
+                const archived = storage.update('items', id, {
+                    ...existing,
+                    archived: true,
+                    deletedAt: now,
+                    deletedBy: user.username
+                });
+                recordItemChange('delete', existing, archived, user);
+                return;
+            }
+
+            const updated = storage.update('items', id, { ...existing, ...fields, lastUpdated: now });
+            recordItemChange('update', existing, updated, user);
+            syncVariants(storage, updated).forEach(({ before, after }) => {
+                recordItemChange('update', before, after, user);
+                syncedIds.push(after.id);
+            });
+        });
+    });
+    return syncedIds;
+}
+
+module.exports = { BATCH_ACTIONS, MAX_BATCH_SIZE, validateBatch, planBatch, applyBatch };
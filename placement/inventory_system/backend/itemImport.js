@@ -0,0 +1,166 @@
+// Planning for bulk item imports: validates rows and works out creates vs updates
+
+const { itemSchema, validate } = require('./validation');
+const { REFERENCE_TYPES, findByName } = require('./referenceData');
+const { LOT_REQUIRED_ERROR } = require('./lots');
+const { VARIANT_SHARED_FIELDS } = require('./variants');
+const { reservedStockError } = require('./salesOrders');
+
+// Columns read from import files and written to exports
+const IMPORT_FIELDS = [
+    'productName', 'sku', 'category', 'quantity', 'price', 'supplier', 'location', 'reorderPoint', 'reorderQuantity'
+];
+const EXPORT_FIELDS = ['id', ...IMPORT_FIELDS, 'lastUpdated'];
+
+const NUMERIC_FIELDS = ['quantity', 'price', 'reorderPoint', 'reorderQuantity'];
+
+// Pick the import columns from a raw CSV/JSON record. Blank cells are treated
+// as "not provided" and numeric text is converted so the schema can check it.
+function coerceRecord(record) {
+    const fields = {};
+
+    IMPORT_FIELDS.forEach(key => {
+        let value = record[key];
+        if (typeof value === 'string') {
+            value = value.trim();
+            if (NUMERIC_FIELDS.includes(key) && value !== '' && !Number.isNaN(Number(value))) {
+                value = Number(value);
+            }
+        }
+        if (value !== undefined && value !== null && value !== '') {
+            fields[key] = value;
+        }
+    });
+
+    if (typeof fields.sku === 'string') {
+        fields.sku = fields.sku.toUpperCase();
+    }
+
+    return fields;
+}
+
+// Files name categories, suppliers and locations; swap those names for ids
+function resolveReferences(fields, refs) {
+    const errors = {};
+
+    Object.keys(REFERENCE_TYPES).forEach(collection => {
+        const { label, itemField, nameField } = REFERENCE_TYPES[collection];
+        if (!(nameField in fields)) {
+            return;
+        }
+
+        const entity = findByName(refs[collection], fields[nameField]);
+        if (entity) {
+            fields[itemField] = entity.id;
+        } else {
+            errors[itemField] = [`${label} "${fields[nameField]}" does not exist`];
+        }
+        delete fields[nameField];
+    });
+
+    return errors;
+}
+
+// Describe a reference field change by entity name rather than id
+function describeValue(key, value, refs) {
+    const type = Object.keys(REFERENCE_TYPES).find(c => REFERENCE_TYPES[c].itemField === key);
+    if (!type || value === undefined || value === null) {
+        return [key, value === undefined ? null : value];
+    }
+    const entity = refs[type].get(value);
+    return [REFERENCE_TYPES[type].nameField, entity ? entity.name : null];
+}
+
+// Flatten schema errors into "column: message" strings for the preview
+const flattenErrors = errors => Object.keys(errors || {}).flatMap(field => {
+    const type = Object.values(REFERENCE_TYPES).find(t => t.itemField === field);
+    const column = type ? type.nameField : field;
+    return errors[field].map(message => `${column}: ${message}`);
+});
+
+/**
+ * Works out what an import would do without changing anything.
+ * Rows are matched to existing items by SKU. Row numbers are 1-based data rows.
+ * `refs` is the reference data from loadReferenceData() and `reserved` the
+ * quantity open sales orders hold per item id.
+ */
+function planImport(records, existingItems, refs, reserved = new Map()) {
+    const bySku = new Map(existingItems.map(item => [item.sku, item]));
+    const seen = new Set();
+    const plan = { creates: [], updates: [], unchanged: 0, errors: [] };
+
+    records.forEach((record, index) => {
+        const row = index + 1;
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            plan.errors.push({ row, sku: null, errors: ['Row must be an object'] });
+            return;
+        }
+
+        const raw = coerceRecord(record);
+        const existing = bySku.get(raw.sku);
+        const referenceErrors = resolveReferences(raw, refs);
+
+        // New items need every required field; updates only check what the row sets
+        const { value: fields, errors: fieldErrors } = validate(itemSchema, raw, { partial: Boolean(existing) });
+
+        // Variants take these from their parent, as in the item form
+        const variantErrors = {};
+        if (existing && existing.parentId) {
+            VARIANT_SHARED_FIELDS.forEach(field => {
+                if (fields[field] !== undefined && fields[field] !== (existing[field] ?? null)) {
+                    variantErrors[field] = ['Variants take this from their parent item; change it there'];
+                }
+            });
+        }
+        const errors = flattenErrors({ ...fieldErrors, ...referenceErrors, ...variantErrors });
+
+        // Perishable stock only comes in through lot receipts
+        const category = refs.categories.get(fields.categoryId !== undefined ? fields.categoryId : existing && existing.categoryId);
+        if (category && category.perishable && fields.quantity > (existing ? existing.quantity : 0)) {
+            errors.push(`quantity: ${LOT_REQUIRED_ERROR}`);
+        }
+        const reservedError = existing && fields.quantity !== undefined && reservedStockError(existing, fields.quantity, reserved);
+        if (reservedError) {
+            errors.push(`quantity: ${reservedError}`);
+        }
+
+        if (existing && existing.archived) {
+            errors.push('sku: belongs to an archived item; restore it from the trash first');
+        }
+
+        if (raw.sku && seen.has(raw.sku)) {
+            errors.push('sku: appears more than once in this file');
+        }
+        seen.add(raw.sku);
+
+        if (errors.length > 0) {
+            plan.errors.push({ row, sku: raw.sku || null, errors });
+            return;
+        }
+
+        if (!existing) {
+            plan.creates.push({ row, sku: fields.sku, fields });
+            return;
+        }
+
+        // Only report the fields that would actually change
+        const changes = {};
+        Object.keys(fields).forEach(key => {
+            if (fields[key] !== existing[key]) {
+                const [name, from] = describeValue(key, existing[key], refs);
+                changes[name] = { from, to: describeValue(key, fields[key], refs)[1] };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            plan.unchanged++;
+        } else {
+            plan.updates.push({ row, sku: fields.sku, id: existing.id, fields, changes });
+        }
+    });
+
+    return plan;
+}
+
+module.exports = { IMPORT_FIELDS, EXPORT_FIELDS, planImport };
@@ -0,0 +1,215 @@
+// Query helpers for GET /api/items: filtering, sorting and pagination.
+// They work on presented items, which carry category/supplier/location names.
+
+const { parseSearchQuery, matchesConditions } = require('./searchIndex');
+
+// relevance ranks search results best first, whatever the order
+const SORTABLE_FIELDS = ['relevance', 'id', 'productName', 'sku', 'category', 'quantity', 'reserved', 'available', 'price', 'supplier', 'location', 'lastUpdated', 'deletedAt'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Parse an optional numeric query parameter, returning null when absent
+function parseNumber(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Parse an optional comma-separated list of ids, returning null when absent
+function parseIds(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const ids = String(value).split(',').map(id => Number(id.trim()));
+    return ids.every(id => Number.isInteger(id) && id > 0) ? new Set(ids) : NaN;
+}
+
+/**
+ * Validates and normalizes the query string for item listings.
+ * Returns { error } when a parameter is malformed.
+ */
+function parseItemQuery(query) {
+    // Repeated (?order=asc&order=desc) or bracketed parameters arrive as
+    // arrays and objects
+    const notString = Object.keys(query).find(key => typeof query[key] !== 'string');
+    if (notString) {
+        return { error: `${notString} must be given once, as plain text` };
+    }
+
+    const options = {
+        search: query.search || '',
+        category: query.category || '',
+        categoryId: parseNumber(query.categoryId),
+        supplierId: parseNumber(query.supplierId),
+        locationId: parseNumber(query.locationId),
+        // Only these items, such as the rows picked for a bulk export
+        ids: parseIds(query.ids),
+        supplier: query.supplier || '',
+        location: query.location || '',
+        minQty: parseNumber(query.minQty),
+        maxQty: parseNumber(query.maxQty),
+        minPrice: parseNumber(query.minPrice),
+        maxPrice: parseNumber(query.maxPrice),
+        lowStock: query.lowStock === 'true',
+        archived: query.archived === 'true',
+        group: query.group === 'true',
+        // Searches rank by relevance unless another sort is asked for
+        sort: query.sort || (query.search ? 'relevance' : 'productName'),
+        order: (query.order || 'asc').toLowerCase(),
+        page: query.page === undefined ? 1 : Number(query.page),
+        pageSize: query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize)
+    };
+
+    const { query: searchQuery, error: searchError } = parseSearchQuery(options.search);
+    if (searchError) {
+        return { error: `search: ${searchError}` };
+    }
+    options.searchQuery = searchQuery;
+
+    for (const key of ['categoryId', 'supplierId', 'locationId', 'minQty', 'maxQty', 'minPrice', 'maxPrice']) {
+        if (Number.isNaN(options[key])) {
+            return { error: `${key} must be a number` };
+        }
+    }
+
+    if (Number.isNaN(options.ids)) {
+        return { error: 'ids must be a comma-separated list of item ids' };
+    }
+
+    if (!SORTABLE_FIELDS.includes(options.sort)) {
+        return { error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}` };
+    }
+
+    if (options.order !== 'asc' && options.order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    if (!Number.isInteger(options.page) || options.page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+
+    if (!Number.isInteger(options.pageSize) || options.pageSize < 1 || options.pageSize > MAX_PAGE_SIZE) {
+        return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    return { options };
+}
+
+/**
+ * Apply search and field filters. relevance is the search index's scores for
+ * the query's words (null when it has none); matching items get theirs as
+ * `relevance`.
+ */
+function filterItems(items, options, relevance = null) {
+    const includes = (value, term) => Boolean(value) && value.toLowerCase().includes(term);
+
+    const matched = items.filter(item => {
+        // Archived items only show up in the trash view
+        if (Boolean(item.archived) !== options.archived) return false;
+
+        if (options.ids && !options.ids.has(item.id)) return false;
+        if (relevance && !relevance.has(item.id)) return false;
+        if (!matchesConditions(item, options.searchQuery.conditions)) return false;
+
+        if (options.category && item.category !== options.category) return false;
+        if (options.categoryId !== null && item.categoryId !== options.categoryId) return false;
+        if (options.supplierId !== null && item.supplierId !== options.supplierId) return false;
+        if (options.locationId !== null && item.locationId !== options.locationId &&
+            !item.stock.some(s => s.locationId === options.locationId)) return false;
+        if (options.supplier && !includes(item.supplier, options.supplier.toLowerCase())) return false;
+        if (options.location && !includes(item.location, options.location.toLowerCase()) &&
+            !item.stock.some(s => includes(s.location, options.location.toLowerCase()))) return false;
+        if (options.minQty !== null && item.quantity < options.minQty) return false;
+        if (options.maxQty !== null && item.quantity > options.maxQty) return false;
+        if (options.minPrice !== null && item.price < options.minPrice) return false;
+        if (options.maxPrice !== null && item.price > options.maxPrice) return false;
+        if (options.lowStock && item.quantity > item.effectiveReorderPoint) return false;
+
+        return true;
+    });
+
+    return relevance
+        ? matched.map(item => ({ ...item, relevance: Math.round(relevance.get(item.id) * 100) / 100 }))
+        : matched;
+}
+
+// Sort by a single field; empty values always sort last
+function sortItems(items, { sort, order }) {
+    if (sort === 'relevance') {
+        return [...items].sort((a, b) => (b.relevance || 0) - (a.relevance || 0) ||
+            String(a.productName).localeCompare(String(b.productName), undefined, { sensitivity: 'base' }) ||
+            a.id - b.id);
+    }
+
+    const direction = order === 'desc' ? -1 : 1;
+
+    return [...items].sort((a, b) => {
+        const left = a[sort];
+        const right = b[sort];
+
+        if (left === right) return a.id - b.id;
+        if (left === undefined || left === null || left === '') return 1;
+        if (right === undefined || right === null || right === '') return -1;
+
+        if (typeof left === 'number' && typeof right === 'number') {
+            return (left - right) * direction;
+        }
+        return String(left).localeCompare(String(right), undefined, { sensitivity: 'base' }) * direction;
+    });
+}
+
+/**
+ * Nests matching variants under their parent as `variants`, for grouped
+ * listings. A parent is included when any of its variants match, even if it
+ * doesn't match itself.
+ */
+function groupVariants(matched, allItems) {
+    const byId = new Map(allItems.map(item => [item.id, item]));
+    const groups = new Map();
+
+    matched.filter(item => !item.parentId).forEach(item => groups.set(item.id, { ...item, variants: [] }));
+    matched.filter(item => item.parentId).forEach(variant => {
+        const parent = byId.get(variant.parentId);
+        if (!parent) {
+            groups.set(variant.id, { ...variant, variants: [] });
+            return;
+        }
+        if (!groups.has(parent.id)) {
+            groups.set(parent.id, { ...parent, variants: [] });
+        }
+        groups.get(parent.id).variants.push(variant);
+    });
+
+    // A parent ranks as high as its best matching variant
+    groups.forEach(group => {
+        const best = Math.max(group.relevance || 0, ...group.variants.map(variant => variant.relevance || 0));
+        if (best > 0) group.relevance = best;
+    });
+
+    return [...groups.values()];
+}
+
+// Slice out one page and describe it
+function paginate(items, { page, pageSize }) {
+    const total = items.length;
+    const start = (page - 1) * pageSize;
+
+    return {
+        items: items.slice(start, start + pageSize),
+        total,
+        page,
+        pageSize,
+        totalPages: Math.max(1, Math.ceil(total / pageSize))
+    };
+}
+
+module.exports = {
+    SORTABLE_FIELDS,
+    parseItemQuery,
+    filterItems,
+    sortItems,
+    groupVariants,
+    paginate
+};
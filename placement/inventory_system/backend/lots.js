@@ -0,0 +1,216 @@
+const express = require('express');
+const { lotSchema, validate } = require('./validation');
+
+// Lots group received stock by lot number and expiry date. A movement's
+// `lotId` says which lot it moved; stock without a lot has no lotId.
+
+// Items flag as expiring this many days before their earliest lot expires
+const EXPIRY_WARNING_DAYS = 30;
+const DEFAULT_ALERT_DAYS = 30;
+const MAX_ALERT_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Whole days from today until a YYYY-MM-DD date (negative once past)
+function daysUntil(date) {
+    return Math.round((Date.parse(date) - Date.parse(today())) / DAY_MS);
+}
+
+// Perishable categories need a lot number and expiry date on every receipt
+function requiresLots(storage, item) {
+    const category = storage.get('categories', item.categoryId);
+    return Boolean(category && category.perishable);
+}
+
+// Stock of a perishable item can only grow through a movement that names a
+// lot, so item edits, opening balances and imports may not raise it
+const LOT_REQUIRED_ERROR = 'Perishable stock must be received into a lot; record a receipt with a lot number and expiry date';
+
+/**
+ * FEFO order: earliest expiry first, lots without an expiry after dated
+ * ones, and stock outside any lot (undefined) last
+ */
+function compareLots(a, b) {
+    if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+    if (a.expiryDate !== b.expiryDate) {
+        if (!a.expiryDate) return 1;
+        if (!b.expiryDate) return -1;
+        return a.expiryDate < b.expiryDate ? -1 : 1;
+    }
+    return a.receivedDate.localeCompare(b.receivedDate) || a.id - b.id;
+}
+
+const isExpired = lot => Boolean(lot && lot.expiryDate && lot.expiryDate < today());
+
+/**
+ * Checks the lot details sent with a receipt or a positive adjustment
+ * ({ lotNumber, expiryDate }) without writing anything. Returns { value } (null when no lot is given and
+ * none is needed) or { errors } keyed by field.
+ */
+function checkLotInput(storage, item, input) {
+    const { value, errors } = validate(lotSchema, input);
+    if (errors) {
+        return { errors };
+    }
+
+    if (!value.lotNumber) {
+        if (requiresLots(storage, item)) {
+            return { errors: { lotNumber: ['A lot number is required for perishable items'] } };
+        }
+        return value.expiryDate ? { errors: { lotNumber: ['An expiry date needs a lot number'] } } : { value: null };
+    }
+
+    const existing = storage.all('lots').find(lot => lot.itemId === item.id && lot.lotNumber === value.lotNumber);
+    if (existing) {
+        if (value.expiryDate && value.expiryDate !== existing.expiryDate) {
+            return { errors: { expiryDate: [`Lot ${existing.lotNumber} expires on ${existing.expiryDate || 'no date'}`] } };
+        }
+    } else if (!value.expiryDate && requiresLots(storage, item)) {
+        return { errors: { expiryDate: ['An expiry date is required for perishable items'] } };
+    }
+
+    return { value };
+}
+
+/**
+ * The item's lot with this number, created (received today) if new. Pass
+ * input checked by checkLotInput; call inside the receipt's transaction.
+ */
+function findOrCreateLot(storage, item, { lotNumber, expiryDate }) {
+    const existing = storage.all('lots').find(lot => lot.itemId === item.id && lot.lotNumber === lotNumber);
+    return existing || storage.insert('lots', {
+        itemId: item.id,
+        lotNumber,
+        expiryDate: expiryDate || null,
+        receivedDate: today()
+    });
+}
+
+// Stock per lot and location: Map lotId -> Map locationId -> quantity
+function getLotStock(storage) {
+    const stock = new Map();
+    storage.all('movements').forEach(m => {
+        if (!m.lotId) return;
+        if (!stock.has(m.lotId)) stock.set(m.lotId, new Map());
+        const byLocation = stock.get(m.lotId);
+        const locationId = m.locationId === undefined ? null : m.locationId;
+        byLocation.set(locationId, (byLocation.get(locationId) || 0) + m.quantity);
+    });
+    return stock;
+}
+
+const totalOf = byLocation => [...(byLocation || new Map()).values()].reduce((total, quantity) => total + quantity, 0);
+
+/**
+ * An item's lots that still hold stock, FEFO order, each with its total and
+ * per-location quantities
+ */
+function getItemLots(storage, itemId) {
+    const stock = getLotStock(storage);
+    return storage.all('lots')
+        .filter(lot => lot.itemId === itemId && totalOf(stock.get(lot.id)) > 0)
+        .sort(compareLots)
+        .map(lot => ({
+            ...lot,
+            quantity: totalOf(stock.get(lot.id)),
+            stock: [...stock.get(lot.id)]
+                .filter(([, quantity]) => quantity !== 0)
+                .map(([locationId, quantity]) => ({ locationId, quantity })),
+            expired: isExpired(lot),
+            expiryStatus: getExpiryStatus(lot.expiryDate)
+        }));
+}
+
+// Earliest expiry among each item's lots that hold stock: Map itemId -> date
+function getEarliestExpiries(storage) {
+    const stock = getLotStock(storage);
+    const earliest = new Map();
+    storage.all('lots').forEach(lot => {
+        if (!lot.expiryDate || totalOf(stock.get(lot.id)) <= 0) return;
+        const current = earliest.get(lot.itemId);
+        if (!current || lot.expiryDate < current) earliest.set(lot.itemId, lot.expiryDate);
+    });
+    return earliest;
+}
+
+// 'expired', 'expiring' (within the warning window) or null
+function getExpiryStatus(expiryDate) {
+    if (!expiryDate) return null;
+    const days = daysUntil(expiryDate);
+    if (days < 0) return 'expired';
+    return days <= EXPIRY_WARNING_DAYS ? 'expiring' : null;
+}
+
+/**
+ * Routes for an item's lots and the expiry alert
+ */
+function createLotRouter(storage, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    // Lots of an item that still hold stock, in the order issues take them
+    router.get('/items/:id/lots', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const item = storage.get('items', parseInt(req.params.id));
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+            res.json(getItemLots(storage, item.id));
+        } catch (error) {
+            console.error('Error fetching lots:', error);
+            res.status(500).json({ error: 'Failed to fetch lots' });
+        }
+    });
+
+    // Lots with stock that have expired or expire within ?days= days
+    router.get('/alerts/expiring', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const days = req.query.days === undefined ? DEFAULT_ALERT_DAYS : Number(req.query.days);
+            if (!Number.isInteger(days) || days < 0 || days > MAX_ALERT_DAYS) {
+                return res.status(400).json({ error: `days must be an integer between 0 and ${MAX_ALERT_DAYS}` });
+            }
+
+            const stock = getLotStock(storage);
+            const items = new Map(storage.all('items').filter(item => !item.archived).map(item => [item.id, item]));
+            const lots = storage.all('lots')
+                .filter(lot => items.has(lot.itemId) && lot.expiryDate && totalOf(stock.get(lot.id)) > 0)
+                .map(lot => ({ lot, daysLeft: daysUntil(lot.expiryDate) }))
+                .filter(({ daysLeft }) => daysLeft <= days)
+                .sort((a, b) => compareLots(a.lot, b.lot))
+                .map(({ lot, daysLeft }) => {
+                    const item = items.get(lot.itemId);
+                    return {
+                        lotId: lot.id,
+                        lotNumber: lot.lotNumber,
+                        itemId: item.id,
+                        sku: item.sku,
+                        productName: item.productName,
+                        receivedDate: lot.receivedDate,
+                        expiryDate: lot.expiryDate,
+                        daysLeft,
+                        expired: daysLeft < 0,
+                        quantity: totalOf(stock.get(lot.id))
+                    };
+                });
+
+            res.json({ days, count: lots.length, lots });
+        } catch (error) {
+            console.error('Error fetching expiring lots:', error);
+            res.status(500).json({ error: 'Failed to fetch expiring lots' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    LOT_REQUIRED_ERROR,
+    requiresLots,
+    compareLots,
+    isExpired,
+    checkLotInput,
+    findOrCreateLot,
+    getEarliestExpiries,
+    getExpiryStatus,
+    createLotRouter
+};
@@ -0,0 +1,778 @@
+const {
+    itemSchema,
+    variantSchema,
+    batchChangesSchema,
+    lotSchema,
+    webhookSchema,
+    savedViewSchema,
+    purchaseOrderSchema,
+    purchaseOrderLineSchema,
+    salesOrderSchema,
+    salesOrderLineSchema,
+    stockCountSchema,
+    stockCountEntrySchema
+} = require('./validation');
+const { ERROR_CODES } = require('./apiErrors');
+const { ROLES } = require('./auth');
+const { EVENT_TYPES } = require('./events');
+const { REPORTS } = require('./reports');
+const { BARCODE_TYPES } = require('./barcodes');
+const { SORTABLE_FIELDS } = require('./itemQuery');
+const { BATCH_ACTIONS, MAX_BATCH_SIZE } = require('./itemBatch');
+const { AUDIT_ACTIONS } = require('./audit');
+const { PO_STATUSES } = require('./purchaseOrders');
+const { SO_STATUSES } = require('./salesOrders');
+const { COUNT_STATUSES } = require('./stockCounts');
+const { REFERENCE_TYPES } = require('./referenceData');
+const { TEXT_PREFIXES, NUMERIC_PREFIXES } = require('./searchIndex');
+
+// OpenAPI 3.0 description of /api/v1, served at /api/v1/openapi.json and used
+// to generate frontend/apiClient.js (npm run generate:client). Request bodies
+// are derived from the validation schemas so the two can't drift apart; add
+// new routes to OPERATIONS below.
+
+const API_VERSION = '1.0.0';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const nullable = schema => ({ ...schema, nullable: true });
+
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+
+/**
+ * JSON Schema for a validation.js schema. With { partial: true } nothing is
+ * required, as for updates that only send the fields that change.
+ */
+function toJsonSchema(schema, { partial = false } = {}) {
+    const properties = {};
+    const required = [];
+
+    Object.keys(schema).forEach(field => {
+        const rule = schema[field];
+        const property = { type: rule.type };
+        if (!rule.required) property.nullable = true;
+        if (rule.min !== undefined) property.minimum = rule.min;
+        if (rule.maxLength) property.maxLength = rule.maxLength;
+        if (rule.enum) property.enum = rule.enum;
+        if (rule.pattern) property.pattern = rule.pattern.source;
+        if (rule.date) property.format = 'date';
+        if (rule.patternMessage) property.description = rule.patternMessage;
+        properties[field] = property;
+        if (rule.required && !partial) required.push(field);
+    });
+
+    return required.length > 0 ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+// An object schema with these properties, all of them always present
+const object = properties => ({ type: 'object', properties, required: Object.keys(properties) });
+
+// Adds properties to an object schema
+const extend = (base, properties) => ({
+    ...base,
+    properties: { ...base.properties, ...properties },
+    required: [...(base.required || []), ...Object.keys(properties)]
+});
+
+const attributes = {
+    type: 'object',
+    additionalProperties: string,
+    description: 'Variant attributes such as { "Size": "M" } (1-5 names and values)'
+};
+
+const referenceSchemas = {};
+Object.keys(REFERENCE_TYPES).forEach(collection => {
+    const { label, schema } = REFERENCE_TYPES[collection];
+    referenceSchemas[`${label}Input`] = toJsonSchema(schema);
+    const entity = extend(toJsonSchema(schema), { id: integer });
+    referenceSchemas[label] = {
+        ...entity,
+        properties: { ...entity.properties, itemCount: { ...integer, description: 'Included when listing' } }
+    };
+});
+
+const itemInput = toJsonSchema(itemSchema);
+
+const movement = object({
+    id: integer,
+    itemId: integer,
+    locationId: nullable(integer),
+    lotId: nullable(integer),
+    type: { type: 'string', enum: ['receive', 'issue', 'adjust', 'transfer'] },
+    quantity: integer,
+    reason: nullable(string),
+    reference: nullable(string),
+    timestamp
+});
+
+// A counted item at a location; system figures are only there once the
+// user may see them
+const stockCountLine = {
+    type: 'object',
+    properties: {
+        itemId: integer,
+        sku: nullable(string),
+        productName: nullable(string),
+        locationId: nullable(integer),
+        location: nullable(string),
+        countedQuantity: nullable(integer),
+        countedBy: nullable(string),
+        countedAt: nullable(timestamp),
+        systemQuantity: { ...integer, description: 'On hand when the line was counted (or the count started, until then); left out while the count is blind' },
+        variance: { ...nullable(integer), description: 'Counted minus system quantity; left out while the count is blind' }
+    },
+    required: ['itemId', 'sku', 'productName', 'locationId', 'location', 'countedQuantity', 'countedBy', 'countedAt']
+};
+
+// Fields every item in a response has; variants and trashed items add more
+const presentedItem = extend(itemInput, {
+    id: integer,
+    version: integer,
+    lastUpdated: timestamp,
+    category: nullable(string),
+    supplier: nullable(string),
+    location: nullable(string),
+    unit: nullable(string),
+    stock: arrayOf(ref('StockLevel')),
+    reserved: integer,
+    available: integer,
+    effectiveReorderPoint: integer,
+    effectiveReorderQuantity: integer,
+    stockStatus: { type: 'string', enum: ['in-stock', 'low-stock', 'out-of-stock'] },
+    nextExpiry: nullable(date),
+    expiryStatus: nullable({ type: 'string', enum: ['expired', 'expiring'] })
+});
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            code: { type: 'string', enum: Object.values(ERROR_CODES) },
+            message: string,
+            details: nullable({
+                type: 'object',
+                additionalProperties: true,
+                description: 'fields (422): messages per field; current (412): the item as now saved'
+            })
+        },
+        required: ['code', 'message', 'details']
+    },
+    ValidationDetails: object({ fields: { type: 'object', additionalProperties: arrayOf(string) } }),
+
+    LoginRequest: object({ username: string, password: string }),
+    User: object({ id: integer, username: string, role: { type: 'string', enum: ROLES }, createdAt: timestamp }),
+    UserInput: {
+        type: 'object',
+        properties: { username: string, password: string, role: { type: 'string', enum: ROLES } },
+        required: ['username', 'password']
+    },
+    UserUpdate: { type: 'object', properties: { password: string, role: { type: 'string', enum: ROLES } } },
+    Session: object({ token: string, user: ref('User') }),
+
+    ItemInput: itemInput,
+    ItemUpdate: {
+        ...toJsonSchema(itemSchema, { partial: true }),
+        properties: { ...toJsonSchema(itemSchema).properties, attributes },
+        description: 'Only the fields sent change. Variants send attributes (and a null price to use the parent\'s) instead of the fields they share with their parent.'
+    },
+    VariantInput: extend(toJsonSchema(variantSchema), { attributes }),
+    StockLevel: object({ locationId: nullable(integer), location: nullable(string), quantity: integer }),
+    Item: {
+        ...presentedItem,
+        properties: {
+            ...presentedItem.properties,
+            parentId: { ...integer, description: 'Set on variants' },
+            attributes,
+            inheritsPrice: boolean,
+            archived: boolean,
+            deletedAt: { ...nullable(timestamp), description: 'Set while the item is in the trash' },
+            deletedBy: nullable(string),
+            variants: { ...arrayOf(ref('Item')), description: 'Listed with ?group=true' },
+            relevance: { ...number, description: 'How well the item matched ?search=' }
+        }
+    },
+    ItemPage: object({ items: arrayOf(ref('Item')), total: integer, page: integer, pageSize: integer, totalPages: integer }),
+    ImportResult: {
+        type: 'object',
+        properties: {
+            committed: boolean,
+            unchanged: integer,
+            creates: arrayOf({ type: 'object', additionalProperties: true }),
+            updates: arrayOf({ type: 'object', additionalProperties: true }),
+            errors: arrayOf({ type: 'object', additionalProperties: true })
+        },
+        required: ['committed', 'unchanged', 'creates', 'updates', 'errors'],
+        additionalProperties: true
+    },
+    BatchRequest: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: BATCH_ACTIONS },
+            items: {
+                ...arrayOf(object({ id: integer, version: { ...integer, description: 'The version the item was loaded at' } })),
+                maxItems: MAX_BATCH_SIZE
+            },
+            changes: {
+                ...toJsonSchema(batchChangesSchema, { partial: true }),
+                description: 'For update: the fields to set on every item. Set price or move it by priceChangePercent, not both.'
+            }
+        },
+        required: ['action', 'items']
+    },
+    BatchItemResult: {
+        type: 'object',
+        properties: {
+            id: integer,
+            sku: nullable(string),
+            status: { type: 'string', enum: ['updated', 'deleted', 'unchanged', 'failed'] },
+            error: nullable(string),
+            item: { ...ref('Item'), description: 'The item after the batch; only when it was applied' }
+        },
+        required: ['id', 'sku', 'status', 'error']
+    },
+    BatchResult: object({
+        applied: { ...boolean, description: 'Always true here; a refused batch is a 409 with the results in details' },
+        results: arrayOf(ref('BatchItemResult'))
+    }),
+    LowStockAlerts: object({ count: integer, items: arrayOf(ref('Item')) }),
+
+    Movement: movement,
+    ListedMovement: extend(movement, { lotNumber: nullable(string) }),
+    MovementInput: {
+        type: 'object',
+        properties: {
+            quantity: { ...integer, description: 'Positive for receive and issue; the signed change for adjust' },
+            locationId: nullable(integer),
+            unitId: nullable({ ...integer, description: 'Unit the quantity is counted in' }),
+            reason: nullable(string),
+            reference: nullable(string),
+            ...toJsonSchema(lotSchema).properties
+        },
+        required: ['quantity']
+    },
+    MovementResult: object({ movement: ref('Movement'), movements: arrayOf(ref('Movement')), item: ref('Item') }),
+    TransferInput: {
+        type: 'object',
+        properties: {
+            fromLocationId: integer,
+            toLocationId: integer,
+            quantity: integer,
+            reason: nullable(string),
+            reference: nullable(string)
+        },
+        required: ['fromLocationId', 'toLocationId', 'quantity']
+    },
+    TransferResult: object({ movements: arrayOf(ref('Movement')), item: ref('Item') }),
+    Lot: object({
+        id: integer,
+        itemId: integer,
+        lotNumber: string,
+        receivedDate: date,
+        expiryDate: nullable(date),
+        quantity: integer,
+        stock: arrayOf(object({ locationId: nullable(integer), quantity: integer })),
+        expired: boolean,
+        expiryStatus: nullable({ type: 'string', enum: ['expired', 'expiring'] })
+    }),
+    ExpiringLots: object({
+        days: integer,
+        count: integer,
+        lots: arrayOf(object({
+            lotId: integer,
+            lotNumber: string,
+            itemId: integer,
+            sku: string,
+            productName: string,
+            receivedDate: date,
+            expiryDate: date,
+            daysLeft: integer,
+            expired: boolean,
+            quantity: integer
+        }))
+    }),
+
+    ...referenceSchemas,
+
+    PurchaseOrderLine: extend(toJsonSchema(purchaseOrderLineSchema), {
+        receivedQuantity: integer,
+        sku: nullable(string),
+        productName: nullable(string),
+        lineTotal: number
+    }),
+    PurchaseOrderInput: extend(toJsonSchema(purchaseOrderSchema), { lines: arrayOf(toJsonSchema(purchaseOrderLineSchema)) }),
+    PurchaseOrder: {
+        type: 'object',
+        properties: {
+            id: integer,
+            number: string,
+            status: { type: 'string', enum: PO_STATUSES },
+            ...toJsonSchema(purchaseOrderSchema).properties,
+            supplier: nullable(string),
+            lines: arrayOf(ref('PurchaseOrderLine')),
+            total: number,
+            createdAt: timestamp,
+            updatedAt: timestamp
+        },
+        additionalProperties: true
+    },
+    PurchaseOrderDrafts: object({
+        created: arrayOf(ref('PurchaseOrder')),
+        skipped: arrayOf({ type: 'object', additionalProperties: true })
+    }),
+    PurchaseOrderReceipt: {
+        type: 'object',
+        properties: {
+            locationId: nullable(integer),
+            lines: {
+                ...arrayOf(extend(object({ itemId: integer, quantity: integer }), toJsonSchema(lotSchema).properties)),
+                description: 'Leave out to receive everything outstanding'
+            }
+        }
+    },
+    SalesOrderLine: extend(toJsonSchema(salesOrderLineSchema), {
+        fulfilledQuantity: integer,
+        sku: nullable(string),
+        productName: nullable(string),
+        lineTotal: number
+    }),
+    SalesOrderInput: extend(toJsonSchema(salesOrderSchema), { lines: arrayOf(toJsonSchema(salesOrderLineSchema)) }),
+    SalesOrder: {
+        type: 'object',
+        properties: {
+            id: integer,
+            number: string,
+            status: { type: 'string', enum: SO_STATUSES },
+            ...toJsonSchema(salesOrderSchema).properties,
+            lines: arrayOf(ref('SalesOrderLine')),
+            total: number,
+            createdAt: timestamp
+        },
+        additionalProperties: true
+    },
+    SalesOrderFulfilment: {
+        type: 'object',
+        properties: {
+            locationId: nullable(integer),
+            lines: {
+                ...arrayOf(object({ itemId: integer, quantity: integer })),
+                description: 'Leave out to ship everything outstanding'
+            }
+        }
+    },
+
+    StockCountInput: {
+        ...toJsonSchema(stockCountSchema),
+        description: 'Give a location, a category or both'
+    },
+    StockCountLine: stockCountLine,
+    StockCount: {
+        type: 'object',
+        properties: {
+            id: integer,
+            number: string,
+            status: { type: 'string', enum: COUNT_STATUSES },
+            ...toJsonSchema(stockCountSchema).properties,
+            location: nullable(string),
+            category: nullable(string),
+            lines: { ...arrayOf(ref('StockCountLine')), description: 'Left out when listing' },
+            lineCount: integer,
+            countedCount: integer,
+            blind: { ...boolean, description: 'Whether system quantities are hidden from this user' },
+            createdBy: string,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            submittedBy: nullable(string),
+            submittedAt: nullable(timestamp),
+            approvedBy: nullable(string),
+            approvedAt: nullable(timestamp)
+        },
+        required: ['id', 'number', 'status', 'lineCount', 'countedCount', 'blind']
+    },
+    StockCountEntries: object({ counts: arrayOf(toJsonSchema(stockCountEntrySchema)) }),
+    VarianceReport: object({
+        count: string,
+        status: { type: 'string', enum: COUNT_STATUSES },
+        generatedAt: timestamp,
+        rows: arrayOf(extend(stockCountLine, { unitValue: number, varianceValue: nullable(number) })),
+        totals: object({
+            lines: integer,
+            counted: integer,
+            withVariance: integer,
+            unitsOver: integer,
+            unitsShort: integer,
+            netValue: number,
+            absoluteValue: number,
+            accuracy: { ...nullable(number), description: 'Percentage of counted lines that matched' }
+        })
+    }),
+
+    AuditEntry: object({
+        id: integer,
+        entityType: string,
+        entityId: integer,
+        sku: string,
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        userId: nullable(integer),
+        username: string,
+        timestamp,
+        changes: { type: 'object', additionalProperties: object({ before: {}, after: {} }) }
+    }),
+    AuditPage: object({ entries: arrayOf(ref('AuditEntry')), total: integer, page: integer, pageSize: integer, totalPages: integer }),
+    ReportInfo: object({ name: { type: 'string', enum: Object.keys(REPORTS) }, title: string }),
+    Report: object({
+        report: string,
+        title: string,
+        generatedAt: timestamp,
+        rows: arrayOf({ type: 'object', additionalProperties: true }),
+        totals: { type: 'object', additionalProperties: true }
+    }),
+
+    SavedViewInput: toJsonSchema(savedViewSchema),
+    SavedViewUpdate: toJsonSchema(savedViewSchema, { partial: true }),
+    SavedView: extend(toJsonSchema(savedViewSchema), { id: integer, userId: integer, createdAt: timestamp, updatedAt: timestamp }),
+
+    WebhookInput: extend(toJsonSchema(webhookSchema), { events: arrayOf({ type: 'string', enum: EVENT_TYPES }) }),
+    WebhookUpdate: {
+        type: 'object',
+        properties: { ...toJsonSchema(webhookSchema).properties, events: arrayOf({ type: 'string', enum: EVENT_TYPES }) }
+    },
+    Webhook: {
+        type: 'object',
+        properties: {
+            id: integer,
+            url: string,
+            description: nullable(string),
+            events: arrayOf({ type: 'string', enum: EVENT_TYPES }),
+            active: boolean,
+            createdAt: timestamp,
+            createdBy: string,
+            secret: { ...string, description: 'Only returned when the webhook is created or its secret changes' }
+        },
+        required: ['id', 'url', 'events', 'active']
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: integer,
+            webhookId: integer,
+            deliveryId: string,
+            event: { type: 'string', enum: EVENT_TYPES },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+            payload: object({ id: string, type: string, timestamp, data: {} }),
+            attempts: arrayOf(object({
+                timestamp,
+                statusCode: nullable(integer),
+                error: nullable(string),
+                responseBody: nullable(string),
+                durationMs: integer
+            })),
+            createdAt: timestamp,
+            nextAttemptAt: nullable(timestamp),
+            completedAt: nullable(timestamp),
+            redeliveryOf: nullable(integer)
+        }
+    },
+    WebhookDeliveryPage: object({
+        deliveries: arrayOf(ref('WebhookDelivery')),
+        total: integer,
+        page: integer,
+        pageSize: integer,
+        totalPages: integer
+    })
+};
+
+// Query parameters shared by the item list and export
+const ITEM_QUERY = {
+    search: {
+        ...string,
+        description: 'Words to match, allowing prefixes and typos; field:word to match in one field ' +
+            `(${Object.keys(TEXT_PREFIXES).join(', ')}) and numeric conditions such as qty:<5 or price:10..50 ` +
+            `(${Object.keys(NUMERIC_PREFIXES).join(', ')})`
+    },
+    categoryId: integer,
+    supplierId: integer,
+    locationId: integer,
+    category: string,
+    supplier: string,
+    location: string,
+    minQty: number,
+    maxQty: number,
+    minPrice: number,
+    maxPrice: number,
+    ids: { ...string, description: 'Comma-separated item ids to limit the results to' },
+    lowStock: boolean,
+    archived: boolean,
+    group: boolean,
+    sort: { type: 'string', enum: SORTABLE_FIELDS },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    page: integer,
+    pageSize: integer
+};
+
+const IF_MATCH = { name: 'If-Match', in: 'header', required: true, schema: string, description: 'The item\'s ETag' };
+
+const json = schema => ({ 'application/json': { schema } });
+const noContent = { status: 204 };
+
+/**
+ * Every route: method, path (relative to /api/v1), operationId (the client
+ * method name), tag, summary, minimum role (null for public routes), query
+ * parameters, extra header parameters, request body and success response.
+ */
+const OPERATIONS = [
+    { method: 'post', path: '/auth/login', id: 'login', tag: 'Auth', summary: 'Log in', role: null, body: ref('LoginRequest'), response: ref('Session') },
+    { method: 'post', path: '/auth/logout', id: 'logout', tag: 'Auth', summary: 'End the current session', role: 'viewer', response: noContent },
+    { method: 'get', path: '/auth/me', id: 'getCurrentUser', tag: 'Auth', summary: 'The logged-in user', role: 'viewer', response: ref('User') },
+
+    { method: 'get', path: '/users', id: 'listUsers', tag: 'Users', summary: 'List users', role: 'admin', response: arrayOf(ref('User')) },
+    { method: 'post', path: '/users', id: 'createUser', tag: 'Users', summary: 'Create a user', role: 'admin', body: ref('UserInput'), status: 201, response: ref('User') },
+    { method: 'put', path: '/users/{id}', id: 'updateUser', tag: 'Users', summary: 'Change a user\'s role or password', role: 'admin', body: ref('UserUpdate'), response: ref('User') },
+    { method: 'delete', path: '/users/{id}', id: 'deleteUser', tag: 'Users', summary: 'Delete a user and end their sessions', role: 'admin', response: noContent },
+
+    { method: 'get', path: '/items', id: 'listItems', tag: 'Items', summary: 'A filtered, sorted page of items', role: 'viewer', query: ITEM_QUERY, response: ref('ItemPage') },
+    {
+        method: 'get',
+        path: '/items/export',
+        id: 'exportItems',
+        tag: 'Items',
+        summary: 'Download the items matching the filters',
+        role: 'viewer',
+        query: { ...ITEM_QUERY, format: { type: 'string', enum: ['csv', 'json'] } },
+        response: { content: { 'text/csv': { schema: string }, 'application/json': { schema: arrayOf(ref('Item')) } } }
+    },
+    {
+        method: 'post',
+        path: '/items/import',
+        id: 'importItems',
+        tag: 'Items',
+        summary: 'Import items from CSV or JSON, upserting by SKU; a dry run unless commit=true',
+        role: 'clerk',
+        query: { commit: boolean },
+        body: { content: { 'text/csv': { schema: string }, 'application/json': { schema: arrayOf(ref('ItemInput')) } } },
+        response: ref('ImportResult')
+    },
+    {
+        method: 'post',
+        path: '/items/batch',
+        id: 'batchItems',
+        tag: 'Items',
+        summary: 'Update or delete many items at once; all or nothing (admin to delete)',
+        role: 'clerk',
+        body: ref('BatchRequest'),
+        response: ref('BatchResult')
+    },
+    { method: 'get', path: '/items/lookup', id: 'lookupItem', tag: 'Items', summary: 'Find an item by a scanned SKU', role: 'viewer', query: { code: string }, response: ref('Item') },
+    { method: 'get', path: '/items/{id}', id: 'getItem', tag: 'Items', summary: 'Get an item (with its ETag)', role: 'viewer', response: ref('Item') },
+    { method: 'post', path: '/items', id: 'createItem', tag: 'Items', summary: 'Create an item', role: 'clerk', body: ref('ItemInput'), status: 201, response: ref('Item') },
+    { method: 'put', path: '/items/{id}', id: 'updateItem', tag: 'Items', summary: 'Update an item', role: 'clerk', headers: [IF_MATCH], body: ref('ItemUpdate'), response: ref('Item') },
+    { method: 'delete', path: '/items/{id}', id: 'deleteItem', tag: 'Items', summary: 'Move an item to the trash', role: 'admin', headers: [IF_MATCH], response: ref('Item') },
+    { method: 'post', path: '/items/{id}/restore', id: 'restoreItem', tag: 'Items', summary: 'Restore an item from the trash', role: 'clerk', response: ref('Item') },
+    { method: 'delete', path: '/items/{id}/purge', id: 'purgeItem', tag: 'Items', summary: 'Permanently delete an item in the trash', role: 'admin', response: noContent },
+    { method: 'get', path: '/items/{id}/variants', id: 'listVariants', tag: 'Items', summary: 'An item\'s variants', role: 'viewer', response: arrayOf(ref('Item')) },
+    { method: 'post', path: '/items/{id}/variants', id: 'createVariant', tag: 'Items', summary: 'Add a variant to an item', role: 'clerk', body: ref('VariantInput'), status: 201, response: ref('Item') },
+
+    { method: 'get', path: '/items/{id}/movements', id: 'listMovements', tag: 'Stock', summary: 'An item\'s stock movements, newest first', role: 'viewer', response: arrayOf(ref('ListedMovement')) },
+    { method: 'post', path: '/items/{id}/receive', id: 'receiveStock', tag: 'Stock', summary: 'Receive stock (into a lot for perishable items)', role: 'clerk', body: ref('MovementInput'), status: 201, response: ref('MovementResult') },
+    { method: 'post', path: '/items/{id}/issue', id: 'issueStock', tag: 'Stock', summary: 'Issue stock not reserved by sales orders, earliest expiring lots first', role: 'clerk', body: ref('MovementInput'), status: 201, response: ref('MovementResult') },
+    { method: 'post', path: '/items/{id}/adjust', id: 'adjustStock', tag: 'Stock', summary: 'Correct the stock level (increases of perishable items go into a lot)', role: 'clerk', body: ref('MovementInput'), status: 201, response: ref('MovementResult') },
+    { method: 'post', path: '/items/{id}/transfer', id: 'transferStock', tag: 'Stock', summary: 'Move stock between locations', role: 'clerk', body: ref('TransferInput'), status: 201, response: ref('TransferResult') },
+    { method: 'get', path: '/items/{id}/lots', id: 'listLots', tag: 'Stock', summary: 'An item\'s lots that hold stock, in FEFO order', role: 'viewer', response: arrayOf(ref('Lot')) },
+    { method: 'get', path: '/alerts/low-stock', id: 'getLowStockAlerts', tag: 'Stock', summary: 'Items at or below their reorder point', role: 'viewer', response: ref('LowStockAlerts') },
+    { method: 'get', path: '/alerts/expiring', id: 'getExpiringLots', tag: 'Stock', summary: 'Lots expired or expiring within ?days=', role: 'viewer', query: { days: integer }, response: ref('ExpiringLots') },
+
+    {
+        method: 'get',
+        path: '/items/{id}/barcode',
+        id: 'getBarcode',
+        tag: 'Barcodes',
+        summary: 'Barcode for an item\'s SKU',
+        role: 'viewer',
+        query: { type: { type: 'string', enum: Object.keys(BARCODE_TYPES) }, format: { type: 'string', enum: ['svg', 'png'] }, scale: integer },
+        response: { content: { 'image/svg+xml': { schema: string }, 'image/png': { schema: { type: 'string', format: 'binary' } } } }
+    },
+    {
+        method: 'get',
+        path: '/labels',
+        id: 'getLabels',
+        tag: 'Barcodes',
+        summary: 'Printable label sheet for ?ids=1,2,3',
+        role: 'viewer',
+        query: { ids: string, type: { type: 'string', enum: Object.keys(BARCODE_TYPES) }, copies: integer },
+        response: { content: { 'text/html': { schema: string } } }
+    },
+
+    ...Object.keys(REFERENCE_TYPES).flatMap(collection => {
+        const { label } = REFERENCE_TYPES[collection];
+        const plural = collection.charAt(0).toUpperCase() + collection.slice(1);
+        const lower = label.toLowerCase();
+        return [
+            { method: 'get', path: `/${collection}`, id: `list${plural}`, tag: 'Lists', summary: `List ${collection} with how many items use each`, role: 'viewer', response: arrayOf(ref(label)) },
+            { method: 'get', path: `/${collection}/{id}`, id: `get${label}`, tag: 'Lists', summary: `Get a ${lower}`, role: 'viewer', response: ref(label) },
+            { method: 'post', path: `/${collection}`, id: `create${label}`, tag: 'Lists', summary: `Create a ${lower}`, role: 'clerk', body: ref(`${label}Input`), status: 201, response: ref(label) },
+            { method: 'put', path: `/${collection}/{id}`, id: `update${label}`, tag: 'Lists', summary: `Update a ${lower}`, role: 'clerk', body: ref(`${label}Input`), response: ref(label) },
+            { method: 'delete', path: `/${collection}/{id}`, id: `delete${label}`, tag: 'Lists', summary: `Delete a ${lower} no item uses`, role: 'admin', response: noContent }
+        ];
+    }),
+
+    { method: 'get', path: '/purchase-orders', id: 'listPurchaseOrders', tag: 'Purchase Orders', summary: 'List purchase orders', role: 'viewer', query: { status: { type: 'string', enum: PO_STATUSES }, supplierId: integer }, response: arrayOf(ref('PurchaseOrder')) },
+    { method: 'get', path: '/purchase-orders/{id}', id: 'getPurchaseOrder', tag: 'Purchase Orders', summary: 'Get a purchase order', role: 'viewer', response: ref('PurchaseOrder') },
+    { method: 'post', path: '/purchase-orders', id: 'createPurchaseOrder', tag: 'Purchase Orders', summary: 'Create a draft purchase order', role: 'clerk', body: ref('PurchaseOrderInput'), status: 201, response: ref('PurchaseOrder') },
+    { method: 'post', path: '/purchase-orders/from-low-stock', id: 'draftPurchaseOrdersFromLowStock', tag: 'Purchase Orders', summary: 'Draft orders for low stock items, one per supplier', role: 'clerk', body: { type: 'object', properties: { supplierId: nullable(integer) } }, status: 201, response: ref('PurchaseOrderDrafts') },
+    { method: 'put', path: '/purchase-orders/{id}', id: 'updatePurchaseOrder', tag: 'Purchase Orders', summary: 'Update a draft purchase order', role: 'clerk', body: ref('PurchaseOrderInput'), response: ref('PurchaseOrder') },
+    { method: 'delete', path: '/purchase-orders/{id}', id: 'deletePurchaseOrder', tag: 'Purchase Orders', summary: 'Delete a draft purchase order', role: 'clerk', response: noContent },
+    { method: 'post', path: '/purchase-orders/{id}/submit', id: 'submitPurchaseOrder', tag: 'Purchase Orders', summary: 'Submit a draft to the supplier', role: 'clerk', response: ref('PurchaseOrder') },
+    { method: 'post', path: '/purchase-orders/{id}/cancel', id: 'cancelPurchaseOrder', tag: 'Purchase Orders', summary: 'Cancel a draft or submitted order', role: 'clerk', response: ref('PurchaseOrder') },
+    { method: 'post', path: '/purchase-orders/{id}/receive', id: 'receivePurchaseOrder', tag: 'Purchase Orders', summary: 'Receive stock against an order', role: 'clerk', body: ref('PurchaseOrderReceipt'), response: ref('PurchaseOrder') },
+
+    { method: 'get', path: '/sales-orders', id: 'listSalesOrders', tag: 'Sales Orders', summary: 'List sales orders', role: 'viewer', query: { status: { type: 'string', enum: SO_STATUSES } }, response: arrayOf(ref('SalesOrder')) },
+    { method: 'get', path: '/sales-orders/{id}', id: 'getSalesOrder', tag: 'Sales Orders', summary: 'Get a sales order', role: 'viewer', response: ref('SalesOrder') },
+    { method: 'post', path: '/sales-orders', id: 'createSalesOrder', tag: 'Sales Orders', summary: 'Create a sales order, reserving its stock', role: 'clerk', body: ref('SalesOrderInput'), status: 201, response: ref('SalesOrder') },
+    { method: 'post', path: '/sales-orders/{id}/cancel', id: 'cancelSalesOrder', tag: 'Sales Orders', summary: 'Cancel an order, releasing its reservations', role: 'clerk', response: ref('SalesOrder') },
+    { method: 'post', path: '/sales-orders/{id}/fulfil', id: 'fulfilSalesOrder', tag: 'Sales Orders', summary: 'Ship stock against an order', role: 'clerk', body: ref('SalesOrderFulfilment'), response: ref('SalesOrder') },
+
+    {
+        method: 'get',
+        path: '/audit',
+        id: 'listAuditEntries',
+        tag: 'Audit',
+        summary: 'Item change history, newest first',
+        role: 'clerk',
+        query: { itemId: integer, user: string, action: { type: 'string', enum: AUDIT_ACTIONS }, from: string, to: string, page: integer, pageSize: integer },
+        response: ref('AuditPage')
+    },
+    {
+        method: 'get',
+        path: '/events',
+        id: 'streamEvents',
+        tag: 'Events',
+        summary: 'Server-Sent Events stream of item changes; EventSource clients pass the token as ?token=',
+        role: 'viewer',
+        query: { token: string, lastEventId: integer },
+        response: { content: { 'text/event-stream': { schema: string } } }
+    },
+
+    { method: 'get', path: '/stock-counts', id: 'listStockCounts', tag: 'Stock Counts', summary: 'List stock counts, without their lines', role: 'viewer', query: { status: { type: 'string', enum: COUNT_STATUSES } }, response: arrayOf(ref('StockCount')) },
+    { method: 'get', path: '/stock-counts/{id}', id: 'getStockCount', tag: 'Stock Counts', summary: 'Get a stock count with its lines', role: 'viewer', response: ref('StockCount') },
+    { method: 'post', path: '/stock-counts', id: 'createStockCount', tag: 'Stock Counts', summary: 'Start a count, snapshotting system quantities', role: 'clerk', body: ref('StockCountInput'), status: 201, response: ref('StockCount') },
+    { method: 'put', path: '/stock-counts/{id}/counts', id: 'enterStockCounts', tag: 'Stock Counts', summary: 'Enter counted quantities', role: 'clerk', body: ref('StockCountEntries'), response: ref('StockCount') },
+    { method: 'post', path: '/stock-counts/{id}/submit', id: 'submitStockCount', tag: 'Stock Counts', summary: 'Submit a fully counted count for approval', role: 'clerk', response: ref('StockCount') },
+    { method: 'post', path: '/stock-counts/{id}/reopen', id: 'reopenStockCount', tag: 'Stock Counts', summary: 'Send a submitted count back for a recount', role: 'admin', response: ref('StockCount') },
+    { method: 'post', path: '/stock-counts/{id}/cancel', id: 'cancelStockCount', tag: 'Stock Counts', summary: 'Cancel a count that is not yet approved', role: 'clerk', response: ref('StockCount') },
+    { method: 'post', path: '/stock-counts/{id}/approve', id: 'approveStockCount', tag: 'Stock Counts', summary: 'Approve a count, posting its variances as adjustments', role: 'admin', response: ref('StockCount') },
+    {
+        method: 'get',
+        path: '/stock-counts/{id}/variance',
+        id: 'getStockCountVariance',
+        tag: 'Stock Counts',
+        summary: 'Variance report for a count (supervisors only until approved)',
+        role: 'viewer',
+        query: { format: { type: 'string', enum: ['json', 'csv'] } },
+        response: { content: { 'application/json': { schema: ref('VarianceReport') }, 'text/csv': { schema: string } } }
+    },
+
+    { method: 'get', path: '/reports', id: 'listReports', tag: 'Reports', summary: 'The available reports', role: 'viewer', response: arrayOf(ref('ReportInfo')) },
+    {
+        method: 'get',
+        path: '/reports/{name}',
+        id: 'getReport',
+        tag: 'Reports',
+        summary: 'Run a report as JSON or CSV',
+        role: 'viewer',
+        pathTypes: { name: { type: 'string', enum: Object.keys(REPORTS) } },
+        query: { format: { type: 'string', enum: ['json', 'csv'] }, days: integer },
+        response: { content: { 'application/json': { schema: ref('Report') }, 'text/csv': { schema: string } } }
+    },
+
+    { method: 'get', path: '/views', id: 'listSavedViews', tag: 'Saved Views', summary: 'The user\'s saved item list views', role: 'viewer', response: arrayOf(ref('SavedView')) },
+    { method: 'post', path: '/views', id: 'createSavedView', tag: 'Saved Views', summary: 'Save the current filters as a named view', role: 'viewer', body: ref('SavedViewInput'), status: 201, response: ref('SavedView') },
+    { method: 'put', path: '/views/{id}', id: 'updateSavedView', tag: 'Saved Views', summary: 'Rename a view or change its filters', role: 'viewer', body: ref('SavedViewUpdate'), response: ref('SavedView') },
+    { method: 'delete', path: '/views/{id}', id: 'deleteSavedView', tag: 'Saved Views', summary: 'Delete a saved view', role: 'viewer', response: noContent },
+
+    { method: 'get', path: '/webhooks/events', id: 'listWebhookEvents', tag: 'Webhooks', summary: 'Events a webhook can subscribe to', role: 'admin', response: arrayOf({ type: 'string', enum: EVENT_TYPES }) },
+    { method: 'get', path: '/webhooks', id: 'listWebhooks', tag: 'Webhooks', summary: 'List webhooks', role: 'admin', response: arrayOf(ref('Webhook')) },
+    { method: 'post', path: '/webhooks', id: 'createWebhook', tag: 'Webhooks', summary: 'Create a webhook', role: 'admin', body: ref('WebhookInput'), status: 201, response: ref('Webhook') },
+    { method: 'get', path: '/webhooks/{id}', id: 'getWebhook', tag: 'Webhooks', summary: 'Get a webhook', role: 'admin', response: ref('Webhook') },
+    { method: 'put', path: '/webhooks/{id}', id: 'updateWebhook', tag: 'Webhooks', summary: 'Update a webhook', role: 'admin', body: ref('WebhookUpdate'), response: ref('Webhook') },
+    { method: 'delete', path: '/webhooks/{id}', id: 'deleteWebhook', tag: 'Webhooks', summary: 'Delete a webhook and its delivery log', role: 'admin', response: noContent },
+    {
+        method: 'get',
+        path: '/webhooks/{id}/deliveries',
+        id: 'listWebhookDeliveries',
+        tag: 'Webhooks',
+        summary: 'A webhook\'s deliveries, newest first',
+        role: 'admin',
+        query: { status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] }, page: integer, pageSize: integer },
+        response: ref('WebhookDeliveryPage')
+    },
+    { method: 'get', path: '/webhooks/{id}/deliveries/{deliveryId}', id: 'getWebhookDelivery', tag: 'Webhooks', summary: 'A delivery with its payload and attempts', role: 'admin', response: ref('WebhookDelivery') },
+    { method: 'post', path: '/webhooks/{id}/deliveries/{deliveryId}/redeliver', id: 'redeliverWebhook', tag: 'Webhooks', summary: 'Send a delivery again', role: 'admin', status: 202, response: ref('WebhookDelivery') },
+
+    { method: 'get', path: '/openapi.json', id: 'getOpenApiDocument', tag: 'Meta', summary: 'This document', role: null, response: { type: 'object', additionalProperties: true } }
+];
+
+// The content map for a body or response entry: a schema means JSON
+const contentOf = entry => (entry.content ? entry.content : json(entry));
+
+function buildOperation(operation) {
+    const pathParams = (operation.path.match(/\{(\w+)\}/g) || []).map(param => param.slice(1, -1));
+    const parameters = [
+        ...pathParams.map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: (operation.pathTypes && operation.pathTypes[name]) || integer
+        })),
+        ...Object.keys(operation.query || {}).map(name => ({ name, in: 'query', schema: operation.query[name] })),
+        ...(operation.headers || [])
+    ];
+
+    const { response } = operation;
+    const success = response.status === 204
+        ? { 204: { description: 'No content' } }
+        : { [operation.status || 200]: { description: 'Success', content: contentOf(response) } };
+
+    return {
+        operationId: operation.id,
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(operation.role ? { 'x-required-role': operation.role } : { security: [] }),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(operation.body ? { requestBody: { required: true, content: contentOf(operation.body) } } : {}),
+        responses: {
+            ...success,
+            default: { description: 'Error', content: json(ref('Error')) }
+        }
+    };
+}
+
+function buildOpenApiDocument() {
+    const paths = {};
+    OPERATIONS.forEach(operation => {
+        paths[operation.path] = paths[operation.path] || {};
+        paths[operation.path][operation.method] = buildOperation(operation);
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Inventory Management System API',
+            version: API_VERSION,
+            description: 'Errors are returned as { code, message, details }. Routes need a bearer token from /auth/login ' +
+                'and at least the role in x-required-role (viewer < clerk < admin).'
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{ bearerAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+            schemas: SCHEMAS
+        }
+    };
+}
+
+module.exports = { OPERATIONS, buildOpenApiDocument, toJsonSchema };
@@ -0,0 +1,415 @@
+const express = require('express');
+const { purchaseOrderSchema, purchaseOrderLineSchema, validate, sendValidationError } = require('./validation');
+const { loadReferenceData } = require('./referenceData');
+const { getReorderSettings, getSuggestedOrderQuantity } = require('./reorder');
+const { checkLotInput, findOrCreateLot } = require('./lots');
+
+// draft -> submitted -> partially_received -> received; drafts and submitted orders can be cancelled
+const PO_STATUSES = ['draft', 'submitted', 'partially_received', 'received', 'cancelled'];
+const OPEN_STATUSES = ['draft', 'submitted', 'partially_received'];
+
+const formatNumber = id => `PO-${String(id).padStart(5, '0')}`;
+
+// Quantity still expected on a line
+const outstanding = line => line.quantity - line.receivedQuantity;
+
+/**
+ * Purchase order routes. Receiving posts `receive` movements through the
+ * stock ledger, referenced by the PO number, and reports the item ids it
+ * changed to `onItemsChanged`.
+ */
+function createPurchaseOrderRouter(storage, ledger, { authenticate, requireRole, onItemsChanged = () => {} }) {
+    const router = express.Router();
+
+    // Add supplier/item names and totals for API responses
+    function presentOrder(order, refs = loadReferenceData(storage)) {
+        const supplier = refs.suppliers.get(order.supplierId);
+        const lines = order.lines.map(line => {
+            const item = storage.get('items', line.itemId);
+            return {
+                ...line,
+                sku: item ? item.sku : null,
+                productName: item ? item.productName : null,
+                lineTotal: Math.round(line.quantity * line.unitCost * 100) / 100
+            };
+        });
+
+        return {
+            ...order,
+            supplier: supplier ? supplier.name : null,
+            lines,
+            total: Math.round(lines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Validates a PO body. Lines keep their received quantities when an
+     * existing order is edited. Returns { value, errors }.
+     */
+    function validateOrder(input, existing = null) {
+        const { value, errors } = validate(purchaseOrderSchema, input, { partial: Boolean(existing) });
+        const allErrors = { ...errors };
+        const supplierId = value.supplierId || (existing && existing.supplierId);
+
+        if (value.supplierId && !storage.get('suppliers', value.supplierId)) {
+            allErrors.supplierId = ['Supplier does not exist'];
+        }
+
+        if (!existing || input.lines !== undefined) {
+            if (!Array.isArray(input.lines) || input.lines.length === 0) {
+                allErrors.lines = ['At least one line is required'];
+            } else {
+                const seen = new Set();
+                value.lines = input.lines.map((line, index) => {
+                    const { value: lineValue, errors: lineErrors } = validate(purchaseOrderLineSchema, line);
+                    Object.keys(lineErrors || {}).forEach(field => {
+                        allErrors[`lines[${index}].${field}`] = lineErrors[field];
+                    });
+
+                    const item = lineValue.itemId && storage.get('items', lineValue.itemId);
+                    if (lineValue.itemId && !item) {
+                        allErrors[`lines[${index}].itemId`] = ['Item does not exist'];
+                    } else if (item && item.archived) {
+                        allErrors[`lines[${index}].itemId`] = ['Item is in the trash'];
+                    } else if (item && supplierId && item.supplierId && item.supplierId !== supplierId) {
+                        allErrors[`lines[${index}].itemId`] = ['Item is supplied by a different supplier'];
+                    }
+
+                    if (seen.has(lineValue.itemId)) {
+                        allErrors[`lines[${index}].itemId`] = ['Item appears on more than one line'];
+                    }
+                    seen.add(lineValue.itemId);
+
+                    return { ...lineValue, receivedQuantity: 0 };
+                });
+            }
+        }
+
+        return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
+    }
+
+    function findOrder(req, res) {
+        const order = storage.get('purchaseOrders', parseInt(req.params.id));
+        if (!order) {
+            res.status(404).json({ error: 'Purchase order not found' });
+        }
+        return order;
+    }
+
+    // Create a draft order and give it a PO number
+    function createDraft(fields, user) {
+        return storage.transaction(() => {
+            const now = new Date().toISOString();
+            const order = storage.insert('purchaseOrders', {
+                number: null,
+                status: 'draft',
+                supplierId: fields.supplierId,
+                expectedDate: fields.expectedDate || null,
+                notes: fields.notes || null,
+                lines: fields.lines,
+                createdBy: user.username,
+                createdAt: now,
+                updatedAt: now,
+                submittedAt: null,
+                receivedAt: null
+            });
+            return storage.update('purchaseOrders', order.id, { ...order, number: formatNumber(order.id) });
+        });
+    }
+
+    // List purchase orders, newest first, optionally by status or supplier
+    router.get('/purchase-orders', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const { status } = req.query;
+            const supplierId = req.query.supplierId ? parseInt(req.query.supplierId) : null;
+
+            if (status && !PO_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${PO_STATUSES.join(', ')}` });
+            }
+
+            const refs = loadReferenceData(storage);
+            const orders = storage.all('purchaseOrders')
+                .filter(order => !status || order.status === status)
+                .filter(order => !supplierId || order.supplierId === supplierId)
+                .sort((a, b) => b.id - a.id)
+                .map(order => presentOrder(order, refs));
+
+            res.json(orders);
+        } catch (error) {
+            console.error('Error fetching purchase orders:', error);
+            res.status(500).json({ error: 'Failed to fetch purchase orders' });
+        }
+    });
+
+    // Get one purchase order
+    router.get('/purchase-orders/:id', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (order) {
+                res.json(presentOrder(order));
+            }
+        } catch (error) {
+            console.error('Error fetching purchase order:', error);
+            res.status(500).json({ error: 'Failed to fetch purchase order' });
+        }
+    });
+
+    // Create a draft purchase order
+    router.post('/purchase-orders', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const { value, errors } = validateOrder(req.body);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            res.status(201).json(presentOrder(createDraft(value, req.user)));
+        } catch (error) {
+            console.error('Error creating purchase order:', error);
+            res.status(500).json({ error: 'Failed to create purchase order' });
+        }
+    });
+
+    /**
+     * Draft one PO per supplier for items at or below their reorder point.
+     * Quantities already on open orders are subtracted from the suggestion and
+     * unit costs default to the last price paid (or the item price).
+     */
+    router.post('/purchase-orders/from-low-stock', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const onlySupplierId = req.body.supplierId || null;
+            const refs = loadReferenceData(storage);
+            const orders = storage.all('purchaseOrders');
+
+            const onOrder = new Map();
+            const lastCost = new Map();
+            orders.forEach(order => {
+                order.lines.forEach(line => {
+                    if (OPEN_STATUSES.includes(order.status)) {
+                        onOrder.set(line.itemId, (onOrder.get(line.itemId) || 0) + outstanding(line));
+                    }
+                    if (order.status !== 'draft' && order.status !== 'cancelled') {
+                        lastCost.set(line.itemId, line.unitCost);
+                    }
+                });
+            });
+
+            const bySupplier = new Map();
+            const skipped = [];
+
+            storage.all('items').filter(item => !item.archived).forEach(item => {
+                const category = refs.categories.get(item.categoryId);
+                if (item.quantity > getReorderSettings(item, category).reorderPoint) {
+                    return;
+                }
+                if (onlySupplierId && item.supplierId !== onlySupplierId) {
+                    return;
+                }
+                if (!item.supplierId) {
+                    skipped.push({ itemId: item.id, sku: item.sku, reason: 'Item has no supplier' });
+                    return;
+                }
+
+                const quantity = getSuggestedOrderQuantity(item, category) - (onOrder.get(item.id) || 0);
+                if (quantity <= 0) {
+                    skipped.push({ itemId: item.id, sku: item.sku, reason: 'Enough already on order' });
+                    return;
+                }
+
+                if (!bySupplier.has(item.supplierId)) bySupplier.set(item.supplierId, []);
+                bySupplier.get(item.supplierId).push({
+                    itemId: item.id,
+                    quantity,
+                    unitCost: lastCost.has(item.id) ? lastCost.get(item.id) : item.price,
+                    receivedQuantity: 0
+                });
+            });
+
+            const created = storage.transaction(() => [...bySupplier.entries()].map(([supplierId, lines]) =>
+                createDraft({ supplierId, lines, notes: 'Drafted from low stock alerts' }, req.user)));
+
+            res.status(201).json({ created: created.map(order => presentOrder(order, refs)), skipped });
+        } catch (error) {
+            console.error('Error drafting purchase orders:', error);
+            res.status(500).json({ error: 'Failed to draft purchase orders' });
+        }
+    });
+
+    // Update a draft purchase order
+    router.put('/purchase-orders/:id', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (!order) return;
+
+            if (order.status !== 'draft') {
+                return res.status(409).json({ error: 'Only draft purchase orders can be edited' });
+            }
+
+            const { value, errors } = validateOrder(req.body, order);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            const updated = storage.update('purchaseOrders', order.id, {
+                ...order,
+                ...value,
+                updatedAt: new Date().toISOString()
+            });
+            res.json(presentOrder(updated));
+        } catch (error) {
+            console.error('Error updating purchase order:', error);
+            res.status(500).json({ error: 'Failed to update purchase order' });
+        }
+    });
+
+    // Delete a draft purchase order
+    router.delete('/purchase-orders/:id', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (!order) return;
+
+            if (order.status !== 'draft') {
+                return res.status(409).json({ error: 'Only draft purchase orders can be deleted; cancel it instead' });
+            }
+
+            storage.remove('purchaseOrders', order.id);
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting purchase order:', error);
+            res.status(500).json({ error: 'Failed to delete purchase order' });
+        }
+    });
+
+    // Move an order to a new status if it is currently in one of `from`
+    function transition(path, from, to, extra = () => ({})) {
+        router.post(`/purchase-orders/:id/${path}`, authenticate, requireRole('clerk'), (req, res) => {
+            try {
+                const order = findOrder(req, res);
+                if (!order) return;
+
+                if (!from.includes(order.status)) {
+                    return res.status(409).json({ error: `Cannot ${path} a purchase order that is ${order.status}` });
+                }
+
+                const now = new Date().toISOString();
+                const updated = storage.update('purchaseOrders', order.id, {
+                    ...order,
+                    status: to,
+                    updatedAt: now,
+                    ...extra(now)
+                });
+                res.json(presentOrder(updated));
+            } catch (error) {
+                console.error(`Error updating purchase order (${path}):`, error);
+                res.status(500).json({ error: `Failed to ${path} purchase order` });
+            }
+        });
+    }
+
+    transition('submit', ['draft'], 'submitted', now => ({ submittedAt: now }));
+    transition('cancel', ['draft', 'submitted'], 'cancelled');
+
+    /**
+     * Receive some or all of an order's outstanding quantities into a location.
+     * Body: { locationId?, lines: [{ itemId, quantity, lotNumber?, expiryDate? }] }.
+     * Without lines, the full outstanding quantity of every line is received.
+     * An item may be received on several lines (into different lots, say) as
+     * long as together they stay within what is outstanding. Perishable items
+     * need a lot number and expiry date on their line.
+     */
+    router.post('/purchase-orders/:id/receive', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (!order) return;
+
+            if (order.status !== 'submitted' && order.status !== 'partially_received') {
+                return res.status(409).json({ error: `Cannot receive a purchase order that is ${order.status}` });
+            }
+
+            const locationId = req.body.locationId === undefined ? null : req.body.locationId;
+            if (locationId !== null && !storage.get('locations', locationId)) {
+                return sendValidationError(res, { locationId: ['Location does not exist'] });
+            }
+
+            const receipts = Array.isArray(req.body.lines)
+                ? req.body.lines
+                : order.lines.filter(line => outstanding(line) > 0)
+                    .map(line => ({ itemId: line.itemId, quantity: outstanding(line) }));
+
+            const errors = {};
+            const receiptLots = []; // checked lot details by receipt index
+            const claimed = new Map(); // itemId -> quantity taken by earlier receipt lines
+            receipts.forEach((receipt, index) => {
+                if (!receipt || typeof receipt !== 'object') {
+                    errors[`lines[${index}]`] = ['Must be an object with an itemId and quantity'];
+                    return;
+                }
+
+                const line = order.lines.find(l => l.itemId === receipt.itemId);
+                const remaining = line ? outstanding(line) - (claimed.get(line.itemId) || 0) : 0;
+                if (!line) {
+                    errors[`lines[${index}].itemId`] = ['Item is not on this purchase order'];
+                } else if (!Number.isInteger(receipt.quantity) || receipt.quantity < 0) {
+                    errors[`lines[${index}].quantity`] = ['Must be a non-negative whole number'];
+                } else if (receipt.quantity > remaining) {
+                    errors[`lines[${index}].quantity`] = [`Only ${remaining} outstanding`];
+                } else if (receipt.quantity > 0) {
+                    claimed.set(line.itemId, (claimed.get(line.itemId) || 0) + receipt.quantity);
+                    const lotCheck = checkLotInput(storage, storage.get('items', line.itemId), receipt);
+                    Object.keys(lotCheck.errors || {}).forEach(field => {
+                        errors[`lines[${index}].${field}`] = lotCheck.errors[field];
+                    });
+                    receiptLots[index] = lotCheck.value;
+                }
+            });
+
+            if (receipts.every(receipt => !(receipt && receipt.quantity))) {
+                errors.lines = ['Nothing to receive'];
+            }
+
+            if (Object.keys(errors).length > 0) {
+                return sendValidationError(res, errors);
+            }
+
+            const updated = storage.transaction(() => {
+                const lines = order.lines.map(line => ({ ...line }));
+
+                receipts.forEach((receipt, index) => {
+                    if (!receipt.quantity) return;
+                    const line = lines.find(l => l.itemId === receipt.itemId);
+                    const item = storage.get('items', line.itemId);
+                    const lot = receiptLots[index] ? findOrCreateLot(storage, item, receiptLots[index]) : null;
+
+                    ledger.post(item, {
+                        locationId: locationId !== null ? locationId : item.locationId,
+                        lotId: lot ? lot.id : undefined,
+                        type: 'receive',
+                        quantity: receipt.quantity,
+                        reason: 'Purchase order receipt',
+                        reference: order.number
+                    });
+                    line.receivedQuantity += receipt.quantity;
+                });
+
+                const complete = lines.every(line => outstanding(line) === 0);
+                const now = new Date().toISOString();
+                return storage.update('purchaseOrders', order.id, {
+                    ...order,
+                    lines,
+                    status: complete ? 'received' : 'partially_received',
+                    updatedAt: now,
+                    receivedAt: complete ? now : null
+                });
+            });
+
+            onItemsChanged(receipts.filter(receipt => receipt.quantity > 0).map(receipt => receipt.itemId));
+            res.json(presentOrder(updated));
+        } catch (error) {
+            console.error('Error receiving purchase order:', error);
+            res.status(500).json({ error: 'Failed to receive purchase order' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPurchaseOrderRouter, PO_STATUSES };
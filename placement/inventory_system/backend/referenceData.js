@@ -0,0 +1,267 @@
+const express = require('express');
+const { ConstraintError } = require('./storage');
+const { categorySchema, supplierSchema, locationSchema, unitSchema, validate, sendValidationError } = require('./validation');
+const { CATEGORY_DEFAULTS } = require('./reorder');
+
+// Entities items refer to by id. `itemField` is the reference on an item and
+// `nameField` the name the item is presented with in API responses.
+const REFERENCE_TYPES = {
+    categories: { label: 'Category', schema: categorySchema, itemField: 'categoryId', nameField: 'category' },
+    suppliers: { label: 'Supplier', schema: supplierSchema, itemField: 'supplierId', nameField: 'supplier' },
+    locations: { label: 'Location', schema: locationSchema, itemField: 'locationId', nameField: 'location' },
+    units: { label: 'Unit', schema: unitSchema, itemField: 'unitId', nameField: 'unit' }
+};
+
+// Units created on first run; items without a unit are counted in each
+const UNIT_DEFAULTS = [
+    { name: 'Each', abbreviation: 'ea', factor: 1 },
+    { name: 'Box of 12', abbreviation: 'bx12', factor: 12 }
+];
+
+// Compare names ignoring case, spaces and punctuation ("TechCorp" == "Tech Corp")
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Loads all reference entities into id-keyed maps:
+ * { categories: Map, suppliers: Map, locations: Map }
+ */
+function loadReferenceData(storage) {
+    const refs = {};
+    Object.keys(REFERENCE_TYPES).forEach(collection => {
+        refs[collection] = new Map(storage.all(collection).map(entity => [entity.id, entity]));
+    });
+    return refs;
+}
+
+// Find an entity by name using the same loose matching as the duplicate check
+function findByName(entities, name) {
+    const key = normalizeName(name);
+    return [...entities.values()].find(entity => normalizeName(entity.name) === key) || null;
+}
+
+/**
+ * One-time conversion of items that still store category, supplier and location
+ * as free text. Creates the missing entities and replaces the text with ids.
+ */
+function migrateItemReferences(storage) {
+    storage.transaction(() => {
+        if (storage.all('categories').length === 0) {
+            Object.keys(CATEGORY_DEFAULTS).forEach(name => {
+                storage.insert('categories', {
+                    name,
+                    description: null,
+                    defaultReorderPoint: CATEGORY_DEFAULTS[name].reorderPoint,
+                    defaultReorderQuantity: CATEGORY_DEFAULTS[name].reorderQuantity,
+                    perishable: Boolean(CATEGORY_DEFAULTS[name].perishable)
+                });
+            });
+        }
+
+        if (storage.all('units').length === 0) {
+            UNIT_DEFAULTS.forEach(unit => storage.insert('units', unit));
+        }
+
+        const refs = loadReferenceData(storage);
+
+        storage.all('items').forEach(item => {
+            const legacyFields = Object.values(REFERENCE_TYPES).filter(({ nameField }) => nameField in item);
+            if (legacyFields.length === 0) {
+                return;
+            }
+
+            const updated = { ...item };
+            Object.keys(REFERENCE_TYPES).forEach(collection => {
+                const { itemField, nameField } = REFERENCE_TYPES[collection];
+                const name = updated[nameField];
+                delete updated[nameField];
+
+                if (updated[itemField] !== undefined || !name) {
+                    updated[itemField] = updated[itemField] || null;
+                    return;
+                }
+
+                let entity = findByName(refs[collection], name);
+                if (!entity) {
+                    entity = storage.insert(collection, { name });
+                    refs[collection].set(entity.id, entity);
+                }
+                updated[itemField] = entity.id;
+            });
+
+            storage.update('items', item.id, updated);
+        });
+    });
+}
+
+/**
+ * Checks that an item's reference ids point at existing entities.
+ * Returns field errors keyed by the item field, or null.
+ */
+function validateItemReferences(value, refs) {
+    const errors = {};
+    Object.keys(REFERENCE_TYPES).forEach(collection => {
+        const { label, itemField } = REFERENCE_TYPES[collection];
+        const id = value[itemField];
+        if (id !== undefined && id !== null && !refs[collection].has(id)) {
+            errors[itemField] = [`${label} does not exist`];
+        }
+    });
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+/**
+ * CRUD routes for /categories, /suppliers and /locations.
+ * Anyone can read, clerks can create and edit, admins can delete.
+ * Edits report the ids of the items presented with the entity to `onItemsChanged`.
+ */
+function createReferenceRouter(storage, { authenticate, requireRole, onItemsChanged = () => {} }) {
+    const router = express.Router();
+
+    Object.keys(REFERENCE_TYPES).forEach(collection => {
+        const { label, schema, itemField } = REFERENCE_TYPES[collection];
+        const base = `/${collection}`;
+        const lowerLabel = label.toLowerCase();
+
+        // Validate a body and reject names that clash with another entity
+        function validateEntity(input, existing = null) {
+            const { value, errors } = validate(schema, input, { partial: Boolean(existing) });
+            const allErrors = { ...errors };
+
+            if (value.name) {
+                const clash = storage.all(collection).find(entity =>
+                    normalizeName(entity.name) === normalizeName(value.name) && (!existing || entity.id !== existing.id));
+                if (clash) {
+                    allErrors.name = [`${label} "${clash.name}" already exists`];
+                }
+            }
+
+            return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
+        }
+
+        // List entities with how many items use each
+        router.get(base, authenticate, requireRole('viewer'), (req, res) => {
+            try {
+                const items = storage.all('items');
+                const entities = storage.all(collection)
+                    .map(entity => ({ ...entity, itemCount: items.filter(i => i[itemField] === entity.id).length }))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+
+                res.json(entities);
+            } catch (error) {
+                console.error(`Error fetching ${collection}:`, error);
+                res.status(500).json({ error: `Failed to fetch ${collection}` });
+            }
+        });
+
+        // Get one entity
+        router.get(`${base}/:id`, authenticate, requireRole('viewer'), (req, res) => {
+            try {
+                const entity = storage.get(collection, parseInt(req.params.id));
+                if (!entity) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+                res.json(entity);
+            } catch (error) {
+                console.error(`Error fetching ${lowerLabel}:`, error);
+                res.status(500).json({ error: `Failed to fetch ${lowerLabel}` });
+            }
+        });
+
+        // Create entity
+        router.post(base, authenticate, requireRole('clerk'), (req, res) => {
+            try {
+                const { value, errors } = validateEntity(req.body);
+                if (errors) {
+                    return sendValidationError(res, errors);
+                }
+                res.status(201).json(storage.insert(collection, value));
+            } catch (error) {
+                if (error instanceof ConstraintError) {
+                    return sendValidationError(res, { name: [`${label} already exists`] });
+                }
+                console.error(`Error creating ${lowerLabel}:`, error);
+                res.status(500).json({ error: `Failed to create ${lowerLabel}` });
+            }
+        });
+
+        // Update entity
+        router.put(`${base}/:id`, authenticate, requireRole('clerk'), (req, res) => {
+            try {
+                const existing = storage.get(collection, parseInt(req.params.id));
+                if (!existing) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+
+                const { value, errors } = validateEntity(req.body, existing);
+                if (errors) {
+                    return sendValidationError(res, errors);
+                }
+                const updated = storage.update(collection, existing.id, { ...existing, ...value });
+                onItemsChanged(storage.all('items').filter(item => item[itemField] === existing.id).map(item => item.id));
+                res.json(updated);
+            } catch (error) {
+                if (error instanceof ConstraintError) {
+                    return sendValidationError(res, { name: [`${label} already exists`] });
+                }
+                console.error(`Error updating ${lowerLabel}:`, error);
+                res.status(500).json({ error: `Failed to update ${lowerLabel}` });
+            }
+        });
+
+        // Delete entity, unless items still use it
+        router.delete(`${base}/:id`, authenticate, requireRole('admin'), (req, res) => {
+            try {
+                const id = parseInt(req.params.id);
+                const inUse = storage.all('items').filter(item => item[itemField] === id).length;
+
+                if (inUse > 0) {
+                    return res.status(409).json({
+                        error: `${label} is used by ${inUse} item${inUse === 1 ? '' : 's'} and cannot be deleted`
+                    });
+                }
+
+                // Locations can also hold stock for items that default elsewhere
+                if (collection === 'locations') {
+                    const held = storage.all('movements')
+                        .filter(m => m.locationId === id)
+                        .reduce((total, m) => total + m.quantity, 0);
+                    if (held !== 0) {
+                        return res.status(409).json({ error: `Location still holds ${held} units of stock and cannot be deleted` });
+                    }
+                }
+
+                // Purchase orders keep their supplier for the record
+                if (collection === 'suppliers') {
+                    const orders = storage.all('purchaseOrders').filter(order => order.supplierId === id).length;
+                    if (orders > 0) {
+                        return res.status(409).json({
+                            error: `Supplier has ${orders} purchase order${orders === 1 ? '' : 's'} and cannot be deleted`
+                        });
+                    }
+                }
+
+                if (!storage.remove(collection, id)) {
+                    return res.status(404).json({ error: `${label} not found` });
+                }
+                res.status(204).send();
+            } catch (error) {
+                console.error(`Error deleting ${lowerLabel}:`, error);
+                res.status(500).json({ error: `Failed to delete ${lowerLabel}` });
+            }
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    REFERENCE_TYPES,
+    normalizeName,
+    loadReferenceData,
+    findByName,
+    migrateItemReferences,
+    validateItemReferences,
+    createReferenceRouter
+};
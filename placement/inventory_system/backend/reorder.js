@@ -0,0 +1,53 @@
+// Reorder point rules: per-item settings fall back to category defaults
+
+// Defaults for the categories created on first run
+const CATEGORY_DEFAULTS = {
+    Electronics: { reorderPoint: 5, reorderQuantity: 20 },
+    Clothing: { reorderPoint: 10, reorderQuantity: 50 },
+    Food: { reorderPoint: 20, reorderQuantity: 100, perishable: true },
+    Office: { reorderPoint: 5, reorderQuantity: 10 }
+};
+
+// Used when neither the item nor its category sets a value
+const FALLBACK_DEFAULTS = { reorderPoint: 5, reorderQuantity: 10 };
+
+/**
+ * Effective reorder settings for an item given its category entity
+ */
+function getReorderSettings(item, category) {
+    const isSet = value => value !== undefined && value !== null;
+    const pick = (field, categoryField) => {
+        if (isSet(item[field])) return item[field];
+        if (category && isSet(category[categoryField])) return category[categoryField];
+        return FALLBACK_DEFAULTS[field];
+    };
+
+    return {
+        reorderPoint: pick('reorderPoint', 'defaultReorderPoint'),
+        reorderQuantity: pick('reorderQuantity', 'defaultReorderQuantity')
+    };
+}
+
+// Stock is low once it falls to or below the reorder point
+function isLowStock(item, category) {
+    return item.quantity <= getReorderSettings(item, category).reorderPoint;
+}
+
+function getStockStatus(item, category) {
+    if (item.quantity <= 0) return 'out-of-stock';
+    return isLowStock(item, category) ? 'low-stock' : 'in-stock';
+}
+
+// Order enough to get back above the reorder point by the reorder quantity
+function getSuggestedOrderQuantity(item, category) {
+    const { reorderPoint, reorderQuantity } = getReorderSettings(item, category);
+    return reorderQuantity + Math.max(0, reorderPoint - item.quantity);
+}
+
+module.exports = {
+    CATEGORY_DEFAULTS,
+    getReorderSettings,
+    isLowStock,
+    getStockStatus,
+    getSuggestedOrderQuantity
+};
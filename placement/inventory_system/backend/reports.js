@@ -0,0 +1,260 @@
+const express = require('express');
+const { toCsv } = require('./csv');
+const { loadReferenceData } = require('./referenceData');
+const { getReorderSettings, getStockStatus } = require('./reorder');
+
+// Stock is valued at each item's price. Archived items are left out of every report.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TURNOVER_DAYS = 90;
+const MAX_TURNOVER_DAYS = 3650;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Group units and value under a key, keeping the first-seen label
+function addToGroup(groups, key, name, units, value) {
+    if (!groups.has(key)) {
+        groups.set(key, { id: key, name, itemCount: 0, units: 0, value: 0 });
+    }
+    const group = groups.get(key);
+    group.itemCount += 1;
+    group.units += units;
+    group.value += value;
+}
+
+// Sort groups by value, round the money and add each group's share of the total
+function finishGroups(groups) {
+    const rows = [...groups.values()].sort((a, b) => b.value - a.value || String(a.name).localeCompare(String(b.name)));
+    const totalValue = rows.reduce((total, row) => total + row.value, 0);
+
+    return {
+        rows: rows.map(row => ({
+            ...row,
+            value: round(row.value),
+            share: totalValue > 0 ? round(row.value / totalValue * 100, 1) : 0
+        })),
+        totals: {
+            itemCount: rows.reduce((total, row) => total + row.itemCount, 0),
+            units: rows.reduce((total, row) => total + row.units, 0),
+            value: round(totalValue)
+        }
+    };
+}
+
+// Value grouped by one of the item's own references (category or supplier)
+function valueByReference(collection, itemField) {
+    return ({ items, refs }) => {
+        const groups = new Map();
+        items.forEach(item => {
+            const entity = refs[collection].get(item[itemField]);
+            addToGroup(groups, entity ? entity.id : null, entity ? entity.name : 'Unassigned',
+                item.quantity, item.quantity * item.price);
+        });
+        return finishGroups(groups);
+    };
+}
+
+// Value grouped by where the stock actually is, per the ledger
+function valueByLocation({ items, refs, stockLevels }) {
+    const groups = new Map();
+    items.forEach(item => {
+        (stockLevels.get(item.id) || new Map()).forEach((quantity, locationId) => {
+            if (quantity === 0) return;
+            const location = refs.locations.get(locationId);
+            addToGroup(groups, location ? location.id : null, location ? location.name : 'Unassigned',
+                quantity, quantity * item.price);
+        });
+    });
+    return finishGroups(groups);
+}
+
+// Items that need reordering, with counts per stock status
+function stockStatus({ items, refs }) {
+    const counts = { 'in-stock': 0, 'low-stock': 0, 'out-of-stock': 0 };
+    const rows = [];
+
+    items.forEach(item => {
+        const category = refs.categories.get(item.categoryId);
+        const status = getStockStatus(item, category);
+        counts[status] += 1;
+
+        if (status !== 'in-stock') {
+            rows.push({
+                id: item.id,
+                sku: item.sku,
+                productName: item.productName,
+                category: category ? category.name : null,
+                quantity: item.quantity,
+                reorderPoint: getReorderSettings(item, category).reorderPoint,
+                status
+            });
+        }
+    });
+
+    rows.sort((a, b) => a.quantity - b.quantity || a.sku.localeCompare(b.sku));
+    return {
+        rows,
+        totals: { inStock: counts['in-stock'], lowStock: counts['low-stock'], outOfStock: counts['out-of-stock'] }
+    };
+}
+
+/**
+ * Per-SKU usage over the last `days` days. Turnover is units issued divided by
+ * the average of opening and closing stock; days of cover is how long current
+ * stock lasts at the average daily usage. Both are null without usage.
+ */
+function turnover({ items, movements, days }) {
+    const since = new Date(Date.now() - days * DAY_MS).toISOString();
+    const usage = new Map(items.map(item => [item.id, { opening: 0, issued: 0 }]));
+
+    movements.forEach(m => {
+        const entry = usage.get(m.itemId);
+        if (!entry) return;
+        if (m.timestamp < since) {
+            entry.opening += m.quantity;
+        } else if (m.type === 'issue') {
+            entry.issued -= m.quantity;
+        }
+    });
+
+    const rows = items.map(item => {
+        const { opening, issued } = usage.get(item.id);
+        const averageStock = (opening + item.quantity) / 2;
+        const dailyUsage = issued / days;
+
+        return {
+            id: item.id,
+            sku: item.sku,
+            productName: item.productName,
+            onHand: item.quantity,
+            unitsIssued: issued,
+            averageStock: round(averageStock, 1),
+            turnover: issued > 0 && averageStock > 0 ? round(issued / averageStock) : null,
+            dailyUsage: round(dailyUsage, 3),
+            daysOfCover: dailyUsage > 0 ? round(item.quantity / dailyUsage, 1) : null
+        };
+    });
+
+    // Shortest cover first; items with no usage last
+    rows.sort((a, b) => {
+        if (a.daysOfCover === b.daysOfCover) return a.sku.localeCompare(b.sku);
+        if (a.daysOfCover === null) return 1;
+        if (b.daysOfCover === null) return -1;
+        return a.daysOfCover - b.daysOfCover;
+    });
+
+    return {
+        rows,
+        totals: {
+            days,
+            unitsIssued: rows.reduce((total, row) => total + row.unitsIssued, 0),
+            withUsage: rows.filter(row => row.unitsIssued > 0).length
+        }
+    };
+}
+
+// Headline figures for the dashboard cards
+function summary(context) {
+    const { totals: value } = valueByReference('categories', 'categoryId')(context);
+    const { totals: status } = stockStatus(context);
+    const row = {
+        itemCount: value.itemCount,
+        units: value.units,
+        value: value.value,
+        lowStock: status.lowStock,
+        outOfStock: status.outOfStock
+    };
+    return { rows: [row], totals: row };
+}
+
+const GROUP_COLUMNS = ['id', 'name', 'itemCount', 'units', 'value', 'share'];
+
+// Report name -> title, CSV columns and builder
+const REPORTS = {
+    summary: {
+        title: 'Summary',
+        columns: ['itemCount', 'units', 'value', 'lowStock', 'outOfStock'],
+        build: summary
+    },
+    'value-by-category': {
+        title: 'Stock value by category',
+        columns: GROUP_COLUMNS,
+        build: valueByReference('categories', 'categoryId')
+    },
+    'value-by-supplier': {
+        title: 'Stock value by supplier',
+        columns: GROUP_COLUMNS,
+        build: valueByReference('suppliers', 'supplierId')
+    },
+    'value-by-location': {
+        title: 'Stock value by location',
+        columns: GROUP_COLUMNS,
+        build: valueByLocation
+    },
+    'stock-status': {
+        title: 'Low and out of stock items',
+        columns: ['id', 'sku', 'productName', 'category', 'quantity', 'reorderPoint', 'status'],
+        build: stockStatus
+    },
+    turnover: {
+        title: 'Turnover and days of cover',
+        columns: ['id', 'sku', 'productName', 'onHand', 'unitsIssued', 'averageStock', 'turnover', 'dailyUsage', 'daysOfCover'],
+        build: turnover
+    }
+};
+
+/**
+ * Read-only reporting routes under /reports. Each report is served as JSON
+ * ({ report, title, generatedAt, rows, totals }) or, with ?format=csv, as a
+ * CSV download of its rows.
+ */
+function createReportRouter(storage, ledger, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    // List the available reports
+    router.get('/reports', authenticate, requireRole('viewer'), (req, res) => {
+        res.json(Object.keys(REPORTS).map(name => ({ name, title: REPORTS[name].title })));
+    });
+
+    // Run one report
+    router.get('/reports/:name', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const report = Object.prototype.hasOwnProperty.call(REPORTS, req.params.name) ? REPORTS[req.params.name] : null;
+            if (!report) {
+                return res.status(404).json({ error: 'Report not found' });
+            }
+
+            const format = req.query.format || 'json';
+            if (format !== 'csv' && format !== 'json') {
+                return res.status(400).json({ error: 'format must be csv or json' });
+            }
+
+            const days = req.query.days === undefined ? DEFAULT_TURNOVER_DAYS : Number(req.query.days);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_TURNOVER_DAYS) {
+                return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_TURNOVER_DAYS}` });
+            }
+
+            const { rows, totals } = report.build({
+                items: storage.all('items').filter(item => !item.archived),
+                refs: loadReferenceData(storage),
+                stockLevels: ledger.getStockLevels(),
+                movements: storage.all('movements'),
+                days
+            });
+            const generatedAt = new Date().toISOString();
+
+            if (format === 'csv') {
+                res.attachment(`${req.params.name}-${generatedAt.slice(0, 10)}.csv`);
+                return res.type('text/csv').send(toCsv(rows, report.columns));
+            }
+            res.json({ report: req.params.name, title: report.title, generatedAt, rows, totals });
+        } catch (error) {
+            console.error('Error running report:', error);
+            res.status(500).json({ error: 'Failed to run report' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { REPORTS, createReportRouter };
@@ -0,0 +1,321 @@
+const express = require('express');
+const { salesOrderSchema, salesOrderLineSchema, validate, sendValidationError } = require('./validation');
+const { StockError } = require('./stockLedger');
+
+// open -> partially_fulfilled -> fulfilled; unfulfilled orders can be cancelled
+const SO_STATUSES = ['open', 'partially_fulfilled', 'fulfilled', 'cancelled'];
+const RESERVING_STATUSES = ['open', 'partially_fulfilled'];
+
+const formatNumber = id => `SO-${String(id).padStart(5, '0')}`;
+
+// Quantity still reserved on a line
+const outstanding = line => line.quantity - line.fulfilledQuantity;
+
+/**
+ * Stock reserved by open sales orders, as a Map of itemId -> quantity.
+ * Reservations are not stored separately; they are whatever open orders
+ * have not yet fulfilled, so cancelling or fulfilling an order releases them.
+ */
+function getReservedQuantities(storage) {
+    const reserved = new Map();
+    storage.all('salesOrders')
+        .filter(order => RESERVING_STATUSES.includes(order.status))
+        .forEach(order => order.lines.forEach(line => {
+            reserved.set(line.itemId, (reserved.get(line.itemId) || 0) + outstanding(line));
+        }));
+    return reserved;
+}
+
+/**
+ * Error message when bringing an item's on-hand stock down to `quantity`
+ * would cut into what open sales orders have reserved, or null. Stock that is
+ * already short of its reservations may still be raised.
+ * `reserved` is the Map from getReservedQuantities().
+ */
+function reservedStockError(item, quantity, reserved) {
+    const held = reserved.get(item.id) || 0;
+    if (held === 0 || quantity >= held || quantity >= item.quantity) {
+        return null;
+    }
+    const available = Math.max(item.quantity - held, 0);
+    return `${held} units are reserved by open sales orders; only ${available} of ${item.quantity} can be taken`;
+}
+
+/**
+ * Sales order routes. Placing an order reserves stock against each item's
+ * available quantity; fulfilling posts `issue` movements through the ledger.
+ * Every change to reservations or stock reports the item ids to `onItemsChanged`.
+ */
+function createSalesOrderRouter(storage, ledger, { authenticate, requireRole, onItemsChanged = () => {} }) {
+    const router = express.Router();
+
+    // Add item names and totals for API responses
+    function presentOrder(order) {
+        const lines = order.lines.map(line => {
+            const item = storage.get('items', line.itemId);
+            return {
+                ...line,
+                sku: item ? item.sku : null,
+                productName: item ? item.productName : null,
+                lineTotal: Math.round(line.quantity * line.unitPrice * 100) / 100
+            };
+        });
+
+        return {
+            ...order,
+            lines,
+            total: Math.round(lines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Validates a new order, including that every line fits in the item's
+     * available (on-hand minus reserved) stock. Returns { value, errors }.
+     */
+    function validateOrder(input) {
+        const { value, errors } = validate(salesOrderSchema, input);
+        const allErrors = { ...errors };
+
+        if (!Array.isArray(input.lines) || input.lines.length === 0) {
+            allErrors.lines = ['At least one line is required'];
+            return { value, errors: allErrors };
+        }
+
+        const reserved = getReservedQuantities(storage);
+        const seen = new Set();
+        value.lines = input.lines.map((line, index) => {
+            const { value: lineValue, errors: lineErrors } = validate(salesOrderLineSchema, line);
+            Object.keys(lineErrors || {}).forEach(field => {
+                allErrors[`lines[${index}].${field}`] = lineErrors[field];
+            });
+
+            const item = lineValue.itemId && storage.get('items', lineValue.itemId);
+            if (lineValue.itemId && !item) {
+                allErrors[`lines[${index}].itemId`] = ['Item does not exist'];
+            } else if (item && item.archived) {
+                allErrors[`lines[${index}].itemId`] = ['Item is in the trash'];
+            } else if (seen.has(lineValue.itemId)) {
+                allErrors[`lines[${index}].itemId`] = ['Item appears on more than one line'];
+            } else if (item && lineValue.quantity) {
+                const available = item.quantity - (reserved.get(item.id) || 0);
+                if (lineValue.quantity > available) {
+                    allErrors[`lines[${index}].quantity`] = [`Only ${Math.max(0, available)} of ${item.sku} available`];
+                }
+            }
+            seen.add(lineValue.itemId);
+
+            return {
+                ...lineValue,
+                unitPrice: lineValue.unitPrice === null || lineValue.unitPrice === undefined
+                    ? (item ? item.price : null)
+                    : lineValue.unitPrice,
+                fulfilledQuantity: 0
+            };
+        });
+
+        return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
+    }
+
+    function findOrder(req, res) {
+        const order = storage.get('salesOrders', parseInt(req.params.id));
+        if (!order) {
+            res.status(404).json({ error: 'Sales order not found' });
+        }
+        return order;
+    }
+
+    // List sales orders, newest first, optionally by status
+    router.get('/sales-orders', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const { status } = req.query;
+
+            if (status && !SO_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${SO_STATUSES.join(', ')}` });
+            }
+
+            const orders = storage.all('salesOrders')
+                .filter(order => !status || order.status === status)
+                .sort((a, b) => b.id - a.id)
+                .map(presentOrder);
+
+            res.json(orders);
+        } catch (error) {
+            console.error('Error fetching sales orders:', error);
+            res.status(500).json({ error: 'Failed to fetch sales orders' });
+        }
+    });
+
+    // Get one sales order
+    router.get('/sales-orders/:id', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (order) {
+                res.json(presentOrder(order));
+            }
+        } catch (error) {
+            console.error('Error fetching sales order:', error);
+            res.status(500).json({ error: 'Failed to fetch sales order' });
+        }
+    });
+
+    // Place a sales order, reserving its stock
+    router.post('/sales-orders', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            // Validate and insert together so two orders can't reserve the same stock
+            const result = storage.transaction(() => {
+                const { value, errors } = validateOrder(req.body);
+                if (errors) {
+                    return { errors };
+                }
+
+                const now = new Date().toISOString();
+                const order = storage.insert('salesOrders', {
+                    number: null,
+                    status: 'open',
+                    customerName: value.customerName,
+                    customerReference: value.customerReference || null,
+                    notes: value.notes || null,
+                    lines: value.lines,
+                    createdBy: req.user.username,
+                    createdAt: now,
+                    updatedAt: now,
+                    fulfilledAt: null,
+                    cancelledAt: null
+                });
+                return { order: storage.update('salesOrders', order.id, { ...order, number: formatNumber(order.id) }) };
+            });
+
+            if (result.errors) {
+                return sendValidationError(res, result.errors);
+            }
+
+            onItemsChanged(result.order.lines.map(line => line.itemId));
+            res.status(201).json(presentOrder(result.order));
+        } catch (error) {
+            console.error('Error creating sales order:', error);
+            res.status(500).json({ error: 'Failed to create sales order' });
+        }
+    });
+
+    // Cancel an order, releasing whatever is still reserved
+    router.post('/sales-orders/:id/cancel', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (!order) return;
+
+            if (!RESERVING_STATUSES.includes(order.status)) {
+                return res.status(409).json({ error: `Cannot cancel a sales order that is ${order.status}` });
+            }
+
+            const now = new Date().toISOString();
+            const updated = storage.update('salesOrders', order.id, {
+                ...order,
+                status: 'cancelled',
+                updatedAt: now,
+                cancelledAt: now
+            });
+            onItemsChanged(order.lines.map(line => line.itemId));
+            res.json(presentOrder(updated));
+        } catch (error) {
+            console.error('Error cancelling sales order:', error);
+            res.status(500).json({ error: 'Failed to cancel sales order' });
+        }
+    });
+
+    /**
+     * Ship some or all of an order's reserved quantities from a location.
+     * Body: { locationId?, lines: [{ itemId, quantity }] }. Without lines,
+     * everything still reserved is fulfilled. Lines for the same item together
+     * may not ship more than it has reserved.
+     */
+    router.post('/sales-orders/:id/fulfil', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const order = findOrder(req, res);
+            if (!order) return;
+
+            if (!RESERVING_STATUSES.includes(order.status)) {
+                return res.status(409).json({ error: `Cannot fulfil a sales order that is ${order.status}` });
+            }
+
+            const locationId = req.body.locationId === undefined ? null : req.body.locationId;
+            if (locationId !== null && !storage.get('locations', locationId)) {
+                return sendValidationError(res, { locationId: ['Location does not exist'] });
+            }
+
+            const shipments = Array.isArray(req.body.lines)
+                ? req.body.lines
+                : order.lines.filter(line => outstanding(line) > 0)
+                    .map(line => ({ itemId: line.itemId, quantity: outstanding(line) }));
+
+            const errors = {};
+            const claimed = new Map(); // itemId -> quantity taken by earlier shipment lines
+            shipments.forEach((shipment, index) => {
+                if (!shipment || typeof shipment !== 'object') {
+                    errors[`lines[${index}]`] = ['Must be an object with an itemId and quantity'];
+                    return;
+                }
+
+                const line = order.lines.find(l => l.itemId === shipment.itemId);
+                const remaining = line ? outstanding(line) - (claimed.get(line.itemId) || 0) : 0;
+                if (!line) {
+                    errors[`lines[${index}].itemId`] = ['Item is not on this sales order'];
+                } else if (!Number.isInteger(shipment.quantity) || shipment.quantity < 0) {
+                    errors[`lines[${index}].quantity`] = ['Must be a non-negative whole number'];
+                } else if (shipment.quantity > remaining) {
+                    errors[`lines[${index}].quantity`] = [`Only ${remaining} still to fulfil`];
+                } else {
+                    claimed.set(line.itemId, (claimed.get(line.itemId) || 0) + shipment.quantity);
+                }
+            });
+
+            if (shipments.every(shipment => !(shipment && shipment.quantity))) {
+                errors.lines = ['Nothing to fulfil'];
+            }
+
+            if (Object.keys(errors).length > 0) {
+                return sendValidationError(res, errors);
+            }
+
+            const updated = storage.transaction(() => {
+                const lines = order.lines.map(line => ({ ...line }));
+
+                shipments.filter(shipment => shipment.quantity > 0).forEach(shipment => {
+                    const line = lines.find(l => l.itemId === shipment.itemId);
+                    const item = storage.get('items', line.itemId);
+
+                    ledger.post(item, {
+                        locationId: locationId !== null ? locationId : item.locationId,
+                        type: 'issue',
+                        quantity: -shipment.quantity,
+                        reason: 'Sales order fulfilment',
+                        reference: order.number
+                    });
+                    line.fulfilledQuantity += shipment.quantity;
+                });
+
+                const complete = lines.every(line => outstanding(line) === 0);
+                const now = new Date().toISOString();
+                return storage.update('salesOrders', order.id, {
+                    ...order,
+                    lines,
+                    status: complete ? 'fulfilled' : 'partially_fulfilled',
+                    updatedAt: now,
+                    fulfilledAt: complete ? now : null
+                });
+            });
+
+            onItemsChanged(shipments.filter(shipment => shipment.quantity > 0).map(shipment => shipment.itemId));
+            res.json(presentOrder(updated));
+        } catch (error) {
+            if (error instanceof StockError) {
+                return sendValidationError(res, { lines: [error.message] });
+            }
+            console.error('Error fulfilling sales order:', error);
+            res.status(500).json({ error: 'Failed to fulfil sales order' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSalesOrderRouter, getReservedQuantities, reservedStockError, SO_STATUSES };
@@ -0,0 +1,116 @@
+const express = require('express');
+const { savedViewSchema, validate, sendValidationError } = require('./validation');
+const { parseSearchQuery } = require('./searchIndex');
+
+// Saved views: named item list filters (search, category, low stock, sort)
+// that each user keeps for themselves and picks from the toolbar.
+
+/**
+ * CRUD routes for /views. Everyone can keep views; they only ever see and
+ * change their own.
+ */
+function createSavedViewRouter(storage, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    const ownViews = user => storage.all('savedViews').filter(view => view.userId === user.id);
+
+    // Checks a create or update body; pass the existing view for updates
+    function validateView(input, user, existing = null) {
+        const { value, errors } = validate(savedViewSchema, input, { partial: Boolean(existing) });
+        const allErrors = { ...errors };
+
+        if (value.search) {
+            const { error } = parseSearchQuery(value.search);
+            if (error) allErrors.search = [error];
+        }
+
+        if (value.categoryId && !storage.get('categories', value.categoryId)) {
+            allErrors.categoryId = ['Category does not exist'];
+        }
+
+        if (value.name) {
+            const clash = ownViews(user).find(view =>
+                view.name.toLowerCase() === value.name.toLowerCase() && (!existing || view.id !== existing.id));
+            if (clash) allErrors.name = [`You already have a view called "${clash.name}"`];
+        }
+
+        return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
+    }
+
+    // Looks up the user's view in :id, sending 404 when they have no such view
+    function findView(req, res) {
+        const view = storage.get('savedViews', parseInt(req.params.id));
+        if (!view || view.userId !== req.user.id) {
+            res.status(404).json({ error: 'View not found' });
+            return null;
+        }
+        return view;
+    }
+
+    // List the user's views by name
+    router.get('/views', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            res.json(ownViews(req.user).sort((a, b) => a.name.localeCompare(b.name)));
+        } catch (error) {
+            console.error('Error fetching saved views:', error);
+            res.status(500).json({ error: 'Failed to fetch saved views' });
+        }
+    });
+
+    // Save a view
+    router.post('/views', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const { value, errors } = validateView(req.body, req.user);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            const now = new Date().toISOString();
+            const view = storage.insert('savedViews', { ...value, userId: req.user.id, createdAt: now, updatedAt: now });
+            res.status(201).json(view);
+        } catch (error) {
+            console.error('Error saving view:', error);
+            res.status(500).json({ error: 'Failed to save view' });
+        }
+    });
+
+    // Rename a view or change its filters; only the fields sent change
+    router.put('/views/:id', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const existing = findView(req, res);
+            if (!existing) return;
+
+            const { value, errors } = validateView(req.body, req.user, existing);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            res.json(storage.update('savedViews', existing.id, {
+                ...existing,
+                ...value,
+                updatedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('Error updating view:', error);
+            res.status(500).json({ error: 'Failed to update view' });
+        }
+    });
+
+    // Delete a view
+    router.delete('/views/:id', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const view = findView(req, res);
+            if (!view) return;
+
+            storage.remove('savedViews', view.id);
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting view:', error);
+            res.status(500).json({ error: 'Failed to delete view' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSavedViewRouter };
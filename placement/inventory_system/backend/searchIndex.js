@@ -0,0 +1,252 @@
+// Full-text search for item listings. Items are indexed by the words in their
+// text fields; query words match exactly, as a prefix or with a typo or two,
+// and each matching item gets a relevance score from how well and where its
+// words matched.
+//
+// Query syntax: plain words (all must match), field:word to match in one
+// field (supplier:tech), "quoted phrases" as one value (location:"back room")
+// and numeric conditions (qty:<5, price:>=10, available:0, price:10..50).
+
+// How much a match in each field counts towards relevance
+const FIELD_WEIGHTS = {
+    sku: 4,
+    productName: 3,
+    category: 1.5,
+    supplier: 1.5,
+    location: 1,
+    attributes: 1
+};
+
+// Prefixes for matching words in one field
+const TEXT_PREFIXES = {
+    name: 'productName',
+    sku: 'sku',
+    category: 'category',
+    supplier: 'supplier',
+    location: 'location',
+    attribute: 'attributes'
+};
+
+// Prefixes for numeric conditions on presented item fields
+const NUMERIC_PREFIXES = {
+    qty: 'quantity',
+    quantity: 'quantity',
+    available: 'available',
+    reserved: 'reserved',
+    price: 'price'
+};
+
+// Match quality of a query word against an indexed word
+const EXACT = 1;
+const PREFIX = 0.75;
+const ONE_TYPO = 0.5;
+const TWO_TYPOS = 0.3;
+
+const COMPARISONS = {
+    '<': (value, limit) => value < limit,
+    '<=': (value, limit) => value <= limit,
+    '>': (value, limit) => value > limit,
+    '>=': (value, limit) => value >= limit,
+    '=': (value, limit) => value === limit
+};
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?';
+const COMPARISON_PATTERN = new RegExp(`^(<=|>=|<|>|=)?(${NUMBER})$`);
+const RANGE_PATTERN = new RegExp(`^(${NUMBER})\\.\\.(${NUMBER})$`);
+
+// Lower-case words and numbers in a piece of text
+function tokenize(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Splits a search string into words to match and numeric conditions.
+ * Returns { query: { terms: [{ word, field }], conditions: [{ field, op, value }] } }
+ * or { error } for an unknown field or a malformed number.
+ */
+function parseSearchQuery(text) {
+    const terms = [];
+    const conditions = [];
+    const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const prefix = match[1] ? match[1].toLowerCase() : null;
+        const value = match[2] !== undefined ? match[2] : match[3];
+
+        if (prefix && NUMERIC_PREFIXES[prefix]) {
+            const field = NUMERIC_PREFIXES[prefix];
+            const range = value.match(RANGE_PATTERN);
+            const comparison = value.match(COMPARISON_PATTERN);
+            if (range) {
+                conditions.push({ field, op: '>=', value: Number(range[1]) });
+                conditions.push({ field, op: '<=', value: Number(range[2]) });
+            } else if (comparison) {
+                conditions.push({ field, op: comparison[1] || '=', value: Number(comparison[2]) });
+            } else {
+                return { error: `${prefix}: takes a number, a comparison like <5 or a range like 5..10` };
+            }
+            continue;
+        }
+
+        if (prefix && !TEXT_PREFIXES[prefix]) {
+            const known = [...Object.keys(TEXT_PREFIXES), ...Object.keys(NUMERIC_PREFIXES)];
+            return { error: `Unknown search field "${prefix}"; use one of: ${known.join(', ')}` };
+        }
+
+        const field = prefix ? TEXT_PREFIXES[prefix] : null;
+        tokenize(value).forEach(word => terms.push({ word, field }));
+    }
+
+    return { query: { terms, conditions } };
+}
+
+// Whether a presented item meets every numeric condition of a query
+function matchesConditions(item, conditions) {
+    return conditions.every(({ field, op, value }) => COMPARISONS[op](item[field], value));
+}
+
+// Words to index for one field of a presented item
+function fieldWords(item, field) {
+    if (field === 'attributes') {
+        return Object.keys(item.attributes || {})
+            .flatMap(name => [...tokenize(name), ...tokenize(item.attributes[name])]);
+    }
+    if (field === 'location') {
+        // Items are found by every location holding their stock
+        return [item.location, ...(item.stock || []).map(level => level.location)]
+            .filter(Boolean)
+            .flatMap(tokenize);
+    }
+
+    const value = item[field];
+    if (!value) return [];
+    const words = tokenize(value);
+    // SKUs are often typed without their dashes
+    if (field === 'sku' && words.length > 1) words.push(words.join(''));
+    return words;
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters
+ * as one edit. Gives up and returns max + 1 once the distance exceeds max.
+ */
+function editDistance(a, b, max) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+}
+
+// How well a query word matches an indexed word, 0 for no match
+function matchQuality(query, word) {
+    if (word === query) return EXACT;
+    if (word.startsWith(query)) return PREFIX;
+
+    // Short words have to be typed right; longer ones may have a typo or two
+    const allowedTypos = query.length >= 7 ? 2 : (query.length >= 4 ? 1 : 0);
+    if (allowedTypos === 0 || Math.abs(word.length - query.length) > allowedTypos) return 0;
+
+    const distance = editDistance(query, word, allowedTypos);
+    if (distance > allowedTypos) return 0;
+    return distance === 1 ? ONE_TYPO : TWO_TYPOS;
+}
+
+/**
+ * An inverted index of presented items. Call add whenever an item changes
+ * (it re-indexes) and remove when it's gone for good.
+ */
+function createSearchIndex() {
+    // word -> Map itemId -> Set of fields the word appears in
+    const postings = new Map();
+    // itemId -> words indexed for it, so a change can unindex the old ones
+    const indexed = new Map();
+
+    function remove(id) {
+        const words = indexed.get(id);
+        if (!words) return;
+
+        words.forEach(word => {
+            const items = postings.get(word);
+            items.delete(id);
+            if (items.size === 0) postings.delete(word);
+        });
+        indexed.delete(id);
+    }
+
+    function add(item) {
+        remove(item.id);
+
+        const words = new Set();
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+            fieldWords(item, field).forEach(word => {
+                if (!postings.has(word)) postings.set(word, new Map());
+                const items = postings.get(word);
+                if (!items.has(item.id)) items.set(item.id, new Set());
+                items.get(item.id).add(field);
+                words.add(word);
+            });
+        });
+        indexed.set(item.id, words);
+    }
+
+    /**
+     * Relevance of the items matching every term: Map itemId -> score. Each
+     * term scores its best match, weighted by the field it matched in.
+     */
+    function search(terms) {
+        let scores = null;
+
+        for (const term of terms) {
+            const termScores = new Map();
+            postings.forEach((items, word) => {
+                const quality = matchQuality(term.word, word);
+                if (quality === 0) return;
+
+                items.forEach((fields, id) => {
+                    if (scores && !scores.has(id)) return;
+                    fields.forEach(field => {
+                        if (term.field && term.field !== field) return;
+                        const score = quality * FIELD_WEIGHTS[field];
+                        if (score > (termScores.get(id) || 0)) termScores.set(id, score);
+                    });
+                });
+            });
+
+            if (scores) {
+                termScores.forEach((score, id) => termScores.set(id, score + scores.get(id)));
+            }
+            scores = termScores;
+            if (scores.size === 0) break;
+        }
+
+        return scores || new Map();
+    }
+
+    return { add, remove, search };
+}
+
+module.exports = {
+    TEXT_PREFIXES,
+    NUMERIC_PREFIXES,
+    parseSearchQuery,
+    matchesConditions,
+    createSearchIndex
+};
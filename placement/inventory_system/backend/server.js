@@ -1,24 +1,73 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs');
+const { createStorage, ConstraintError } = require('./storage');
+const { parseItemQuery, filterItems, sortItems, groupVariants, paginate } = require('./itemQuery');
+const { createSearchIndex } = require('./searchIndex');
+const { createAuth } = require('./auth');
+const { createStockLedger, StockError } = require('./stockLedger');
+const { createPurchaseOrderRouter } = require('./purchaseOrders');
+const { createSalesOrderRouter, getReservedQuantities, reservedStockError } = require('./salesOrders');
+const { createAuditLog } = require('./audit');
+const { createEventBus, createEventStreamRouter } = require('./events');
+const { createReportRouter } = require('./reports');
+const { createBarcodeRouter } = require('./barcodes');
+const { createWebhookRouter } = require('./webhooks');
+const { createSavedViewRouter } = require('./savedViews');
+const { createStockCountRouter } = require('./stockCounts');
+const { errorEnvelope, notFoundHandler, errorHandler } = require('./apiErrors');
+const { buildOpenApiDocument } = require('./openapi');
+const {
+    LOT_REQUIRED_ERROR,
+    requiresLots,
+    checkLotInput,
+    findOrCreateLot,
+    getEarliestExpiries,
+    getExpiryStatus,
+    createLotRouter
+} = require('./lots');
+const { parseCsvObjects, toCsv } = require('./csv');
+const { EXPORT_FIELDS, planImport } = require('./itemImport');
+const { validateBatch, planBatch, applyBatch } = require('./itemBatch');
+const { itemSchema, variantSchema, validate, sendValidationError } = require('./validation');
+const {
+    VARIANT_SHARED_FIELDS,
+    validateAttributes,
+    getVariants,
+    findAttributeClash,
+    inheritedFields,
+    syncVariants
+} = require('./variants');
+const { getReorderSettings, getStockStatus, getSuggestedOrderQuantity } = require('./reorder');
+const {
+    loadReferenceData,
+    migrateItemReferences,
+    validateItemReferences,
+    createReferenceRouter
+} = require('./referenceData');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'data', 'inventory.json');
+const storage = createStorage();
+const { router: authRouter, authenticate, requireRole } = createAuth(storage);
+const ledger = createStockLedger(storage);
+const audit = createAuditLog(storage, { authenticate, requireRole });
+const events = createEventBus();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Origins allowed to call the API from a browser (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000,http://localhost:5500,http://127.0.0.1:5500')
+    .split(',')
+    .map(origin => origin.trim());
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir);
-}
+// Stock movement types that can be posted directly (transfers have their own endpoint)
+const MOVEMENT_TYPES = ['receive', 'issue', 'adjust'];
 
-// Initialize data file if it doesn't exist
-if (!fs.existsSync(DATA_FILE)) {
+// Middleware
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['ETag', 'Deprecation', 'Link'] }));
+app.use(express.json({ limit: '5mb' }));
+
+// Seed sample data the first time the server runs against an empty store
+if (storage.isNew) {
     const initialData = [
         {
             id: 1,
@@ -54,61 +103,480 @@ if (!fs.existsSync(DATA_FILE)) {
             lastUpdated: '2023-10-29T09:15:00Z'
         }
     ];
-    fs.writeFileSync(DATA_FILE, JSON.stringify(initialData, null, 2));
+    storage.transaction(() => {
+        initialData.forEach(item => storage.insert('items', item));
+    });
+}
+
+// Items used to store category, supplier and location as text
+migrateItemReferences(storage);
+
+// Reference data and stock levels needed to present items
+function loadPresentationContext() {
+    return {
+        refs: loadReferenceData(storage),
+        stockLevels: ledger.getStockLevels(),
+        reserved: getReservedQuantities(storage),
+        expiries: getEarliestExpiries(storage)
+    };
+}
+
+/**
+ * Shape an item for API responses: adds category, supplier, location and unit names,
+ * the per-location stock breakdown, reserved and available quantities, the
+ * effective reorder settings, the stock status and the earliest lot expiry
+ * with its status (expired, expiring or null). Pass a preloaded context
+ * when presenting many items.
+ */
+function presentItem(item, context = loadPresentationContext()) {
+    const { refs, stockLevels } = context;
+    const reserved = context.reserved.get(item.id) || 0;
+    const nextExpiry = context.expiries.get(item.id) || null;
+    const category = refs.categories.get(item.categoryId) || null;
+    const supplier = refs.suppliers.get(item.supplierId) || null;
+    const location = refs.locations.get(item.locationId) || null;
+    const unit = refs.units.get(item.unitId) || null;
+    const { reorderPoint, reorderQuantity } = getReorderSettings(item, category);
+
+    const stock = [];
+    (stockLevels.get(item.id) || new Map()).forEach((quantity, locationId) => {
+        if (quantity !== 0) {
+            const stockLocation = refs.locations.get(locationId);
+            stock.push({ locationId, location: stockLocation ? stockLocation.name : null, quantity });
+        }
+    });
+
+    return {
+        ...item,
+        category: category ? category.name : null,
+        supplier: supplier ? supplier.name : null,
+        location: location ? location.name : null,
+        unit: unit ? unit.name : null,
+        version: item.version || 1,
+        stock,
+        reserved,
+        available: item.quantity - reserved,
+        effectiveReorderPoint: reorderPoint,
+        effectiveReorderQuantity: reorderQuantity,
+        stockStatus: getStockStatus(item, category),
+        nextExpiry,
+        expiryStatus: getExpiryStatus(nextExpiry)
+    };
+}
+
+/**
+ * Broadcast committed changes to the given items, presented as the API
+ * returns them. Items that no longer exist are skipped.
+ */
+function publishItemChanges(type, itemIds) {
+    const context = loadPresentationContext();
+    [...new Set(itemIds)].forEach(id => {
+        const item = storage.get('items', id);
+        if (item) {
+            events.publish(type, presentItem(item, context));
+        }
+    });
+}
+
+// Items written before versioning was added count as version 1
+const etagFor = item => `"${item.version || 1}"`;
+
+/**
+ * Optimistic concurrency check for item writes. Sends 428 when the If-Match
+ * header is missing, or 412 with the current item (so the client can merge)
+ * when the item has changed since the client loaded it. Returns whether the
+ * write may go ahead.
+ */
+function checkIfMatch(req, res, item) {
+    const header = req.get('If-Match');
+
+    if (!header) {
+        res.status(428).json({ error: 'If-Match header with the item ETag is required' });
+        return false;
+    }
+
+    const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!tags.includes('*') && !tags.includes(etagFor(item))) {
+        res.status(412).set('ETag', etagFor(item)).json({
+            error: 'Item has been changed by someone else since it was loaded',
+            current: presentItem(item)
+        });
+        return false;
+    }
+
+    return true;
+}
+
+// Archived items can be viewed, restored or purged but not otherwise changed
+const ARCHIVED_ERROR = 'Item is in the trash; restore it first';
+
+// All items, presented, for listing and filtering by name
+function presentAllItems() {
+    const context = loadPresentationContext();
+    return storage.all('items').map(item => presentItem(item, context));
+}
+
+/**
+ * Validates an item body against the schema and checks SKU uniqueness and
+ * that referenced categories, suppliers and locations exist. Perishable items
+ * may not have their quantity raised here; that takes a lot receipt. Nor may
+ * it be lowered into stock that open sales orders have reserved.
+ * Pass the existing item for updates, which only validate the fields sent.
+ */
+function validateItem(input, existing = null) {
+    const { value, errors } = validate(itemSchema, input, { partial: Boolean(existing) });
+    const allErrors = { ...errors, ...validateItemReferences(value, loadReferenceData(storage)) };
+
+    const skuError = findSkuClash(value.sku, existing);
+    if (skuError) {
+        allErrors.sku = [skuError];
+    }
+
+    const categoryId = value.categoryId !== undefined ? value.categoryId : existing && existing.categoryId;
+    if (!allErrors.quantity && value.quantity > (existing ? existing.quantity : 0) && requiresLots(storage, { categoryId })) {
+        allErrors.quantity = [LOT_REQUIRED_ERROR];
+    }
+    if (!allErrors.quantity && existing && value.quantity !== undefined) {
+        const reservedError = reservedStockError(existing, value.quantity, getReservedQuantities(storage));
+        if (reservedError) {
+            allErrors.quantity = [reservedError];
+        }
+    }
+
+    return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
 }
 
-// Helper function to read data
-function readData() {
-    const data = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(data);
+// Error message when another item already uses the SKU, or null
+function findSkuClash(sku, existing = null) {
+    const duplicate = sku && storage.all('items').find(i => i.sku === sku && (!existing || i.id !== existing.id));
+    if (!duplicate) {
+        return null;
+    }
+    return duplicate.archived
+        ? 'An archived item with this SKU exists; restore it from the trash'
+        : 'An item with this SKU already exists';
+}
+
+/**
+ * Inserts a new item with an opening balance movement for its quantity and
+ * audits the creation. Returns the stored item.
+ */
+function createItem(newItem, user) {
+    return storage.transaction(() => {
+        const item = storage.insert('items', newItem);
+        if (newItem.quantity > 0) {
+            ledger.recordMovement({
+                itemId: item.id,
+                locationId: item.locationId,
+                type: 'receive',
+                quantity: newItem.quantity,
+                reason: 'Opening balance'
+            });
+        }
+        audit.recordItemChange('create', null, item, user);
+        return item;
+    });
+}
+
+/**
+ * Saves validated changes to an item: a changed quantity is booked as an
+ * adjustment with `reason`, the update is audited and the item's variants are
+ * kept in step. Returns { saved, syncedIds } with the ids of changed variants.
+ */
+function updateItem(existing, changes, user, reason) {
+    return storage.transaction(() => {
+        const updatedItem = {
+            ...existing,
+            ...changes,
+            id: existing.id, // Ensure ID remains the same
+            quantity: existing.quantity, // Quantity is derived from the ledger
+            lastUpdated: new Date().toISOString()
+        };
+        if (changes.quantity !== undefined) {
+            updatedItem.quantity = ledger.adjustToQuantity(updatedItem, changes.quantity, reason);
+        }
+
+        const saved = storage.update('items', existing.id, updatedItem);
+        audit.recordItemChange('update', existing, saved, user);
+
+        // Keep variants in step with a changed parent
+        const syncedIds = syncVariants(storage, saved).map(({ before, after }) => {
+            audit.recordItemChange('update', before, after, user);
+            return after.id;
+        });
+        return { saved, syncedIds };
+    });
 }
 
-// Helper function to write data
-function writeData(data) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+ledger.migrate();
+
+// Routes are registered on this router and mounted under /api/v1 below
+const api = express.Router();
+api.use(errorEnvelope);
+
+// Raise stock.low when an item falls to its reorder point or below, once per
+// drop rather than on every change while it stays low. It is published after
+// the change event that caused it has reached every listener.
+const lastStockStatus = new Map(presentAllItems().map(item => [item.id, item.stockStatus]));
+events.subscribe(event => {
+    if (event.type === 'item.deleted') {
+        lastStockStatus.delete(event.data.id);
+        return;
+    }
+    if (event.type !== 'item.created' && event.type !== 'item.updated') return;
+
+    const item = event.data;
+    const wasInStock = (lastStockStatus.get(item.id) || 'in-stock') === 'in-stock';
+    lastStockStatus.set(item.id, item.stockStatus);
+    if (wasInStock && item.stockStatus !== 'in-stock' && !item.archived) {
+        setImmediate(() => events.publish('stock.low', item));
+    }
+});
+
+// Search index over presented items. Every item write publishes an event,
+// so following the bus keeps it current; purged items are the only ones to
+// leave it, since the trash is searchable too.
+const searchIndex = createSearchIndex();
+presentAllItems().forEach(item => searchIndex.add(item));
+events.subscribe(event => {
+    if (event.type === 'item.created' || event.type === 'item.updated') {
+        searchIndex.add(event.data);
+    } else if (event.type === 'item.deleted') {
+        if (storage.get('items', event.data.id)) {
+            searchIndex.add(event.data);
+        } else {
+            searchIndex.remove(event.data.id);
+        }
+    }
+});
+
+/**
+ * Relevance scores for the search words of a parsed item query, or null
+ * when it has none
+ */
+function searchRelevance(options) {
+    const { terms } = options.searchQuery;
+    return terms.length > 0 ? searchIndex.search(terms) : null;
 }
 
 // API Routes
+const onItemsChanged = itemIds => publishItemChanges('item.updated', itemIds);
+api.use(authRouter);
+api.use(createReferenceRouter(storage, { authenticate, requireRole, onItemsChanged }));
+api.use(createPurchaseOrderRouter(storage, ledger, { authenticate, requireRole, onItemsChanged }));
+api.use(createSalesOrderRouter(storage, ledger, { authenticate, requireRole, onItemsChanged }));
+api.use(createStockCountRouter(storage, ledger, { authenticate, requireRole, onItemsChanged }));
+api.use(audit.router);
+api.use(createEventStreamRouter(events, { authenticate, requireRole }));
+api.use(createReportRouter(storage, ledger, { authenticate, requireRole }));
+api.use(createBarcodeRouter(storage, { authenticate, requireRole }));
+api.use(createLotRouter(storage, { authenticate, requireRole }));
+api.use(createWebhookRouter(storage, events, { authenticate, requireRole }));
+api.use(createSavedViewRouter(storage, { authenticate, requireRole }));
 
-// Get all items
-app.get('/api/items', (req, res) => {
+// Get a filtered, sorted page of items
+api.get('/items', authenticate, requireRole('viewer'), (req, res) => {
     try {
-        const { search, category } = req.query;
-        let items = readData();
-
-        // Apply filters if provided
-        if (search) {
-            const searchTerm = search.toLowerCase();
-            items = items.filter(item => 
-                item.productName.toLowerCase().includes(searchTerm) ||
-                item.sku.toLowerCase().includes(searchTerm) ||
-                (item.supplier && item.supplier.toLowerCase().includes(searchTerm)) ||
-                (item.location && item.location.toLowerCase().includes(searchTerm))
-            );
+        const { options, error } = parseItemQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        if (category) {
-            items = items.filter(item => item.category === category);
+        const allItems = presentAllItems();
+        const matched = filterItems(allItems, options, searchRelevance(options));
+
+        // Grouped listings page through top-level items with variants nested
+        if (options.group) {
+            const groups = sortItems(groupVariants(matched, allItems), options)
+                .map(group => ({ ...group, variants: sortItems(group.variants, options) }));
+            return res.json(paginate(groups, options));
         }
 
-        res.json(items);
+        res.json(paginate(sortItems(matched, options), options));
     } catch (error) {
         console.error('Error fetching items:', error);
         res.status(500).json({ error: 'Failed to fetch items' });
     }
 });
 
+// Export items matching the current search and filters as CSV or JSON
+api.get('/items/export', authenticate, requireRole('viewer'), (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (format !== 'csv' && format !== 'json') {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+
+        const { options, error } = parseItemQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const items = sortItems(filterItems(presentAllItems(), options, searchRelevance(options)), options);
+        const filename = `inventory-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.attachment(filename);
+        if (format === 'json') {
+            const records = items.map(item => Object.fromEntries(EXPORT_FIELDS.map(f => [f, item[f] ?? null])));
+            return res.type('application/json').send(JSON.stringify(records, null, 2));
+        }
+        res.type('text/csv').send(toCsv(items, EXPORT_FIELDS));
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        res.status(500).json({ error: 'Failed to export items' });
+    }
+});
+
+// Import items from CSV or JSON, upserting by SKU.
+// Without ?commit=true this is a dry run that only reports what would change.
+api.post(
+    '/items/import',
+    authenticate,
+    requireRole('clerk'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    (req, res) => {
+        try {
+            let records;
+            if (typeof req.body === 'string') {
+                records = parseCsvObjects(req.body);
+            } else {
+                records = Array.isArray(req.body) ? req.body : req.body.items;
+            }
+
+            if (!Array.isArray(records) || records.length === 0) {
+                return res.status(400).json({ error: 'Import file contains no items' });
+            }
+
+            const plan = planImport(records, storage.all('items'), loadReferenceData(storage), getReservedQuantities(storage));
+            const commit = req.query.commit === 'true';
+
+            if (commit && plan.errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Fix the rows with errors before importing',
+                    committed: false,
+                    ...plan
+                });
+            }
+
+            if (commit) {
+                const now = new Date().toISOString();
+                const createdIds = [];
+                const updatedIds = [];
+
+                // Rows go through the same create and update paths as the item form
+                storage.transaction(() => {
+                    plan.creates.forEach(({ fields }) => {
+                        createdIds.push(createItem({ ...fields, lastUpdated: now }, req.user).id);
+                    });
+
+                    plan.updates.forEach(({ id, fields }) => {
+                        const existing = storage.get('items', id);
+                        // A variant given its own price stops following the parent's
+                        const changes = existing.parentId && fields.price !== undefined && fields.price !== existing.price
+                            ? { ...fields, inheritsPrice: false }
+                            : fields;
+                        const { syncedIds } = updateItem(existing, changes, req.user, 'Import');
+                        updatedIds.push(id, ...syncedIds);
+                    });
+                });
+
+                publishItemChanges('item.created', createdIds);
+                publishItemChanges('item.updated', [...new Set(updatedIds)]);
+            }
+
+            res.json({ committed: commit, ...plan });
+        } catch (error) {
+            if (error instanceof ConstraintError) {
+                return res.status(409).json({ error: `An item with this ${error.field} already exists` });
+            }
+            if (error instanceof StockError) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('Error importing items:', error);
+            res.status(500).json({ error: 'Failed to import items' });
+        }
+    }
+);
+
+// Apply one change to many items: { action: 'update', items: [{ id, version }],
+// changes } or { action: 'delete', items }. Every item is checked first and
+// the batch is applied all at once or, when any item fails, not at all.
+// Deleting needs the admin role, like deleting one item.
+api.post(
+    '/items/batch',
+    authenticate,
+    (req, res, next) => requireRole(req.body && req.body.action === 'delete' ? 'admin' : 'clerk')(req, res, next),
+    (req, res) => {
+        try {
+            const { value, errors } = validateBatch(req.body, loadReferenceData(storage));
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            const { results, writes } = planBatch(value, storage.all('items'), getReservedQuantities(storage));
+            const failed = results.filter(result => result.status === 'failed').length;
+            if (failed > 0) {
+                return res.status(409).json({
+                    error: `${failed} of ${results.length} items can't be ${value.action}d; nothing was changed`,
+                    applied: false,
+                    results
+                });
+            }
+
+            const syncedIds = applyBatch(storage, writes, { user: req.user, recordItemChange: audit.recordItemChange });
+
+            const writtenIds = writes.map(write => write.id);
+            publishItemChanges(value.action === 'delete' ? 'item.deleted' : 'item.updated', writtenIds);
+            publishItemChanges('item.updated', syncedIds.filter(id => !writtenIds.includes(id)));
+
+            const context = loadPresentationContext();
+            res.json({
+                applied: true,
+                results: results.map(result => ({
+                    ...result,
+                    item: presentItem(storage.get('items', result.id), context)
+                }))
+            });
+        } catch (error) {
+            console.error('Error applying item batch:', error);
+            res.status(500).json({ error: 'Failed to apply item batch' });
+        }
+    }
+);
+
+// Find an item by a scanned or typed barcode (its SKU)
+api.get('/items/lookup', authenticate, requireRole('viewer'), (req, res) => {
+    try {
+        const code = String(req.query.code || '').trim().toUpperCase();
+        if (!code) {
+            return res.status(400).json({ error: 'code is required' });
+        }
+
+        const item = storage.all('items').find(i => i.sku === code);
+        if (!item) {
+            return res.status(404).json({ error: `No item with barcode ${code}` });
+        }
+        if (item.archived) {
+            return res.status(409).json({ error: ARCHIVED_ERROR });
+        }
+
+        res.set('ETag', etagFor(item)).json(presentItem(item));
+    } catch (error) {
+        console.error('Error looking up item:', error);
+        res.status(500).json({ error: 'Failed to look up item' });
+    }
+});
+
 // Get single item
-app.get('/api/items/:id', (req, res) => {
+api.get('/items/:id', authenticate, requireRole('viewer'), (req, res) => {
     try {
-        const items = readData();
-        const item = items.find(i => i.id === parseInt(req.params.id));
+        const item = storage.get('items', parseInt(req.params.id));
         
         if (!item) {
             return res.status(404).json({ error: 'Item not found' });
         }
         
-        res.json(item);
+        res.set('ETag', etagFor(item)).json(presentItem(item));
     } catch (error) {
         console.error('Error fetching item:', error);
         res.status(500).json({ error: 'Failed to fetch item' });
@@ -116,77 +584,522 @@ app.get('/api/items/:id', (req, res) => {
 });
 
 // Create new item
-app.post('/api/items', (req, res) => {
+api.post('/items', authenticate, requireRole('clerk'), (req, res) => {
     try {
-        const items = readData();
-        const newItem = {
-            id: items.length > 0 ? Math.max(...items.map(i => i.id)) + 1 : 1,
-            ...req.body,
-            lastUpdated: new Date().toISOString()
-        };
-
-        // Basic validation
-        if (!newItem.productName || !newItem.sku || newItem.quantity === undefined || newItem.price === undefined) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const { value, errors } = validateItem(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
         }
 
-        items.push(newItem);
-        writeData(items);
+        const created = createItem({
+            ...value,
+            lastUpdated: new Date().toISOString()
+        }, req.user);
         
-        res.status(201).json(newItem);
+        const presented = presentItem(created);
+        events.publish('item.created', presented);
+        res.status(201).set('ETag', etagFor(created)).json(presented);
     } catch (error) {
+        if (error instanceof ConstraintError) {
+            return sendValidationError(res, { [error.field]: ['An item with this SKU already exists'] });
+        }
         console.error('Error creating item:', error);
         res.status(500).json({ error: 'Failed to create item' });
     }
 });
 
-// Update item
-app.put('/api/items/:id', (req, res) => {
+// List an item's variants
+api.get('/items/:id/variants', authenticate, requireRole('viewer'), (req, res) => {
     try {
-        const items = readData();
-        const index = items.findIndex(i => i.id === parseInt(req.params.id));
-        
-        if (index === -1) {
+        const parent = storage.get('items', parseInt(req.params.id));
+
+        if (!parent) {
             return res.status(404).json({ error: 'Item not found' });
         }
 
-        const updatedItem = {
-            ...items[index],
-            ...req.body,
-            id: items[index].id, // Ensure ID remains the same
+        const context = loadPresentationContext();
+        const variants = getVariants(storage, parent.id, { includeArchived: false })
+            .map(variant => presentItem(variant, context))
+            .sort((a, b) => a.sku.localeCompare(b.sku));
+
+        res.json(variants);
+    } catch (error) {
+        console.error('Error fetching variants:', error);
+        res.status(500).json({ error: 'Failed to fetch variants' });
+    }
+});
+
+// Add a variant to an item, e.g. { attributes: { Size: 'M' }, sku: 'TS001-M' }
+api.post('/items/:id/variants', authenticate, requireRole('clerk'), (req, res) => {
+    try {
+        const parent = storage.get('items', parseInt(req.params.id));
+
+        if (!parent) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (parent.archived) {
+            return res.status(409).json({ error: ARCHIVED_ERROR });
+        }
+
+        if (parent.parentId) {
+            return res.status(409).json({ error: 'A variant cannot have variants of its own' });
+        }
+
+        const { value, errors } = validate(variantSchema, req.body);
+        const attributes = validateAttributes(req.body.attributes);
+        const allErrors = {
+            ...errors,
+            ...attributes.errors,
+            ...validateItemReferences(value, loadReferenceData(storage))
+        };
+
+        const skuError = findSkuClash(value.sku);
+        if (skuError) {
+            allErrors.sku = [skuError];
+        }
+
+        const clash = !attributes.errors && findAttributeClash(storage, parent.id, attributes.value);
+        if (clash) {
+            allErrors.attributes = [clash];
+        }
+
+        if (!allErrors.quantity && value.quantity > 0 && requiresLots(storage, parent)) {
+            allErrors.quantity = [LOT_REQUIRED_ERROR];
+        }
+
+        if (Object.keys(allErrors).length > 0) {
+            return sendValidationError(res, allErrors);
+        }
+
+        const variant = {
+            ...value,
+            parentId: parent.id,
+            attributes: attributes.value,
+            inheritsPrice: value.price === null,
+            quantity: value.quantity || 0,
+            locationId: value.locationId === null ? parent.locationId : value.locationId,
             lastUpdated: new Date().toISOString()
         };
+        const created = createItem({ ...variant, ...inheritedFields(parent, variant) }, req.user);
 
-        items[index] = updatedItem;
-        writeData(items);
+        const presented = presentItem(created);
+        events.publish('item.created', presented);
+        res.status(201).set('ETag', etagFor(created)).json(presented);
+    } catch (error) {
+        if (error instanceof ConstraintError) {
+            return sendValidationError(res, { [error.field]: ['An item with this SKU already exists'] });
+        }
+        console.error('Error creating variant:', error);
+        res.status(500).json({ error: 'Failed to create variant' });
+    }
+});
+
+// Update item
+api.put('/items/:id', authenticate, requireRole('clerk'), (req, res) => {
+    try {
+        const existing = storage.get('items', parseInt(req.params.id));
         
-        res.json(updatedItem);
+        if (!existing) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (!checkIfMatch(req, res, existing)) return;
+
+        if (existing.archived) {
+            return res.status(409).json({ error: ARCHIVED_ERROR });
+        }
+
+        // Variants take shared fields from the parent; a blank price goes back
+        // to the parent's price
+        const parent = existing.parentId ? storage.get('items', existing.parentId) : null;
+        const input = { ...req.body };
+        const variantChanges = {};
+        if (parent) {
+            if ('price' in input && (input.price === null || input.price === '')) {
+                delete input.price;
+                variantChanges.inheritsPrice = true;
+                variantChanges.price = parent.price;
+            } else if ('price' in input) {
+                variantChanges.inheritsPrice = false;
+            }
+        }
+
+        const { value, errors } = validateItem(input, existing);
+        const allErrors = { ...errors };
+
+        if (parent) {
+            VARIANT_SHARED_FIELDS.forEach(field => {
+                if (value[field] !== undefined && value[field] !== (existing[field] ?? null)) {
+                    allErrors[field] = ['Variants take this from their parent item; change it there'];
+                }
+            });
+
+            if ('attributes' in input) {
+                const attributes = validateAttributes(input.attributes);
+                const clash = !attributes.errors && findAttributeClash(storage, parent.id, attributes.value, existing.id);
+                if (attributes.errors || clash) {
+                    allErrors.attributes = clash ? [clash] : attributes.errors.attributes;
+                } else {
+                    variantChanges.attributes = attributes.value;
+                }
+            }
+        }
+
+        if (Object.keys(allErrors).length > 0) {
+            return sendValidationError(res, allErrors);
+        }
+
+        // A quantity edited through the form is booked as an adjustment
+        const { saved, syncedIds } = updateItem(existing, { ...value, ...variantChanges }, req.user, 'Manual edit');
+
+        const presented = presentItem(saved);
+        events.publish('item.updated', presented);
+        publishItemChanges('item.updated', syncedIds);
+        res.set('ETag', etagFor(saved)).json(presented);
     } catch (error) {
+        if (error instanceof ConstraintError) {
+            return sendValidationError(res, { [error.field]: ['An item with this SKU already exists'] });
+        }
+        if (error instanceof StockError) {
+            return sendValidationError(res, { quantity: [error.message] });
+        }
         console.error('Error updating item:', error);
         res.status(500).json({ error: 'Failed to update item' });
     }
 });
 
-// Delete item
-app.delete('/api/items/:id', (req, res) => {
+// Move an item to the trash. It keeps its SKU and history and can be restored.
+api.delete('/items/:id', authenticate, requireRole('admin'), (req, res) => {
     try {
-        let items = readData();
-        const initialLength = items.length;
-        
-        items = items.filter(i => i.id !== parseInt(req.params.id));
-        
-        if (items.length === initialLength) {
+        const itemId = parseInt(req.params.id);
+        const existing = storage.get('items', itemId);
+
+        if (!existing) {
             return res.status(404).json({ error: 'Item not found' });
         }
-        
-        writeData(items);
-        res.status(204).send();
+
+        if (!checkIfMatch(req, res, existing)) return;
+
+        if (existing.archived) {
+            return res.status(409).json({ error: 'Item is already in the trash' });
+        }
+
+        const variantCount = getVariants(storage, itemId, { includeArchived: false }).length;
+        if (variantCount > 0) {
+            return res.status(409).json({ error: `Item has ${variantCount} variant${variantCount === 1 ? '' : 's'}; delete them first` });
+        }
+
+        const reserved = getReservedQuantities(storage).get(itemId) || 0;
+        if (reserved > 0) {
+            return res.status(409).json({ error: `Item has ${reserved} units reserved by open sales orders and cannot be deleted` });
+        }
+
+        const archived = storage.transaction(() => {
+            const updated = storage.update('items', itemId, {
+                ...existing,
+                archived: true,
+                deletedAt: new Date().toISOString(),
+                deletedBy: req.user.username
+            });
+            audit.recordItemChange('delete', existing, updated, req.user);
+            return updated;
+        });
+
+        const presented = presentItem(archived);
+        events.publish('item.deleted', presented);
+        res.set('ETag', etagFor(archived)).json(presented);
     } catch (error) {
         console.error('Error deleting item:', error);
         res.status(500).json({ error: 'Failed to delete item' });
     }
 });
 
+// Take an item back out of the trash
+api.post('/items/:id/restore', authenticate, requireRole('clerk'), (req, res) => {
+    try {
+        const existing = storage.get('items', parseInt(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (!existing.archived) {
+            return res.status(409).json({ error: 'Item is not in the trash' });
+        }
+
+        const parent = existing.parentId ? storage.get('items', existing.parentId) : null;
+        if (parent && parent.archived) {
+            return res.status(409).json({ error: `Restore the parent item ${parent.sku} first` });
+        }
+
+        const restored = storage.transaction(() => {
+            const updated = storage.update('items', existing.id, {
+                ...existing,
+                archived: false,
+                deletedAt: null,
+                deletedBy: null,
+                lastUpdated: new Date().toISOString()
+            });
+            audit.recordItemChange('restore', existing, updated, req.user);
+            return updated;
+        });
+
+        // Restored items reappear in listings, so clients see them as new
+        const presented = presentItem(restored);
+        events.publish('item.created', presented);
+        res.set('ETag', etagFor(restored)).json(presented);
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        res.status(500).json({ error: 'Failed to restore item' });
+    }
+});
+
+// Permanently remove an item from the trash. Its stock movements and audit
+// entries are kept for the record.
+api.delete('/items/:id/purge', authenticate, requireRole('admin'), (req, res) => {
+    try {
+        const existing = storage.get('items', parseInt(req.params.id));
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (!existing.archived) {
+            return res.status(409).json({ error: 'Only items in the trash can be purged' });
+        }
+
+        if (getVariants(storage, existing.id).length > 0) {
+            return res.status(409).json({ error: 'Item still has variants; purge them first' });
+        }
+
+        storage.transaction(() => {
+            storage.remove('items', existing.id);
+            audit.recordItemChange('purge', existing, null, req.user);
+        });
+
+        events.publish('item.deleted', { id: existing.id, sku: existing.sku, archived: true });
+
+        res.status(204).send();
+    } catch (error) {
+        console.error('Error purging item:', error);
+        res.status(500).json({ error: 'Failed to purge item' });
+    }
+});
+
+// Get stock movement history for an item (newest first)
+api.get('/items/:id/movements', authenticate, requireRole('viewer'), (req, res) => {
+    try {
+        const itemId = parseInt(req.params.id);
+
+        if (!storage.get('items', itemId)) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const lots = new Map(storage.all('lots').map(lot => [lot.id, lot]));
+        const movements = storage.all('movements')
+            .filter(m => m.itemId === itemId)
+            .sort((a, b) => b.id - a.id)
+            .map(m => ({ ...m, lotNumber: m.lotId && lots.has(m.lotId) ? lots.get(m.lotId).lotNumber : null }));
+
+        res.json(movements);
+    } catch (error) {
+        console.error('Error fetching movements:', error);
+        res.status(500).json({ error: 'Failed to fetch movements' });
+    }
+});
+
+/**
+ * Converts a quantity in the given unit to the unit the item is counted in
+ * (each when it has none). Returns { quantity, description } or { error }
+ * when the result isn't a whole number.
+ */
+function convertQuantity(item, quantity, unitId) {
+    const from = storage.get('units', unitId);
+    if (!from) {
+        return { error: 'Unit does not exist' };
+    }
+
+    const to = item.unitId ? storage.get('units', item.unitId) : null;
+    const toFactor = to ? to.factor : 1;
+    const converted = quantity * from.factor / toFactor;
+    if (!Number.isInteger(converted)) {
+        return { error: `${quantity} × ${from.name} is not a whole number of ${to ? to.name : 'each'}` };
+    }
+
+    return { quantity: converted, description: `${quantity} × ${from.name}` };
+}
+
+// Receive, issue or adjust stock against an item
+MOVEMENT_TYPES.forEach(type => {
+    api.post(`/items/:id/${type}`, authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const item = storage.get('items', parseInt(req.params.id));
+
+            if (!item) {
+                return res.status(404).json({ error: 'Item not found' });
+            }
+
+            if (item.archived) {
+                return res.status(409).json({ error: ARCHIVED_ERROR });
+            }
+
+            const { reference } = req.body;
+            let { reason } = req.body;
+            let quantity = Number(req.body.quantity);
+            const locationId = req.body.locationId === undefined ? item.locationId : req.body.locationId;
+
+            // Receive and issue take a positive amount; adjust takes a signed delta
+            if (!Number.isInteger(quantity) || quantity === 0 || (type !== 'adjust' && quantity < 0)) {
+                return res.status(400).json({
+                    error: type === 'adjust'
+                        ? 'Quantity must be a non-zero integer'
+                        : 'Quantity must be a positive integer'
+                });
+            }
+
+            if (type === 'adjust' && !reason) {
+                return res.status(400).json({ error: 'A reason is required for adjustments' });
+            }
+
+            // Quantities may be given in another unit, e.g. boxes for an item counted in each
+            if (req.body.unitId !== undefined && req.body.unitId !== null && req.body.unitId !== item.unitId) {
+                const conversion = convertQuantity(item, quantity, req.body.unitId);
+                if (conversion.error) {
+                    return res.status(400).json({ error: conversion.error });
+                }
+                quantity = conversion.quantity;
+                reason = reason || conversion.description;
+            }
+
+            if (locationId !== null && !storage.get('locations', locationId)) {
+                return res.status(400).json({ error: 'Location does not exist' });
+            }
+
+            // Receipts and positive adjustments can go into a lot; for
+            // perishable items they must
+            const increases = type === 'receive' || (type === 'adjust' && quantity > 0);
+            const lotCheck = increases ? checkLotInput(storage, item, req.body) : { value: null };
+            if (lotCheck.errors) {
+                return res.status(400).json({ error: Object.values(lotCheck.errors).flat().join(' ') });
+            }
+
+            // Stock reserved by open sales orders only leaves through fulfilment
+            const change = type === 'issue' ? -quantity : quantity;
+            const reservedError = reservedStockError(item, item.quantity + change, getReservedQuantities(storage));
+            if (reservedError) {
+                return res.status(409).json({ error: reservedError });
+            }
+
+            // Issues and negative adjustments are picked FEFO across lots
+            const { movement, movements, item: updated } = storage.transaction(() => {
+                const lot = lotCheck.value ? findOrCreateLot(storage, item, lotCheck.value) : null;
+                return ledger.post(item, {
+                    locationId,
+                    lotId: lot ? lot.id : undefined,
+                    type,
+                    quantity: change,
+                    reason,
+                    reference
+                });
+            });
+
+            const presented = presentItem(updated);
+            events.publish('item.updated', presented);
+            res.status(201).json({ movement, movements, item: presented });
+        } catch (error) {
+            if (error instanceof StockError) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error(`Error recording ${type} movement:`, error);
+            res.status(500).json({ error: `Failed to record ${type} movement` });
+        }
+    });
+});
+
+// Move stock between two locations
+api.post('/items/:id/transfer', authenticate, requireRole('clerk'), (req, res) => {
+    try {
+        const item = storage.get('items', parseInt(req.params.id));
+
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        if (item.archived) {
+            return res.status(409).json({ error: ARCHIVED_ERROR });
+        }
+
+        const { fromLocationId, toLocationId, reason, reference } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ error: 'Quantity must be a positive integer' });
+        }
+
+        if (!storage.get('locations', fromLocationId) || !storage.get('locations', toLocationId)) {
+            return res.status(400).json({ error: 'Both locations must exist' });
+        }
+
+        if (fromLocationId === toLocationId) {
+            return res.status(400).json({ error: 'Source and destination must be different locations' });
+        }
+
+        const result = ledger.transfer(item, { fromLocationId, toLocationId, quantity, reason, reference });
+
+        const presented = presentItem(result.item);
+        events.publish('item.updated', presented);
+        res.status(201).json({ movements: result.movements, item: presented });
+    } catch (error) {
+        if (error instanceof StockError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error transferring stock:', error);
+        res.status(500).json({ error: 'Failed to transfer stock' });
+    }
+});
+
+// List items at or below their reorder point with suggested order quantities
+api.get('/alerts/low-stock', authenticate, requireRole('viewer'), (req, res) => {
+    try {
+        const context = loadPresentationContext();
+        const items = storage.all('items')
+            .filter(item => !item.archived)
+            .map(item => {
+                const category = context.refs.categories.get(item.categoryId);
+                return {
+                    ...presentItem(item, context),
+                    shortfall: Math.max(0, getReorderSettings(item, category).reorderPoint - item.quantity),
+                    suggestedOrderQuantity: getSuggestedOrderQuantity(item, category)
+                };
+            })
+            .filter(item => item.quantity <= item.effectiveReorderPoint)
+            .sort((a, b) => b.shortfall - a.shortfall || a.quantity - b.quantity);
+
+        res.json({ count: items.length, items });
+    } catch (error) {
+        console.error('Error fetching low stock alerts:', error);
+        res.status(500).json({ error: 'Failed to fetch low stock alerts' });
+    }
+});
+
+// Machine-readable description of the API
+api.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument());
+});
+
+api.use(notFoundHandler);
+
+app.use('/api/v1', api);
+
+// Unversioned paths from before /api/v1 still work but are deprecated
+app.use('/api', (req, res, next) => {
+    res.set({ Deprecation: 'true', Link: `</api/v1${req.url}>; rel="successor-version"` });
+    next();
+}, api);
+
+app.use('/api', errorHandler);
+
 // Serve frontend in production
 if (process.env.NODE_ENV === 'production') {
     // Set static folder
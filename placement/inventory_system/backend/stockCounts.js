@@ -0,0 +1,451 @@
+const express = require('express');
+const { stockCountSchema, stockCountEntrySchema, validate, sendValidationError } = require('./validation');
+const { loadReferenceData } = require('./referenceData');
+const { ROLES } = require('./auth');
+const { StockError } = require('./stockLedger');
+const { LOT_REQUIRED_ERROR, requiresLots } = require('./lots');
+const { toCsv } = require('./csv');
+
+// counting -> submitted -> approved; a submitted count can go back for a
+// recount, and anything not yet approved can be cancelled
+const COUNT_STATUSES = ['counting', 'submitted', 'approved', 'cancelled'];
+const OPEN_STATUSES = ['counting', 'submitted'];
+
+const ADJUSTMENT_REASON = 'Cycle count';
+const VARIANCE_COLUMNS = ['sku', 'productName', 'location', 'systemQuantity', 'countedQuantity', 'variance', 'unitValue', 'varianceValue'];
+
+const formatNumber = id => `SC-${String(id).padStart(5, '0')}`;
+const round = value => Math.round(value * 100) / 100;
+
+// Lines are one item at one location
+const lineKey = line => `${line.itemId}:${line.locationId}`;
+const varianceOf = line => (line.countedQuantity === null ? null : line.countedQuantity - line.systemQuantity);
+
+// Counts are blind: until a count is approved only supervisors (admins) see
+// the system figures, so counters can't just copy them
+const isSupervisor = user => ROLES.indexOf(user.role) >= ROLES.indexOf('admin');
+const showsSystemFigures = (count, user) => count.status === 'approved' || isSupervisor(user);
+
+/**
+ * Stock count (cycle count) routes. Starting a count lists every item and
+ * location in its scope with its system quantity; counters enter what they
+ * find, and approving posts the differences as `adjust` movements referenced
+ * by the count number, reporting the changed item ids to `onItemsChanged`.
+ * A line's system quantity is taken again when it is counted, so stock
+ * received or issued before the shelf was counted is not booked twice, and
+ * stock that moves after it was counted is kept.
+ */
+function createStockCountRouter(storage, ledger, { authenticate, requireRole, onItemsChanged = () => {} }) {
+    const router = express.Router();
+
+    // Add item, location and category names, progress and (for those allowed
+    // to see them) system quantities and variances
+    function presentCount(count, user, refs = loadReferenceData(storage)) {
+        const showSystem = showsSystemFigures(count, user);
+        const category = refs.categories.get(count.categoryId);
+        const location = refs.locations.get(count.locationId);
+
+        const lines = count.lines.map(line => {
+            const item = storage.get('items', line.itemId);
+            const lineLocation = refs.locations.get(line.locationId);
+            const presented = {
+                itemId: line.itemId,
+                sku: item ? item.sku : null,
+                productName: item ? item.productName : null,
+                locationId: line.locationId,
+                location: lineLocation ? lineLocation.name : null,
+                countedQuantity: line.countedQuantity,
+                countedBy: line.countedBy,
+                countedAt: line.countedAt
+            };
+            if (showSystem) {
+                presented.systemQuantity = line.systemQuantity;
+                presented.variance = varianceOf(line);
+            }
+            return presented;
+        });
+
+        return {
+            ...count,
+            category: category ? category.name : null,
+            location: location ? location.name : null,
+            lines,
+            lineCount: lines.length,
+            countedCount: lines.filter(line => line.countedQuantity !== null).length,
+            blind: !showSystem
+        };
+    }
+
+    // Lines for every item and location in scope, with today's system quantities
+    function snapshotLines({ locationId, categoryId }, refs) {
+        const stockLevels = ledger.getStockLevels();
+        const lines = [];
+
+        storage.all('items')
+            .filter(item => !item.archived && (!categoryId || item.categoryId === categoryId))
+            .forEach(item => {
+                const held = stockLevels.get(item.id) || new Map();
+                // Wherever the item has stock, plus its default location even when empty
+                const locationIds = new Set([...held].filter(([, quantity]) => quantity !== 0).map(([id]) => id));
+                locationIds.add(item.locationId ?? null);
+
+                locationIds.forEach(lineLocationId => {
+                    if (locationId && lineLocationId !== locationId) return;
+                    lines.push({
+                        itemId: item.id,
+                        locationId: lineLocationId,
+                        systemQuantity: held.get(lineLocationId) || 0,
+                        countedQuantity: null,
+                        countedBy: null,
+                        countedAt: null,
+                        sku: item.sku
+                    });
+                });
+            });
+
+        // Walk the shelves in order: by location, then SKU
+        const locationName = line => (refs.locations.get(line.locationId) || { name: '' }).name;
+        return lines
+            .sort((a, b) => locationName(a).localeCompare(locationName(b)) || a.sku.localeCompare(b.sku))
+            .map(({ sku, ...line }) => line);
+    }
+
+    function findCount(req, res) {
+        const count = storage.get('stockCounts', parseInt(req.params.id));
+        if (!count) {
+            res.status(404).json({ error: 'Stock count not found' });
+        }
+        return count;
+    }
+
+    // List stock counts, newest first, optionally by status (without their lines)
+    router.get('/stock-counts', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const { status } = req.query;
+            if (status && !COUNT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${COUNT_STATUSES.join(', ')}` });
+            }
+
+            const refs = loadReferenceData(storage);
+            const counts = storage.all('stockCounts')
+                .filter(count => !status || count.status === status)
+                .sort((a, b) => b.id - a.id)
+                .map(count => {
+                    const { lines, ...summary } = presentCount(count, req.user, refs);
+                    return summary;
+                });
+
+            res.json(counts);
+        } catch (error) {
+            console.error('Error fetching stock counts:', error);
+            res.status(500).json({ error: 'Failed to fetch stock counts' });
+        }
+    });
+
+    // Get one stock count with its lines
+    router.get('/stock-counts/:id', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const count = findCount(req, res);
+            if (count) {
+                res.json(presentCount(count, req.user));
+            }
+        } catch (error) {
+            console.error('Error fetching stock count:', error);
+            res.status(500).json({ error: 'Failed to fetch stock count' });
+        }
+    });
+
+    // Start a count of a location, a category or both, snapshotting the system quantities
+    router.post('/stock-counts', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const { value, errors } = validate(stockCountSchema, req.body);
+            const allErrors = { ...errors };
+            const refs = loadReferenceData(storage);
+
+            if (!errors && !value.locationId && !value.categoryId) {
+                allErrors.locationId = ['Choose a location, a category or both to count'];
+            }
+            if (value.locationId && !refs.locations.has(value.locationId)) {
+                allErrors.locationId = ['Location does not exist'];
+            }
+            if (value.categoryId && !refs.categories.has(value.categoryId)) {
+                allErrors.categoryId = ['Category does not exist'];
+            }
+            if (Object.keys(allErrors).length > 0) {
+                return sendValidationError(res, allErrors);
+            }
+
+            const lines = snapshotLines(value, refs);
+            if (lines.length === 0) {
+                return sendValidationError(res, { locationId: ['There are no items to count here'] });
+            }
+
+            // Two open counts of the same stock would book its variance twice
+            const keys = new Set(lines.map(lineKey));
+            const overlapping = storage.all('stockCounts')
+                .find(count => OPEN_STATUSES.includes(count.status) && count.lines.some(line => keys.has(lineKey(line))));
+            if (overlapping) {
+                return res.status(409).json({
+                    error: `${overlapping.number} is already counting some of these items; finish or cancel it first`
+                });
+            }
+
+            const count = storage.transaction(() => {
+                const now = new Date().toISOString();
+                const created = storage.insert('stockCounts', {
+                    number: null,
+                    status: 'counting',
+                    locationId: value.locationId,
+                    categoryId: value.categoryId,
+                    notes: value.notes,
+                    lines,
+                    createdBy: req.user.username,
+                    createdAt: now,
+                    updatedAt: now,
+                    submittedBy: null,
+                    submittedAt: null,
+                    approvedBy: null,
+                    approvedAt: null
+                });
+                return storage.update('stockCounts', created.id, { ...created, number: formatNumber(created.id) });
+            });
+
+            res.status(201).json(presentCount(count, req.user, refs));
+        } catch (error) {
+            console.error('Error starting stock count:', error);
+            res.status(500).json({ error: 'Failed to start stock count' });
+        }
+    });
+
+    /**
+     * Enter counted quantities while counting.
+     * Body: { counts: [{ itemId, locationId?, countedQuantity }] }; only the
+     * lines sent change.
+     */
+    router.put('/stock-counts/:id/counts', authenticate, requireRole('clerk'), (req, res) => {
+        try {
+            const count = findCount(req, res);
+            if (!count) return;
+
+            if (count.status !== 'counting') {
+                return res.status(409).json({ error: `Cannot enter counts on a stock count that is ${count.status}` });
+            }
+
+            const entries = req.body.counts;
+            if (!Array.isArray(entries) || entries.length === 0) {
+                return sendValidationError(res, { counts: ['At least one count is required'] });
+            }
+
+            const errors = {};
+            const lines = count.lines.map(line => ({ ...line }));
+            const now = new Date().toISOString();
+            const stockLevels = ledger.getStockLevels();
+
+            entries.forEach((entry, index) => {
+                const { value, errors: entryErrors } = validate(stockCountEntrySchema, entry);
+                Object.keys(entryErrors || {}).forEach(field => {
+                    errors[`counts[${index}].${field}`] = entryErrors[field];
+                });
+                if (entryErrors) return;
+
+                const matches = lines.filter(line => line.itemId === value.itemId &&
+                    (!Object.prototype.hasOwnProperty.call(entry, 'locationId') || line.locationId === value.locationId));
+                if (matches.length === 0) {
+                    errors[`counts[${index}].itemId`] = ['Item is not on this count at that location'];
+                } else if (matches.length > 1) {
+                    errors[`counts[${index}].locationId`] = ['Item is counted in more than one location; say which'];
+                } else {
+                    // Compare with the stock on record as the shelf is counted,
+                    // not when the count started
+                    const held = stockLevels.get(matches[0].itemId) || new Map();
+                    Object.assign(matches[0], {
+                        systemQuantity: held.get(matches[0].locationId) || 0,
+                        countedQuantity: value.countedQuantity,
+                        countedBy: value.countedQuantity === null ? null : req.user.username,
+                        countedAt: value.countedQuantity === null ? null : now
+                    });
+                }
+            });
+
+            if (Object.keys(errors).length > 0) {
+                return sendValidationError(res, errors);
+            }
+
+            const updated = storage.update('stockCounts', count.id, { ...count, lines, updatedAt: now });
+            res.json(presentCount(updated, req.user));
+        } catch (error) {
+            console.error('Error entering counts:', error);
+            res.status(500).json({ error: 'Failed to enter counts' });
+        }
+    });
+
+    // Move a count to a new status if it is currently in one of `from`
+    function transition(path, role, from, to, { check = () => null, extra = () => ({}) } = {}) {
+        router.post(`/stock-counts/:id/${path}`, authenticate, requireRole(role), (req, res) => {
+            try {
+                const count = findCount(req, res);
+                if (!count) return;
+
+                if (!from.includes(count.status)) {
+                    return res.status(409).json({ error: `Cannot ${path} a stock count that is ${count.status}` });
+                }
+
+                const problem = check(count);
+                if (problem) {
+                    return res.status(409).json({ error: problem });
+                }
+
+                const now = new Date().toISOString();
+                const updated = storage.update('stockCounts', count.id, {
+                    ...count,
+                    status: to,
+                    updatedAt: now,
+                    ...extra(now, req.user)
+                });
+                res.json(presentCount(updated, req.user));
+            } catch (error) {
+                console.error(`Error updating stock count (${path}):`, error);
+                res.status(500).json({ error: `Failed to ${path} stock count` });
+            }
+        });
+    }
+
+    transition('submit', 'clerk', ['counting'], 'submitted', {
+        check: count => {
+            const left = count.lines.filter(line => line.countedQuantity === null).length;
+            return left > 0 ? `${left} line${left === 1 ? ' is' : 's are'} still to count` : null;
+        },
+        extra: (now, user) => ({ submittedBy: user.username, submittedAt: now })
+    });
+    transition('reopen', 'admin', ['submitted'], 'counting', {
+        extra: () => ({ submittedBy: null, submittedAt: null })
+    });
+    transition('cancel', 'clerk', OPEN_STATUSES, 'cancelled');
+
+    // A supervisor approves a submitted count, posting every variance as an adjustment
+    router.post('/stock-counts/:id/approve', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const count = findCount(req, res);
+            if (!count) return;
+
+            if (count.status !== 'submitted') {
+                return res.status(409).json({ error: `Cannot approve a stock count that is ${count.status}` });
+            }
+
+            // Extra stock of a perishable item has no lot to go into; it has to
+            // be received into one and the line recounted
+            const unlotted = count.lines
+                .map(line => ({ line, item: storage.get('items', line.itemId) }))
+                .filter(({ line, item }) => item && varianceOf(line) > 0 && requiresLots(storage, item));
+            if (unlotted.length > 0) {
+                return res.status(409).json({
+                    error: `${unlotted.map(({ item }) => item.sku).join(', ')}: ${LOT_REQUIRED_ERROR}, then recount`
+                });
+            }
+
+            const adjustedIds = [];
+            const updated = storage.transaction(() => {
+                count.lines.forEach(line => {
+                    const variance = varianceOf(line);
+                    const item = storage.get('items', line.itemId);
+                    if (!variance || !item) return;
+
+                    try {
+                        ledger.post(item, {
+                            locationId: line.locationId,
+                            type: 'adjust',
+                            quantity: variance,
+                            reason: ADJUSTMENT_REASON,
+                            reference: count.number
+                        });
+                    } catch (error) {
+                        if (error instanceof StockError) {
+                            throw new StockError(`${item.sku}: ${error.message}`);
+                        }
+                        throw error;
+                    }
+                    adjustedIds.push(item.id);
+                });
+
+                const now = new Date().toISOString();
+                return storage.update('stockCounts', count.id, {
+                    ...count,
+                    status: 'approved',
+                    updatedAt: now,
+                    approvedBy: req.user.username,
+                    approvedAt: now
+                });
+            });
+
+            onItemsChanged(adjustedIds);
+            res.json(presentCount(updated, req.user));
+        } catch (error) {
+            // Stock taken out since the line was counted can leave too little to write off
+            if (error instanceof StockError) {
+                return res.status(409).json({ error: `Cannot post the count: ${error.message}. Reopen it for a recount.` });
+            }
+            console.error('Error approving stock count:', error);
+            res.status(500).json({ error: 'Failed to approve stock count' });
+        }
+    });
+
+    /**
+     * Variance report for a count: counted against system quantity per line,
+     * valued at item prices, largest value first. JSON or, with ?format=csv,
+     * a CSV download of the rows. Until approval only supervisors can run it.
+     */
+    router.get('/stock-counts/:id/variance', authenticate, requireRole('viewer'), (req, res) => {
+        try {
+            const count = findCount(req, res);
+            if (!count) return;
+
+            if (!showsSystemFigures(count, req.user)) {
+                return res.status(403).json({ error: 'Variances are only shown to supervisors until the count is approved' });
+            }
+
+            const format = req.query.format || 'json';
+            if (format !== 'csv' && format !== 'json') {
+                return res.status(400).json({ error: 'format must be csv or json' });
+            }
+
+            const rows = presentCount(count, req.user).lines.map(line => {
+                const item = storage.get('items', line.itemId);
+                const unitValue = item ? item.price : 0;
+                return {
+                    ...line,
+                    unitValue,
+                    varianceValue: line.variance === null ? null : round(line.variance * unitValue)
+                };
+            }).sort((a, b) => Math.abs(b.varianceValue || 0) - Math.abs(a.varianceValue || 0) ||
+                String(a.sku).localeCompare(String(b.sku)));
+
+            const counted = rows.filter(row => row.variance !== null);
+            const withVariance = counted.filter(row => row.variance !== 0);
+            const totals = {
+                lines: rows.length,
+                counted: counted.length,
+                withVariance: withVariance.length,
+                unitsOver: withVariance.filter(row => row.variance > 0).reduce((sum, row) => sum + row.variance, 0),
+                unitsShort: withVariance.filter(row => row.variance < 0).reduce((sum, row) => sum - row.variance, 0),
+                netValue: round(counted.reduce((sum, row) => sum + row.varianceValue, 0)),
+                absoluteValue: round(counted.reduce((sum, row) => sum + Math.abs(row.varianceValue), 0)),
+                // Share of counted lines that matched the system exactly
+                accuracy: counted.length > 0 ? Math.round((counted.length - withVariance.length) / counted.length * 1000) / 10 : null
+            };
+
+            const generatedAt = new Date().toISOString();
+            if (format === 'csv') {
+                res.attachment(`${count.number}-variance.csv`);
+                return res.type('text/csv').send(toCsv(rows, VARIANCE_COLUMNS));
+            }
+            res.json({ count: count.number, status: count.status, generatedAt, rows, totals });
+        } catch (error) {
+            console.error('Error running variance report:', error);
+            res.status(500).json({ error: 'Failed to run variance report' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStockCountRouter, COUNT_STATUSES };
@@ -0,0 +1,238 @@
+// Stock movement ledger. Every stock change is an immutable movement against an
+// item at a location (and optionally a lot); on-hand figures are sums of
+// movements, and each item's `quantity` caches its total across locations.
+
+const { compareLots, isExpired } = require('./lots');
+
+// Raised when a movement would take stock below zero or is otherwise not allowed
+class StockError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StockError';
+    }
+}
+
+// Movement lists and ledger entries key unassigned stock by null
+const locationKey = locationId => (locationId === undefined ? null : locationId);
+
+function createStockLedger(storage) {
+    // Append a movement (movements are never edited or removed)
+    function recordMovement({ itemId, locationId, lotId, type, quantity, reason, reference }) {
+        return storage.insert('movements', {
+            itemId,
+            locationId: locationKey(locationId),
+            lotId: lotId || null,
+            type,
+            quantity,
+            reason: reason || null,
+            reference: reference || null,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Stock levels for every item: Map itemId -> Map locationId -> quantity.
+     * Load once when presenting many items.
+     */
+    function getStockLevels() {
+        const levels = new Map();
+        storage.all('movements').forEach(m => {
+            if (!levels.has(m.itemId)) levels.set(m.itemId, new Map());
+            const byLocation = levels.get(m.itemId);
+            const key = locationKey(m.locationId);
+            byLocation.set(key, (byLocation.get(key) || 0) + m.quantity);
+        });
+        return levels;
+    }
+
+    // Map locationId -> quantity for one item
+    function getItemStock(itemId) {
+        return getStockLevels().get(itemId) || new Map();
+    }
+
+    // An item's total on-hand quantity across all locations
+    function getOnHand(itemId) {
+        let total = 0;
+        getItemStock(itemId).forEach(quantity => {
+            total += quantity;
+        });
+        return total;
+    }
+
+    function getOnHandAt(itemId, locationId) {
+        return getItemStock(itemId).get(locationKey(locationId)) || 0;
+    }
+
+    // An item's stock at a location per lot: Map lotId (null outside lots) -> quantity
+    function getLotBalancesAt(itemId, locationId) {
+        const key = locationKey(locationId);
+        const balances = new Map();
+        storage.all('movements')
+            .filter(m => m.itemId === itemId && locationKey(m.locationId) === key)
+            .forEach(m => {
+                const lotId = m.lotId || null;
+                balances.set(lotId, (balances.get(lotId) || 0) + m.quantity);
+            });
+        return balances;
+    }
+
+    /**
+     * Splits a quantity to take out of a location across lots, first expiry
+     * first (FEFO), with stock outside any lot taken last. Issues pass
+     * skipExpired so expired lots are never sent out.
+     * Returns [{ lotId, quantity }] or throws StockError.
+     */
+    function allocateFefo(item, locationId, quantity, { skipExpired = false } = {}) {
+        const lots = new Map(storage.all('lots').filter(lot => lot.itemId === item.id).map(lot => [lot.id, lot]));
+        const candidates = [...getLotBalancesAt(item.id, locationId)]
+            .filter(([lotId, balance]) => balance > 0 && !(skipExpired && isExpired(lots.get(lotId))))
+            .sort(([a], [b]) => compareLots(lots.get(a), lots.get(b)));
+
+        const parts = [];
+        let remaining = quantity;
+        for (const [lotId, balance] of candidates) {
+            if (remaining === 0) break;
+            const take = Math.min(balance, remaining);
+            parts.push({ lotId, quantity: take });
+            remaining -= take;
+        }
+
+        if (remaining > 0) {
+            const expiredHeld = getOnHandAt(item.id, locationId) - (quantity - remaining);
+            throw new StockError(skipExpired && expiredHeld > 0
+                ? `Insufficient stock: only ${quantity - remaining} unexpired on hand at this location`
+                : `Insufficient stock: only ${quantity - remaining} on hand at this location`);
+        }
+        return parts;
+    }
+
+    /**
+     * Records a signed movement at a location and refreshes the item's cached
+     * total. Stock taken out without a lotId is picked FEFO across lots, which
+     * may record one movement per lot. Throws StockError if the location (or
+     * the given lot there) would go negative.
+     * Returns { movement, movements, item }, where movement is the first.
+     */
+    function post(item, { locationId, lotId, type, quantity, reason, reference }) {
+        return storage.transaction(() => {
+            let parts;
+            if (quantity < 0 && lotId === undefined) {
+                parts = allocateFefo(item, locationId, -quantity, { skipExpired: type === 'issue' })
+                    .map(part => ({ lotId: part.lotId, quantity: -part.quantity }));
+            } else {
+                const available = lotId === undefined
+                    ? getOnHandAt(item.id, locationId)
+                    : getLotBalancesAt(item.id, locationId).get(lotId || null) || 0;
+                if (available + quantity < 0) {
+                    throw new StockError(`Insufficient stock: only ${available} on hand at this location`);
+                }
+                parts = [{ lotId, quantity }];
+            }
+
+            const movements = parts.map(part => recordMovement({
+                itemId: item.id,
+                locationId,
+                lotId: part.lotId,
+                type,
+                quantity: part.quantity,
+                reason,
+                reference
+            }));
+            const updated = storage.update('items', item.id, {
+                ...storage.get('items', item.id),
+                quantity: getOnHand(item.id),
+                lastUpdated: movements[0].timestamp
+            });
+
+            return { movement: movements[0], movements, item: updated };
+        });
+    }
+
+    /**
+     * Books an adjustment at the item's default location so its total becomes
+     * `target`. Returns the new total.
+     */
+    function adjustToQuantity(item, target, reason) {
+        const delta = target - getOnHand(item.id);
+        if (delta !== 0) {
+            const elsewhere = getOnHand(item.id) - getOnHandAt(item.id, item.locationId);
+            if (target < elsewhere) {
+                throw new StockError(
+                    `${elsewhere} units are held in other locations; use a transfer or adjustment there first`);
+            }
+            post(item, { locationId: item.locationId, type: 'adjust', quantity: delta, reason });
+        }
+        return target;
+    }
+
+    // Move stock between two locations as matched pairs of movements, one
+    // pair per lot taken from the source
+    function transfer(item, { fromLocationId, toLocationId, quantity, reason, reference }) {
+        return storage.transaction(() => {
+            const out = post(item, {
+                locationId: fromLocationId,
+                type: 'transfer',
+                quantity: -quantity,
+                reason,
+                reference
+            });
+            const into = out.movements.map(movement => post(item, {
+                locationId: toLocationId,
+                lotId: movement.lotId,
+                type: 'transfer',
+                quantity: -movement.quantity,
+                reason,
+                reference
+            }));
+            return {
+                movements: [...out.movements, ...into.map(result => result.movement)],
+                item: into[into.length - 1].item
+            };
+        });
+    }
+
+    /**
+     * Brings older data in line with the ledger: seeds opening balances for
+     * items that have no movements and assigns location-less movements to
+     * their item's default location.
+     */
+    function migrate() {
+        storage.transaction(() => {
+            const movements = storage.all('movements');
+            const items = new Map(storage.all('items').map(item => [item.id, item]));
+
+            movements.forEach(m => {
+                if (m.locationId === undefined) {
+                    const item = items.get(m.itemId);
+                    storage.update('movements', m.id, { ...m, locationId: item ? locationKey(item.locationId) : null });
+                }
+            });
+
+            items.forEach(item => {
+                if (!movements.some(m => m.itemId === item.id) && item.quantity) {
+                    recordMovement({
+                        itemId: item.id,
+                        locationId: item.locationId,
+                        type: 'adjust',
+                        quantity: item.quantity,
+                        reason: 'Opening balance'
+                    });
+                }
+            });
+        });
+    }
+
+    return {
+        recordMovement,
+        getStockLevels,
+        getItemStock,
+        getOnHand,
+        getOnHandAt,
+        post,
+        adjustToQuantity,
+        transfer,
+        migrate
+    };
+}
+
+module.exports = { createStockLedger, StockError };
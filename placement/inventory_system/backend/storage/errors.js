@@ -0,0 +1,18 @@
+class StorageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageError';
+    }
+}
+
+// Raised when a write would violate a unique field
+class ConstraintError extends StorageError {
+    constructor(collection, field) {
+        super(`Duplicate ${field} in ${collection}`);
+        this.name = 'ConstraintError';
+        this.collection = collection;
+        this.field = field;
+    }
+}
+
+module.exports = { StorageError, ConstraintError };
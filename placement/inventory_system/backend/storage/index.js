@@ -0,0 +1,77 @@
+const path = require('path');
+const { StorageError, ConstraintError } = require('./errors');
+
+// Fields that must be unique within a collection. Both drivers enforce these.
+const UNIQUE_FIELDS = {
+    items: ['sku'],
+    categories: ['name'],
+    suppliers: ['name'],
+    locations: ['name'],
+    units: ['name'],
+    users: ['username'],
+    sessions: ['tokenHash']
+};
+
+// Collections whose documents carry a `version` that goes up on every write.
+// The API compares it with If-Match to catch edits made from stale copies.
+const VERSIONED_COLLECTIONS = ['items'];
+
+const DRIVERS = {
+    json: () => require('./jsonDriver'),
+    sqlite: () => require('./sqliteDriver')
+};
+
+/**
+ * Wraps a driver so inserts into versioned collections start at version 1
+ * and every update bumps the stored version, whatever the caller passed.
+ */
+function withVersions(driver) {
+    const isVersioned = collection => VERSIONED_COLLECTIONS.includes(collection);
+
+    return {
+        ...driver,
+
+        insert(collection, doc) {
+            return driver.insert(collection, isVersioned(collection) ? { ...doc, version: 1 } : doc);
+        },
+
+        update(collection, id, doc) {
+            if (!isVersioned(collection)) {
+                return driver.update(collection, id, doc);
+            }
+            return driver.transaction(() => {
+                const current = driver.get(collection, id);
+                if (!current) {
+                    return null;
+                }
+                return driver.update(collection, id, { ...doc, version: (current.version || 1) + 1 });
+            });
+        }
+    };
+}
+
+/**
+ * Creates the storage backend selected by STORAGE_DRIVER (json or sqlite).
+ *
+ * Every driver exposes the same synchronous API:
+ *   all(collection), get(collection, id), insert(collection, doc),
+ *   update(collection, id, doc), remove(collection, id), transaction(fn)
+ * plus an `isNew` flag that is true when no previous data store existed.
+ * Documents in versioned collections also get a `version` managed here.
+ */
+function createStorage(options = {}) {
+    const driverName = options.driver || process.env.STORAGE_DRIVER || 'json';
+    const loadDriver = DRIVERS[driverName];
+
+    if (!loadDriver) {
+        throw new StorageError(`Unknown storage driver: ${driverName}`);
+    }
+
+    const { createDriver } = loadDriver();
+    return withVersions(createDriver({
+        dataDir: options.dataDir || path.join(__dirname, '..', 'data'),
+        uniqueFields: UNIQUE_FIELDS
+    }));
+}
+
+module.exports = { createStorage, StorageError, ConstraintError };
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { ConstraintError } = require('./errors');
+
+// Last id handed out per collection, kept so the id of a removed row is
+// never given to a new one (SQLite's AUTOINCREMENT does the same)
+const SEQUENCES = '_sequences';
+
+// Items keep their historical file name; other collections use <name>.json
+const FILE_NAMES = {
+    items: 'inventory.json',
+    [SEQUENCES]: 'sequences.json'
+};
+
+/**
+ * JSON file driver. Each collection lives in its own file and is cached in
+ * memory after the first read, so all access goes through this process.
+ * Writes are buffered until the surrounding transaction commits and are then
+ * flushed with a write-to-temp-and-rename so a crash never leaves half a file.
+ * Every changed file is written before any is renamed, so a failed write
+ * leaves all of them as they were. The renames are not atomic as a group,
+ * though: a crash between two of them commits some collections and not others.
+ */
+function createDriver({ dataDir, uniqueFields }) {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const cache = {};
+    let pending = null; // collection name -> snapshot taken when first written
+
+    const filePath = collection => path.join(dataDir, FILE_NAMES[collection] || `${collection}.json`);
+
+    function load(collection) {
+        if (!cache[collection]) {
+            const file = filePath(collection);
+            const empty = collection === SEQUENCES ? {} : [];
+            cache[collection] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : empty;
+        }
+        return cache[collection];
+    }
+
+    function flush(collections) {
+        const written = [];
+        try {
+            collections.forEach(collection => {
+                const file = filePath(collection);
+                fs.writeFileSync(`${file}.tmp`, JSON.stringify(cache[collection], null, 2));
+                written.push(file);
+            });
+        } catch (error) {
+            written.forEach(file => fs.rmSync(`${file}.tmp`, { force: true }));
+            throw error;
+        }
+        written.forEach(file => fs.renameSync(`${file}.tmp`, file));
+    }
+
+    function transaction(fn) {
+        // Nested calls join the outer transaction
+        if (pending) {
+            return fn();
+        }
+
+        pending = {};
+        try {
+            const result = fn();
+            flush(Object.keys(pending));
+            return result;
+        } catch (error) {
+            Object.keys(pending).forEach(collection => {
+                cache[collection] = pending[collection];
+            });
+            throw error;
+        } finally {
+            pending = null;
+        }
+    }
+
+    // Returns the collection's rows for modification inside a transaction
+    function writable(collection) {
+        const rows = load(collection);
+        if (!(collection in pending)) {
+            pending[collection] = JSON.parse(JSON.stringify(rows));
+        }
+        return rows;
+    }
+
+    // Next id for a collection. Stores written before the counter existed
+    // start from their highest id.
+    function nextId(collection, rows) {
+        const sequences = writable(SEQUENCES);
+        const last = rows.reduce((max, row) => Math.max(max, row.id), sequences[collection] || 0);
+        return last + 1;
+    }
+
+    function checkUnique(collection, rows, doc, id) {
+        (uniqueFields[collection] || []).forEach(field => {
+            if (rows.some(row => row.id !== id && row[field] === doc[field])) {
+                throw new ConstraintError(collection, field);
+            }
+        });
+    }
+
+    const clone = doc => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+    return {
+        isNew: !fs.existsSync(filePath('items')),
+
+        all(collection) {
+            return clone(load(collection));
+        },
+
+        get(collection, id) {
+            return clone(load(collection).find(row => row.id === id));
+        },
+
+        insert(collection, doc) {
+            return transaction(() => {
+                const rows = writable(collection);
+                const row = {
+                    id: doc.id || nextId(collection, rows),
+                    ...doc
+                };
+                checkUnique(collection, rows, row, row.id);
+                rows.push(row);
+
+                const sequences = writable(SEQUENCES);
+                sequences[collection] = Math.max(sequences[collection] || 0, row.id);
+                return clone(row);
+            });
+        },
+
+        update(collection, id, doc) {
+            return transaction(() => {
+                const rows = writable(collection);
+                const index = rows.findIndex(row => row.id === id);
+                if (index === -1) {
+                    return null;
+                }
+                const row = { ...doc, id };
+                checkUnique(collection, rows, row, id);
+                rows[index] = row;
+                return clone(row);
+            });
+        },
+
+        remove(collection, id) {
+            return transaction(() => {
+                const rows = writable(collection);
+                const index = rows.findIndex(row => row.id === id);
+                if (index === -1) {
+                    return false;
+                }
+                rows.splice(index, 1);
+                return true;
+            });
+        },
+
+        transaction
+    };
+}
+
+module.exports = { createDriver, FILE_NAMES, SEQUENCES };
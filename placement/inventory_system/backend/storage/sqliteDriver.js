@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ConstraintError } = require('./errors');
+const { FILE_NAMES, SEQUENCES } = require('./jsonDriver');
+
+const DB_FILE = 'inventory.db';
+
+// Collection names double as table names
+const COLLECTION_NAME = /^[a-z][a-zA-Z0-9]*$/;
+
+/**
+ * Embedded SQLite driver. Each collection is a table holding the document as
+ * JSON, with unique fields promoted to real UNIQUE columns. All writes run in
+ * SQLite transactions.
+ */
+function createDriver({ dataDir, uniqueFields }) {
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    const dbFile = path.join(dataDir, DB_FILE);
+    const isNewFile = !fs.existsSync(dbFile);
+    const db = new Database(dbFile);
+    db.pragma('journal_mode = WAL');
+    db.exec('CREATE TABLE IF NOT EXISTS migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+
+    const tables = new Set();
+    const statements = {};
+
+    function ensureTable(collection) {
+        if (tables.has(collection)) {
+            return;
+        }
+        // Table names come from code, never from requests, but guard them anyway
+        if (!COLLECTION_NAME.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+
+        const fields = uniqueFields[collection] || [];
+        const columns = fields.map(field => `, ${field} TEXT NOT NULL UNIQUE`).join('');
+        db.exec(`CREATE TABLE IF NOT EXISTS ${collection} (id INTEGER PRIMARY KEY AUTOINCREMENT${columns}, data TEXT NOT NULL)`);
+
+        const fieldList = fields.map(field => `, ${field}`).join('');
+        const placeholders = fields.map(() => ', ?').join('');
+        const assignments = fields.map(field => `${field} = ?, `).join('');
+        statements[collection] = {
+            all: db.prepare(`SELECT id, data FROM ${collection} ORDER BY id`),
+            get: db.prepare(`SELECT id, data FROM ${collection} WHERE id = ?`),
+            insert: db.prepare(`INSERT INTO ${collection} (data${fieldList}) VALUES (?${placeholders})`),
+            insertWithId: db.prepare(`INSERT INTO ${collection} (id, data${fieldList}) VALUES (?, ?${placeholders})`),
+            update: db.prepare(`UPDATE ${collection} SET ${assignments}data = ? WHERE id = ?`),
+            remove: db.prepare(`DELETE FROM ${collection} WHERE id = ?`)
+        };
+        tables.add(collection);
+    }
+
+    const toDoc = row => (row ? { id: row.id, ...JSON.parse(row.data) } : null);
+
+    // Serialize a document, returning the JSON body and its unique column values
+    function serialize(collection, doc) {
+        const { id, ...data } = doc;
+        const unique = (uniqueFields[collection] || []).map(field => String(data[field]));
+        return { data: JSON.stringify(data), unique };
+    }
+
+    function run(collection, fn) {
+        try {
+            return fn();
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                const field = (uniqueFields[collection] || []).find(f => error.message.includes(`.${f}`));
+                throw new ConstraintError(collection, field || 'value');
+            }
+            throw error;
+        }
+    }
+
+    const driver = {
+        isNew: isNewFile,
+
+        all(collection) {
+            ensureTable(collection);
+            return statements[collection].all.all().map(toDoc);
+        },
+
+        get(collection, id) {
+            ensureTable(collection);
+            return toDoc(statements[collection].get.get(id));
+        },
+
+        insert(collection, doc) {
+            ensureTable(collection);
+            const { data, unique } = serialize(collection, doc);
+            return run(collection, () => {
+                const result = doc.id
+                    ? statements[collection].insertWithId.run(doc.id, data, ...unique)
+                    : statements[collection].insert.run(data, ...unique);
+                return driver.get(collection, Number(result.lastInsertRowid));
+            });
+        },
+
+        update(collection, id, doc) {
+            ensureTable(collection);
+            const { data, unique } = serialize(collection, doc);
+            return run(collection, () => {
+                const result = statements[collection].update.run(...unique, data, id);
+                return result.changes > 0 ? driver.get(collection, id) : null;
+            });
+        },
+
+        remove(collection, id) {
+            ensureTable(collection);
+            return statements[collection].remove.run(id).changes > 0;
+        },
+
+        transaction(fn) {
+            // better-sqlite3 turns nested calls into savepoints
+            return db.transaction(fn)();
+        }
+    };
+
+    migrateLegacyJson(db, driver, dataDir);
+
+    // A fresh database that imported legacy data is not "new"
+    driver.isNew = isNewFile && driver.all('items').length === 0;
+
+    return driver;
+}
+
+// The JSON driver's files in dataDir, with the collection each one holds
+function findLegacyFiles(dataDir) {
+    const named = new Map(Object.keys(FILE_NAMES).map(collection => [FILE_NAMES[collection], collection]));
+    return fs.readdirSync(dataDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file, collection: named.get(file) || path.basename(file, '.json') }))
+        .filter(({ collection }) => collection === SEQUENCES || COLLECTION_NAME.test(collection));
+}
+
+/**
+ * One-time import of every collection the JSON driver wrote. Rows keep their
+ * ids, and its id counters carry over so the ids of purged rows stay retired.
+ */
+function migrateLegacyJson(db, driver, dataDir) {
+    const name = 'import-legacy-json';
+    if (db.prepare('SELECT 1 FROM migrations WHERE name = ?').get(name)) {
+        return;
+    }
+
+    driver.transaction(() => {
+        let sequences = {};
+        findLegacyFiles(dataDir).forEach(({ file, collection }) => {
+            const content = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+            if (collection === SEQUENCES) {
+                sequences = content;
+                return;
+            }
+
+            content.forEach(row => driver.insert(collection, row));
+        });
+
+        Object.keys(sequences).filter(collection => COLLECTION_NAME.test(collection)).forEach(collection => {
+            driver.all(collection); // Creates the table when every row had been removed
+            const raised = db.prepare('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?')
+                .run(sequences[collection], collection);
+            if (raised.changes === 0) {
+                db.prepare('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)').run(collection, sequences[collection]);
+            }
+        });
+
+        db.prepare('INSERT INTO migrations (name, applied_at) VALUES (?, ?)').run(name, new Date().toISOString());
+    });
+}
+
+module.exports = { createDriver };
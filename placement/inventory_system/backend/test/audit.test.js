@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuditLog } = require('../audit');
+const { createTestStorage, testAuth } = require('./helpers');
+
+test('saving an item without changing it records no audit entry', t => {
+    const storage = createTestStorage(t);
+    const audit = createAuditLog(storage, testAuth);
+    const item = storage.insert('items', { sku: 'LP001', productName: 'Laptop', quantity: 0, price: 10 });
+
+    // The storage layer bumps the version on every write
+    const resaved = storage.update('items', item.id, { ...item, lastUpdated: new Date().toISOString() });
+    assert.strictEqual(resaved.version, item.version + 1);
+    assert.strictEqual(audit.recordItemChange('update', item, resaved, null), null);
+
+    const renamed = storage.update('items', item.id, { ...resaved, productName: 'Notebook' });
+    const entry = audit.recordItemChange('update', resaved, renamed, null);
+    assert.deepStrictEqual(entry.changes, { productName: { before: 'Laptop', after: 'Notebook' } });
+    assert.strictEqual(storage.all('auditLog').length, 1);
+});
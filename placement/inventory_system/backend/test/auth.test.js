@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createAuth } = require('../auth');
+const { createTestStorage, startApi } = require('./helpers');
+
+// Runs createAuth with ADMIN_PASSWORD set to `password`, or unset for null
+function createAuthWithAdminPassword(storage, password) {
+    const previous = process.env.ADMIN_PASSWORD;
+    if (password === null) {
+        delete process.env.ADMIN_PASSWORD;
+    } else {
+        process.env.ADMIN_PASSWORD = password;
+    }
+    try {
+        return createAuth(storage);
+    } finally {
+        if (previous === undefined) {
+            delete process.env.ADMIN_PASSWORD;
+        } else {
+            process.env.ADMIN_PASSWORD = previous;
+        }
+    }
+}
+
+/**
+ * Auth over fresh storage, with a route per role that answers 200 when the
+ * caller holds it. `login` returns the Authorization header for an account.
+ */
+async function setup(t) {
+    const storage = createTestStorage(t);
+    const auth = createAuthWithAdminPassword(storage, 'first-admin-password');
+
+    const probes = express.Router();
+    ['viewer', 'clerk', 'admin'].forEach(role => {
+        probes.get(`/probe/${role}`, auth.authenticate, auth.requireRole(role), (req, res) => res.json(req.user));
+    });
+    const request = await startApi(t, auth.router, probes);
+
+    async function login(username, password) {
+        const response = await request('POST', '/auth/login', { username, password });
+        assert.strictEqual(response.status, 200, username);
+        return { Authorization: `Bearer ${response.body.token}` };
+    }
+    return { storage, request, login };
+}
+
+test('the first run creates one admin from the environment', async t => {
+    const { storage, login, request } = await setup(t);
+
+    assert.deepStrictEqual(storage.all('users').map(user => [user.username, user.role]), [['admin', 'admin']]);
+    const admin = await login('admin', 'first-admin-password');
+    assert.strictEqual((await request('GET', '/auth/me', undefined, admin)).body.username, 'admin');
+
+    // Later starts leave the accounts alone
+    createAuthWithAdminPassword(storage, 'another-password');
+    assert.strictEqual(storage.all('users').length, 1);
+});
+
+test('without ADMIN_PASSWORD the admin gets the default password and a warning', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = createTestStorage(t);
+    const request = await startApi(t, createAuthWithAdminPassword(storage, null).router);
+
+    const response = await request('POST', '/auth/login', { username: 'admin', password: 'admin123' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.user.role, 'admin');
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /"admin123"/);
+});
+
+test('each role can do what it and the roles below it can', async t => {
+    const { request, login } = await setup(t);
+    const admin = await login('admin', 'first-admin-password');
+    for (const role of ['viewer', 'clerk']) {
+        const created = await request('POST', '/users', { username: role, password: `${role}-password`, role }, admin);
+        assert.strictEqual(created.status, 201);
+    }
+
+    const allowed = {
+        viewer: ['viewer'],
+        clerk: ['viewer', 'clerk'],
+        admin: ['viewer', 'clerk', 'admin']
+    };
+    for (const username of Object.keys(allowed)) {
+        const headers = username === 'admin' ? admin : await login(username, `${username}-password`);
+        for (const role of ['viewer', 'clerk', 'admin']) {
+            const response = await request('GET', `/probe/${role}`, undefined, headers);
+            assert.strictEqual(response.status, allowed[username].includes(role) ? 200 : 403, `${username} on ${role}`);
+        }
+    }
+
+    assert.strictEqual((await request('GET', '/probe/viewer')).status, 401);
+    assert.strictEqual((await request('GET', '/probe/viewer', undefined, { Authorization: 'Bearer nope' })).status, 401);
+});
+
+test('expired sessions are refused and removed', async t => {
+    const { storage, request, login } = await setup(t);
+    const admin = await login('admin', 'first-admin-password');
+    assert.strictEqual((await request('GET', '/auth/me', undefined, admin)).status, 200);
+
+    const [session] = storage.all('sessions');
+    storage.update('sessions', session.id, { ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const expired = await request('GET', '/auth/me', undefined, admin);
+    assert.strictEqual(expired.status, 401);
+    assert.strictEqual(expired.body.message, 'Session expired or invalid');
+    assert.strictEqual(storage.all('sessions').length, 0);
+});
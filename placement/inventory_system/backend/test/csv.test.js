@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsvObjects, toCsv } = require('../csv');
+
+test('text that a spreadsheet would run as a formula is exported inert', () => {
+    const records = [
+        { sku: '=HYPERLINK("http://x")', productName: '+1 cable', quantity: -3 },
+        { sku: '@SUM(A1)', productName: '-dash', quantity: 4 },
+        { sku: '\tTAB', productName: 'Plain, with comma', quantity: null }
+    ];
+    const csv = toCsv(records, ['sku', 'productName', 'quantity']);
+
+    assert.strictEqual(csv, [
+        'sku,productName,quantity',
+        `"'=HYPERLINK(""http://x"")","'+1 cable",-3`,
+        `"'@SUM(A1)","'-dash",4`,
+        `"'\tTAB","Plain, with comma",`,
+        ''
+    ].join('\r\n'));
+
+    // Importing the export gives back what was exported
+    assert.deepStrictEqual(parseCsvObjects(csv), records.map(record => ({
+        ...record,
+        quantity: record.quantity === null ? '' : String(record.quantity)
+    })));
+});
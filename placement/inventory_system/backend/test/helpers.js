@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createStorage } = require('../storage');
+const { errorEnvelope, notFoundHandler, errorHandler } = require('../apiErrors');
+
+// A fresh data directory under the system temp dir, removed when the test ends
+function createDataDir(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
+
+function createTestStorage(t, driver = 'json') {
+    return createStorage({ driver, dataDir: createDataDir(t) });
+}
+
+// Stand-ins for the auth middleware: every request is made by an admin
+const testAuth = {
+    authenticate: (req, res, next) => {
+        req.user = { id: 1, username: 'tester', role: 'admin' };
+        next();
+    },
+    requireRole: () => (req, res, next) => next()
+};
+
+/**
+ * Serves routers under /api/v1 on a free port and returns a JSON `request`
+ * helper, which takes extra headers as its last argument. The server is
+ * closed when the test ends.
+ */
+async function startApi(t, ...routers) {
+    const app = express();
+    app.use(express.json());
+    const api = express.Router();
+    api.use(errorEnvelope);
+    routers.forEach(router => api.use(router));
+    api.use(notFoundHandler);
+    app.use('/api/v1', api);
+    app.use('/api', errorHandler);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    t.after(() => server.close());
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+
+    return async function request(method, url, body, headers = {}) {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+}
+
+module.exports = { createDataDir, createTestStorage, testAuth, startApi };
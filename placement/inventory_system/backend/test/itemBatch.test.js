@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateBatch, planBatch, applyBatch } = require('../itemBatch');
+const { createAuditLog } = require('../audit');
+const { loadReferenceData } = require('../referenceData');
+const { createTestStorage, testAuth } = require('./helpers');
+
+const USER = { id: 1, username: 'tester', role: 'admin' };
+
+// A mouse, and a T-shirt with one variant that takes its price from it
+function setup(t) {
+    const storage = createTestStorage(t);
+    const audit = createAuditLog(storage, testAuth);
+    const mouse = storage.insert('items', { sku: 'MS001', productName: 'Mouse', quantity: 0, price: 20 });
+    const shirt = storage.insert('items', { sku: 'TS001', productName: 'T-Shirt', quantity: 0, price: 10 });
+    const variant = storage.insert('items', {
+        sku: 'TS001-M', productName: 'T-Shirt', quantity: 0, price: 10,
+        parentId: shirt.id, attributes: { Size: 'M' }, inheritsPrice: true
+    });
+    return { storage, audit, mouse, shirt, variant };
+}
+
+// Validates and plans a batch against the stored items
+function plan(storage, body) {
+    const { value, errors } = validateBatch(body, loadReferenceData(storage));
+    assert.strictEqual(errors, null);
+    return planBatch(value, storage.all('items'), new Map());
+}
+
+test('planning marks the items a batch cannot change as failed', t => {
+    const { storage, mouse, shirt, variant } = setup(t);
+    const { results } = plan(storage, {
+        action: 'delete',
+        items: [{ id: mouse.id, version: mouse.version }, { id: shirt.id, version: shirt.version }]
+    });
+
+    assert.deepStrictEqual(results.map(result => [result.sku, result.status]), [['MS001', 'deleted'], ['TS001', 'failed']]);
+    assert.match(results[1].error, /variant that are not selected/);
+
+    // Stale versions fail too
+    const stale = plan(storage, { action: 'update', items: [{ id: variant.id, version: 2 }], changes: { price: 12 } });
+    assert.strictEqual(stale.results[0].error, 'Item has been changed by someone else since it was loaded');
+});
+
+test('a batch that fails part way through leaves every item as it was', t => {
+    const { storage, audit, mouse, shirt } = setup(t);
+    const before = storage.all('items');
+    const { writes } = plan(storage, {
+        action: 'update',
+        items: [{ id: mouse.id, version: mouse.version }, { id: shirt.id, version: shirt.version }],
+        changes: { priceChangePercent: 10 }
+    });
+    assert.strictEqual(writes.length, 2);
+
+    // The second item's audit entry fails after the first item was written
+    const recordItemChange = (action, was, now, user) => {
+        if (was.id === shirt.id) throw new Error('disk full');
+        return audit.recordItemChange(action, was, now, user);
+    };
+    assert.throws(() => applyBatch(storage, writes, { user: USER, recordItemChange }), /disk full/);
+
+    assert.deepStrictEqual(storage.all('items'), before);
+    assert.deepStrictEqual(storage.all('auditLog'), []);
+});
+
+test('an applied batch writes, audits and syncs every item', t => {
+    const { storage, audit, mouse, shirt, variant } = setup(t);
+    const update = plan(storage, {
+        action: 'update',
+        items: [{ id: mouse.id, version: mouse.version }, { id: shirt.id, version: shirt.version }],
+        changes: { priceChangePercent: 10 }
+    });
+
+    const syncedIds = applyBatch(storage, update.writes, { user: USER, recordItemChange: audit.recordItemChange });
+    assert.deepStrictEqual(syncedIds, [variant.id]);
+    assert.deepStrictEqual(storage.all('items').map(item => item.price), [22, 11, 11]);
+    assert.strictEqual(storage.all('auditLog').length, 3);
+
+    const removal = plan(storage, { action: 'delete', items: [{ id: mouse.id, version: mouse.version + 1 }] });
+    applyBatch(storage, removal.writes, { user: USER, recordItemChange: audit.recordItemChange });
+    const trashed = storage.get('items', mouse.id);
+    assert.strictEqual(trashed.archived, true);
+    assert.strictEqual(trashed.deletedBy, 'tester');
+});
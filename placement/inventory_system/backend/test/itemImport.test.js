@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planImport } = require('../itemImport');
+const { loadReferenceData } = require('../referenceData');
+const { createTestStorage } = require('./helpers');
+
+// A T-shirt with one variant, in a second category it could be moved to
+function setup(t) {
+    const storage = createTestStorage(t);
+    const clothing = storage.insert('categories', { name: 'Clothing' });
+    storage.insert('categories', { name: 'Sale' });
+    const parent = storage.insert('items', {
+        sku: 'TS001', productName: 'T-Shirt', quantity: 0, price: 10, categoryId: clothing.id, supplierId: null
+    });
+    storage.insert('items', {
+        sku: 'TS001-M', productName: 'T-Shirt', quantity: 0, price: 10, categoryId: clothing.id, supplierId: null,
+        parentId: parent.id, attributes: { Size: 'M' }, inheritsPrice: true
+    });
+    return storage;
+}
+
+test('imports cannot change the fields a variant takes from its parent', t => {
+    const storage = setup(t);
+    const plan = planImport([
+        { sku: 'TS001-M', productName: 'Tee', category: 'Sale', quantity: '4' },
+        { sku: 'TS001', productName: 'Tee', category: 'Sale' }
+    ], storage.all('items'), loadReferenceData(storage));
+
+    assert.deepStrictEqual(plan.errors, [{
+        row: 1,
+        sku: 'TS001-M',
+        errors: [
+            'productName: Variants take this from their parent item; change it there',
+            'category: Variants take this from their parent item; change it there'
+        ]
+    }]);
+    assert.deepStrictEqual(plan.updates.map(update => update.sku), ['TS001']);
+});
+
+test('imports may set a variant\'s own fields and repeat the shared ones unchanged', t => {
+    const storage = setup(t);
+    const plan = planImport([
+        { sku: 'TS001-M', productName: 'T-Shirt', category: 'Clothing', quantity: '4', price: '12' }
+    ], storage.all('items'), loadReferenceData(storage));
+
+    assert.strictEqual(plan.errors.length, 0);
+    assert.deepStrictEqual(plan.updates[0].changes, { quantity: { from: 0, to: 4 }, price: { from: 10, to: 12 } });
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseItemQuery } = require('../itemQuery');
+
+test('repeated or bracketed query parameters are rejected', () => {
+    assert.deepStrictEqual(parseItemQuery({ order: ['asc', 'desc'] }),
+        { error: 'order must be given once, as plain text' });
+    assert.deepStrictEqual(parseItemQuery({ search: ['laptop'] }),
+        { error: 'search must be given once, as plain text' });
+    assert.deepStrictEqual(parseItemQuery({ category: { name: 'Electronics' } }),
+        { error: 'category must be given once, as plain text' });
+
+    const { options } = parseItemQuery({ search: 'laptop', order: 'DESC' });
+    assert.strictEqual(options.order, 'desc');
+    assert.strictEqual(options.sort, 'relevance');
+});
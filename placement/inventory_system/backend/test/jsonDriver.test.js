@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../storage');
+const { createStockLedger } = require('../stockLedger');
+const { createDataDir } = require('./helpers');
+
+test('an item created after purging the newest one gets a fresh id', t => {
+    const dataDir = createDataDir(t);
+    const storage = createStorage({ driver: 'json', dataDir });
+    const ledger = createStockLedger(storage);
+
+    storage.insert('items', { sku: 'A1', productName: 'First', quantity: 0, price: 1 });
+    const purged = storage.insert('items', { sku: 'B1', productName: 'Second', quantity: 0, price: 1 });
+    ledger.post(purged, { type: 'receive', quantity: 5 });
+    storage.remove('items', purged.id);
+
+    const created = storage.insert('items', { sku: 'C1', productName: 'Third', quantity: 0, price: 1 });
+    assert.notStrictEqual(created.id, purged.id);
+    assert.strictEqual(ledger.getOnHand(created.id), 0);
+
+    // The counter is kept on disk, not worked out from the remaining rows
+    storage.remove('items', created.id);
+    const reopened = createStorage({ driver: 'json', dataDir });
+    assert.strictEqual(reopened.insert('items', { sku: 'D1', productName: 'Fourth', quantity: 0, price: 1 }).id, created.id + 1);
+});
+
+test('a rolled back insert does not use up an id', t => {
+    const storage = createStorage({ driver: 'json', dataDir: createDataDir(t) });
+    storage.insert('items', { sku: 'A1', productName: 'First', quantity: 0, price: 1 });
+
+    assert.throws(() => storage.transaction(() => {
+        storage.insert('items', { sku: 'B1', productName: 'Second', quantity: 0, price: 1 });
+        throw new Error('abort');
+    }), /abort/);
+
+    assert.strictEqual(storage.insert('items', { sku: 'C1', productName: 'Third', quantity: 0, price: 1 }).id, 2);
+});
+
+test('ids keep counting in collections too large to spread into Math.max', t => {
+    const dataDir = createDataDir(t);
+    const rows = Array.from({ length: 200000 }, (_, index) => ({ id: index + 1, sku: `S${index + 1}` }));
+    fs.writeFileSync(path.join(dataDir, 'inventory.json'), JSON.stringify(rows));
+
+    const storage = createStorage({ driver: 'json', dataDir });
+    assert.strictEqual(storage.insert('items', { sku: 'NEW', productName: 'New', quantity: 0, price: 1 }).id, 200001);
+});
+
+test('a transaction whose files cannot all be written changes none of them', t => {
+    const dataDir = createDataDir(t);
+    const storage = createStorage({ driver: 'json', dataDir });
+    storage.insert('items', { sku: 'A1', productName: 'First', quantity: 0, price: 1 });
+    const before = fs.readFileSync(path.join(dataDir, 'inventory.json'), 'utf8');
+
+    // A directory in the way of the categories temp file makes its write fail
+    fs.mkdirSync(path.join(dataDir, 'categories.json.tmp'));
+    assert.throws(() => storage.transaction(() => {
+        storage.insert('items', { sku: 'B1', productName: 'Second', quantity: 0, price: 1 });
+        storage.insert('categories', { name: 'Tools' });
+    }), { code: 'EISDIR' });
+
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'inventory.json'), 'utf8'), before);
+    assert.deepStrictEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), ['categories.json.tmp']);
+    assert.deepStrictEqual(storage.all('items').map(item => item.sku), ['A1']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkLotInput, LOT_REQUIRED_ERROR } = require('../lots');
+const { planImport } = require('../itemImport');
+const { loadReferenceData } = require('../referenceData');
+const { createTestStorage } = require('./helpers');
+
+// A perishable category holding one item
+function setup(t) {
+    const storage = createTestStorage(t);
+    const category = storage.insert('categories', { name: 'Dairy', perishable: true });
+    const item = storage.insert('items', {
+        sku: 'MILK1', productName: 'Milk', quantity: 4, price: 1, categoryId: category.id, locationId: null
+    });
+    return { storage, item };
+}
+
+test('lot expiry dates must be days that exist', t => {
+    const { storage, item } = setup(t);
+
+    ['2024-13-45', '2023-02-29', '2024-04-31'].forEach(expiryDate => {
+        const { errors } = checkLotInput(storage, item, { lotNumber: 'L1', expiryDate });
+        assert.deepStrictEqual(errors, { expiryDate: ['Must be a date that exists'] }, expiryDate);
+    });
+    assert.deepStrictEqual(checkLotInput(storage, item, { lotNumber: 'L1', expiryDate: '2024-02-29' }).value,
+        { lotNumber: 'L1', expiryDate: '2024-02-29' });
+});
+
+test('imports cannot raise the stock of perishable items outside a lot', t => {
+    const { storage } = setup(t);
+    const plan = planImport([
+        { sku: 'MILK1', quantity: '10' },
+        { sku: 'MILK1-LOW', productName: 'Milk (low fat)', category: 'Dairy', quantity: '3', price: '1' },
+        { sku: 'MILK1-ZERO', productName: 'Milk (skimmed)', category: 'Dairy', quantity: '0', price: '1' }
+    ], storage.all('items'), loadReferenceData(storage));
+
+    assert.deepStrictEqual(plan.errors.map(error => [error.row, error.errors]), [
+        [1, [`quantity: ${LOT_REQUIRED_ERROR}`]],
+        [2, [`quantity: ${LOT_REQUIRED_ERROR}`]]
+    ]);
+    assert.deepStrictEqual(plan.creates.map(create => create.sku), ['MILK1-ZERO']);
+
+    // Lowering the count is still allowed; it is taken from the lots FEFO
+    const lower = planImport([{ sku: 'MILK1', quantity: '2' }], storage.all('items'), loadReferenceData(storage));
+    assert.strictEqual(lower.errors.length, 0);
+    assert.strictEqual(lower.updates.length, 1);
+});
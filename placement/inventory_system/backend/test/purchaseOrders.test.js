@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStockLedger } = require('../stockLedger');
+const { createPurchaseOrderRouter } = require('../purchaseOrders');
+const { createTestStorage, testAuth, startApi } = require('./helpers');
+
+// A submitted order for 5 of an item that has 15 on hand
+async function setup(t) {
+    const storage = createTestStorage(t);
+    const ledger = createStockLedger(storage);
+    const item = storage.insert('items', { sku: 'LP001', productName: 'Laptop', quantity: 0, price: 10, locationId: null });
+    ledger.post(item, { locationId: null, type: 'adjust', quantity: 15 });
+    const order = storage.insert('purchaseOrders', {
+        number: 'PO-00001',
+        status: 'submitted',
+        supplierId: null,
+        lines: [{ itemId: item.id, quantity: 5, unitCost: 2, receivedQuantity: 0 }]
+    });
+    const request = await startApi(t, createPurchaseOrderRouter(storage, ledger, testAuth));
+    return { storage, item, order, request };
+}
+
+test('receipt lines for the same item share its outstanding quantity', async t => {
+    const { storage, item, order, request } = await setup(t);
+
+    const rejected = await request('POST', `/purchase-orders/${order.id}/receive`, {
+        lines: [{ itemId: item.id, quantity: 5 }, { itemId: item.id, quantity: 5 }]
+    });
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.details.fields['lines[1].quantity'], ['Only 0 outstanding']);
+    assert.strictEqual(storage.get('items', item.id).quantity, 15);
+
+    const received = await request('POST', `/purchase-orders/${order.id}/receive`, {
+        lines: [{ itemId: item.id, quantity: 2 }, { itemId: item.id, quantity: 3 }]
+    });
+    assert.strictEqual(received.status, 200);
+    assert.strictEqual(received.body.status, 'received');
+    assert.strictEqual(received.body.lines[0].receivedQuantity, 5);
+    assert.strictEqual(storage.get('items', item.id).quantity, 20);
+});
+
+test('receipt lines that are not objects are a validation error', async t => {
+    const { order, request } = await setup(t);
+
+    const response = await request('POST', `/purchase-orders/${order.id}/receive`, { lines: [null] });
+    assert.strictEqual(response.status, 422);
+    assert.ok(response.body.details.fields['lines[0]']);
+});
+
+test('orders are refused an expected date that does not exist', async t => {
+    const { storage, item, request } = await setup(t);
+    const supplier = storage.insert('suppliers', { name: 'Acme' });
+    const order = { supplierId: supplier.id, lines: [{ itemId: item.id, quantity: 1, unitCost: 2 }] };
+
+    const rejected = await request('POST', '/purchase-orders', { ...order, expectedDate: '2024-02-30' });
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.details.fields.expectedDate, ['Must be a date that exists']);
+
+    const created = await request('POST', '/purchase-orders', { ...order, expectedDate: '2024-02-29' });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.expectedDate, '2024-02-29');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStockLedger } = require('../stockLedger');
+const { createSalesOrderRouter, getReservedQuantities, reservedStockError } = require('../salesOrders');
+const { planImport } = require('../itemImport');
+const { loadReferenceData } = require('../referenceData');
+const { createTestStorage, testAuth, startApi } = require('./helpers');
+
+// An open order for 3 of an item that has 22 on hand
+async function setup(t) {
+    const storage = createTestStorage(t);
+    const ledger = createStockLedger(storage);
+    const item = storage.insert('items', { sku: 'LP001', productName: 'Laptop', quantity: 0, price: 10, locationId: null });
+    ledger.post(item, { locationId: null, type: 'adjust', quantity: 22 });
+    const order = storage.insert('salesOrders', {
+        number: 'SO-00001',
+        status: 'open',
+        customer: 'Acme',
+        lines: [{ itemId: item.id, quantity: 3, unitPrice: 10, fulfilledQuantity: 0 }]
+    });
+    const request = await startApi(t, createSalesOrderRouter(storage, ledger, testAuth));
+    return { storage, item, order, request };
+}
+
+test('fulfilment lines for the same item share its reserved quantity', async t => {
+    const { storage, item, order, request } = await setup(t);
+
+    const rejected = await request('POST', `/sales-orders/${order.id}/fulfil`, {
+        lines: [{ itemId: item.id, quantity: 3 }, { itemId: item.id, quantity: 3 }]
+    });
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.details.fields['lines[1].quantity'], ['Only 0 still to fulfil']);
+    assert.strictEqual(storage.get('items', item.id).quantity, 22);
+    assert.strictEqual(getReservedQuantities(storage).get(item.id), 3);
+
+    const fulfilled = await request('POST', `/sales-orders/${order.id}/fulfil`, {
+        lines: [{ itemId: item.id, quantity: 1 }, { itemId: item.id, quantity: 2 }]
+    });
+    assert.strictEqual(fulfilled.status, 200);
+    assert.strictEqual(fulfilled.body.status, 'fulfilled');
+    assert.strictEqual(fulfilled.body.lines[0].fulfilledQuantity, 3);
+    assert.strictEqual(storage.get('items', item.id).quantity, 19);
+    assert.strictEqual(getReservedQuantities(storage).get(item.id) || 0, 0);
+});
+
+test('fulfilment lines that are not objects are a validation error', async t => {
+    const { storage, item, order, request } = await setup(t);
+
+    const response = await request('POST', `/sales-orders/${order.id}/fulfil`, { lines: [null] });
+    assert.strictEqual(response.status, 422);
+    assert.ok(response.body.details.fields['lines[0]']);
+    assert.strictEqual(storage.get('items', item.id).quantity, 22);
+});
+
+test('stock reserved by open orders cannot be issued, adjusted or imported away', async t => {
+    const { storage, item } = await setup(t);
+    const reserved = getReservedQuantities(storage);
+    const stocked = storage.get('items', item.id);
+
+    assert.strictEqual(reservedStockError(stocked, 3, reserved), null);
+    assert.strictEqual(reservedStockError(stocked, 2, reserved),
+        '3 units are reserved by open sales orders; only 19 of 22 can be taken');
+    // Raising stock that is already short of its reservations is fine
+    assert.strictEqual(reservedStockError({ ...stocked, quantity: 1 }, 2, reserved), null);
+    // Without reservations the ledger's own stock check applies
+    assert.strictEqual(reservedStockError(stocked, -1, new Map()), null);
+
+    const plan = planImport([{ sku: 'LP001', quantity: '0' }], storage.all('items'), loadReferenceData(storage), reserved);
+    assert.deepStrictEqual(plan.errors.map(error => error.errors), [
+        ['quantity: 3 units are reserved by open sales orders; only 19 of 22 can be taken']
+    ]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSearchIndex, parseSearchQuery } = require('../searchIndex');
+const { parseItemQuery, filterItems, sortItems } = require('../itemQuery');
+
+const ITEMS = [
+    { id: 1, sku: 'LP-001', productName: 'Laptop Pro', category: 'Electronics', supplier: 'TechCorp', location: null },
+    { id: 2, sku: 'ST-002', productName: 'Laptop Stand', category: 'Accessories', supplier: null, location: null },
+    { id: 3, sku: 'MS-003', productName: 'Wireless Mouse', category: 'Accessories', supplier: 'Laptop Depot', location: null },
+    { id: 4, sku: 'KB-004', productName: 'Mechanical Keyboard', category: 'Accessories', supplier: null, location: 'Back Room' }
+].map(item => ({ ...item, quantity: 5, archived: false, stock: [] }));
+
+function createIndex() {
+    const index = createSearchIndex();
+    ITEMS.forEach(item => index.add(item));
+    return index;
+}
+
+// Items matching a search, best first, as the item listing ranks them
+function rank(index, search) {
+    const { options } = parseItemQuery({ search });
+    const matched = filterItems(ITEMS, options, index.search(options.searchQuery.terms));
+    return sortItems(matched, options).map(item => [item.sku, item.relevance]);
+}
+
+test('exact, prefix and misspelt words match in that order of relevance', () => {
+    const index = createIndex();
+    const scores = word => Object.fromEntries(index.search(parseSearchQuery(word).query.terms));
+
+    // Names weigh 3: exact 1, prefix 0.75, one typo 0.5, two typos 0.3
+    assert.deepStrictEqual(scores('laptop'), { 1: 3, 2: 3, 3: 1.5 });
+    assert.deepStrictEqual(scores('lap'), { 1: 2.25, 2: 2.25, 3: 1.125 });
+    assert.deepStrictEqual(scores('lpatop'), { 1: 1.5, 2: 1.5, 3: 0.75 });
+    assert.strictEqual(scores('mechanicle')[4], 3 * 0.3);
+
+    // Words under four letters have to be typed right
+    assert.deepStrictEqual(scores('pri'), {});
+});
+
+test('searches rank SKU matches over names and names over other fields', () => {
+    const index = createIndex();
+
+    assert.deepStrictEqual(rank(index, 'laptop'), [['LP-001', 3], ['ST-002', 3], ['MS-003', 1.5]]);
+    // SKUs match with or without their dashes, and count most
+    assert.deepStrictEqual(rank(index, 'lp001'), [['LP-001', 4]]);
+    // Every word has to match; their scores add up
+    assert.deepStrictEqual(rank(index, 'laptop stand'), [['ST-002', 6]]);
+    // A field prefix only looks in that field
+    assert.deepStrictEqual(rank(index, 'supplier:laptop'), [['MS-003', 1.5]]);
+    assert.deepStrictEqual(rank(index, 'location:"back room"'), [['KB-004', 2]]);
+});
+
+test('re-adding an item drops the words it no longer has', () => {
+    const index = createIndex();
+    index.add({ ...ITEMS[1], productName: 'Monitor Stand' });
+    assert.deepStrictEqual([...index.search(parseSearchQuery('laptop').query.terms).keys()], [1, 3]);
+
+    index.remove(1);
+    assert.deepStrictEqual([...index.search(parseSearchQuery('laptop').query.terms).keys()], [3]);
+});
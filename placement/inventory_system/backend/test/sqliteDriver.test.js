@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../storage');
+const { createStockLedger } = require('../stockLedger');
+const { createDataDir } = require('./helpers');
+
+const COLLECTIONS = [
+    'items', 'movements', 'lots', 'categories', 'suppliers', 'locations', 'units', 'users', 'sessions',
+    'purchaseOrders', 'salesOrders', 'stockCounts', 'savedViews', 'webhooks'
+];
+
+// A JSON data directory with something in most collections and a purged item
+function populateJson(dataDir) {
+    const storage = createStorage({ driver: 'json', dataDir });
+    const ledger = createStockLedger(storage);
+
+    const category = storage.insert('categories', { name: 'Dairy', perishable: true });
+    const supplier = storage.insert('suppliers', { name: 'Acme' });
+    const location = storage.insert('locations', { name: 'Shelf A' });
+    storage.insert('units', { name: 'Box', factor: 12 });
+    storage.insert('users', { username: 'clerk', role: 'clerk', passwordHash: 'x' });
+    storage.insert('sessions', { tokenHash: 'abc', userId: 1 });
+
+    const item = storage.insert('items', {
+        sku: 'MILK1', productName: 'Milk', quantity: 0, price: 1,
+        categoryId: category.id, supplierId: supplier.id, locationId: location.id
+    });
+    const lot = storage.insert('lots', { itemId: item.id, lotNumber: 'L1', expiryDate: '2030-01-01', receivedDate: '2026-01-01' });
+    ledger.post(item, { locationId: location.id, lotId: lot.id, type: 'receive', quantity: 6 });
+
+    storage.insert('purchaseOrders', { number: 'PO-00001', status: 'draft', supplierId: supplier.id, lines: [] });
+    storage.insert('salesOrders', { number: 'SO-00001', status: 'open', customerName: 'Bob', lines: [] });
+    storage.insert('stockCounts', { number: 'SC-00001', status: 'counting', lines: [] });
+    storage.insert('savedViews', { name: 'Dairy', userId: 1, categoryId: category.id });
+    storage.insert('webhooks', { url: 'https://example.com/hook', events: ['item.created'], active: true });
+
+    const purged = storage.insert('items', { sku: 'OLD1', productName: 'Old', quantity: 0, price: 1 });
+    storage.remove('items', purged.id);
+
+    const snapshot = {};
+    COLLECTIONS.forEach(collection => {
+        snapshot[collection] = storage.all(collection);
+    });
+    return { snapshot, purgedId: purged.id };
+}
+
+test('the sqlite driver imports every collection the JSON driver wrote', t => {
+    const dataDir = createDataDir(t);
+    const { snapshot, purgedId } = populateJson(dataDir);
+
+    const storage = createStorage({ driver: 'sqlite', dataDir });
+    assert.strictEqual(storage.isNew, false);
+    COLLECTIONS.forEach(collection => {
+        assert.ok(snapshot[collection].length > 0, collection);
+        assert.deepStrictEqual(storage.all(collection), snapshot[collection], collection);
+    });
+    assert.strictEqual(createStockLedger(storage).getOnHand(snapshot.items[0].id), 6);
+
+    // The purged item's id is not handed out again
+    const created = storage.insert('items', { sku: 'NEW1', productName: 'New', quantity: 0, price: 1 });
+    assert.strictEqual(created.id, purgedId + 1);
+
+    // Reopening does not import a second time
+    const reopened = createStorage({ driver: 'sqlite', dataDir });
+    assert.strictEqual(reopened.all('items').length, snapshot.items.length + 1);
+    assert.strictEqual(reopened.all('movements').length, snapshot.movements.length);
+});
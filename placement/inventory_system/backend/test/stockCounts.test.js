@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStockLedger } = require('../stockLedger');
+const { createStockCountRouter } = require('../stockCounts');
+const { createTestStorage, testAuth, startApi } = require('./helpers');
+
+// A count of a category holding one item with 10 on hand
+async function setup(t) {
+    const storage = createTestStorage(t);
+    const ledger = createStockLedger(storage);
+    const category = storage.insert('categories', { name: 'Electronics' });
+    const item = storage.insert('items', {
+        sku: 'LP001', productName: 'Laptop', quantity: 0, price: 10, categoryId: category.id, locationId: null
+    });
+    ledger.post(item, { locationId: null, type: 'adjust', quantity: 10 });
+    const request = await startApi(t, createStockCountRouter(storage, ledger, testAuth));
+
+    const created = await request('POST', '/stock-counts', { categoryId: category.id });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.lines[0].systemQuantity, 10);
+    return { storage, ledger, item, count: created.body, request };
+}
+
+async function countAndApprove(request, count, itemId, countedQuantity) {
+    const entered = await request('PUT', `/stock-counts/${count.id}/counts`, { counts: [{ itemId, countedQuantity }] });
+    assert.strictEqual(entered.status, 200);
+    assert.strictEqual((await request('POST', `/stock-counts/${count.id}/submit`)).status, 200);
+    const approved = await request('POST', `/stock-counts/${count.id}/approve`);
+    assert.strictEqual(approved.status, 200);
+    return approved.body;
+}
+
+test('stock received before the shelf is counted is not booked again', async t => {
+    const { storage, ledger, item, count, request } = await setup(t);
+
+    ledger.post(storage.get('items', item.id), { locationId: null, type: 'receive', quantity: 5 });
+    const approved = await countAndApprove(request, count, item.id, 15);
+
+    assert.strictEqual(approved.lines[0].systemQuantity, 15);
+    assert.strictEqual(approved.lines[0].variance, 0);
+    assert.strictEqual(storage.get('items', item.id).quantity, 15);
+});
+
+test('stock issued after the shelf is counted is kept', async t => {
+    const { storage, ledger, item, count, request } = await setup(t);
+
+    const entered = await request('PUT', `/stock-counts/${count.id}/counts`, { counts: [{ itemId: item.id, countedQuantity: 8 }] });
+    assert.strictEqual(entered.status, 200);
+    ledger.post(storage.get('items', item.id), { locationId: null, type: 'issue', quantity: -3 });
+    assert.strictEqual((await request('POST', `/stock-counts/${count.id}/submit`)).status, 200);
+    const approved = await request('POST', `/stock-counts/${count.id}/approve`);
+
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.lines[0].variance, -2);
+    assert.strictEqual(storage.get('items', item.id).quantity, 5);
+});
+
+test('extra stock of a perishable item is not approved outside a lot', async t => {
+    const { storage, item, count, request } = await setup(t);
+    storage.update('categories', item.categoryId, { ...storage.get('categories', item.categoryId), perishable: true });
+
+    const entered = await request('PUT', `/stock-counts/${count.id}/counts`, { counts: [{ itemId: item.id, countedQuantity: 12 }] });
+    assert.strictEqual(entered.status, 200);
+    assert.strictEqual((await request('POST', `/stock-counts/${count.id}/submit`)).status, 200);
+    const approved = await request('POST', `/stock-counts/${count.id}/approve`);
+
+    assert.strictEqual(approved.status, 409);
+    assert.match(approved.body.message, /^LP001: Perishable stock must be received into a lot/);
+    assert.strictEqual(storage.get('stockCounts', count.id).status, 'submitted');
+    assert.strictEqual(storage.get('items', item.id).quantity, 10);
+});
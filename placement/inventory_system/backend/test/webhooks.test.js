@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createEventBus } = require('../events');
+const { createWebhookRouter } = require('../webhooks');
+const { createTestStorage, testAuth, startApi } = require('./helpers');
+
+const SECRET = 'test-secret-0123456789';
+
+/**
+ * A local endpoint that answers with `statuses` in turn, repeating the last
+ * one, and keeps every request it receives. Closed when the test ends.
+ */
+async function startReceiver(t, statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end(`reply ${requests.length}`);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+/**
+ * A webhook for item.updated pointing at a receiver. `retry` runs the
+ * delivery worker's retry timer, which is taken over rather than left to fire.
+ */
+async function setup(t, statuses) {
+    const storage = createTestStorage(t);
+    const bus = createEventBus();
+    const receiver = await startReceiver(t, statuses);
+
+    let retry = null;
+    const setIntervalMock = t.mock.method(global, 'setInterval', callback => {
+        retry = callback;
+        return { unref() {} };
+    });
+    const router = createWebhookRouter(storage, bus, testAuth);
+    setIntervalMock.mock.restore();
+
+    const request = await startApi(t, router);
+    const { body: webhook } = await request('POST', '/webhooks', {
+        url: receiver.url, events: ['item.updated'], secret: SECRET
+    });
+    return { storage, bus, receiver, request, webhook, retry };
+}
+
+// Waits until the only delivery has had `count` attempts recorded
+async function waitForAttempts(storage, count) {
+    for (let i = 0; i < 200; i++) {
+        const [delivery] = storage.all('webhookDeliveries');
+        if (delivery && delivery.attempts.length >= count) {
+            return delivery;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`No delivery reached ${count} attempts`);
+}
+
+test('deliveries are signed with the webhook secret and logged', async t => {
+    const { storage, bus, receiver, request, webhook } = await setup(t, [200]);
+
+    bus.publish('item.updated', { id: 7, sku: 'LP001' });
+    const delivery = await waitForAttempts(storage, 1);
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [{ headers, body }] = receiver.requests;
+    const expected = crypto.createHmac('sha256', SECRET)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+    assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers['x-webhook-event'], 'item.updated');
+    assert.strictEqual(headers['x-webhook-delivery'], delivery.deliveryId);
+    assert.deepStrictEqual(JSON.parse(body).data, { id: 7, sku: 'LP001' });
+
+    const log = await request('GET', `/webhooks/${webhook.id}/deliveries`);
+    assert.strictEqual(log.body.total, 1);
+    const [entry] = log.body.deliveries;
+    assert.strictEqual(entry.status, 'succeeded');
+    assert.strictEqual(entry.attemptCount, 1);
+    assert.strictEqual(entry.lastStatusCode, 200);
+    assert.strictEqual(entry.lastError, null);
+
+    const detail = await request('GET', `/webhooks/${webhook.id}/deliveries/${delivery.id}`);
+    assert.strictEqual(detail.body.attempts[0].responseBody, 'reply 1');
+});
+
+test('failed deliveries back off exponentially and give up after six attempts', async t => {
+    const { storage, bus, receiver, request, webhook, retry } = await setup(t, [500]);
+
+    bus.publish('item.updated', { id: 7, sku: 'LP001' });
+    await waitForAttempts(storage, 1);
+
+    for (let attempt = 2; attempt <= 6; attempt++) {
+        const delivery = storage.all('webhookDeliveries')[0];
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        assert.strictEqual(delivery.status, 'pending');
+        assert.strictEqual(last.error, 'HTTP 500');
+
+        // 1, 2, 4, 8 then 16 minutes after the failed attempt
+        const backoff = 60 * 1000 * 2 ** (attempt - 2);
+        const wait = Date.parse(delivery.nextAttemptAt) - Date.parse(last.timestamp);
+        assert.ok(wait >= backoff && wait < backoff + 1000, `attempt ${attempt} waits ${wait}ms`);
+
+        // Not retried before it is due
+        retry();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(receiver.requests.length, attempt - 1);
+
+        // Rather than wait out the backoff, make the retry due now
+        storage.update('webhookDeliveries', delivery.id, {
+            ...delivery,
+            nextAttemptAt: new Date(Date.now() - 1).toISOString()
+        });
+        retry();
+        await waitForAttempts(storage, attempt);
+    }
+
+    const delivery = storage.all('webhookDeliveries')[0];
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.nextAttemptAt, null);
+    assert.ok(delivery.completedAt);
+
+    retry();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(receiver.requests.length, 6);
+    assert.ok(receiver.requests.every(({ headers }) => headers['x-webhook-delivery'] === delivery.deliveryId));
+
+    const log = await request('GET', `/webhooks/${webhook.id}/deliveries?status=failed`);
+    assert.strictEqual(log.body.total, 1);
+    assert.strictEqual(log.body.deliveries[0].attemptCount, 6);
+    assert.strictEqual(log.body.deliveries[0].lastError, 'HTTP 500');
+});
@@ -0,0 +1,291 @@
+// Declarative schema validation for request bodies
+
+const { sendError } = require('./apiErrors');
+const { SORTABLE_FIELDS } = require('./itemQuery');
+
+/**
+ * Item fields clients may set. Anything not listed here is dropped.
+ *
+ * Rule options: type ('string' | 'number' | 'integer' | 'boolean'), required, nullable,
+ * min, maxLength, enum, pattern (+ patternMessage), uppercase, date (a real YYYY-MM-DD day).
+ * Category, supplier and location are references checked against storage.
+ */
+const itemSchema = {
+    productName: { type: 'string', required: true, maxLength: 200 },
+    sku: {
+        type: 'string',
+        required: true,
+        uppercase: true,
+        pattern: /^[A-Z0-9]+(-[A-Z0-9]+)*$/,
+        patternMessage: 'SKU may only contain letters, digits and single dashes',
+        maxLength: 32
+    },
+    categoryId: { type: 'integer', required: true, min: 1 },
+    quantity: { type: 'integer', required: true, min: 0 },
+    price: { type: 'number', required: true, min: 0 },
+    supplierId: { type: 'integer', nullable: true, min: 1 },
+    locationId: { type: 'integer', nullable: true, min: 1 },
+    // Unit the quantity is counted in; blank means each
+    unitId: { type: 'integer', nullable: true, min: 1 },
+    // Blank means "use the category default"
+    reorderPoint: { type: 'integer', nullable: true, min: 0 },
+    reorderQuantity: { type: 'integer', nullable: true, min: 1 }
+};
+
+/**
+ * Fields set when adding a variant to a parent item. Name, category, supplier
+ * and unit come from the parent; a blank price means "use the parent's price".
+ * Attributes are checked separately (see variants.js).
+ */
+const variantSchema = {
+    sku: itemSchema.sku,
+    quantity: { type: 'integer', nullable: true, min: 0 },
+    price: { type: 'number', nullable: true, min: 0 },
+    locationId: itemSchema.locationId,
+    reorderPoint: itemSchema.reorderPoint,
+    reorderQuantity: itemSchema.reorderQuantity
+};
+
+/**
+ * Changes a batch update makes to every selected item. Price is either set
+ * outright or moved by a percentage (-10 takes 10% off), not both.
+ */
+const batchChangesSchema = {
+    categoryId: itemSchema.categoryId,
+    supplierId: itemSchema.supplierId,
+    locationId: itemSchema.locationId,
+    price: itemSchema.price,
+    priceChangePercent: { type: 'number', min: -100 }
+};
+
+const categorySchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', nullable: true, maxLength: 500 },
+    // Used by items in this category that don't set their own
+    defaultReorderPoint: { type: 'integer', nullable: true, min: 0 },
+    defaultReorderQuantity: { type: 'integer', nullable: true, min: 1 },
+    // Items in perishable categories are received in lots with expiry dates
+    perishable: { type: 'boolean', nullable: true }
+};
+
+const supplierSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    contactName: { type: 'string', nullable: true, maxLength: 100 },
+    email: {
+        type: 'string',
+        nullable: true,
+        maxLength: 200,
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        patternMessage: 'Must be a valid email address'
+    },
+    phone: { type: 'string', nullable: true, maxLength: 50 },
+    address: { type: 'string', nullable: true, maxLength: 500 }
+};
+
+const locationSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', nullable: true, maxLength: 500 }
+};
+
+// factor is how many of the base unit (each) one of this unit holds
+const unitSchema = {
+    name: { type: 'string', required: true, maxLength: 50 },
+    abbreviation: { type: 'string', nullable: true, maxLength: 10 },
+    factor: { type: 'integer', required: true, min: 1 }
+};
+
+// Lot details sent with a receipt
+const lotSchema = {
+    lotNumber: { type: 'string', nullable: true, maxLength: 50 },
+    expiryDate: {
+        type: 'string',
+        nullable: true,
+        pattern: /^\d{4}-\d{2}-\d{2}$/,
+        patternMessage: 'Must be a date (YYYY-MM-DD)',
+        date: true
+    }
+};
+
+// Webhook subscriptions; the event list is checked separately (see webhooks.js)
+const webhookSchema = {
+    url: {
+        type: 'string',
+        required: true,
+        maxLength: 2000,
+        pattern: /^https?:\/\/[^\s/?#]+\S*$/i,
+        patternMessage: 'Must be an http or https URL'
+    },
+    description: { type: 'string', nullable: true, maxLength: 200 },
+    // Left blank, a secret is generated
+    secret: {
+        type: 'string',
+        nullable: true,
+        maxLength: 200,
+        pattern: /^\S{16,}$/,
+        patternMessage: 'Must be at least 16 characters with no spaces'
+    },
+    active: { type: 'boolean', nullable: true }
+};
+
+// A named set of item list filters; the search is checked separately (see savedViews.js)
+const savedViewSchema = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    search: { type: 'string', nullable: true, maxLength: 500 },
+    categoryId: { type: 'integer', nullable: true, min: 1 },
+    lowStock: { type: 'boolean', nullable: true },
+    sort: { type: 'string', nullable: true, enum: SORTABLE_FIELDS },
+    order: { type: 'string', nullable: true, enum: ['asc', 'desc'] }
+};
+
+const purchaseOrderSchema = {
+    supplierId: { type: 'integer', required: true, min: 1 },
+    expectedDate: {
+        type: 'string',
+        nullable: true,
+        pattern: /^\d{4}-\d{2}-\d{2}$/,
+        patternMessage: 'Must be a date (YYYY-MM-DD)',
+        date: true
+    },
+    notes: { type: 'string', nullable: true, maxLength: 1000 }
+};
+
+const purchaseOrderLineSchema = {
+    itemId: { type: 'integer', required: true, min: 1 },
+    quantity: { type: 'integer', required: true, min: 1 },
+    unitCost: { type: 'number', required: true, min: 0 }
+};
+
+const salesOrderSchema = {
+    customerName: { type: 'string', required: true, maxLength: 200 },
+    customerReference: { type: 'string', nullable: true, maxLength: 100 },
+    notes: { type: 'string', nullable: true, maxLength: 1000 }
+};
+
+// unitPrice defaults to the item's price when left out
+const salesOrderLineSchema = {
+    itemId: { type: 'integer', required: true, min: 1 },
+    quantity: { type: 'integer', required: true, min: 1 },
+    unitPrice: { type: 'number', nullable: true, min: 0 }
+};
+
+// A count covers a location, a category or the items of a category at a location
+const stockCountSchema = {
+    locationId: { type: 'integer', nullable: true, min: 1 },
+    categoryId: { type: 'integer', nullable: true, min: 1 },
+    notes: { type: 'string', nullable: true, maxLength: 1000 }
+};
+
+// One counted figure; locationId picks the line when the item is counted in
+// more than one place, and a blank countedQuantity clears the count
+const stockCountEntrySchema = {
+    itemId: { type: 'integer', required: true, min: 1 },
+    locationId: { type: 'integer', nullable: true, min: 1 },
+    countedQuantity: { type: 'integer', nullable: true, min: 0 }
+};
+
+// Whether a YYYY-MM-DD string names a day that exists, so 2024-02-30 does not
+const isCalendarDate = value => {
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+};
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check one value against its rule, returning [normalizedValue, errorMessages]
+function checkField(rule, value) {
+    if (isBlank(value)) {
+        return rule.required ? [undefined, ['This field is required']] : [null, []];
+    }
+
+    const errors = [];
+
+    if (rule.type === 'string') {
+        if (typeof value !== 'string') {
+            return [undefined, ['Must be a string']];
+        }
+        value = value.trim();
+        if (rule.uppercase) value = value.toUpperCase();
+        if (rule.maxLength && value.length > rule.maxLength) {
+            errors.push(`Must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(rule.patternMessage || 'Has an invalid format');
+        } else if (rule.date && !isCalendarDate(value)) {
+            errors.push('Must be a date that exists');
+        }
+    } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            return [undefined, ['Must be true or false']];
+        }
+    } else {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return [undefined, ['Must be a number']];
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+            errors.push('Must be a whole number');
+        }
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push(rule.min === 0 ? 'Must not be negative' : `Must be at least ${rule.min}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`Must be one of: ${rule.enum.join(', ')}`);
+    }
+
+    return [value, errors];
+}
+
+/**
+ * Validates input against a schema.
+ * With { partial: true } only the fields present in input are checked (for updates).
+ * Returns { value, errors } where value holds only schema fields and
+ * errors maps field names to messages (null when valid).
+ */
+function validate(schema, input, { partial = false } = {}) {
+    const value = {};
+    const errors = {};
+    const source = input && typeof input === 'object' ? input : {};
+
+    Object.keys(schema).forEach(field => {
+        if (partial && !(field in source)) {
+            return;
+        }
+
+        const [fieldValue, fieldErrors] = checkField(schema[field], source[field]);
+        if (fieldErrors.length > 0) {
+            errors[field] = fieldErrors;
+        } else {
+            value[field] = fieldValue;
+        }
+    });
+
+    return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Send the standard 422 response for field errors
+function sendValidationError(res, errors) {
+    return sendError(res, 422, 'Validation failed', { fields: errors });
+}
+
+module.exports = {
+    itemSchema,
+    variantSchema,
+    batchChangesSchema,
+    categorySchema,
+    supplierSchema,
+    locationSchema,
+    unitSchema,
+    lotSchema,
+    webhookSchema,
+    savedViewSchema,
+    purchaseOrderSchema,
+    purchaseOrderLineSchema,
+    salesOrderSchema,
+    salesOrderLineSchema,
+    stockCountSchema,
+    stockCountEntrySchema,
+    validate,
+    sendValidationError
+};
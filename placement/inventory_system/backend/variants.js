@@ -0,0 +1,111 @@
+// Product variants: items with a parentId and attributes (size, colour...).
+// A variant has its own SKU, stock and optionally its own price; everything
+// else that describes the product is kept in step with the parent.
+
+// Fields a variant always takes from its parent
+const VARIANT_SHARED_FIELDS = ['productName', 'categoryId', 'supplierId', 'unitId'];
+
+const MAX_ATTRIBUTES = 5;
+const MAX_ATTRIBUTE_LENGTH = 50;
+
+/**
+ * Validates a variant's attributes: an object of 1-5 non-blank string names
+ * and values. Returns { value, errors } like validate().
+ */
+function validateAttributes(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: { attributes: ['Must be an object of attribute names and values'] } };
+    }
+
+    const value = {};
+    const messages = [];
+    Object.keys(input).forEach(key => {
+        const name = key.trim();
+        const attribute = typeof input[key] === 'string' || typeof input[key] === 'number'
+            ? String(input[key]).trim()
+            : '';
+
+        if (!name || !attribute) {
+            messages.push(`${name || 'Attribute'} needs a name and a value`);
+        } else if (name.length > MAX_ATTRIBUTE_LENGTH || attribute.length > MAX_ATTRIBUTE_LENGTH) {
+            messages.push(`Names and values must be at most ${MAX_ATTRIBUTE_LENGTH} characters`);
+        } else {
+            value[name] = attribute;
+        }
+    });
+
+    const count = Object.keys(value).length;
+    if (messages.length === 0 && (count === 0 || count > MAX_ATTRIBUTES)) {
+        messages.push(`Must have between 1 and ${MAX_ATTRIBUTES} attributes`);
+    }
+
+    return { value, errors: messages.length > 0 ? { attributes: messages } : null };
+}
+
+// Attributes compared ignoring case and order, for the duplicate check
+function attributesKey(attributes) {
+    return Object.keys(attributes)
+        .map(name => `${name.toLowerCase()}=${String(attributes[name]).toLowerCase()}`)
+        .sort()
+        .join('|');
+}
+
+// A parent's variants (including any in the trash unless asked otherwise)
+function getVariants(storage, parentId, { includeArchived = true } = {}) {
+    return storage.all('items').filter(item =>
+        item.parentId === parentId && (includeArchived || !item.archived));
+}
+
+/**
+ * Error message when another variant of the parent already has these
+ * attributes, or null
+ */
+function findAttributeClash(storage, parentId, attributes, exceptId = null) {
+    const key = attributesKey(attributes);
+    const clash = getVariants(storage, parentId)
+        .find(variant => variant.id !== exceptId && attributesKey(variant.attributes || {}) === key);
+    return clash ? `Variant ${clash.sku} already has these attributes` : null;
+}
+
+// The fields a variant takes from its parent right now
+function inheritedFields(parent, variant) {
+    const fields = {};
+    VARIANT_SHARED_FIELDS.forEach(field => {
+        fields[field] = parent[field] === undefined ? null : parent[field];
+    });
+    if (variant.inheritsPrice) {
+        fields.price = parent.price;
+    }
+    return fields;
+}
+
+/**
+ * Copies the parent's shared fields (and price, where inherited) onto its
+ * variants after the parent changes. Call inside a transaction. Returns
+ * [{ before, after }] for each variant that changed.
+ */
+function syncVariants(storage, parent) {
+    const changes = [];
+    getVariants(storage, parent.id).forEach(variant => {
+        const inherited = inheritedFields(parent, variant);
+        if (Object.keys(inherited).every(field => variant[field] === inherited[field])) {
+            return;
+        }
+        const after = storage.update('items', variant.id, {
+            ...variant,
+            ...inherited,
+            lastUpdated: new Date().toISOString()
+        });
+        changes.push({ before: variant, after });
+    });
+    return changes;
+}
+
+module.exports = {
+    VARIANT_SHARED_FIELDS,
+    validateAttributes,
+    getVariants,
+    findAttributeClash,
+    inheritedFields,
+    syncVariants
+};
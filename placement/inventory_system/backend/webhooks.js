@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const express = require('express');
+const { EVENT_TYPES } = require('./events');
+const { paginate } = require('./itemQuery');
+const { webhookSchema, validate, sendValidationError } = require('./validation');
+
+// Outbound webhooks: bus events are POSTed as JSON to each active subscription
+// that asked for them. Every request carries these headers:
+//
+//   X-Webhook-Event      the event type, e.g. item.updated
+//   X-Webhook-Delivery   the delivery id (the same on every retry)
+//   X-Webhook-Timestamp  Unix seconds when this attempt was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed by the secret>
+//
+// Any 2xx response counts as delivered. Anything else is retried with
+// exponential backoff (1, 2, 4, 8, 16 minutes) before the delivery is marked failed.
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_POLL_MS = 15 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_RESPONSE_BODY = 1000;
+
+// Finished deliveries kept per webhook; older ones are pruned
+const DELIVERY_LOG_LIMIT = 500;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Subscriptions as returned by the API; the secret is only shown when it is set
+function presentWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Checks the list of events a subscription wants
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return { events: ['Choose at least one event'] };
+    }
+    const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+        return { events: [`Unknown events: ${unknown.join(', ')}. Choose from: ${EVENT_TYPES.join(', ')}`] };
+    }
+    return null;
+}
+
+// Signature header value for a request body sent at `timestamp`
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Webhook subscriptions, their delivery log and the delivery worker.
+ * Subscribes to the event bus; deliveries not finished when the server
+ * stopped are picked up again by the retry timer.
+ */
+function createWebhookRouter(storage, bus, { authenticate, requireRole }) {
+    const router = express.Router();
+
+    // Deliveries with a request in progress, so the retry timer skips them
+    const inFlight = new Set();
+
+    // Send one attempt of a delivery and record the outcome
+    async function attemptDelivery(deliveryId) {
+        if (inFlight.has(deliveryId)) return;
+        inFlight.add(deliveryId);
+
+        try {
+            const delivery = storage.get('webhookDeliveries', deliveryId);
+            const webhook = delivery && storage.get('webhooks', delivery.webhookId);
+            if (!delivery || delivery.status !== 'pending') return;
+            if (!webhook) {
+                storage.remove('webhookDeliveries', deliveryId);
+                return;
+            }
+
+            const body = JSON.stringify(delivery.payload);
+            const timestamp = Math.floor(Date.now() / 1000);
+            const started = Date.now();
+            const attempt = { timestamp: new Date(started).toISOString(), statusCode: null, error: null, responseBody: null };
+
+            try {
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'inventory-system-webhooks',
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Delivery': delivery.deliveryId,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+                    },
+                    body,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+                });
+                attempt.statusCode = response.status;
+                attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+                if (!response.ok) {
+                    attempt.error = `HTTP ${response.status}`;
+                }
+            } catch (error) {
+                attempt.error = error.name === 'TimeoutError'
+                    ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+                    : (error.cause && error.cause.message) || error.message;
+            }
+            attempt.durationMs = Date.now() - started;
+
+            // The delivery may have been deleted along with its webhook meanwhile
+            const current = storage.get('webhookDeliveries', deliveryId);
+            if (!current) return;
+
+            const attempts = [...current.attempts, attempt];
+            let status = 'pending';
+            let nextAttemptAt = null;
+            if (!attempt.error) {
+                status = 'succeeded';
+            } else if (attempts.length >= MAX_ATTEMPTS) {
+                status = 'failed';
+            } else {
+                nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts.length - 1)).toISOString();
+            }
+
+            storage.update('webhookDeliveries', deliveryId, {
+                ...current,
+                status,
+                attempts,
+                nextAttemptAt,
+                completedAt: status === 'pending' ? null : new Date().toISOString()
+            });
+            if (status !== 'pending') {
+                pruneDeliveries(current.webhookId);
+            }
+        } catch (error) {
+            console.error('Error delivering webhook:', error);
+        } finally {
+            inFlight.delete(deliveryId);
+        }
+    }
+
+    // Queue a payload for a webhook and send the first attempt right away
+    function enqueue(webhook, event, payload, redeliveryOf = null) {
+        const now = new Date().toISOString();
+        const delivery = storage.insert('webhookDeliveries', {
+            webhookId: webhook.id,
+            deliveryId: crypto.randomUUID(),
+            event,
+            payload,
+            status: 'pending',
+            attempts: [],
+            createdAt: now,
+            nextAttemptAt: now,
+            completedAt: null,
+            redeliveryOf
+        });
+        attemptDelivery(delivery.id);
+        return delivery;
+    }
+
+    // Drop the oldest finished deliveries beyond the log limit
+    function pruneDeliveries(webhookId) {
+        const finished = storage.all('webhookDeliveries')
+            .filter(delivery => delivery.webhookId === webhookId && delivery.status !== 'pending');
+        finished.slice(0, Math.max(0, finished.length - DELIVERY_LOG_LIMIT))
+            .forEach(delivery => storage.remove('webhookDeliveries', delivery.id));
+    }
+
+    bus.subscribe(event => {
+        try {
+            const webhooks = storage.all('webhooks')
+                .filter(webhook => webhook.active && webhook.events.includes(event.type));
+            if (webhooks.length === 0) return;
+
+            // One event id per event, shared by every subscription and retry
+            const payload = { id: crypto.randomUUID(), type: event.type, timestamp: event.timestamp, data: event.data };
+            webhooks.forEach(webhook => enqueue(webhook, event.type, payload));
+        } catch (error) {
+            console.error('Error queueing webhook deliveries:', error);
+        }
+    });
+
+    // Retry deliveries whose backoff has passed
+    const retryTimer = setInterval(() => {
+        const now = new Date().toISOString();
+        storage.all('webhookDeliveries')
+            .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+            .forEach(delivery => attemptDelivery(delivery.id));
+    }, RETRY_POLL_MS);
+    retryTimer.unref();
+
+    // Checks a create or update body; pass the existing webhook for updates
+    function validateWebhook(input, existing = null) {
+        const { value, errors } = validate(webhookSchema, input, { partial: Boolean(existing) });
+        const allErrors = { ...errors };
+
+        if (!existing || (input && 'events' in input)) {
+            const eventErrors = validateEvents(input && input.events);
+            if (eventErrors) {
+                Object.assign(allErrors, eventErrors);
+            } else {
+                value.events = [...new Set(input.events)];
+            }
+        }
+
+        return { value, errors: Object.keys(allErrors).length > 0 ? allErrors : null };
+    }
+
+    // Looks up the webhook in :id, sending 404 when it doesn't exist
+    function findWebhook(req, res) {
+        const webhook = storage.get('webhooks', parseInt(req.params.id));
+        if (!webhook) {
+            res.status(404).json({ error: 'Webhook not found' });
+        }
+        return webhook;
+    }
+
+    // Events a webhook can subscribe to
+    router.get('/webhooks/events', authenticate, requireRole('admin'), (req, res) => {
+        res.json(EVENT_TYPES);
+    });
+
+    // List webhooks
+    router.get('/webhooks', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            res.json(storage.all('webhooks').map(presentWebhook));
+        } catch (error) {
+            console.error('Error fetching webhooks:', error);
+            res.status(500).json({ error: 'Failed to fetch webhooks' });
+        }
+    });
+
+    // Get one webhook
+    router.get('/webhooks/:id', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const webhook = findWebhook(req, res);
+            if (!webhook) return;
+            res.json(presentWebhook(webhook));
+        } catch (error) {
+            console.error('Error fetching webhook:', error);
+            res.status(500).json({ error: 'Failed to fetch webhook' });
+        }
+    });
+
+    // Create a webhook. The response is the only time the secret is returned.
+    router.post('/webhooks', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const { value, errors } = validateWebhook(req.body);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+
+            const webhook = storage.insert('webhooks', {
+                ...value,
+                secret: value.secret || crypto.randomBytes(24).toString('hex'),
+                active: value.active !== false,
+                createdAt: new Date().toISOString(),
+                createdBy: req.user.username
+            });
+            res.status(201).json({ ...presentWebhook(webhook), secret: webhook.secret });
+        } catch (error) {
+            console.error('Error creating webhook:', error);
+            res.status(500).json({ error: 'Failed to create webhook' });
+        }
+    });
+
+    // Update a webhook; only the fields sent change. A new secret is echoed back.
+    router.put('/webhooks/:id', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const existing = findWebhook(req, res);
+            if (!existing) return;
+
+            const { value, errors } = validateWebhook(req.body, existing);
+            if (errors) {
+                return sendValidationError(res, errors);
+            }
+            if (value.secret === null) delete value.secret;
+            if (value.active === null) delete value.active;
+
+            const webhook = storage.update('webhooks', existing.id, { ...existing, ...value });
+            res.json(value.secret ? { ...presentWebhook(webhook), secret: webhook.secret } : presentWebhook(webhook));
+        } catch (error) {
+            console.error('Error updating webhook:', error);
+            res.status(500).json({ error: 'Failed to update webhook' });
+        }
+    });
+
+    // Delete a webhook and its delivery log
+    router.delete('/webhooks/:id', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const webhook = findWebhook(req, res);
+            if (!webhook) return;
+
+            storage.transaction(() => {
+                storage.all('webhookDeliveries')
+                    .filter(delivery => delivery.webhookId === webhook.id)
+                    .forEach(delivery => storage.remove('webhookDeliveries', delivery.id));
+                storage.remove('webhooks', webhook.id);
+            });
+            res.status(204).send();
+        } catch (error) {
+            console.error('Error deleting webhook:', error);
+            res.status(500).json({ error: 'Failed to delete webhook' });
+        }
+    });
+
+    // A webhook's deliveries, newest first, optionally filtered by ?status=
+    router.get('/webhooks/:id/deliveries', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const webhook = findWebhook(req, res);
+            if (!webhook) return;
+
+            const { status } = req.query;
+            const page = req.query.page === undefined ? 1 : Number(req.query.page);
+            const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+
+            if (status && !DELIVERY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+            }
+            if (!Number.isInteger(page) || page < 1) {
+                return res.status(400).json({ error: 'page must be a positive integer' });
+            }
+            if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+                return res.status(400).json({ error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` });
+            }
+
+            const deliveries = storage.all('webhookDeliveries')
+                .filter(delivery => delivery.webhookId === webhook.id && (!status || delivery.status === status))
+                .sort((a, b) => b.id - a.id)
+                // The list leaves out payloads and response bodies; fetch a delivery for those
+                .map(({ payload, attempts, ...delivery }) => {
+                    const last = attempts[attempts.length - 1] || null;
+                    return {
+                        ...delivery,
+                        attemptCount: attempts.length,
+                        lastStatusCode: last ? last.statusCode : null,
+                        lastError: last ? last.error : null
+                    };
+                });
+
+            const { items, ...pageInfo } = paginate(deliveries, { page, pageSize });
+            res.json({ deliveries: items, ...pageInfo });
+        } catch (error) {
+            console.error('Error fetching webhook deliveries:', error);
+            res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+        }
+    });
+
+    // One delivery with its payload and every attempt
+    router.get('/webhooks/:id/deliveries/:deliveryId', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const delivery = storage.get('webhookDeliveries', parseInt(req.params.deliveryId));
+            if (!delivery || delivery.webhookId !== parseInt(req.params.id)) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+            res.json(delivery);
+        } catch (error) {
+            console.error('Error fetching webhook delivery:', error);
+            res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+        }
+    });
+
+    // Send a delivery's payload again as a new delivery, whatever its status
+    router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', authenticate, requireRole('admin'), (req, res) => {
+        try {
+            const webhook = findWebhook(req, res);
+            if (!webhook) return;
+
+            const original = storage.get('webhookDeliveries', parseInt(req.params.deliveryId));
+            if (!original || original.webhookId !== webhook.id) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+
+            res.status(202).json(enqueue(webhook, original.event, original.payload, original.id));
+        } catch (error) {
+            console.error('Error redelivering webhook:', error);
+            res.status(500).json({ error: 'Failed to redeliver webhook' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhookRouter, sign };
@@ -0,0 +1,1675 @@
+// @ts-check
+// Generated from the API's OpenAPI document (Inventory Management System API 1.0.0)
+// by backend/generateClient.js. Do not edit by hand: run npm run generate:client.
+
+/**
+ * @typedef {Object} ApiError
+ * @property {'BAD_REQUEST'|'UNAUTHORIZED'|'FORBIDDEN'|'NOT_FOUND'|'CONFLICT'|'PRECONDITION_FAILED'|'PAYLOAD_TOO_LARGE'|'VALIDATION_FAILED'|'PRECONDITION_REQUIRED'|'INTERNAL_ERROR'} code
+ * @property {string} message
+ * @property {(Object<string, *>|null)} details - fields (422): messages per field; current (412): the item as now saved
+ */
+
+/**
+ * @typedef {Object} ApiValidationDetails
+ * @property {Object<string, Array<string>>} fields
+ */
+
+/**
+ * @typedef {Object} ApiLoginRequest
+ * @property {string} username
+ * @property {string} password
+ */
+
+/**
+ * @typedef {Object} ApiUser
+ * @property {number} id
+ * @property {string} username
+ * @property {'viewer'|'clerk'|'admin'} role
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} ApiUserInput
+ * @property {string} username
+ * @property {string} password
+ * @property {'viewer'|'clerk'|'admin'} [role]
+ */
+
+/**
+ * @typedef {Object} ApiUserUpdate
+ * @property {string} [password]
+ * @property {'viewer'|'clerk'|'admin'} [role]
+ */
+
+/**
+ * @typedef {Object} ApiSession
+ * @property {string} token
+ * @property {ApiUser} user
+ */
+
+/**
+ * @typedef {Object} ApiItemInput
+ * @property {string} productName
+ * @property {string} sku - SKU may only contain letters, digits and single dashes
+ * @property {number} categoryId
+ * @property {number} quantity
+ * @property {number} price
+ * @property {(number|null)} [supplierId]
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [unitId]
+ * @property {(number|null)} [reorderPoint]
+ * @property {(number|null)} [reorderQuantity]
+ */
+
+/**
+ * Only the fields sent change. Variants send attributes (and a null price to use the parent's) instead of the fields they share with their parent.
+ * @typedef {Object} ApiItemUpdate
+ * @property {string} [productName]
+ * @property {string} [sku] - SKU may only contain letters, digits and single dashes
+ * @property {number} [categoryId]
+ * @property {number} [quantity]
+ * @property {number} [price]
+ * @property {(number|null)} [supplierId]
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [unitId]
+ * @property {(number|null)} [reorderPoint]
+ * @property {(number|null)} [reorderQuantity]
+ * @property {Object<string, string>} [attributes] - Variant attributes such as { "Size": "M" } (1-5 names and values)
+ */
+
+/**
+ * @typedef {Object} ApiVariantInput
+ * @property {string} sku - SKU may only contain letters, digits and single dashes
+ * @property {(number|null)} [quantity]
+ * @property {(number|null)} [price]
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [reorderPoint]
+ * @property {(number|null)} [reorderQuantity]
+ * @property {Object<string, string>} attributes - Variant attributes such as { "Size": "M" } (1-5 names and values)
+ */
+
+/**
+ * @typedef {Object} ApiStockLevel
+ * @property {(number|null)} locationId
+ * @property {(string|null)} location
+ * @property {number} quantity
+ */
+
+/**
+ * @typedef {Object} ApiItem
+ * @property {string} productName
+ * @property {string} sku - SKU may only contain letters, digits and single dashes
+ * @property {number} categoryId
+ * @property {number} quantity
+ * @property {number} price
+ * @property {(number|null)} [supplierId]
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [unitId]
+ * @property {(number|null)} [reorderPoint]
+ * @property {(number|null)} [reorderQuantity]
+ * @property {number} id
+ * @property {number} version
+ * @property {string} lastUpdated
+ * @property {(string|null)} category
+ * @property {(string|null)} supplier
+ * @property {(string|null)} location
+ * @property {(string|null)} unit
+ * @property {Array<ApiStockLevel>} stock
+ * @property {number} reserved
+ * @property {number} available
+ * @property {number} effectiveReorderPoint
+ * @property {number} effectiveReorderQuantity
+ * @property {'in-stock'|'low-stock'|'out-of-stock'} stockStatus
+ * @property {(string|null)} nextExpiry
+ * @property {('expired'|'expiring'|null)} expiryStatus
+ * @property {number} [parentId] - Set on variants
+ * @property {Object<string, string>} [attributes] - Variant attributes such as { "Size": "M" } (1-5 names and values)
+ * @property {boolean} [inheritsPrice]
+ * @property {boolean} [archived]
+ * @property {(string|null)} [deletedAt] - Set while the item is in the trash
+ * @property {(string|null)} [deletedBy]
+ * @property {Array<ApiItem>} [variants] - Listed with ?group=true
+ * @property {number} [relevance] - How well the item matched ?search=
+ */
+
+/**
+ * @typedef {Object} ApiItemPage
+ * @property {Array<ApiItem>} items
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} ApiImportResult
+ * @property {boolean} committed
+ * @property {number} unchanged
+ * @property {Array<Object<string, *>>} creates
+ * @property {Array<Object<string, *>>} updates
+ * @property {Array<Object<string, *>>} errors
+ */
+
+/**
+ * @typedef {Object} ApiBatchRequest
+ * @property {'update'|'delete'} action
+ * @property {Array<{ id: number, version: number }>} items
+ * @property {{ categoryId?: number, supplierId?: (number|null), locationId?: (number|null), price?: number, priceChangePercent?: (number|null) }} [changes] - For update: the fields to set on every item. Set price or move it by priceChangePercent, not both.
+ */
+
+/**
+ * @typedef {Object} ApiBatchItemResult
+ * @property {number} id
+ * @property {(string|null)} sku
+ * @property {'updated'|'deleted'|'unchanged'|'failed'} status
+ * @property {(string|null)} error
+ * @property {ApiItem} [item] - The item after the batch; only when it was applied
+ */
+
+/**
+ * @typedef {Object} ApiBatchResult
+ * @property {boolean} applied - Always true here; a refused batch is a 409 with the results in details
+ * @property {Array<ApiBatchItemResult>} results
+ */
+
+/**
+ * @typedef {Object} ApiLowStockAlerts
+ * @property {number} count
+ * @property {Array<ApiItem>} items
+ */
+
+/**
+ * @typedef {Object} ApiMovement
+ * @property {number} id
+ * @property {number} itemId
+ * @property {(number|null)} locationId
+ * @property {(number|null)} lotId
+ * @property {'receive'|'issue'|'adjust'|'transfer'} type
+ * @property {number} quantity
+ * @property {(string|null)} reason
+ * @property {(string|null)} reference
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {Object} ApiListedMovement
+ * @property {number} id
+ * @property {number} itemId
+ * @property {(number|null)} locationId
+ * @property {(number|null)} lotId
+ * @property {'receive'|'issue'|'adjust'|'transfer'} type
+ * @property {number} quantity
+ * @property {(string|null)} reason
+ * @property {(string|null)} reference
+ * @property {string} timestamp
+ * @property {(string|null)} lotNumber
+ */
+
+/**
+ * @typedef {Object} ApiMovementInput
+ * @property {number} quantity - Positive for receive and issue; the signed change for adjust
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [unitId] - Unit the quantity is counted in
+ * @property {(string|null)} [reason]
+ * @property {(string|null)} [reference]
+ * @property {(string|null)} [lotNumber]
+ * @property {(string|null)} [expiryDate] - Must be a date (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} ApiMovementResult
+ * @property {ApiMovement} movement
+ * @property {Array<ApiMovement>} movements
+ * @property {ApiItem} item
+ */
+
+/**
+ * @typedef {Object} ApiTransferInput
+ * @property {number} fromLocationId
+ * @property {number} toLocationId
+ * @property {number} quantity
+ * @property {(string|null)} [reason]
+ * @property {(string|null)} [reference]
+ */
+
+/**
+ * @typedef {Object} ApiTransferResult
+ * @property {Array<ApiMovement>} movements
+ * @property {ApiItem} item
+ */
+
+/**
+ * @typedef {Object} ApiLot
+ * @property {number} id
+ * @property {number} itemId
+ * @property {string} lotNumber
+ * @property {string} receivedDate
+ * @property {(string|null)} expiryDate
+ * @property {number} quantity
+ * @property {Array<{ locationId: (number|null), quantity: number }>} stock
+ * @property {boolean} expired
+ * @property {('expired'|'expiring'|null)} expiryStatus
+ */
+
+/**
+ * @typedef {Object} ApiExpiringLots
+ * @property {number} days
+ * @property {number} count
+ * @property {Array<{ lotId: number, lotNumber: string, itemId: number, sku: string, productName: string, receivedDate: string, expiryDate: string, daysLeft: number, expired: boolean, quantity: number }>} lots
+ */
+
+/**
+ * @typedef {Object} ApiCategoryInput
+ * @property {string} name
+ * @property {(string|null)} [description]
+ * @property {(number|null)} [defaultReorderPoint]
+ * @property {(number|null)} [defaultReorderQuantity]
+ * @property {(boolean|null)} [perishable]
+ */
+
+/**
+ * @typedef {Object} ApiCategory
+ * @property {string} name
+ * @property {(string|null)} [description]
+ * @property {(number|null)} [defaultReorderPoint]
+ * @property {(number|null)} [defaultReorderQuantity]
+ * @property {(boolean|null)} [perishable]
+ * @property {number} id
+ * @property {number} [itemCount] - Included when listing
+ */
+
+/**
+ * @typedef {Object} ApiSupplierInput
+ * @property {string} name
+ * @property {(string|null)} [contactName]
+ * @property {(string|null)} [email] - Must be a valid email address
+ * @property {(string|null)} [phone]
+ * @property {(string|null)} [address]
+ */
+
+/**
+ * @typedef {Object} ApiSupplier
+ * @property {string} name
+ * @property {(string|null)} [contactName]
+ * @property {(string|null)} [email] - Must be a valid email address
+ * @property {(string|null)} [phone]
+ * @property {(string|null)} [address]
+ * @property {number} id
+ * @property {number} [itemCount] - Included when listing
+ */
+
+/**
+ * @typedef {Object} ApiLocationInput
+ * @property {string} name
+ * @property {(string|null)} [description]
+ */
+
+/**
+ * @typedef {Object} ApiLocation
+ * @property {string} name
+ * @property {(string|null)} [description]
+ * @property {number} id
+ * @property {number} [itemCount] - Included when listing
+ */
+
+/**
+ * @typedef {Object} ApiUnitInput
+ * @property {string} name
+ * @property {(string|null)} [abbreviation]
+ * @property {number} factor
+ */
+
+/**
+ * @typedef {Object} ApiUnit
+ * @property {string} name
+ * @property {(string|null)} [abbreviation]
+ * @property {number} factor
+ * @property {number} id
+ * @property {number} [itemCount] - Included when listing
+ */
+
+/**
+ * @typedef {Object} ApiPurchaseOrderLine
+ * @property {number} itemId
+ * @property {number} quantity
+ * @property {number} unitCost
+ * @property {number} receivedQuantity
+ * @property {(string|null)} sku
+ * @property {(string|null)} productName
+ * @property {number} lineTotal
+ */
+
+/**
+ * @typedef {Object} ApiPurchaseOrderInput
+ * @property {number} supplierId
+ * @property {(string|null)} [expectedDate] - Must be a date (YYYY-MM-DD)
+ * @property {(string|null)} [notes]
+ * @property {Array<{ itemId: number, quantity: number, unitCost: number }>} lines
+ */
+
+/**
+ * @typedef {Object} ApiPurchaseOrder
+ * @property {number} [id]
+ * @property {string} [number]
+ * @property {'draft'|'submitted'|'partially_received'|'received'|'cancelled'} [status]
+ * @property {number} [supplierId]
+ * @property {(string|null)} [expectedDate] - Must be a date (YYYY-MM-DD)
+ * @property {(string|null)} [notes]
+ * @property {(string|null)} [supplier]
+ * @property {Array<ApiPurchaseOrderLine>} [lines]
+ * @property {number} [total]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} ApiPurchaseOrderDrafts
+ * @property {Array<ApiPurchaseOrder>} created
+ * @property {Array<Object<string, *>>} skipped
+ */
+
+/**
+ * @typedef {Object} ApiPurchaseOrderReceipt
+ * @property {(number|null)} [locationId]
+ * @property {Array<{ itemId: number, quantity: number, lotNumber: (string|null), expiryDate: (string|null) }>} [lines] - Leave out to receive everything outstanding
+ */
+
+/**
+ * @typedef {Object} ApiSalesOrderLine
+ * @property {number} itemId
+ * @property {number} quantity
+ * @property {(number|null)} [unitPrice]
+ * @property {number} fulfilledQuantity
+ * @property {(string|null)} sku
+ * @property {(string|null)} productName
+ * @property {number} lineTotal
+ */
+
+/**
+ * @typedef {Object} ApiSalesOrderInput
+ * @property {string} customerName
+ * @property {(string|null)} [customerReference]
+ * @property {(string|null)} [notes]
+ * @property {Array<{ itemId: number, quantity: number, unitPrice?: (number|null) }>} lines
+ */
+
+/**
+ * @typedef {Object} ApiSalesOrder
+ * @property {number} [id]
+ * @property {string} [number]
+ * @property {'open'|'partially_fulfilled'|'fulfilled'|'cancelled'} [status]
+ * @property {string} [customerName]
+ * @property {(string|null)} [customerReference]
+ * @property {(string|null)} [notes]
+ * @property {Array<ApiSalesOrderLine>} [lines]
+ * @property {number} [total]
+ * @property {string} [createdAt]
+ */
+
+/**
+ * @typedef {Object} ApiSalesOrderFulfilment
+ * @property {(number|null)} [locationId]
+ * @property {Array<{ itemId: number, quantity: number }>} [lines] - Leave out to ship everything outstanding
+ */
+
+/**
+ * Give a location, a category or both
+ * @typedef {Object} ApiStockCountInput
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [categoryId]
+ * @property {(string|null)} [notes]
+ */
+
+/**
+ * @typedef {Object} ApiStockCountLine
+ * @property {number} itemId
+ * @property {(string|null)} sku
+ * @property {(string|null)} productName
+ * @property {(number|null)} locationId
+ * @property {(string|null)} location
+ * @property {(number|null)} countedQuantity
+ * @property {(string|null)} countedBy
+ * @property {(string|null)} countedAt
+ * @property {number} [systemQuantity] - On hand when the line was counted (or the count started, until then); left out while the count is blind
+ * @property {(number|null)} [variance] - Counted minus system quantity; left out while the count is blind
+ */
+
+/**
+ * @typedef {Object} ApiStockCount
+ * @property {number} id
+ * @property {string} number
+ * @property {'counting'|'submitted'|'approved'|'cancelled'} status
+ * @property {(number|null)} [locationId]
+ * @property {(number|null)} [categoryId]
+ * @property {(string|null)} [notes]
+ * @property {(string|null)} [location]
+ * @property {(string|null)} [category]
+ * @property {Array<ApiStockCountLine>} [lines] - Left out when listing
+ * @property {number} lineCount
+ * @property {number} countedCount
+ * @property {boolean} blind - Whether system quantities are hidden from this user
+ * @property {string} [createdBy]
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {(string|null)} [submittedBy]
+ * @property {(string|null)} [submittedAt]
+ * @property {(string|null)} [approvedBy]
+ * @property {(string|null)} [approvedAt]
+ */
+
+/**
+ * @typedef {Object} ApiStockCountEntries
+ * @property {Array<{ itemId: number, locationId?: (number|null), countedQuantity?: (number|null) }>} counts
+ */
+
+/**
+ * @typedef {Object} ApiVarianceReport
+ * @property {string} count
+ * @property {'counting'|'submitted'|'approved'|'cancelled'} status
+ * @property {string} generatedAt
+ * @property {Array<{ itemId: number, sku: (string|null), productName: (string|null), locationId: (number|null), location: (string|null), countedQuantity: (number|null), countedBy: (string|null), countedAt: (string|null), systemQuantity?: number, variance?: (number|null), unitValue: number, varianceValue: (number|null) }>} rows
+ * @property {{ lines: number, counted: number, withVariance: number, unitsOver: number, unitsShort: number, netValue: number, absoluteValue: number, accuracy: (number|null) }} totals
+ */
+
+/**
+ * @typedef {Object} ApiAuditEntry
+ * @property {number} id
+ * @property {string} entityType
+ * @property {number} entityId
+ * @property {string} sku
+ * @property {'create'|'update'|'delete'|'restore'|'purge'} action
+ * @property {(number|null)} userId
+ * @property {string} username
+ * @property {string} timestamp
+ * @property {Object<string, { before: *, after: * }>} changes
+ */
+
+/**
+ * @typedef {Object} ApiAuditPage
+ * @property {Array<ApiAuditEntry>} entries
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} ApiReportInfo
+ * @property {'summary'|'value-by-category'|'value-by-supplier'|'value-by-location'|'stock-status'|'turnover'} name
+ * @property {string} title
+ */
+
+/**
+ * @typedef {Object} ApiReport
+ * @property {string} report
+ * @property {string} title
+ * @property {string} generatedAt
+ * @property {Array<Object<string, *>>} rows
+ * @property {Object<string, *>} totals
+ */
+
+/**
+ * @typedef {Object} ApiSavedViewInput
+ * @property {string} name
+ * @property {(string|null)} [search]
+ * @property {(number|null)} [categoryId]
+ * @property {(boolean|null)} [lowStock]
+ * @property {('relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt'|null)} [sort]
+ * @property {('asc'|'desc'|null)} [order]
+ */
+
+/**
+ * @typedef {Object} ApiSavedViewUpdate
+ * @property {string} [name]
+ * @property {(string|null)} [search]
+ * @property {(number|null)} [categoryId]
+ * @property {(boolean|null)} [lowStock]
+ * @property {('relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt'|null)} [sort]
+ * @property {('asc'|'desc'|null)} [order]
+ */
+
+/**
+ * @typedef {Object} ApiSavedView
+ * @property {string} name
+ * @property {(string|null)} [search]
+ * @property {(number|null)} [categoryId]
+ * @property {(boolean|null)} [lowStock]
+ * @property {('relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt'|null)} [sort]
+ * @property {('asc'|'desc'|null)} [order]
+ * @property {number} id
+ * @property {number} userId
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} ApiWebhookInput
+ * @property {string} url - Must be an http or https URL
+ * @property {(string|null)} [description]
+ * @property {(string|null)} [secret] - Must be at least 16 characters with no spaces
+ * @property {(boolean|null)} [active]
+ * @property {Array<'item.created'|'item.updated'|'item.deleted'|'stock.low'>} events
+ */
+
+/**
+ * @typedef {Object} ApiWebhookUpdate
+ * @property {string} [url] - Must be an http or https URL
+ * @property {(string|null)} [description]
+ * @property {(string|null)} [secret] - Must be at least 16 characters with no spaces
+ * @property {(boolean|null)} [active]
+ * @property {Array<'item.created'|'item.updated'|'item.deleted'|'stock.low'>} [events]
+ */
+
+/**
+ * @typedef {Object} ApiWebhook
+ * @property {number} id
+ * @property {string} url
+ * @property {(string|null)} [description]
+ * @property {Array<'item.created'|'item.updated'|'item.deleted'|'stock.low'>} events
+ * @property {boolean} active
+ * @property {string} [createdAt]
+ * @property {string} [createdBy]
+ * @property {string} [secret] - Only returned when the webhook is created or its secret changes
+ */
+
+/**
+ * @typedef {Object} ApiWebhookDelivery
+ * @property {number} [id]
+ * @property {number} [webhookId]
+ * @property {string} [deliveryId]
+ * @property {'item.created'|'item.updated'|'item.deleted'|'stock.low'} [event]
+ * @property {'pending'|'succeeded'|'failed'} [status]
+ * @property {{ id: string, type: string, timestamp: string, data: * }} [payload]
+ * @property {Array<{ timestamp: string, statusCode: (number|null), error: (string|null), responseBody: (string|null), durationMs: number }>} [attempts]
+ * @property {string} [createdAt]
+ * @property {(string|null)} [nextAttemptAt]
+ * @property {(string|null)} [completedAt]
+ * @property {(number|null)} [redeliveryOf]
+ */
+
+/**
+ * @typedef {Object} ApiWebhookDeliveryPage
+ * @property {Array<ApiWebhookDelivery>} deliveries
+ * @property {number} total
+ * @property {number} page
+ * @property {number} pageSize
+ * @property {number} totalPages
+ */
+
+/**
+ * A successful fetch Response whose JSON body is a T
+ * @template T
+ * @typedef {Omit<Response, 'ok' | 'json'> & { ok: true, json(): Promise<T> }} ApiSuccessResponse
+ */
+
+/**
+ * A failed fetch Response, whose JSON body is the error envelope
+ * @typedef {Omit<Response, 'ok' | 'json'> & { ok: false, json(): Promise<ApiError> }} ApiErrorResponse
+ */
+
+/**
+ * The response to an operation; check `ok` before reading the body
+ * @template T
+ * @typedef {ApiSuccessResponse<T>|ApiErrorResponse} ApiResponse
+ */
+
+/**
+ * Performs a request given its path below the API base URL
+ * @callback ApiSend
+ * @param {string} path
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+
+/**
+ * The route with its path parameters filled in, followed by a query string
+ * of the query parameters that are set
+ * @param {string} route
+ * @param {Object<string, *>} params
+ * @param {string[]} queryNames
+ * @returns {string}
+ */
+function apiPath(route, params, queryNames) {
+    const path = route.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(String(params[name])));
+    const query = new URLSearchParams();
+    queryNames.forEach(name => {
+        const value = params[name];
+        if (value !== undefined && value !== null && value !== '') {
+            query.set(name, String(value));
+        }
+    });
+    const search = query.toString();
+    return search ? `${path}?${search}` : path;
+}
+
+/**
+ * Request options for an operation. The body is sent as contentType unless
+ * init picks another of the operation's types; strings are sent as they are
+ * and anything else as JSON.
+ * @param {string} method
+ * @param {*} body
+ * @param {?string} contentType
+ * @param {?Object<string, string>} headers
+ * @param {RequestInit} [init]
+ * @returns {RequestInit}
+ */
+function apiRequest(method, body, contentType, headers, init = {}) {
+    const requestHeaders = { ...(/** @type {Object<string, string>} */ (init.headers) || {}) };
+    Object.keys(headers || {}).forEach(name => {
+        if (headers[name] !== undefined && headers[name] !== null) requestHeaders[name] = headers[name];
+    });
+
+    const request = { ...init, method, headers: requestHeaders };
+    if (body !== undefined) {
+        const type = requestHeaders['Content-Type'] || contentType;
+        requestHeaders['Content-Type'] = type;
+        request.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    return request;
+}
+
+/**
+ * One method per API operation, named after its operationId. Methods take
+ * their path, query and header parameters as one object, then the request
+ * body, then any extra fetch options, and resolve to the raw response so
+ * callers can check the status and headers.
+ * @param {ApiSend} send
+ */
+function createApiClient(send) {
+    const paths = {
+        login: () => apiPath('/auth/login', {}, []),
+        logout: () => apiPath('/auth/logout', {}, []),
+        getCurrentUser: () => apiPath('/auth/me', {}, []),
+        listUsers: () => apiPath('/users', {}, []),
+        createUser: () => apiPath('/users', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateUser: (params) => apiPath('/users/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteUser: (params) => apiPath('/users/{id}', params || {}, []),
+        /**
+         * @param {{ search?: string, categoryId?: number, supplierId?: number, locationId?: number, category?: string, supplier?: string, location?: string, minQty?: number, maxQty?: number, minPrice?: number, maxPrice?: number, ids?: string, lowStock?: boolean, archived?: boolean, group?: boolean, sort?: 'relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt', order?: 'asc'|'desc', page?: number, pageSize?: number }} [params]
+         * @returns {string}
+         */
+        listItems: (params) => apiPath('/items', params || {}, ['search', 'categoryId', 'supplierId', 'locationId', 'category', 'supplier', 'location', 'minQty', 'maxQty', 'minPrice', 'maxPrice', 'ids', 'lowStock', 'archived', 'group', 'sort', 'order', 'page', 'pageSize']),
+        createItem: () => apiPath('/items', {}, []),
+        /**
+         * @param {{ search?: string, categoryId?: number, supplierId?: number, locationId?: number, category?: string, supplier?: string, location?: string, minQty?: number, maxQty?: number, minPrice?: number, maxPrice?: number, ids?: string, lowStock?: boolean, archived?: boolean, group?: boolean, sort?: 'relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt', order?: 'asc'|'desc', page?: number, pageSize?: number, format?: 'csv'|'json' }} [params]
+         * @returns {string}
+         */
+        exportItems: (params) => apiPath('/items/export', params || {}, ['search', 'categoryId', 'supplierId', 'locationId', 'category', 'supplier', 'location', 'minQty', 'maxQty', 'minPrice', 'maxPrice', 'ids', 'lowStock', 'archived', 'group', 'sort', 'order', 'page', 'pageSize', 'format']),
+        /**
+         * @param {{ commit?: boolean }} [params]
+         * @returns {string}
+         */
+        importItems: (params) => apiPath('/items/import', params || {}, ['commit']),
+        batchItems: () => apiPath('/items/batch', {}, []),
+        /**
+         * @param {{ code?: string }} [params]
+         * @returns {string}
+         */
+        lookupItem: (params) => apiPath('/items/lookup', params || {}, ['code']),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getItem: (params) => apiPath('/items/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateItem: (params) => apiPath('/items/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteItem: (params) => apiPath('/items/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        restoreItem: (params) => apiPath('/items/{id}/restore', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        purgeItem: (params) => apiPath('/items/{id}/purge', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        listVariants: (params) => apiPath('/items/{id}/variants', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        createVariant: (params) => apiPath('/items/{id}/variants', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        listMovements: (params) => apiPath('/items/{id}/movements', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        receiveStock: (params) => apiPath('/items/{id}/receive', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        issueStock: (params) => apiPath('/items/{id}/issue', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        adjustStock: (params) => apiPath('/items/{id}/adjust', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        transferStock: (params) => apiPath('/items/{id}/transfer', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        listLots: (params) => apiPath('/items/{id}/lots', params || {}, []),
+        getLowStockAlerts: () => apiPath('/alerts/low-stock', {}, []),
+        /**
+         * @param {{ days?: number }} [params]
+         * @returns {string}
+         */
+        getExpiringLots: (params) => apiPath('/alerts/expiring', params || {}, ['days']),
+        /**
+         * @param {{ id: number, type?: 'code128'|'qr', format?: 'svg'|'png', scale?: number }} params
+         * @returns {string}
+         */
+        getBarcode: (params) => apiPath('/items/{id}/barcode', params || {}, ['type', 'format', 'scale']),
+        /**
+         * @param {{ ids?: string, type?: 'code128'|'qr', copies?: number }} [params]
+         * @returns {string}
+         */
+        getLabels: (params) => apiPath('/labels', params || {}, ['ids', 'type', 'copies']),
+        listCategories: () => apiPath('/categories', {}, []),
+        createCategory: () => apiPath('/categories', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getCategory: (params) => apiPath('/categories/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateCategory: (params) => apiPath('/categories/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteCategory: (params) => apiPath('/categories/{id}', params || {}, []),
+        listSuppliers: () => apiPath('/suppliers', {}, []),
+        createSupplier: () => apiPath('/suppliers', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getSupplier: (params) => apiPath('/suppliers/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateSupplier: (params) => apiPath('/suppliers/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteSupplier: (params) => apiPath('/suppliers/{id}', params || {}, []),
+        listLocations: () => apiPath('/locations', {}, []),
+        createLocation: () => apiPath('/locations', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getLocation: (params) => apiPath('/locations/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateLocation: (params) => apiPath('/locations/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteLocation: (params) => apiPath('/locations/{id}', params || {}, []),
+        listUnits: () => apiPath('/units', {}, []),
+        createUnit: () => apiPath('/units', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getUnit: (params) => apiPath('/units/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateUnit: (params) => apiPath('/units/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteUnit: (params) => apiPath('/units/{id}', params || {}, []),
+        /**
+         * @param {{ status?: 'draft'|'submitted'|'partially_received'|'received'|'cancelled', supplierId?: number }} [params]
+         * @returns {string}
+         */
+        listPurchaseOrders: (params) => apiPath('/purchase-orders', params || {}, ['status', 'supplierId']),
+        createPurchaseOrder: () => apiPath('/purchase-orders', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getPurchaseOrder: (params) => apiPath('/purchase-orders/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updatePurchaseOrder: (params) => apiPath('/purchase-orders/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deletePurchaseOrder: (params) => apiPath('/purchase-orders/{id}', params || {}, []),
+        draftPurchaseOrdersFromLowStock: () => apiPath('/purchase-orders/from-low-stock', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        submitPurchaseOrder: (params) => apiPath('/purchase-orders/{id}/submit', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        cancelPurchaseOrder: (params) => apiPath('/purchase-orders/{id}/cancel', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        receivePurchaseOrder: (params) => apiPath('/purchase-orders/{id}/receive', params || {}, []),
+        /**
+         * @param {{ status?: 'open'|'partially_fulfilled'|'fulfilled'|'cancelled' }} [params]
+         * @returns {string}
+         */
+        listSalesOrders: (params) => apiPath('/sales-orders', params || {}, ['status']),
+        createSalesOrder: () => apiPath('/sales-orders', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getSalesOrder: (params) => apiPath('/sales-orders/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        cancelSalesOrder: (params) => apiPath('/sales-orders/{id}/cancel', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        fulfilSalesOrder: (params) => apiPath('/sales-orders/{id}/fulfil', params || {}, []),
+        /**
+         * @param {{ itemId?: number, user?: string, action?: 'create'|'update'|'delete'|'restore'|'purge', from?: string, to?: string, page?: number, pageSize?: number }} [params]
+         * @returns {string}
+         */
+        listAuditEntries: (params) => apiPath('/audit', params || {}, ['itemId', 'user', 'action', 'from', 'to', 'page', 'pageSize']),
+        /**
+         * @param {{ token?: string, lastEventId?: number }} [params]
+         * @returns {string}
+         */
+        streamEvents: (params) => apiPath('/events', params || {}, ['token', 'lastEventId']),
+        /**
+         * @param {{ status?: 'counting'|'submitted'|'approved'|'cancelled' }} [params]
+         * @returns {string}
+         */
+        listStockCounts: (params) => apiPath('/stock-counts', params || {}, ['status']),
+        createStockCount: () => apiPath('/stock-counts', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getStockCount: (params) => apiPath('/stock-counts/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        enterStockCounts: (params) => apiPath('/stock-counts/{id}/counts', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        submitStockCount: (params) => apiPath('/stock-counts/{id}/submit', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        reopenStockCount: (params) => apiPath('/stock-counts/{id}/reopen', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        cancelStockCount: (params) => apiPath('/stock-counts/{id}/cancel', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        approveStockCount: (params) => apiPath('/stock-counts/{id}/approve', params || {}, []),
+        /**
+         * @param {{ id: number, format?: 'json'|'csv' }} params
+         * @returns {string}
+         */
+        getStockCountVariance: (params) => apiPath('/stock-counts/{id}/variance', params || {}, ['format']),
+        listReports: () => apiPath('/reports', {}, []),
+        /**
+         * @param {{ name: 'summary'|'value-by-category'|'value-by-supplier'|'value-by-location'|'stock-status'|'turnover', format?: 'json'|'csv', days?: number }} params
+         * @returns {string}
+         */
+        getReport: (params) => apiPath('/reports/{name}', params || {}, ['format', 'days']),
+        listSavedViews: () => apiPath('/views', {}, []),
+        createSavedView: () => apiPath('/views', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateSavedView: (params) => apiPath('/views/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteSavedView: (params) => apiPath('/views/{id}', params || {}, []),
+        listWebhookEvents: () => apiPath('/webhooks/events', {}, []),
+        listWebhooks: () => apiPath('/webhooks', {}, []),
+        createWebhook: () => apiPath('/webhooks', {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        getWebhook: (params) => apiPath('/webhooks/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        updateWebhook: (params) => apiPath('/webhooks/{id}', params || {}, []),
+        /**
+         * @param {{ id: number }} params
+         * @returns {string}
+         */
+        deleteWebhook: (params) => apiPath('/webhooks/{id}', params || {}, []),
+        /**
+         * @param {{ id: number, status?: 'pending'|'succeeded'|'failed', page?: number, pageSize?: number }} params
+         * @returns {string}
+         */
+        listWebhookDeliveries: (params) => apiPath('/webhooks/{id}/deliveries', params || {}, ['status', 'page', 'pageSize']),
+        /**
+         * @param {{ id: number, deliveryId: number }} params
+         * @returns {string}
+         */
+        getWebhookDelivery: (params) => apiPath('/webhooks/{id}/deliveries/{deliveryId}', params || {}, []),
+        /**
+         * @param {{ id: number, deliveryId: number }} params
+         * @returns {string}
+         */
+        redeliverWebhook: (params) => apiPath('/webhooks/{id}/deliveries/{deliveryId}/redeliver', params || {}, []),
+        getOpenApiDocument: () => apiPath('/openapi.json', {}, [])
+    };
+
+    return {
+        // URLs for requests made outside fetch, such as EventSource and <img>
+        paths,
+        /**
+         * Log in
+         * @param {ApiLoginRequest} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSession>>}
+         */
+        login: (body, init) => send(paths.login(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * End the current session (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        logout: (init) => send(paths.logout(), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * The logged-in user (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUser>>}
+         */
+        getCurrentUser: (init) => send(paths.getCurrentUser(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * List users (admin)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiUser>>>}
+         */
+        listUsers: (init) => send(paths.listUsers(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a user (admin)
+         * @param {ApiUserInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUser>>}
+         */
+        createUser: (body, init) => send(paths.createUser(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Change a user's role or password (admin)
+         * @param {{ id: number }} params
+         * @param {ApiUserUpdate} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUser>>}
+         */
+        updateUser: (params, body, init) => send(paths.updateUser(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a user and end their sessions (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteUser: (params, init) => send(paths.deleteUser(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * A filtered, sorted page of items (viewer)
+         * @param {{ search?: string, categoryId?: number, supplierId?: number, locationId?: number, category?: string, supplier?: string, location?: string, minQty?: number, maxQty?: number, minPrice?: number, maxPrice?: number, ids?: string, lowStock?: boolean, archived?: boolean, group?: boolean, sort?: 'relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt', order?: 'asc'|'desc', page?: number, pageSize?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItemPage>>}
+         */
+        listItems: (params, init) => send(paths.listItems(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create an item (clerk)
+         * @param {ApiItemInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        createItem: (body, init) => send(paths.createItem(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Download the items matching the filters (viewer)
+         * @param {{ search?: string, categoryId?: number, supplierId?: number, locationId?: number, category?: string, supplier?: string, location?: string, minQty?: number, maxQty?: number, minPrice?: number, maxPrice?: number, ids?: string, lowStock?: boolean, archived?: boolean, group?: boolean, sort?: 'relevance'|'id'|'productName'|'sku'|'category'|'quantity'|'reserved'|'available'|'price'|'supplier'|'location'|'lastUpdated'|'deletedAt', order?: 'asc'|'desc', page?: number, pageSize?: number, format?: 'csv'|'json' }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiItem>>>}
+         */
+        exportItems: (params, init) => send(paths.exportItems(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Import items from CSV or JSON, upserting by SKU; a dry run unless commit=true (clerk)
+         * @param {{ commit?: boolean }} params
+         * @param {string|Array<ApiItemInput>} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiImportResult>>}
+         */
+        importItems: (params, body, init) => send(paths.importItems(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Update or delete many items at once; all or nothing (admin to delete) (clerk)
+         * @param {ApiBatchRequest} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiBatchResult>>}
+         */
+        batchItems: (body, init) => send(paths.batchItems(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Find an item by a scanned SKU (viewer)
+         * @param {{ code?: string }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        lookupItem: (params, init) => send(paths.lookupItem(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Get an item (with its ETag) (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        getItem: (params, init) => send(paths.getItem(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update an item (clerk)
+         * @param {{ id: number, ifMatch: string }} params
+         * @param {ApiItemUpdate} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        updateItem: (params, body, init) => send(paths.updateItem(params), apiRequest('PUT', body, 'application/json', { 'If-Match': params.ifMatch }, init)),
+        /**
+         * Move an item to the trash (admin)
+         * @param {{ id: number, ifMatch: string }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        deleteItem: (params, init) => send(paths.deleteItem(params), apiRequest('DELETE', undefined, null, { 'If-Match': params.ifMatch }, init)),
+        /**
+         * Restore an item from the trash (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        restoreItem: (params, init) => send(paths.restoreItem(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Permanently delete an item in the trash (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        purgeItem: (params, init) => send(paths.purgeItem(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * An item's variants (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiItem>>>}
+         */
+        listVariants: (params, init) => send(paths.listVariants(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Add a variant to an item (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiVariantInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiItem>>}
+         */
+        createVariant: (params, body, init) => send(paths.createVariant(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * An item's stock movements, newest first (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiListedMovement>>>}
+         */
+        listMovements: (params, init) => send(paths.listMovements(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Receive stock (into a lot for perishable items) (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiMovementInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiMovementResult>>}
+         */
+        receiveStock: (params, body, init) => send(paths.receiveStock(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Issue stock not reserved by sales orders, earliest expiring lots first (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiMovementInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiMovementResult>>}
+         */
+        issueStock: (params, body, init) => send(paths.issueStock(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Correct the stock level (increases of perishable items go into a lot) (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiMovementInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiMovementResult>>}
+         */
+        adjustStock: (params, body, init) => send(paths.adjustStock(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Move stock between locations (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiTransferInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiTransferResult>>}
+         */
+        transferStock: (params, body, init) => send(paths.transferStock(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * An item's lots that hold stock, in FEFO order (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiLot>>>}
+         */
+        listLots: (params, init) => send(paths.listLots(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Items at or below their reorder point (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiLowStockAlerts>>}
+         */
+        getLowStockAlerts: (init) => send(paths.getLowStockAlerts(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Lots expired or expiring within ?days= (viewer)
+         * @param {{ days?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiExpiringLots>>}
+         */
+        getExpiringLots: (params, init) => send(paths.getExpiringLots(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Barcode for an item's SKU (viewer)
+         * @param {{ id: number, type?: 'code128'|'qr', format?: 'svg'|'png', scale?: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<string>>}
+         */
+        getBarcode: (params, init) => send(paths.getBarcode(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Printable label sheet for ?ids=1,2,3 (viewer)
+         * @param {{ ids?: string, type?: 'code128'|'qr', copies?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<string>>}
+         */
+        getLabels: (params, init) => send(paths.getLabels(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * List categories with how many items use each (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiCategory>>>}
+         */
+        listCategories: (init) => send(paths.listCategories(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a category (clerk)
+         * @param {ApiCategoryInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiCategory>>}
+         */
+        createCategory: (body, init) => send(paths.createCategory(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a category (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiCategory>>}
+         */
+        getCategory: (params, init) => send(paths.getCategory(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a category (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiCategoryInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiCategory>>}
+         */
+        updateCategory: (params, body, init) => send(paths.updateCategory(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a category no item uses (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteCategory: (params, init) => send(paths.deleteCategory(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * List suppliers with how many items use each (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiSupplier>>>}
+         */
+        listSuppliers: (init) => send(paths.listSuppliers(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a supplier (clerk)
+         * @param {ApiSupplierInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSupplier>>}
+         */
+        createSupplier: (body, init) => send(paths.createSupplier(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a supplier (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSupplier>>}
+         */
+        getSupplier: (params, init) => send(paths.getSupplier(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a supplier (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiSupplierInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSupplier>>}
+         */
+        updateSupplier: (params, body, init) => send(paths.updateSupplier(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a supplier no item uses (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteSupplier: (params, init) => send(paths.deleteSupplier(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * List locations with how many items use each (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiLocation>>>}
+         */
+        listLocations: (init) => send(paths.listLocations(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a location (clerk)
+         * @param {ApiLocationInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiLocation>>}
+         */
+        createLocation: (body, init) => send(paths.createLocation(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a location (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiLocation>>}
+         */
+        getLocation: (params, init) => send(paths.getLocation(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a location (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiLocationInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiLocation>>}
+         */
+        updateLocation: (params, body, init) => send(paths.updateLocation(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a location no item uses (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteLocation: (params, init) => send(paths.deleteLocation(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * List units with how many items use each (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiUnit>>>}
+         */
+        listUnits: (init) => send(paths.listUnits(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a unit (clerk)
+         * @param {ApiUnitInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUnit>>}
+         */
+        createUnit: (body, init) => send(paths.createUnit(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a unit (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUnit>>}
+         */
+        getUnit: (params, init) => send(paths.getUnit(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a unit (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiUnitInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiUnit>>}
+         */
+        updateUnit: (params, body, init) => send(paths.updateUnit(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a unit no item uses (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteUnit: (params, init) => send(paths.deleteUnit(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * List purchase orders (viewer)
+         * @param {{ status?: 'draft'|'submitted'|'partially_received'|'received'|'cancelled', supplierId?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiPurchaseOrder>>>}
+         */
+        listPurchaseOrders: (params, init) => send(paths.listPurchaseOrders(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a draft purchase order (clerk)
+         * @param {ApiPurchaseOrderInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        createPurchaseOrder: (body, init) => send(paths.createPurchaseOrder(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a purchase order (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        getPurchaseOrder: (params, init) => send(paths.getPurchaseOrder(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a draft purchase order (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiPurchaseOrderInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        updatePurchaseOrder: (params, body, init) => send(paths.updatePurchaseOrder(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a draft purchase order (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deletePurchaseOrder: (params, init) => send(paths.deletePurchaseOrder(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * Draft orders for low stock items, one per supplier (clerk)
+         * @param {{ supplierId?: (number|null) }} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrderDrafts>>}
+         */
+        draftPurchaseOrdersFromLowStock: (body, init) => send(paths.draftPurchaseOrdersFromLowStock(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Submit a draft to the supplier (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        submitPurchaseOrder: (params, init) => send(paths.submitPurchaseOrder(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Cancel a draft or submitted order (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        cancelPurchaseOrder: (params, init) => send(paths.cancelPurchaseOrder(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Receive stock against an order (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiPurchaseOrderReceipt} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiPurchaseOrder>>}
+         */
+        receivePurchaseOrder: (params, body, init) => send(paths.receivePurchaseOrder(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * List sales orders (viewer)
+         * @param {{ status?: 'open'|'partially_fulfilled'|'fulfilled'|'cancelled' }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiSalesOrder>>>}
+         */
+        listSalesOrders: (params, init) => send(paths.listSalesOrders(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a sales order, reserving its stock (clerk)
+         * @param {ApiSalesOrderInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSalesOrder>>}
+         */
+        createSalesOrder: (body, init) => send(paths.createSalesOrder(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a sales order (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSalesOrder>>}
+         */
+        getSalesOrder: (params, init) => send(paths.getSalesOrder(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Cancel an order, releasing its reservations (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSalesOrder>>}
+         */
+        cancelSalesOrder: (params, init) => send(paths.cancelSalesOrder(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Ship stock against an order (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiSalesOrderFulfilment} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSalesOrder>>}
+         */
+        fulfilSalesOrder: (params, body, init) => send(paths.fulfilSalesOrder(params), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Item change history, newest first (clerk)
+         * @param {{ itemId?: number, user?: string, action?: 'create'|'update'|'delete'|'restore'|'purge', from?: string, to?: string, page?: number, pageSize?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiAuditPage>>}
+         */
+        listAuditEntries: (params, init) => send(paths.listAuditEntries(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Server-Sent Events stream of item changes; EventSource clients pass the token as ?token= (viewer)
+         * @param {{ token?: string, lastEventId?: number }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<string>>}
+         */
+        streamEvents: (params, init) => send(paths.streamEvents(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * List stock counts, without their lines (viewer)
+         * @param {{ status?: 'counting'|'submitted'|'approved'|'cancelled' }} [params]
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiStockCount>>>}
+         */
+        listStockCounts: (params, init) => send(paths.listStockCounts(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Start a count, snapshotting system quantities (clerk)
+         * @param {ApiStockCountInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        createStockCount: (body, init) => send(paths.createStockCount(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a stock count with its lines (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        getStockCount: (params, init) => send(paths.getStockCount(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Enter counted quantities (clerk)
+         * @param {{ id: number }} params
+         * @param {ApiStockCountEntries} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        enterStockCounts: (params, body, init) => send(paths.enterStockCounts(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Submit a fully counted count for approval (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        submitStockCount: (params, init) => send(paths.submitStockCount(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Send a submitted count back for a recount (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        reopenStockCount: (params, init) => send(paths.reopenStockCount(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Cancel a count that is not yet approved (clerk)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        cancelStockCount: (params, init) => send(paths.cancelStockCount(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Approve a count, posting its variances as adjustments (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiStockCount>>}
+         */
+        approveStockCount: (params, init) => send(paths.approveStockCount(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * Variance report for a count (supervisors only until approved) (viewer)
+         * @param {{ id: number, format?: 'json'|'csv' }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiVarianceReport>>}
+         */
+        getStockCountVariance: (params, init) => send(paths.getStockCountVariance(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * The available reports (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiReportInfo>>>}
+         */
+        listReports: (init) => send(paths.listReports(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Run a report as JSON or CSV (viewer)
+         * @param {{ name: 'summary'|'value-by-category'|'value-by-supplier'|'value-by-location'|'stock-status'|'turnover', format?: 'json'|'csv', days?: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiReport>>}
+         */
+        getReport: (params, init) => send(paths.getReport(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * The user's saved item list views (viewer)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiSavedView>>>}
+         */
+        listSavedViews: (init) => send(paths.listSavedViews(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Save the current filters as a named view (viewer)
+         * @param {ApiSavedViewInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSavedView>>}
+         */
+        createSavedView: (body, init) => send(paths.createSavedView(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Rename a view or change its filters (viewer)
+         * @param {{ id: number }} params
+         * @param {ApiSavedViewUpdate} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiSavedView>>}
+         */
+        updateSavedView: (params, body, init) => send(paths.updateSavedView(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a saved view (viewer)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteSavedView: (params, init) => send(paths.deleteSavedView(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * Events a webhook can subscribe to (admin)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<'item.created'|'item.updated'|'item.deleted'|'stock.low'>>>}
+         */
+        listWebhookEvents: (init) => send(paths.listWebhookEvents(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * List webhooks (admin)
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Array<ApiWebhook>>>}
+         */
+        listWebhooks: (init) => send(paths.listWebhooks(), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Create a webhook (admin)
+         * @param {ApiWebhookInput} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhook>>}
+         */
+        createWebhook: (body, init) => send(paths.createWebhook(), apiRequest('POST', body, 'application/json', null, init)),
+        /**
+         * Get a webhook (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhook>>}
+         */
+        getWebhook: (params, init) => send(paths.getWebhook(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Update a webhook (admin)
+         * @param {{ id: number }} params
+         * @param {ApiWebhookUpdate} body
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhook>>}
+         */
+        updateWebhook: (params, body, init) => send(paths.updateWebhook(params), apiRequest('PUT', body, 'application/json', null, init)),
+        /**
+         * Delete a webhook and its delivery log (admin)
+         * @param {{ id: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<void>>}
+         */
+        deleteWebhook: (params, init) => send(paths.deleteWebhook(params), apiRequest('DELETE', undefined, null, null, init)),
+        /**
+         * A webhook's deliveries, newest first (admin)
+         * @param {{ id: number, status?: 'pending'|'succeeded'|'failed', page?: number, pageSize?: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhookDeliveryPage>>}
+         */
+        listWebhookDeliveries: (params, init) => send(paths.listWebhookDeliveries(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * A delivery with its payload and attempts (admin)
+         * @param {{ id: number, deliveryId: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhookDelivery>>}
+         */
+        getWebhookDelivery: (params, init) => send(paths.getWebhookDelivery(params), apiRequest('GET', undefined, null, null, init)),
+        /**
+         * Send a delivery again (admin)
+         * @param {{ id: number, deliveryId: number }} params
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<ApiWebhookDelivery>>}
+         */
+        redeliverWebhook: (params, init) => send(paths.redeliverWebhook(params), apiRequest('POST', undefined, null, null, init)),
+        /**
+         * This document
+         * @param {RequestInit} [init]
+         * @returns {Promise<ApiResponse<Object<string, *>>>}
+         */
+        getOpenApiDocument: (init) => send(paths.getOpenApiDocument(), apiRequest('GET', undefined, null, null, init))
+    };
+}
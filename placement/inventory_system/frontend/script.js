@@ -81,12 +81,103 @@ const inventoryForm = /** @type {HTMLFormElement | null} */ (document.getElement
 const inventoryList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('inventoryList'));
 const searchInput = /** @type {HTMLInputElement | null} */ (document.getElementById('searchInput'));
 const categoryFilter = /** @type {HTMLSelectElement | null} */ (document.getElementById('categoryFilter'));
+const viewSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById('viewSelect'));
+const saveViewBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('saveViewBtn'));
+const deleteViewBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('deleteViewBtn'));
 const modal = document.getElementById('itemModal');
 const confirmModal = document.getElementById('confirmModal');
 const closeBtn = document.querySelector('.close');
 const cancelBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('cancelBtn'));
 const confirmDeleteBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('confirmDelete'));
 const confirmCancelBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('confirmCancel'));
+const prevPageBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('prevPageBtn'));
+const nextPageBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('nextPageBtn'));
+const pageSizeSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById('pageSizeSelect'));
+const pageInfo = document.getElementById('pageInfo');
+const importBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('importBtn'));
+const importFile = /** @type {HTMLInputElement | null} */ (document.getElementById('importFile'));
+const exportCsvBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('exportCsvBtn'));
+const exportJsonBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('exportJsonBtn'));
+const importModal = document.getElementById('importModal');
+const selectAllItems = /** @type {HTMLInputElement | null} */ (document.getElementById('selectAllItems'));
+const bulkBar = document.getElementById('bulkBar');
+const bulkEditModal = document.getElementById('bulkEditModal');
+const bulkEditForm = /** @type {HTMLFormElement | null} */ (document.getElementById('bulkEditForm'));
+const bulkPriceMode = /** @type {HTMLSelectElement | null} */ (document.getElementById('bulkPriceMode'));
+const bulkPriceValue = /** @type {HTMLInputElement | null} */ (document.getElementById('bulkPriceValue'));
+const importConfirmBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('importConfirmBtn'));
+const importCancelBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('importCancelBtn'));
+const lowStockBanner = document.getElementById('lowStockBanner');
+const lowStockMessage = document.getElementById('lowStockMessage');
+const lowStockLink = document.getElementById('lowStockLink');
+const manageListsBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('manageListsBtn'));
+const referenceModal = document.getElementById('referenceModal');
+const referenceForm = /** @type {HTMLFormElement | null} */ (document.getElementById('referenceForm'));
+const referenceList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('referenceList'));
+const loginScreen = document.getElementById('loginScreen');
+const loginForm = /** @type {HTMLFormElement | null} */ (document.getElementById('loginForm'));
+const appContainer = document.getElementById('appContainer');
+const currentUserLabel = document.getElementById('currentUser');
+const logoutBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('logoutBtn'));
+const movementsSection = document.getElementById('movementsSection');
+const movementForm = /** @type {HTMLFormElement | null} */ (document.getElementById('movementForm'));
+const movementsList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('movementsList'));
+const transferForm = /** @type {HTMLFormElement | null} */ (document.getElementById('transferForm'));
+const historySection = document.getElementById('historySection');
+const attributesGroup = document.getElementById('attributesGroup');
+const variantsSection = document.getElementById('variantsSection');
+const variantsList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('variantsList'));
+const variantForm = /** @type {HTMLFormElement | null} */ (document.getElementById('variantForm'));
+const variantAttributes = /** @type {HTMLInputElement} */ (document.getElementById('variantAttributes'));
+const variantSku = /** @type {HTMLInputElement} */ (document.getElementById('variantSku'));
+const movementUnit = /** @type {HTMLSelectElement} */ (document.getElementById('movementUnit'));
+const movementType = /** @type {HTMLSelectElement} */ (document.getElementById('movementType'));
+const lotsSection = document.getElementById('lotsSection');
+const lotsList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('lotsList'));
+const conflictSection = document.getElementById('conflictSection');
+const conflictList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('conflictList'));
+const historyList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('historyList'));
+const inventoryView = document.getElementById('inventoryView');
+const purchaseOrdersView = document.getElementById('purchaseOrdersView');
+const purchaseOrderList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('purchaseOrderList'));
+const poStatusFilter = /** @type {HTMLSelectElement | null} */ (document.getElementById('poStatusFilter'));
+const poModal = document.getElementById('poModal');
+const poForm = /** @type {HTMLFormElement | null} */ (document.getElementById('poForm'));
+const poLines = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('poLines'));
+const poSupplierSelect = /** @type {HTMLSelectElement | null} */ (document.getElementById('poSupplierId'));
+const poReceiveLocation = /** @type {HTMLSelectElement | null} */ (document.getElementById('poReceiveLocation'));
+const newPoBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('newPoBtn'));
+const draftLowStockBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('draftLowStockBtn'));
+const salesOrdersView = document.getElementById('salesOrdersView');
+const salesOrderList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('salesOrderList'));
+const soStatusFilter = /** @type {HTMLSelectElement | null} */ (document.getElementById('soStatusFilter'));
+const soModal = document.getElementById('soModal');
+const soForm = /** @type {HTMLFormElement | null} */ (document.getElementById('soForm'));
+const soLines = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('soLines'));
+const soFulfilLocation = /** @type {HTMLSelectElement | null} */ (document.getElementById('soFulfilLocation'));
+const newSoBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('newSoBtn'));
+const stockCountsView = document.getElementById('stockCountsView');
+const stockCountList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('stockCountList'));
+const countStatusFilter = /** @type {HTMLSelectElement | null} */ (document.getElementById('countStatusFilter'));
+const newCountForm = document.getElementById('newCountForm');
+const countModal = document.getElementById('countModal');
+const countLines = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('countLines'));
+const trashView = document.getElementById('trashView');
+const trashList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('trashList'));
+const trashTab = document.getElementById('trashTab');
+const turnoverDays = /** @type {HTMLSelectElement} */ (document.getElementById('turnoverDays'));
+const scanForm = /** @type {HTMLFormElement | null} */ (document.getElementById('scanForm'));
+const scanInput = /** @type {HTMLInputElement} */ (document.getElementById('scanInput'));
+const scanMode = /** @type {HTMLSelectElement} */ (document.getElementById('scanMode'));
+const printLabelsBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('printLabelsBtn'));
+const barcodeSection = document.getElementById('barcodeSection');
+const code128Image = /** @type {HTMLImageElement} */ (document.getElementById('code128Image'));
+const qrImage = /** @type {HTMLImageElement} */ (document.getElementById('qrImage'));
+const connectionStatus = document.getElementById('connectionStatus');
+const connectionStatusText = document.getElementById('connectionStatusText');
+const syncStatusBtn = /** @type {HTMLButtonElement | null} */ (document.getElementById('syncStatusBtn'));
+const syncPanel = document.getElementById('syncPanel');
+const syncList = /** @type {HTMLTableSectionElement | null} */ (document.getElementById('syncList'));
 
 // Type definitions for item structure
 /**
@@ -99,25 +190,200 @@ const confirmCancelBtn = /** @type {HTMLButtonElement | null} */ (document.getEl
  * @property {string} [description]
  */
 
-// API base URL
-const API_BASE_URL = 'http://localhost:3000/api';
+// In production the backend serves the app, so the API is on the page's own
+// origin. In development the page is opened from disk or from Live Server
+// (port 5500), and the API is the backend on its default port. Any other setup
+// can name the API with <meta name="api-base-url" content="https://.../api/v1">.
+const DEV_API_ORIGIN = 'http://localhost:3000';
+const DEV_SERVER_PORTS = ['5500'];
+const apiBaseUrlMeta = /** @type {HTMLMetaElement | null} */ (document.querySelector('meta[name="api-base-url"]'));
+const servedByApi = window.location.protocol !== 'file:' && DEV_SERVER_PORTS.indexOf(window.location.port) === -1;
+const API_BASE_URL = (apiBaseUrlMeta && apiBaseUrlMeta.content) ||
+    `${servedByApi ? window.location.origin : DEV_API_ORIGIN}/api/v1`;
+
+// Typed methods for every API operation (apiClient.js), sent through apiFetch
+const api = createApiClient(apiFetch);
+
+// Client methods for the stock movement forms
+const MOVEMENT_REQUESTS = {
+    receive: (id, body) => api.receiveStock({ id }, body),
+    issue: (id, body) => api.issueStock({ id }, body),
+    adjust: (id, body) => api.adjustStock({ id }, body)
+};
+
+// Client methods for each list in Manage Lists
+const REFERENCE_REQUESTS = {
+    categories: { list: api.listCategories, create: api.createCategory, update: api.updateCategory, remove: api.deleteCategory },
+    suppliers: { list: api.listSuppliers, create: api.createSupplier, update: api.updateSupplier, remove: api.deleteSupplier },
+    locations: { list: api.listLocations, create: api.createLocation, update: api.updateLocation, remove: api.deleteLocation },
+    units: { list: api.listUnits, create: api.createUnit, update: api.updateUnit, remove: api.deleteUnit }
+};
+
+// Fields shown in the Manage Lists form for each kind of list
+const REFERENCE_FIELDS = {
+    categories: [
+        { name: 'name', label: 'Name *', required: true },
+        { name: 'description', label: 'Description' },
+        { name: 'defaultReorderPoint', label: 'Default Reorder Point', type: 'number' },
+        { name: 'defaultReorderQuantity', label: 'Default Reorder Quantity', type: 'number' },
+        { name: 'perishable', label: 'Perishable', type: 'checkbox' }
+    ],
+    suppliers: [
+        { name: 'name', label: 'Name *', required: true },
+        { name: 'contactName', label: 'Contact Name' },
+        { name: 'email', label: 'Email', type: 'email' },
+        { name: 'phone', label: 'Phone' },
+        { name: 'address', label: 'Address' }
+    ],
+    locations: [
+        { name: 'name', label: 'Name *', required: true },
+        { name: 'description', label: 'Description' }
+    ],
+    units: [
+        { name: 'name', label: 'Name *', required: true },
+        { name: 'abbreviation', label: 'Abbreviation' },
+        { name: 'factor', label: 'Each per Unit *', type: 'number', required: true }
+    ]
+};
+
+// Item fields a variant takes from its parent (mirrors the backend)
+const VARIANT_SHARED_FIELDS = ['productName', 'categoryId', 'supplierId', 'unitId'];
+
+// Labels for item fields in the change history; *Id fields show entity names
+const HISTORY_FIELDS = {
+    productName: 'Product Name',
+    sku: 'SKU',
+    categoryId: 'Category',
+    quantity: 'Quantity',
+    price: 'Price',
+    supplierId: 'Supplier',
+    locationId: 'Location',
+    unitId: 'Unit',
+    attributes: 'Attributes',
+    inheritsPrice: "Uses Parent's Price",
+    reorderPoint: 'Reorder Point',
+    reorderQuantity: 'Reorder Quantity'
+};
+
+// Key used to keep the session token across page reloads
+const AUTH_STORAGE_KEY = 'inventoryAuth';
+
+// Roles in increasing order of privilege (mirrors the backend)
+const ROLES = ['viewer', 'clerk', 'admin'];
 
 // Inventory data will be fetched from the backend
 let inventory = [];
 
+// Logged-in session: { token, user }
+let session = null;
+
+// Categories, suppliers, locations and units loaded from the API
+const referenceData = { categories: [], suppliers: [], locations: [], units: [] };
+
+// List and entry being edited in the Manage Lists modal
+let activeReference = 'categories';
+let editingReferenceId = null;
+
 let currentItemId = null;
 let isEditMode = false;
 
-// Event Listeners
-document.addEventListener('DOMContentLoaded', () => {
-    loadInventory().catch(console.error);
-    setupEventListeners();
-});
+// ETag of the item open in the modal, sent as If-Match when saving
+let currentItemEtag = null;
+
+// Whether the item open in the modal is a variant, and whether the user has
+// typed their own SKU for the variant being added
+let currentItemIsVariant = false;
+let variantSkuEdited = false;
+
+// File waiting for confirmation in the import preview: { body, contentType }
+let pendingImport = null;
+
+// Display names for purchase order statuses
+const PO_STATUS_LABELS = {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    partially_received: 'Partially Received',
+    received: 'Received',
+    cancelled: 'Cancelled'
+};
+
+// Purchase order open in the modal (null for a new one) and the items its supplier provides
+let currentOrder = null;
+let supplierItems = [];
+
+// Display names for sales order statuses
+const SO_STATUS_LABELS = {
+    open: 'Open',
+    partially_fulfilled: 'Partially Fulfilled',
+    fulfilled: 'Fulfilled',
+    cancelled: 'Cancelled'
+};
+
+// Sales order open in the modal (null for a new one) and the items with stock to sell
+let currentSalesOrder = null;
+let sellableItems = [];
+
+// Display names for stock count statuses
+const COUNT_STATUS_LABELS = {
+    counting: 'Counting',
+    submitted: 'Awaiting Approval',
+    approved: 'Approved',
+    cancelled: 'Cancelled'
+};
+
+// Stock count open in the modal
+let currentCount = null;
+
+// Pending auto-hide for the notification toast
+let notificationTimer = null;
+
+// Live item events: the open stream, the last event seen (for replay on
+// reconnect) and the reconnect backoff state
+let eventSource = null;
+let lastEventId = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let summaryRefreshTimer = null;
+const RECONNECT_MAX_MS = 30000;
+
+// The user's saved views (named toolbar filters)
+let savedViews = [];
+
+// Ids of the rows ticked on the current page, for bulk actions
+const selectedItemIds = new Set();
+
+// Offline support: whether the server is out of reach, the ids of items with
+// changes queued in IndexedDB, and whether the queue is being replayed
+let isOffline = false;
+let pendingItemIds = new Set();
+let syncInProgress = false;
+const OFFLINE_DB_NAME = 'inventory-offline';
+// The service worker's cache of API reads (DATA_CACHE in sw.js)
+const OFFLINE_DATA_CACHE = 'inventory-data-v1';
+
+// Sorting and paging state for the inventory table. A null sort means the
+// default: relevance while searching, otherwise product name.
+const listQuery = {
+    sort: null,
+    order: 'asc',
+    page: 1,
+    pageSize: 25,
+    lowStock: false
+};
 
 /**
  * Sets up all event listeners for the application
  */
 function setupEventListeners() {
+    // Login and logout
+    if (loginForm) {
+        loginForm.addEventListener('submit', handleLogin);
+    }
+
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', handleLogout);
+    }
+
     // Modal controls
     if (addItemBtn) {
         addItemBtn.addEventListener('click', () => openModal());
@@ -135,270 +401,3499 @@ function setupEventListeners() {
         if (e.target === modal) closeModal();
     });
 
-    // Form submission
-    if (inventoryForm) {
-        inventoryForm.addEventListener('submit', handleFormSubmit);
+    // Form submission
+    if (inventoryForm) {
+        inventoryForm.addEventListener('submit', handleFormSubmit);
+    }
+
+    // Import and export
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', handleImportFile);
+    }
+
+    if (exportCsvBtn) {
+        exportCsvBtn.addEventListener('click', () => exportInventory('csv'));
+    }
+
+    if (exportJsonBtn) {
+        exportJsonBtn.addEventListener('click', () => exportInventory('json'));
+    }
+
+    // Row selection and bulk actions
+    if (selectAllItems) {
+        selectAllItems.addEventListener('change', () => toggleSelectAll(selectAllItems.checked));
+    }
+
+    document.getElementById('bulkEditBtn').addEventListener('click', openBulkEdit);
+    document.getElementById('bulkExportBtn').addEventListener('click', exportSelectedItems);
+    document.getElementById('bulkDeleteBtn').addEventListener('click', deleteSelectedItems);
+    document.getElementById('bulkClearBtn').addEventListener('click', () => toggleSelectAll(false));
+    document.getElementById('bulkEditCancelBtn').addEventListener('click', closeBulkEdit);
+
+    if (bulkEditForm) {
+        bulkEditForm.addEventListener('submit', handleBulkEditSubmit);
+    }
+
+    if (bulkPriceMode) {
+        bulkPriceMode.addEventListener('change', () => {
+            bulkPriceValue.style.display = bulkPriceMode.value ? '' : 'none';
+            bulkPriceValue.placeholder = bulkPriceMode.value === 'percent' ? 'e.g. -10 for 10% off' : 'e.g. 19.99';
+        });
+    }
+
+    // Dashboard report downloads
+    document.querySelectorAll('[data-report]').forEach(button => {
+        button.addEventListener('click', () =>
+            downloadReport(/** @type {ReportName} */ (/** @type {HTMLElement} */ (button).dataset.report)));
+    });
+
+    // Barcodes and labels
+    if (scanForm) {
+        scanForm.addEventListener('submit', handleScan);
+        scanMode.addEventListener('change', updateScanMode);
+    }
+
+    if (printLabelsBtn) {
+        printLabelsBtn.addEventListener('click', () => printLabels(Array.from(selectedItemIds)));
+    }
+
+    document.querySelectorAll('[data-barcode]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { barcode, format } = /** @type {HTMLElement} */ (button).dataset;
+            const sku = /** @type {HTMLInputElement} */ (document.getElementById('sku')).value;
+            const request = api.getBarcode({
+                id: currentItemId,
+                type: /** @type {'code128'|'qr'} */ (barcode),
+                format: /** @type {'svg'|'png'} */ (format)
+            });
+            downloadFile(request, `${sku}-${barcode}.${format}`)
+                .catch(error => {
+                    console.error('Error downloading barcode:', error);
+                    showNotification('Failed to download barcode', 'error');
+                });
+        });
+    });
+
+    const printItemLabelBtn = document.getElementById('printItemLabelBtn');
+    if (printItemLabelBtn) {
+        printItemLabelBtn.addEventListener('click', () => printLabels([currentItemId]));
+    }
+
+    if (turnoverDays) {
+        turnoverDays.addEventListener('change', () => {
+            loadCoverChart().catch(error => console.error('Error loading days of cover:', error));
+        });
+    }
+
+    if (importConfirmBtn) {
+        importConfirmBtn.addEventListener('click', confirmImport);
+    }
+
+    if (importCancelBtn) {
+        importCancelBtn.addEventListener('click', closeImportModal);
+    }
+
+    // Offline changes
+    window.addEventListener('online', replayQueue);
+    window.addEventListener('offline', () => setConnectionState(false));
+
+    if (syncStatusBtn) {
+        syncStatusBtn.addEventListener('click', () => {
+            syncPanel.style.display = syncPanel.style.display === 'block' ? 'none' : 'block';
+        });
+    }
+
+    const syncNowBtn = document.getElementById('syncNowBtn');
+    if (syncNowBtn) {
+        syncNowBtn.addEventListener('click', replayQueue);
+    }
+
+    // Stock movements
+    if (movementForm) {
+        movementForm.addEventListener('submit', handleMovementSubmit);
+        movementType.addEventListener('change', updateLotFields);
+    }
+
+    // Variants
+    if (variantForm) {
+        variantForm.addEventListener('submit', handleVariantSubmit);
+        variantAttributes.addEventListener('input', suggestVariantSku);
+        variantSku.addEventListener('input', () => {
+            variantSkuEdited = variantSku.value.trim() !== '';
+        });
+    }
+
+    if (transferForm) {
+        transferForm.addEventListener('submit', handleTransferSubmit);
+    }
+
+    // Search and filter
+    if (searchInput) {
+        searchInput.addEventListener('input', filterInventory);
+    }
+    
+    if (categoryFilter) {
+        categoryFilter.addEventListener('change', filterInventory);
+    }
+
+    // Saved views
+    if (viewSelect) {
+        viewSelect.addEventListener('change', () => applySavedView(viewSelect.value));
+    }
+
+    if (saveViewBtn) {
+        saveViewBtn.addEventListener('click', saveCurrentView);
+    }
+
+    if (deleteViewBtn) {
+        deleteViewBtn.addEventListener('click', deleteSelectedView);
+    }
+
+    // Manage Lists modal
+    if (manageListsBtn) {
+        manageListsBtn.addEventListener('click', openReferenceModal);
+    }
+
+    document.querySelectorAll('[data-reference]').forEach(tab => {
+        tab.addEventListener('click', () => switchReferenceTab(/** @type {HTMLElement} */ (tab).dataset.reference));
+    });
+
+    if (referenceForm) {
+        referenceForm.addEventListener('submit', handleReferenceSubmit);
+    }
+
+    const referenceResetBtn = document.getElementById('referenceResetBtn');
+    if (referenceResetBtn) {
+        referenceResetBtn.addEventListener('click', () => resetReferenceForm());
+    }
+
+    const referenceCloseBtn = document.getElementById('referenceCloseBtn');
+    if (referenceCloseBtn) {
+        referenceCloseBtn.addEventListener('click', () => {
+            referenceModal.style.display = 'none';
+        });
+    }
+
+    // Low stock banner toggles the low stock filter
+    if (lowStockLink) {
+        lowStockLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            listQuery.lowStock = !listQuery.lowStock;
+            filterInventory();
+            loadLowStockAlerts();
+        });
+    }
+
+    // Sortable headers and pager
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => sortInventory(/** @type {HTMLElement} */ (th).dataset.sort));
+    });
+
+    if (prevPageBtn) {
+        prevPageBtn.addEventListener('click', () => {
+            listQuery.page -= 1;
+            loadInventory();
+        });
+    }
+
+    if (nextPageBtn) {
+        nextPageBtn.addEventListener('click', () => {
+            listQuery.page += 1;
+            loadInventory();
+        });
+    }
+
+    if (pageSizeSelect) {
+        pageSizeSelect.addEventListener('change', () => {
+            listQuery.pageSize = parseInt(pageSizeSelect.value, 10);
+            filterInventory();
+        });
+    }
+
+    // Inventory / Purchase Orders pages
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.addEventListener('click', () => showView(/** @type {any} */ (tab).dataset.view));
+    });
+
+    // Purchase orders
+    if (poStatusFilter) {
+        poStatusFilter.addEventListener('change', loadPurchaseOrders);
+    }
+
+    if (newPoBtn) {
+        newPoBtn.addEventListener('click', () => openPurchaseOrderModal());
+    }
+
+    if (draftLowStockBtn) {
+        draftLowStockBtn.addEventListener('click', draftFromLowStock);
+    }
+
+    if (poForm) {
+        poForm.addEventListener('submit', handlePurchaseOrderSubmit);
+    }
+
+    if (poSupplierSelect) {
+        // Lines must come from the chosen supplier, so start them over
+        poSupplierSelect.addEventListener('change', async () => {
+            await loadSupplierItems(poSupplierSelect.value);
+            poLines.innerHTML = '';
+            addPurchaseOrderLine({});
+            updatePurchaseOrderTotal();
+        });
+    }
+
+    document.getElementById('poAddLineBtn').addEventListener('click', () => addPurchaseOrderLine({}));
+    document.getElementById('poSubmitBtn').addEventListener('click', () => changePurchaseOrderStatus('submit'));
+    document.getElementById('poCancelOrderBtn').addEventListener('click', () => changePurchaseOrderStatus('cancel'));
+    document.getElementById('poReceiveBtn').addEventListener('click', receivePurchaseOrder);
+    document.getElementById('poDeleteBtn').addEventListener('click', deletePurchaseOrder);
+    document.getElementById('poCloseBtn').addEventListener('click', closePurchaseOrderModal);
+
+    // Sales orders
+    if (soStatusFilter) {
+        soStatusFilter.addEventListener('change', loadSalesOrders);
+    }
+
+    if (newSoBtn) {
+        newSoBtn.addEventListener('click', () => openSalesOrderModal());
+    }
+
+    if (soForm) {
+        soForm.addEventListener('submit', handleSalesOrderSubmit);
+    }
+
+    document.getElementById('soAddLineBtn').addEventListener('click', addSalesOrderLine);
+    document.getElementById('soFulfilBtn').addEventListener('click', fulfilSalesOrder);
+    document.getElementById('soCancelOrderBtn').addEventListener('click', cancelSalesOrder);
+    document.getElementById('soCloseBtn').addEventListener('click', closeSalesOrderModal);
+
+    // Stock counts
+    if (countStatusFilter) {
+        countStatusFilter.addEventListener('change', loadStockCounts);
+    }
+
+    document.getElementById('newCountBtn').addEventListener('click', startStockCount);
+    document.getElementById('countSaveBtn').addEventListener('click', () => saveCounts());
+    document.getElementById('countSubmitBtn').addEventListener('click', submitStockCount);
+    document.getElementById('countReopenBtn').addEventListener('click', () => changeStockCountStatus('reopen'));
+    document.getElementById('countCancelBtn').addEventListener('click', () => changeStockCountStatus('cancel'));
+    document.getElementById('countApproveBtn').addEventListener('click', () => changeStockCountStatus('approve'));
+    document.getElementById('countReportBtn').addEventListener('click', downloadVarianceReport);
+    document.getElementById('countCloseBtn').addEventListener('click', closeStockCountModal);
+
+    // Confirmation modal
+    if (confirmDeleteBtn) {
+        confirmDeleteBtn.addEventListener('click', confirmDelete);
+    }
+    
+    if (confirmCancelBtn && confirmModal) {
+        confirmCancelBtn.addEventListener('click', () => {
+            confirmModal.style.display = 'none';
+        });
+    }
+}
+
+/**
+ * Loads the current page of inventory items into the table
+ * @returns {Promise<void>}
+ */
+async function loadInventory() {
+    try {
+        const response = await api.listItems(buildListQuery());
+        if (!response.ok) throw new Error('Failed to fetch items');
+
+        const result = await response.json();
+        // Update local inventory cache, with variants alongside their parents
+        inventory = result.items.reduce((all, item) => all.concat([item], item.variants || []), []);
+
+        // Step back if the current page no longer exists (e.g. after a delete)
+        if (result.items.length === 0 && result.total > 0 && listQuery.page > 1) {
+            listQuery.page = result.totalPages;
+            return loadInventory();
+        }
+        
+        if (!inventoryList) {
+            console.error('Inventory list element not found');
+            return;
+        }
+        
+        inventoryList.innerHTML = '';
+        // A new page or filter starts with nothing selected
+        selectedItemIds.clear();
+        updateBulkBar();
+        updateSortIndicators();
+        updatePager(result);
+        loadLowStockAlerts();
+        
+        if (result.items.length === 0) {
+            const emptyRow = document.createElement('tr');
+            emptyRow.innerHTML = `
+                <td colspan="12" style="text-align: center; padding: 20px;">
+                    No items found. Click "Add Item" to get started.
+                </td>
+            `;
+            inventoryList.appendChild(emptyRow);
+            return;
+        }
+
+        result.items.forEach(item => {
+            inventoryList.appendChild(createTableRow(item));
+            (item.variants || []).forEach(variant => inventoryList.appendChild(createTableRow(variant)));
+        });
+    } catch (error) {
+        console.error('Error loading inventory:', error);
+        showNotification('Failed to load inventory', 'error');
+    }
+}
+
+/**
+ * Builds the item list query from the toolbar and table state
+ * @returns {Object<string, *>}
+ */
+function buildListQuery() {
+    const searchTerm = (searchInput?.value || '').trim();
+    const categoryId = categoryFilter?.value || '';
+
+    return {
+        search: searchTerm,
+        categoryId: categoryId ? parseInt(categoryId, 10) : null,
+        lowStock: listQuery.lowStock || null,
+        group: true,
+        sort: currentSort(),
+        order: listQuery.order,
+        page: listQuery.page,
+        pageSize: listQuery.pageSize
+    };
+}
+
+// The sort in effect: the chosen column, else relevance while searching
+function currentSort() {
+    if (listQuery.sort) return listQuery.sort;
+    return (searchInput?.value || '').trim() ? 'relevance' : 'productName';
+}
+
+// Filter inventory based on search and category, starting from the first page.
+// Changing the filters by hand leaves the saved view that was picked.
+async function filterInventory() {
+    listQuery.page = 1;
+    selectSavedView('');
+    await loadInventory();
+}
+
+/**
+ * Sorts by a column, toggling the direction when it is already the sort column
+ * @param {string} field - Item field to sort by
+ */
+function sortInventory(field) {
+    if (currentSort() === field) {
+        listQuery.order = listQuery.order === 'asc' ? 'desc' : 'asc';
+    } else {
+        listQuery.sort = field;
+        listQuery.order = 'asc';
+    }
+    listQuery.page = 1;
+    loadInventory();
+}
+
+// Mark the active sort column in the table header
+function updateSortIndicators() {
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        const header = /** @type {HTMLElement} */ (th);
+        header.classList.remove('sort-asc', 'sort-desc');
+        if (header.dataset.sort === currentSort()) {
+            header.classList.add(`sort-${listQuery.order}`);
+        }
+    });
+}
+
+/**
+ * Updates the pager controls from a paged API response
+ * @param {{total: number, page: number, totalPages: number}} result
+ */
+function updatePager(result) {
+    if (pageInfo) {
+        pageInfo.textContent = `Page ${result.page} of ${result.totalPages} (${result.total} items)`;
+    }
+    if (prevPageBtn) prevPageBtn.disabled = result.page <= 1;
+    if (nextPageBtn) nextPageBtn.disabled = result.page >= result.totalPages;
+}
+
+/**
+ * Calls the API with the session token attached. Rejects with an error whose
+ * `offline` flag is set when the server can't be reached.
+ * @param {string} path - Path relative to API_BASE_URL
+ * @param {RequestInit} [options] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (session) {
+        headers['Authorization'] = `Bearer ${session.token}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    } catch (error) {
+        // fetch only rejects when the request never got a response
+        setConnectionState(false);
+        throw Object.assign(new Error("You're offline. Check the connection and try again."), { offline: true });
+    }
+
+    // The service worker answers from its cache when the network is down
+    const snapshotAt = response.headers.get('X-Offline-Snapshot');
+    setConnectionState(!snapshotAt, snapshotAt);
+
+    if (response.status === 401) {
+        clearSession();
+        showLoginScreen();
+        throw new Error('Your session has expired. Please log in again.');
+    }
+
+    return response;
+}
+
+/**
+ * Whether the logged-in user has at least the given role
+ * @param {'viewer'|'clerk'|'admin'} role
+ * @returns {boolean}
+ */
+function hasRole(role) {
+    return Boolean(session) && ROLES.indexOf(session.user.role) >= ROLES.indexOf(role);
+}
+
+// Restore a saved session from localStorage, if any
+function restoreSession() {
+    try {
+        session = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+    } catch (error) {
+        session = null;
+    }
+}
+
+function clearSession() {
+    session = null;
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+// Show the login screen and hide the app
+function showLoginScreen() {
+    disconnectEvents();
+    if (loginScreen) loginScreen.style.display = 'flex';
+    if (appContainer) appContainer.style.display = 'none';
+    closeModal();
+}
+
+// Show the app for the logged-in user, hiding what their role can't use
+function showApp() {
+    if (loginScreen) loginScreen.style.display = 'none';
+    if (appContainer) appContainer.style.display = 'block';
+    if (currentUserLabel) currentUserLabel.textContent = `${session.user.username} (${session.user.role})`;
+    if (addItemBtn) addItemBtn.style.display = hasRole('clerk') ? '' : 'none';
+    if (importBtn) importBtn.style.display = hasRole('clerk') ? '' : 'none';
+    if (manageListsBtn) manageListsBtn.style.display = hasRole('clerk') ? '' : 'none';
+    loadReferenceData();
+    loadSavedViews();
+    if (movementForm) movementForm.style.display = hasRole('clerk') ? '' : 'none';
+    if (transferForm) transferForm.style.display = hasRole('clerk') ? '' : 'none';
+    if (newPoBtn) newPoBtn.style.display = hasRole('clerk') ? '' : 'none';
+    if (draftLowStockBtn) draftLowStockBtn.style.display = hasRole('clerk') ? '' : 'none';
+    if (newSoBtn) newSoBtn.style.display = hasRole('clerk') ? '' : 'none';
+    if (newCountForm) newCountForm.style.display = hasRole('clerk') ? '' : 'none';
+    if (trashTab) trashTab.style.display = hasRole('clerk') ? '' : 'none';
+    // Viewers can scan to find but not to move stock
+    if (scanMode) {
+        scanMode.value = 'find';
+        scanMode.style.display = hasRole('clerk') ? '' : 'none';
+        updateScanMode();
+    }
+    showView('inventory');
+    connectEvents();
+    // Send anything left queued from an earlier visit
+    refreshSyncStatus().then(replayQueue);
+}
+
+// Handle login form submission
+async function handleLogin(e) {
+    e.preventDefault();
+
+    const username = /** @type {HTMLInputElement} */ (document.getElementById('loginUsername')).value.trim();
+    const password = /** @type {HTMLInputElement} */ (document.getElementById('loginPassword')).value;
+
+    try {
+        // Straight to fetch: a 401 here is a wrong password, not an expired session
+        const response = await createApiClient((path, init) => fetch(`${API_BASE_URL}${path}`, init))
+            .login({ username, password });
+
+        const result = await readResult(response, 'Failed to log in');
+
+        session = result;
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+        loginForm.reset();
+        showApp();
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showNotification(error.message || 'Failed to log in', 'error');
+    }
+}
+
+// Log out of the current session
+async function handleLogout() {
+    // Queued changes belong to this session and can't be sent after logging out
+    try {
+        const queued = await getOfflineEntries('queue');
+        if (queued.length > 0 && !window.confirm(
+            `${queued.length} change${queued.length === 1 ? " hasn't" : "s haven't"} synced yet and will be lost. Log out anyway?`)) {
+            return;
+        }
+        await Promise.all(queued.map(entry => offlineStore('queue', 'readwrite', store => store.delete(entry.id))));
+    } catch (error) {
+        console.error('Error clearing offline changes:', error);
+    }
+    if ('caches' in window) caches.delete(OFFLINE_DATA_CACHE);
+
+    try {
+        await api.logout();
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    clearSession();
+    showLoginScreen();
+}
+
+/**
+ * Shows or hides the offline indicator. Coming back online replays the
+ * changes queued meanwhile.
+ * @param {boolean} online
+ * @param {string | null} [snapshotAt] - When the data on screen was saved, if it came from the offline cache
+ */
+function setConnectionState(online, snapshotAt = null) {
+    const wasOffline = isOffline;
+    isOffline = !online;
+
+    if (connectionStatus) connectionStatus.style.display = isOffline ? 'inline-block' : 'none';
+    if (connectionStatusText) {
+        connectionStatusText.textContent = snapshotAt
+            ? `Offline - showing data from ${new Date(snapshotAt).toLocaleString()}`
+            : 'Offline';
+    }
+
+    if (wasOffline && online) replayQueue();
+}
+
+// Opens (creating on first use) the IndexedDB database for offline changes
+let offlineDb = null;
+function openOfflineDb() {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                // queue: changes waiting to be sent; conflicts: ones the server refused
+                request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                request.result.createObjectStore('conflicts', { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+}
+
+/**
+ * Runs one request against an offline store and resolves with its result
+ * @param {'queue'|'conflicts'} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ * @returns {Promise<any>}
+ */
+async function offlineStore(storeName, mode, operation) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * The logged-in user's entries in an offline store, oldest first
+ * @param {'queue'|'conflicts'} storeName
+ * @returns {Promise<Array<Object>>}
+ */
+async function getOfflineEntries(storeName) {
+    const entries = await offlineStore(storeName, 'readonly', store => store.getAll());
+    return entries.filter(entry => session && entry.username === session.user.username);
+}
+
+/**
+ * Keeps an item change that couldn't reach the server, to be sent again when
+ * the connection returns. The If-Match header goes with it, so edits that
+ * clash with changes made meanwhile come back as conflicts.
+ * @param {{operation: 'createItem'|'updateItem'|'deleteItem', params?: Object, body?: Object}} request - The client call to repeat
+ * @param {string} description - Shown in the sync panel, e.g. "Edit LP001"
+ * @param {number | null} [itemId]
+ */
+async function queueOfflineChange(request, description, itemId = null) {
+    try {
+        await offlineStore('queue', 'readwrite', store => store.add({
+            ...request,
+            description,
+            itemId,
+            username: session.user.username,
+            queuedAt: new Date().toISOString()
+        }));
+        showNotification(`You're offline. "${description}" will be sent when the connection returns.`, 'warning');
+    } catch (error) {
+        console.error('Error queueing offline change:', error);
+        showNotification("You're offline and the change couldn't be saved on this device", 'error');
+    }
+    await refreshSyncStatus();
+}
+
+/**
+ * Sends queued changes in the order they were made. Stops at the first one
+ * that still can't reach the server; ones the server refuses move to the
+ * conflicts list for the user to review or discard.
+ */
+async function replayQueue() {
+    if (syncInProgress || !session) return;
+    syncInProgress = true;
+
+    let synced = 0;
+    let refused = 0;
+    try {
+        const queued = await getOfflineEntries('queue');
+        for (const entry of queued) {
+            let response;
+            try {
+                response = await sendQueuedChange(entry);
+            } catch (error) {
+                break;
+            }
+
+            if (response.ok) {
+                synced += 1;
+            } else {
+                const result = await response.json().catch(() => ({}));
+                const { id, ...change } = entry;
+                await offlineStore('conflicts', 'readwrite', store => store.add({
+                    ...change,
+                    status: response.status,
+                    error: response.status === 412
+                        ? 'Changed by someone else since you edited it'
+                        : describeError(result, `Refused by the server (${response.status})`),
+                    fields: (result.details && result.details.fields) || null
+                }));
+                refused += 1;
+            }
+            await offlineStore('queue', 'readwrite', store => store.delete(entry.id));
+        }
+    } catch (error) {
+        console.error('Error syncing offline changes:', error);
+    } finally {
+        syncInProgress = false;
+    }
+
+    await refreshSyncStatus();
+    if (synced > 0) {
+        showNotification(`Synced ${synced} change${synced === 1 ? '' : 's'} made offline`, 'success');
+        loadInventory();
+    }
+    if (refused > 0) {
+        showNotification(`${refused} change${refused === 1 ? '' : 's'} made offline couldn't be applied`, 'error');
+        if (syncPanel) syncPanel.style.display = 'block';
+    }
+}
+
+/**
+ * Repeats a queued client call
+ * @param {{operation: 'createItem'|'updateItem'|'deleteItem', params?: Object, body?: Object}} entry
+ * @returns {Promise<Response>}
+ */
+function sendQueuedChange(entry) {
+    switch (entry.operation) {
+        case 'createItem':
+            return api.createItem(entry.body);
+        case 'updateItem':
+            return api.updateItem(entry.params, entry.body);
+        default:
+            return api.deleteItem(entry.params);
+    }
+}
+
+// Updates the pending-sync badge, the sync panel and the pending row markers
+async function refreshSyncStatus() {
+    if (!session || !syncStatusBtn) return;
+
+    let queued = [];
+    let conflicts = [];
+    try {
+        [queued, conflicts] = await Promise.all([getOfflineEntries('queue'), getOfflineEntries('conflicts')]);
+    } catch (error) {
+        console.error('Error reading offline changes:', error);
+    }
+
+    pendingItemIds = new Set(queued.map(entry => entry.itemId).filter(Boolean));
+    inventoryList.querySelectorAll('tr[data-id]').forEach(row => {
+        row.classList.toggle('row-pending', pendingItemIds.has(Number(/** @type {HTMLElement} */ (row).dataset.id)));
+    });
+
+    const parts = [];
+    if (queued.length > 0) parts.push(`${queued.length} waiting to sync`);
+    if (conflicts.length > 0) parts.push(`${conflicts.length} need${conflicts.length === 1 ? 's' : ''} attention`);
+    syncStatusBtn.style.display = parts.length > 0 ? 'inline-block' : 'none';
+    syncStatusBtn.classList.toggle('has-conflicts', conflicts.length > 0);
+    document.getElementById('syncStatusText').textContent = parts.join(', ');
+    if (parts.length === 0 && syncPanel) syncPanel.style.display = 'none';
+
+    renderSyncList(queued, conflicts);
+}
+
+/**
+ * Lists queued changes and refused ones in the sync panel
+ * @param {Array<Object>} queued
+ * @param {Array<Object>} conflicts
+ */
+function renderSyncList(queued, conflicts) {
+    syncList.innerHTML = '';
+
+    const addRow = (entry, storeName, status) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(entry.description)}</td>
+            <td>${new Date(entry.queuedAt).toLocaleString()}</td>
+            <td class="${storeName === 'conflicts' ? 'movement-out' : ''}">${escapeHtml(status)}</td>
+            <td class="actions">
+                ${storeName === 'conflicts' && entry.operation !== 'deleteItem'
+                    ? '<button type="button" class="btn btn-edit" data-action="review">Review</button>' : ''}
+                <button type="button" class="btn btn-delete" data-action="discard">Discard</button>
+            </td>
+        `;
+        row.querySelector('[data-action="discard"]').addEventListener('click', () => discardOfflineChange(storeName, entry));
+        const reviewBtn = row.querySelector('[data-action="review"]');
+        if (reviewBtn) reviewBtn.addEventListener('click', () => reviewConflict(entry));
+        syncList.appendChild(row);
+    };
+
+    conflicts.forEach(entry => addRow(entry, 'conflicts', entry.error));
+    queued.forEach(entry => addRow(entry, 'queue', 'Waiting to sync'));
+}
+
+/**
+ * Drops a queued or refused change without sending it
+ * @param {'queue'|'conflicts'} storeName
+ * @param {{id: number, description: string}} entry
+ */
+async function discardOfflineChange(storeName, entry) {
+    if (!window.confirm(`Discard "${entry.description}"? It will not be applied.`)) return;
+
+    try {
+        await offlineStore(storeName, 'readwrite', store => store.delete(entry.id));
+    } catch (error) {
+        console.error('Error discarding offline change:', error);
+    }
+    await refreshSyncStatus();
+}
+
+/**
+ * Opens a refused add or edit in the item form with the user's values, showing
+ * the fields that clash with the server's copy or failed validation, so it
+ * can be fixed and saved again
+ * @param {{id: number, operation: string, itemId: number | null, body: Object, status: number, fields: Object | null}} conflict
+ */
+async function reviewConflict(conflict) {
+    const formData = conflict.body;
+
+    await openModal(conflict.itemId);
+    if (modal.style.display === 'none') return;
+
+    try {
+        await offlineStore('conflicts', 'readwrite', store => store.delete(conflict.id));
+    } catch (error) {
+        console.error('Error removing offline conflict:', error);
+    }
+    refreshSyncStatus();
+
+    Object.keys(formData).forEach(field => {
+        const input = /** @type {HTMLInputElement | null} */ (document.getElementById(field));
+        if (!input || field === 'quantity' && conflict.operation === 'updateItem') return;
+        const value = formData[field];
+        input.value = value === null || value === undefined ? '' : field === 'attributes' ? formatAttributes(value) : String(value);
+    });
+
+    if (conflict.status === 412) {
+        try {
+            const response = await api.getItem({ id: conflict.itemId });
+            if (!response.ok) throw new Error('Failed to fetch item details');
+            showEditConflict(formData, await response.json());
+        } catch (error) {
+            console.error('Error loading conflicting item:', error);
+            showNotification(error.message || 'Failed to load item details', 'error');
+        }
+    } else if (conflict.fields) {
+        showFieldErrors(conflict.fields);
+    }
+}
+
+/**
+ * Subscribes to the server's item events so the table stays current without
+ * reloading. Reconnects with exponential backoff when the stream drops and
+ * asks the server to replay whatever was missed in the meantime.
+ */
+function connectEvents() {
+    disconnectEvents();
+    if (!session) return;
+
+    const path = api.paths.streamEvents({
+        token: session.token,
+        lastEventId: lastEventId === null ? null : parseInt(lastEventId, 10)
+    });
+    const source = new EventSource(`${API_BASE_URL}${path}`);
+    eventSource = source;
+
+    source.addEventListener('open', () => {
+        reconnectAttempts = 0;
+        setConnectionState(true);
+    });
+
+    /** @type {Array<'item.created'|'item.updated'|'item.deleted'>} */ (['item.created', 'item.updated', 'item.deleted']).forEach(type => {
+        source.addEventListener(type, (e) => {
+            const event = /** @type {MessageEvent} */ (e);
+            lastEventId = event.lastEventId;
+            applyItemEvent(type, JSON.parse(event.data));
+        });
+    });
+
+    // Too much was missed to replay, so start over from a fresh list
+    source.addEventListener('resync', () => {
+        lastEventId = null;
+        loadInventory();
+    });
+
+    // EventSource retries on its own, but with no backoff and no token refresh
+    source.addEventListener('error', () => {
+        if (source !== eventSource) return;
+        source.close();
+        eventSource = null;
+
+        const delay = Math.min(RECONNECT_MAX_MS, 1000 * 2 ** reconnectAttempts) + Math.random() * 1000;
+        reconnectAttempts += 1;
+        reconnectTimer = setTimeout(connectEvents, delay);
+    });
+}
+
+function disconnectEvents() {
+    clearTimeout(reconnectTimer);
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+/**
+ * Patches the inventory table for one pushed event, highlighting the row
+ * @param {'item.created'|'item.updated'|'item.deleted'} type
+ * @param {Object} item - The item as the API presents it
+ */
+function applyItemEvent(type, item) {
+    const row = inventoryList.querySelector(`tr[data-id="${item.id}"]`);
+    const index = inventory.findIndex(i => i.id === item.id);
+
+    if (type === 'item.deleted' || item.archived) {
+        if (index !== -1) inventory.splice(index, 1);
+        if (selectedItemIds.delete(item.id)) updateBulkBar();
+        if (row) {
+            removeStockBreakdown(row);
+            row.classList.add('row-removed');
+            setTimeout(() => row.remove(), 1000);
+        }
+    } else if (row) {
+        // Keep an open stock breakdown open with the new figures
+        const wasExpanded = removeStockBreakdown(row);
+        // Events don't carry the grouped variants, so keep the ones listed
+        if (index !== -1 && inventory[index].variants) item.variants = inventory[index].variants;
+        const updated = createTableRow(item);
+        row.replaceWith(updated);
+        if (wasExpanded) updated.querySelector('.btn-expand')?.dispatchEvent(new Event('click'));
+        if (index !== -1) inventory[index] = item;
+        highlightRow(updated);
+    } else if (type === 'item.created' && item.parentId) {
+        // New variants go at the end of their parent's group, if it's listed
+        const groupRows = inventoryList.querySelectorAll(`tr[data-id="${item.parentId}"], tr[data-parent-id="${item.parentId}"]`);
+        if (groupRows.length > 0) {
+            const created = createTableRow(item);
+            removeStockBreakdown(groupRows[groupRows.length - 1]);
+            groupRows[groupRows.length - 1].insertAdjacentElement('afterend', created);
+            inventory.push(item);
+            highlightRow(created);
+        }
+    } else if (type === 'item.created' && listQuery.page === 1 && matchesListFilters(item)) {
+        const emptyRow = inventoryList.querySelector('td[colspan]');
+        if (emptyRow && inventory.length === 0) emptyRow.parentElement.remove();
+
+        const created = createTableRow(item);
+        inventoryList.prepend(created);
+        inventory.unshift(item);
+        highlightRow(created);
+    }
+
+    scheduleSummaryRefresh();
+}
+
+/**
+ * Removes the stock breakdown row under an item row, if open
+ * @param {Element} row
+ * @returns {boolean} Whether a breakdown was open
+ */
+function removeStockBreakdown(row) {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('stock-breakdown')) {
+        next.remove();
+        return true;
+    }
+    return false;
+}
+
+function highlightRow(row) {
+    row.classList.add('row-highlight');
+    setTimeout(() => row.classList.remove('row-highlight'), 2000);
+}
+
+/**
+ * Whether a newly created item belongs in the table under the current
+ * search, category and low stock filters
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function matchesListFilters(item) {
+    const searchTerm = (searchInput?.value || '').trim();
+    const categoryId = categoryFilter?.value || '';
+
+    // Search matching and ranking happen on the server; reload to see new matches
+    if (searchTerm) return false;
+    if (categoryId && item.categoryId !== parseInt(categoryId, 10)) return false;
+    if (listQuery.lowStock && item.quantity > item.effectiveReorderPoint) return false;
+    return true;
+}
+
+/**
+ * Ticks or clears every row on the page
+ * @param {boolean} selected
+ */
+function toggleSelectAll(selected) {
+    inventoryList.querySelectorAll('tr[data-id]').forEach(row => {
+        const id = parseInt(row.getAttribute('data-id'), 10);
+        const box = /** @type {HTMLInputElement} */ (row.querySelector('.row-select'));
+        box.checked = selected;
+        if (selected) {
+            selectedItemIds.add(id);
+        } else {
+            selectedItemIds.delete(id);
+        }
+    });
+    updateBulkBar();
+}
+
+// Show the bulk actions the user's role allows while rows are selected
+function updateBulkBar() {
+    const count = selectedItemIds.size;
+    const rowCount = inventoryList ? inventoryList.querySelectorAll('tr[data-id]').length : 0;
+
+    if (selectAllItems) {
+        selectAllItems.checked = count > 0 && count === rowCount;
+        selectAllItems.indeterminate = count > 0 && count < rowCount;
+    }
+    if (printLabelsBtn) printLabelsBtn.disabled = count === 0;
+    if (!bulkBar) return;
+
+    bulkBar.style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+    document.getElementById('bulkEditBtn').style.display = hasRole('clerk') ? '' : 'none';
+    document.getElementById('bulkDeleteBtn').style.display = hasRole('admin') ? '' : 'none';
+}
+
+// Refresh the low stock banner and dashboard once a burst of events (e.g. an import) settles
+function scheduleSummaryRefresh() {
+    clearTimeout(summaryRefreshTimer);
+    summaryRefreshTimer = setTimeout(() => {
+        loadLowStockAlerts();
+        loadDashboard();
+    }, 500);
+}
+
+/**
+ * Handles a scanned or typed barcode. Scanners type the code and press
+ * Enter, so this runs on submit. In find mode the item opens; in receive or
+ * issue mode each scan moves one unit, and focus stays in the input for the
+ * next scan.
+ * @param {Event} e
+ */
+async function handleScan(e) {
+    e.preventDefault();
+    const code = scanInput.value.trim();
+    const mode = scanMode.value;
+    scanInput.value = '';
+    if (!code) return;
+
+    try {
+        const response = await api.lookupItem({ code });
+        const item = await readResult(response, 'Failed to look up barcode');
+
+        if (mode === 'find') {
+            const row = inventoryList.querySelector(`tr[data-id="${item.id}"]`);
+            if (row) {
+                row.scrollIntoView({ block: 'center' });
+                highlightRow(row);
+            }
+            return openModal(item.id);
+        }
+
+        const moveResponse = await MOVEMENT_REQUESTS[mode](item.id, { quantity: 1, reason: 'Barcode scan' });
+        const result = await readResult(moveResponse, `Failed to ${mode} ${item.sku}`);
+
+        const verb = mode === 'receive' ? 'Received' : 'Issued';
+        showNotification(`${verb} 1 × ${item.sku}; on hand now ${result.item.quantity}`);
+    } catch (error) {
+        console.error('Error handling scan:', error);
+        showNotification(error.message, 'error');
+    } finally {
+        if (mode !== 'find') scanInput.focus();
+    }
+}
+
+// Mark the scan input while scans move stock so it isn't mistaken for find
+function updateScanMode() {
+    scanForm.classList.toggle('scan-active', scanMode.value !== 'find');
+    scanInput.focus();
+}
+
+/**
+ * Opens a printable label sheet for the given items in a new tab
+ * @param {number[]} itemIds
+ */
+async function printLabels(itemIds) {
+    if (itemIds.length === 0) {
+        showNotification('No items to print labels for', 'error');
+        return;
+    }
+
+    // Open the tab now; after an await the browser would treat it as a popup
+    const labelWindow = window.open('', '_blank');
+    try {
+        const response = await api.getLabels({ ids: itemIds.join(',') });
+        if (!response.ok) throw new Error('Failed to create labels');
+
+        const blob = await response.blob();
+        labelWindow.location.href = URL.createObjectURL(blob);
+    } catch (error) {
+        labelWindow.close();
+        console.error('Error printing labels:', error);
+        showNotification('Failed to create labels', 'error');
+    }
+}
+
+/**
+ * Shows an item's barcode and QR code in the edit modal. Images need the
+ * auth header, so they're fetched and shown through blob URLs.
+ * @param {number} itemId
+ */
+async function loadBarcodes(itemId) {
+    /** @type {Array<['code128'|'qr', HTMLImageElement]>} */
+    const barcodes = [['code128', code128Image], ['qr', qrImage]];
+    await Promise.all(barcodes.map(async ([type, image]) => {
+        try {
+            const response = await api.getBarcode({ id: itemId, type });
+            if (!response.ok) throw new Error('Failed to load barcode');
+
+            URL.revokeObjectURL(image.src);
+            image.src = URL.createObjectURL(await response.blob());
+        } catch (error) {
+            console.error('Error loading barcode:', error);
+            image.removeAttribute('src');
+        }
+    }));
+}
+
+// Refresh the low stock banner from the alerts endpoint
+async function loadLowStockAlerts() {
+    try {
+        const response = await api.getLowStockAlerts();
+        if (!response.ok) throw new Error('Failed to fetch low stock alerts');
+
+        const { count } = await response.json();
+
+        // Keep the banner visible while filtering so the filter can be cleared
+        lowStockBanner.style.display = count > 0 || listQuery.lowStock ? 'flex' : 'none';
+        lowStockMessage.textContent = `${count} item${count === 1 ? ' is' : 's are'} at or below the reorder point.`;
+        lowStockLink.textContent = listQuery.lowStock ? 'Show all items' : 'Show these items';
+    } catch (error) {
+        console.error('Error loading low stock alerts:', error);
+    }
+}
+
+/**
+ * Reports the API can run
+ * @typedef {'summary'|'value-by-category'|'value-by-supplier'|'value-by-location'|'stock-status'|'turnover'} ReportName
+ */
+
+const REPORT_CHARTS = {
+    'value-by-category': 'categoryChart',
+    'value-by-supplier': 'supplierChart',
+    'value-by-location': 'locationChart'
+};
+
+// Charts show the largest groups; the CSV download has them all
+const CHART_MAX_BARS = 6;
+
+/**
+ * Fetches one report as JSON
+ * @param {ReportName} name
+ * @param {{days?: number}} [params]
+ * @returns {Promise<{rows: Object[], totals: Object}>}
+ */
+async function fetchReport(name, params = {}) {
+    const response = await api.getReport({ name, ...params });
+    if (!response.ok) throw new Error('Failed to load report');
+    return response.json();
+}
+
+// Fill the summary cards and charts above the inventory table
+async function loadDashboard() {
+    try {
+        const [summary, ...groups] = await Promise.all([
+            fetchReport('summary'),
+            ...Object.keys(REPORT_CHARTS).map(name => fetchReport(/** @type {ReportName} */ (name)))
+        ]);
+
+        const { totals } = summary;
+        document.getElementById('summaryValue').textContent = formatMoney(totals.value);
+        document.getElementById('summaryUnits').textContent = totals.units.toLocaleString();
+        document.getElementById('summaryItems').textContent = totals.itemCount.toLocaleString();
+        document.getElementById('summaryLowStock').textContent = totals.lowStock;
+        document.getElementById('summaryOutOfStock').textContent = totals.outOfStock;
+
+        Object.keys(REPORT_CHARTS).forEach((name, index) => {
+            renderBarChart(REPORT_CHARTS[name], groups[index].rows.map(row => ({
+                label: row.name,
+                value: row.value,
+                text: `${formatMoney(row.value)} (${row.share}%)`
+            })));
+        });
+
+        await loadCoverChart();
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+    }
+}
+
+// Items with the least stock left at their recent rate of use
+async function loadCoverChart() {
+    const { rows } = await fetchReport('turnover', { days: parseInt(turnoverDays.value, 10) });
+    renderBarChart('coverChart', rows
+        .filter(row => row.daysOfCover !== null)
+        .map(row => ({
+            label: row.sku,
+            value: row.daysOfCover,
+            text: `${row.daysOfCover} day${row.daysOfCover === 1 ? '' : 's'}`
+        })), 'No issues recorded in this period');
+}
+
+/**
+ * Draws a horizontal bar chart of the first few rows, scaled to the largest
+ * @param {string} chartId
+ * @param {{label: string, value: number, text: string}[]} bars
+ * @param {string} [emptyMessage]
+ */
+function renderBarChart(chartId, bars, emptyMessage = 'No stock') {
+    const chart = document.getElementById(chartId);
+    const shown = bars.slice(0, CHART_MAX_BARS);
+    const max = Math.max(...shown.map(bar => bar.value), 0);
+
+    if (shown.length === 0) {
+        chart.innerHTML = `<p class="chart-empty">${emptyMessage}</p>`;
+        return;
+    }
+
+    chart.innerHTML = shown.map(bar => `
+        <div class="bar-row" title="${escapeHtml(bar.label)}: ${bar.text}">
+            <span class="bar-label">${escapeHtml(bar.label)}</span>
+            <div class="bar-track"><div class="bar-fill" style="width: ${max > 0 ? bar.value / max * 100 : 0}%"></div></div>
+            <span class="bar-value">${bar.text}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatMoney(value) {
+    return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Downloads a report as CSV
+ * @param {ReportName} name
+ */
+async function downloadReport(name) {
+    const days = name === 'turnover' ? parseInt(turnoverDays.value, 10) : null;
+
+    try {
+        await downloadFile(api.getReport({ name, format: 'csv', days }), `${name}-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+        console.error('Error downloading report:', error);
+        showNotification('Failed to download report', 'error');
+    }
+}
+
+/**
+ * Saves an API response as a file. Fetch with a token can't trigger a
+ * download directly, so this goes through a blob URL.
+ * @param {Promise<Response>} request - The API call returning the file
+ * @param {string} filename
+ */
+async function downloadFile(request, filename) {
+    const response = await request;
+    if (!response.ok) throw new Error(`Failed to download ${filename}`);
+
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Escapes text for HTML built with template strings. Anything users can type
+ * (names, SKUs, notes, attribute values) must go through this.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Helper function to create a table row for an item
+function createTableRow(item) {
+    const row = document.createElement('tr');
+    row.setAttribute('data-id', item.id);
+    if (pendingItemIds.has(item.id)) row.classList.add('row-pending');
+    
+    // Stock status is worked out by the server from the item's reorder point
+    const statusClass = `status-${item.stockStatus}`;
+
+    // Variants sit under their parent's row and are named by their attributes
+    let name = escapeHtml(item.productName);
+    if (item.parentId) {
+        row.classList.add('variant-row');
+        row.setAttribute('data-parent-id', item.parentId);
+        const attributes = item.attributes || {};
+        name = `<span class="variant-attrs">${Object.keys(attributes)
+            .map(key => `<span class="variant-attr">${escapeHtml(attributes[key])}</span>`).join('')}</span>`;
+    } else if (item.variants && item.variants.length > 0) {
+        name += `<span class="variant-count">${item.variants.length} variant${item.variants.length === 1 ? '' : 's'}</span>`;
+    }
+
+    // Flag stock in lots that have expired or expire soon
+    if (item.expiryStatus) {
+        const label = item.expiryStatus === 'expired' ? 'Expired' : 'Expiring';
+        name += `<span class="expiry-flag expiry-${item.expiryStatus}" title="Earliest lot expires ${escapeHtml(item.nextExpiry)}">
+            <i class="fas fa-hourglass-half"></i> ${label}</span>`;
+    }
+    
+    row.innerHTML = `
+        <td>
+            <input type="checkbox" class="row-select" title="Select for bulk actions" ${selectedItemIds.has(item.id) ? 'checked' : ''}>
+        </td>
+        <td>
+            <button class="btn-expand" title="Stock by location" aria-expanded="false">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        </td>
+        <td>${name}</td>
+        <td>${escapeHtml(item.sku)}</td>
+        <td>${escapeHtml(item.category || 'N/A')}</td>
+        <td><span class="status-badge ${statusClass}" title="Reorder point: ${item.effectiveReorderPoint}">${item.quantity}</span></td>
+        <td class="reserved-qty">${item.reserved}</td>
+        <td>${item.available}</td>
+        <td>$${item.price.toFixed(2)}</td>
+        <td>${escapeHtml(item.supplier || 'N/A')}</td>
+        <td>${escapeHtml(item.location || 'N/A')}</td>
+        <td class="actions">
+            ${hasRole('clerk') ? `
+            <button class="btn btn-edit" onclick="editItem(${item.id})">
+                <i class="fas fa-edit"></i> Edit
+            </button>` : ''}
+            ${hasRole('admin') ? `
+            <button class="btn btn-delete" onclick="deleteItem(${item.id})">
+                <i class="fas fa-trash-alt"></i> Delete
+            </button>` : ''}
+        </td>
+    `;
+    
+    const expandBtn = row.querySelector('.btn-expand');
+    expandBtn.addEventListener('click', () => toggleStockBreakdown(row, item, expandBtn));
+
+    const selectBox = /** @type {HTMLInputElement} */ (row.querySelector('.row-select'));
+    selectBox.addEventListener('change', () => {
+        if (selectBox.checked) {
+            selectedItemIds.add(item.id);
+        } else {
+            selectedItemIds.delete(item.id);
+        }
+        updateBulkBar();
+    });
+    
+    return row;
+}
+
+/**
+ * Shows or hides the per-location stock breakdown under an item row
+ * @param {HTMLTableRowElement} row
+ * @param {Object} item
+ * @param {Element} expandBtn
+ */
+function toggleStockBreakdown(row, item, expandBtn) {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('stock-breakdown')) {
+        next.remove();
+        expandBtn.classList.remove('expanded');
+        expandBtn.setAttribute('aria-expanded', 'false');
+        return;
+    }
+
+    const detail = document.createElement('tr');
+    detail.className = 'stock-breakdown';
+    const entries = item.stock.length === 0
+        ? '<li>No stock held</li>'
+        : item.stock.map(s => `<li><strong>${escapeHtml(s.location || 'Unassigned')}:</strong> ${s.quantity}</li>`).join('');
+    detail.innerHTML = `<td colspan="12"><ul>${entries}<li><strong>Total:</strong> ${item.quantity}</li></ul></td>`;
+
+    row.insertAdjacentElement('afterend', detail);
+    expandBtn.classList.add('expanded');
+    expandBtn.setAttribute('aria-expanded', 'true');
+}
+
+// Open modal for adding/editing items
+async function openModal(itemId = null) {
+    const modalTitle = document.getElementById('modalTitle');
+    const form = /** @type {HTMLFormElement} */ (document.getElementById('inventoryForm'));
+    
+    if (itemId) {
+        // Edit mode
+        isEditMode = true;
+        currentItemId = itemId;
+        modalTitle.textContent = 'Edit Item';
+        
+        try {
+            // Fetch the item details from the API
+            const response = await api.getItem({ id: itemId });
+            if (!response.ok) throw new Error('Failed to fetch item details');
+            
+            const itemToEdit = await response.json();
+            currentItemEtag = itemEtag(response, itemToEdit);
+            
+            // Populate form fields
+            /** @type {HTMLInputElement} */ (document.getElementById('productName')).value = itemToEdit.productName;
+            /** @type {HTMLInputElement} */ (document.getElementById('sku')).value = itemToEdit.sku;
+            /** @type {HTMLSelectElement} */ (document.getElementById('categoryId')).value = String(itemToEdit.categoryId || '');
+            /** @type {HTMLInputElement} */ (document.getElementById('quantity')).value = String(itemToEdit.quantity);
+            /** @type {HTMLInputElement} */ (document.getElementById('price')).value = String(itemToEdit.price);
+            /** @type {HTMLSelectElement} */ (document.getElementById('supplierId')).value = String(itemToEdit.supplierId || '');
+            /** @type {HTMLSelectElement} */ (document.getElementById('locationId')).value = String(itemToEdit.locationId || '');
+            /** @type {HTMLInputElement} */ (document.getElementById('reorderPoint')).value = String(itemToEdit.reorderPoint ?? '');
+            /** @type {HTMLInputElement} */ (document.getElementById('reorderQuantity')).value = String(itemToEdit.reorderQuantity ?? '');
+            /** @type {HTMLSelectElement} */ (document.getElementById('unitId')).value = String(itemToEdit.unitId || '');
+            setVariantMode(itemToEdit);
+
+            // Quantity changes go through the movement ledger in edit mode
+            /** @type {HTMLInputElement} */ (document.getElementById('quantity')).readOnly = true;
+            movementsSection.style.display = 'block';
+            fillMovementLocations(itemToEdit);
+            fillMovementUnits(itemToEdit);
+            updateLotFields();
+            await loadMovements(itemId);
+            await loadLots(itemId);
+            variantsSection.style.display = itemToEdit.parentId ? 'none' : 'block';
+            variantForm.style.display = hasRole('clerk') ? '' : 'none';
+            if (!itemToEdit.parentId) await loadVariants(itemId);
+            historySection.style.display = 'block';
+            await loadItemHistory(itemId);
+            barcodeSection.style.display = 'block';
+            loadBarcodes(itemId);
+        } catch (error) {
+            console.error('Error fetching item:', error);
+            showNotification('Failed to load item details', 'error');
+            closeModal();
+            return;
+        }
+    } else {
+        // Add mode
+        isEditMode = false;
+        currentItemId = null;
+        modalTitle.textContent = 'Add New Item';
+        form.reset();
+        setVariantMode(null);
+        /** @type {HTMLInputElement} */ (document.getElementById('quantity')).readOnly = false;
+        movementsSection.style.display = 'none';
+        lotsSection.style.display = 'none';
+        variantsSection.style.display = 'none';
+        historySection.style.display = 'none';
+        barcodeSection.style.display = 'none';
+    }
+    
+    modal.style.display = 'flex';
+}
+
+// Close modal
+function closeModal() {
+    modal.style.display = 'none';
+    inventoryForm.reset();
+    clearFieldErrors();
+    movementForm.reset();
+    transferForm.reset();
+    movementsList.innerHTML = '';
+    lotsList.innerHTML = '';
+    variantForm.reset();
+    variantsList.innerHTML = '';
+    variantSkuEdited = false;
+    conflictSection.style.display = 'none';
+    conflictList.innerHTML = '';
+    currentItemId = null;
+    currentItemEtag = null;
+    isEditMode = false;
+}
+
+// Handle form submission
+async function handleFormSubmit(e) {
+    e.preventDefault();
+    
+    const formData = {
+        productName: /** @type {HTMLInputElement} */ (document.getElementById('productName')).value.trim(),
+        sku: /** @type {HTMLInputElement} */ (document.getElementById('sku')).value.trim(),
+        categoryId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('categoryId')).value),
+        quantity: parseInt(/** @type {HTMLInputElement} */ (document.getElementById('quantity')).value, 10),
+        price: parseFloat(/** @type {HTMLInputElement} */ (document.getElementById('price')).value),
+        supplierId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('supplierId')).value),
+        locationId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('locationId')).value),
+        unitId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('unitId')).value),
+        reorderPoint: parseOptionalInt(/** @type {HTMLInputElement} */ (document.getElementById('reorderPoint')).value),
+        reorderQuantity: parseOptionalInt(/** @type {HTMLInputElement} */ (document.getElementById('reorderQuantity')).value)
+    };
+
+    // Variants send their attributes instead of the fields set on the parent
+    if (currentItemIsVariant) {
+        VARIANT_SHARED_FIELDS.forEach(field => delete formData[field]);
+        formData.attributes = parseAttributes(/** @type {HTMLInputElement} */ (document.getElementById('attributes')).value);
+        if (/** @type {HTMLInputElement} */ (document.getElementById('price')).value === '') formData.price = null;
+    }
+    
+    clearFieldErrors();
+
+    // Simple validation
+    /** @type {Object<string, string[]>} */
+    const clientErrors = {};
+    if (!currentItemIsVariant && !formData.productName) clientErrors.productName = ['This field is required'];
+    if (!formData.sku) clientErrors.sku = ['This field is required'];
+    if (!currentItemIsVariant && !formData.categoryId) clientErrors.categoryId = ['This field is required'];
+    if (isNaN(formData.quantity)) clientErrors.quantity = ['Must be a number'];
+    if (isNaN(formData.price)) clientErrors.price = ['Must be a number'];
+    if (Object.keys(clientErrors).length > 0) {
+        showFieldErrors(clientErrors);
+        return;
+    }
+    
+    try {
+        let response;
+        
+        if (isEditMode && currentItemId) {
+            // Update existing item
+            response = await api.updateItem({ id: currentItemId, ifMatch: currentItemEtag }, formData);
+            
+            if (response.status === 412) {
+                const error = /** @type {ApiError} */ (await response.json());
+                showEditConflict(formData, error.details.current);
+                return;
+            }
+            if (await handleValidationResponse(response)) return;
+            if (!response.ok) throw new Error('Failed to update item');
+            showNotification('Item updated successfully!', 'success');
+        } else {
+            // Add new item
+            response = await api.createItem(formData);
+            
+            if (await handleValidationResponse(response)) return;
+            if (!response.ok) throw new Error('Failed to add item');
+            showNotification('Item added successfully!', 'success');
+        }
+        
+        // Reset and update UI
+        closeModal();
+        await loadInventory();
+    } catch (error) {
+        if (error.offline) {
+            const editing = isEditMode && currentItemId;
+            await queueOfflineChange(editing
+                ? { operation: 'updateItem', params: { id: currentItemId, ifMatch: currentItemEtag }, body: formData }
+                : { operation: 'createItem', body: formData },
+            `${editing ? 'Edit' : 'Add'} ${formData.sku}`, editing ? currentItemId : null);
+            closeModal();
+            return;
+        }
+        console.error('Error saving item:', error);
+        showNotification(error.message || 'Failed to save item', 'error');
+    }
+}
+
+/**
+ * ETag for an item response, falling back to its version when the header
+ * isn't readable
+ * @param {Response} response
+ * @param {{version: number}} item
+ * @returns {string}
+ */
+function itemEtag(response, item) {
+    return response.headers.get('ETag') || `"${item.version}"`;
+}
+
+/**
+ * Shows the fields where the user's edits differ from the item as now saved
+ * on the server, each with a button to take the server value. The next save
+ * is made against the server's latest version.
+ * @param {Object} formData - What the user tried to save
+ * @param {Object} current - The item as it is on the server now
+ */
+function showEditConflict(formData, current) {
+    currentItemEtag = `"${current.version}"`;
+
+    // Quantity is read-only here and follows the ledger, so just take the server's
+    /** @type {HTMLInputElement} */ (document.getElementById('quantity')).value = String(current.quantity);
+
+    conflictList.innerHTML = '';
+    const fields = Object.keys(formData).filter(field => field !== 'quantity' &&
+        formatHistoryValue(field, formData[field]) !== formatHistoryValue(field, current[field]));
+
+    if (fields.length === 0) {
+        conflictList.innerHTML = `
+            <tr><td colspan="4" style="text-align: center;">Only stock levels changed. Save again to apply your edits.</td></tr>
+        `;
+    }
+
+    fields.forEach(field => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(HISTORY_FIELDS[field] || field)}</td>
+            <td>${escapeHtml(formatHistoryValue(field, formData[field]))}</td>
+            <td>${escapeHtml(formatHistoryValue(field, current[field]))}</td>
+            <td><button type="button" class="btn btn-secondary">Use current</button></td>
+        `;
+        row.querySelector('button').addEventListener('click', () => {
+            const input = /** @type {HTMLInputElement} */ (document.getElementById(field));
+            input.value = current[field] === null || current[field] === undefined ? ''
+                : field === 'attributes' ? formatAttributes(current[field]) : String(current[field]);
+            row.remove();
+        });
+        conflictList.appendChild(row);
+    });
+
+    conflictSection.style.display = 'block';
+    loadItemHistory(current.id);
+}
+
+/**
+ * Parses an optional whole-number input; blank means null
+ * @param {string} value
+ * @returns {number | null}
+ */
+function parseOptionalInt(value) {
+    return value.trim() === '' ? null : parseInt(value, 10);
+}
+
+/**
+ * Shows a 422 response's field errors inline in the item form
+ * @param {Response} response
+ * @returns {Promise<boolean>} true if the response was a validation failure
+ */
+async function handleValidationResponse(response) {
+    if (response.status !== 422) return false;
+
+    const result = await response.json();
+    showFieldErrors((result.details && result.details.fields) || {});
+    return true;
+}
+
+/**
+ * Marks form inputs as invalid and shows their messages underneath
+ * @param {Object<string, string[]>} fieldErrors - Messages keyed by field name
+ */
+function showFieldErrors(fieldErrors) {
+    clearFieldErrors();
+
+    Object.keys(fieldErrors).forEach(field => {
+        const input = inventoryForm.querySelector(`#${field}`);
+        if (!input) return;
+
+        input.classList.add('invalid');
+        const message = document.createElement('div');
+        message.className = 'field-error';
+        message.textContent = fieldErrors[field].join(' ');
+        input.insertAdjacentElement('afterend', message);
+    });
+
+    const firstInvalid = /** @type {HTMLElement | null} */ (inventoryForm.querySelector('.invalid'));
+    if (firstInvalid) firstInvalid.focus();
+}
+
+// Remove all inline errors from the item form
+function clearFieldErrors() {
+    inventoryForm.querySelectorAll('.field-error').forEach(el => el.remove());
+    inventoryForm.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+}
+
+/**
+ * Shows variant attributes as "Size=M, Colour=Red"
+ * @param {Object<string, string> | null | undefined} attributes
+ * @returns {string}
+ */
+function formatAttributes(attributes) {
+    return Object.keys(attributes || {}).map(name => `${name}=${attributes[name]}`).join(', ');
+}
+
+/**
+ * Parses "Size=M, Colour=Red" into attributes. A part without "=" gets an
+ * empty value, which the server reports back as an error.
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(text) {
+    /** @type {Object<string, string>} */
+    const attributes = {};
+    text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [name, ...value] = part.split('=');
+        attributes[name.trim()] = value.join('=').trim();
+    });
+    return attributes;
+}
+
+/**
+ * Sets the item form up for a variant, whose product details come from its
+ * parent, or for a top-level item
+ * @param {Object | null} item - The item being edited, or null when adding
+ */
+function setVariantMode(item) {
+    const isVariant = Boolean(item && item.parentId);
+    const price = /** @type {HTMLInputElement} */ (document.getElementById('price'));
+
+    currentItemIsVariant = isVariant;
+    attributesGroup.style.display = isVariant ? 'block' : 'none';
+    /** @type {HTMLInputElement} */ (document.getElementById('attributes')).value = isVariant ? formatAttributes(item.attributes) : '';
+    VARIANT_SHARED_FIELDS.forEach(field => {
+        /** @type {HTMLInputElement} */ (document.getElementById(field)).disabled = isVariant;
+    });
+
+    // A blank price on a variant means "use the parent's"
+    price.required = !isVariant;
+    price.placeholder = isVariant ? "Parent's price" : '';
+    if (isVariant && item.inheritsPrice) price.value = '';
+
+    document.getElementById('variantOfLabel').textContent = isVariant
+        ? 'Name, category, supplier and unit are set on the parent item.'
+        : '';
+}
+
+// Load the variants of the item open in the modal
+async function loadVariants(itemId) {
+    const response = await api.listVariants({ id: itemId });
+    if (!response.ok) throw new Error('Failed to fetch variants');
+
+    const variants = await response.json();
+    variantsList.innerHTML = '';
+
+    if (variants.length === 0) {
+        variantsList.innerHTML = `
+            <tr><td colspan="5" style="text-align: center;">No variants yet</td></tr>
+        `;
+        return;
+    }
+
+    variants.forEach(variant => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(formatAttributes(variant.attributes))}</td>
+            <td>${escapeHtml(variant.sku)}</td>
+            <td>${variant.quantity}</td>
+            <td>$${variant.price.toFixed(2)}${variant.inheritsPrice ? ' (parent)' : ''}</td>
+            <td><button type="button" class="btn btn-secondary">Open</button></td>
+        `;
+        row.querySelector('button').addEventListener('click', () => {
+            closeModal();
+            openModal(variant.id);
+        });
+        variantsList.appendChild(row);
+    });
+}
+
+// Add a variant to the item open in the modal
+async function handleVariantSubmit(e) {
+    e.preventDefault();
+
+    if (!currentItemId) return;
+
+    const priceValue = /** @type {HTMLInputElement} */ (document.getElementById('variantPrice')).value;
+    const payload = {
+        attributes: parseAttributes(variantAttributes.value),
+        sku: variantSku.value.trim(),
+        price: priceValue === '' ? null : parseFloat(priceValue),
+        quantity: parseOptionalInt(/** @type {HTMLInputElement} */ (document.getElementById('variantQuantity')).value)
+    };
+
+    try {
+        const response = await api.createVariant({ id: currentItemId }, payload);
+
+        const result = await readResult(response, 'Failed to add variant');
+
+        variantForm.reset();
+        variantSkuEdited = false;
+        await loadVariants(currentItemId);
+        showNotification(`Variant ${result.sku} added!`, 'success');
+    } catch (error) {
+        console.error('Error adding variant:', error);
+        showNotification(error.message || 'Failed to add variant', 'error');
+    }
+}
+
+// Suggest a variant SKU from the parent's SKU and the attribute values
+function suggestVariantSku() {
+    if (variantSkuEdited) return;
+
+    const parentSku = /** @type {HTMLInputElement} */ (document.getElementById('sku')).value.trim().toUpperCase();
+    const attributes = parseAttributes(variantAttributes.value);
+    const values = Object.keys(attributes)
+        .map(name => attributes[name].toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, ''))
+        .filter(Boolean);
+    variantSku.value = values.length > 0 ? [parentSku, ...values].join('-') : '';
+}
+
+/**
+ * Fills the movement unit dropdown; blank means the item's own unit
+ * @param {{unit: string | null}} item
+ */
+function fillMovementUnits(item) {
+    fillSelect(movementUnit, referenceData.units, item.unit || 'Each');
+    movementUnit.value = '';
+}
+
+// Lot number and expiry apply to receipts and adjustments that add stock
+function updateLotFields() {
+    movementForm.querySelectorAll('.lot-field').forEach(field => {
+        /** @type {HTMLElement} */ (field).style.display = movementType.value === 'issue' ? 'none' : '';
+    });
+}
+
+// Load the stock movement history for an item into the modal
+async function loadMovements(itemId) {
+    const response = await api.listMovements({ id: itemId });
+    if (!response.ok) throw new Error('Failed to fetch stock movements');
+
+    const movements = await response.json();
+    movementsList.innerHTML = '';
+
+    if (movements.length === 0) {
+        movementsList.innerHTML = `
+            <tr><td colspan="7" style="text-align: center;">No stock movements recorded.</td></tr>
+        `;
+        return;
+    }
+
+    movements.forEach(movement => {
+        const row = document.createElement('tr');
+        const changeClass = movement.quantity > 0 ? 'movement-in' : 'movement-out';
+        row.innerHTML = `
+            <td>${new Date(movement.timestamp).toLocaleString()}</td>
+            <td>${movement.type}</td>
+            <td>${escapeHtml(locationName(movement.locationId))}</td>
+            <td class="${changeClass}">${movement.quantity > 0 ? '+' : ''}${movement.quantity}</td>
+            <td>${escapeHtml(movement.lotNumber)}</td>
+            <td>${escapeHtml(movement.reason)}</td>
+            <td>${escapeHtml(movement.reference)}</td>
+        `;
+        movementsList.appendChild(row);
+    });
+}
+
+/**
+ * Loads an item's lots that hold stock, earliest expiry first; the section
+ * stays hidden for items that have never been received into a lot
+ * @param {number} itemId
+ */
+async function loadLots(itemId) {
+    const response = await api.listLots({ id: itemId });
+    if (!response.ok) throw new Error('Failed to fetch lots');
+
+    const lots = await response.json();
+    lotsList.innerHTML = '';
+    lotsSection.style.display = lots.length > 0 ? 'block' : 'none';
+
+    lots.forEach(lot => {
+        const status = lot.expiryStatus;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(lot.lotNumber)}</td>
+            <td>${escapeHtml(lot.receivedDate)}</td>
+            <td>${escapeHtml(lot.expiryDate || 'None')}${status ? `<span class="expiry-flag expiry-${status}">${status === 'expired' ? 'Expired' : 'Expiring'}</span>` : ''}</td>
+            <td>${lot.quantity}</td>
+            <td>${escapeHtml(lot.stock.map(entry => `${locationName(entry.locationId)}: ${entry.quantity}`).join(', '))}</td>
+        `;
+        lotsList.appendChild(row);
+    });
+}
+
+/**
+ * Loads the audit entries for an item into the change history table
+ * @param {number} itemId
+ */
+async function loadItemHistory(itemId) {
+    const response = await api.listAuditEntries({ itemId, pageSize: 100 });
+    if (!response.ok) throw new Error('Failed to fetch change history');
+
+    const { entries } = await response.json();
+    historyList.innerHTML = '';
+
+    if (entries.length === 0) {
+        historyList.innerHTML = `
+            <tr><td colspan="4" style="text-align: center;">No changes recorded.</td></tr>
+        `;
+        return;
+    }
+
+    entries.forEach(entry => {
+        const changes = Object.keys(entry.changes).map(field => {
+            const { before, after } = entry.changes[field];
+            const label = escapeHtml(HISTORY_FIELDS[field] || field);
+            const from = escapeHtml(formatHistoryValue(field, before));
+            const to = escapeHtml(formatHistoryValue(field, after));
+            if (entry.action === 'create') return `<li>${label}: <ins>${to}</ins></li>`;
+            if (entry.action === 'delete') return `<li>${label}: <del>${from}</del></li>`;
+            return `<li>${label}: <del>${from}</del> &rarr; <ins>${to}</ins></li>`;
+        }).join('');
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(entry.username)}</td>
+            <td>${entry.action}</td>
+            <td><ul class="history-changes">${changes}</ul></td>
+        `;
+        historyList.appendChild(row);
+    });
+}
+
+/**
+ * Formats a field value from the audit log, showing names for category,
+ * supplier and location ids
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+function formatHistoryValue(field, value) {
+    if (value === null || value === undefined) return '(none)';
+
+    const types = { categoryId: 'categories', supplierId: 'suppliers', locationId: 'locations', unitId: 'units' };
+    if (types[field]) {
+        const entity = referenceData[types[field]].find(e => e.id === value);
+        return entity ? entity.name : `#${value}`;
+    }
+    if (field === 'attributes') return formatAttributes(value);
+    return String(value);
+}
+
+/**
+ * Name of a location by id, for movement history
+ * @param {number | null} locationId
+ * @returns {string}
+ */
+function locationName(locationId) {
+    const location = referenceData.locations.find(l => l.id === locationId);
+    return location ? location.name : 'Unassigned';
+}
+
+/**
+ * Fills the movement and transfer location dropdowns for the item being edited
+ * @param {Object} item
+ */
+function fillMovementLocations(item) {
+    document.querySelectorAll('.location-select').forEach(select => {
+        fillSelect(/** @type {HTMLSelectElement} */ (select), referenceData.locations, 'Select Location');
+    });
+    /** @type {HTMLSelectElement} */ (document.getElementById('movementLocation')).value = String(item.locationId || '');
+
+    // Default the transfer source to wherever the item has the most stock
+    const largest = [...item.stock].sort((a, b) => b.quantity - a.quantity)[0];
+    /** @type {HTMLSelectElement} */ (document.getElementById('transferFrom')).value = largest && largest.locationId ? String(largest.locationId) : '';
+}
+
+// Move stock between locations for the item being edited
+async function handleTransferSubmit(e) {
+    e.preventDefault();
+
+    if (!currentItemId) return;
+
+    const payload = {
+        fromLocationId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('transferFrom')).value),
+        toLocationId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('transferTo')).value),
+        quantity: parseInt(/** @type {HTMLInputElement} */ (document.getElementById('transferQuantity')).value, 10)
+    };
+
+    try {
+        const response = await api.transferStock({ id: currentItemId }, payload);
+
+        const result = await readResult(response, 'Failed to transfer stock');
+        currentItemEtag = itemEtag(response, result.item);
+
+        transferForm.reset();
+        fillMovementLocations(result.item);
+        await loadMovements(currentItemId);
+        await loadLots(currentItemId);
+        loadInventory();
+        showNotification('Stock transferred!', 'success');
+    } catch (error) {
+        console.error('Error transferring stock:', error);
+        showNotification(error.message || 'Failed to transfer stock', 'error');
+    }
+}
+
+// Record a receive/issue/adjust movement for the item being edited
+async function handleMovementSubmit(e) {
+    e.preventDefault();
+
+    if (!currentItemId) return;
+
+    const type = movementType.value;
+    const payload = {
+        locationId: parseOptionalInt(/** @type {HTMLSelectElement} */ (document.getElementById('movementLocation')).value),
+        quantity: parseInt(/** @type {HTMLInputElement} */ (document.getElementById('movementQuantity')).value, 10),
+        unitId: parseOptionalInt(movementUnit.value),
+        reason: /** @type {HTMLInputElement} */ (document.getElementById('movementReason')).value.trim() || null,
+        reference: /** @type {HTMLInputElement} */ (document.getElementById('movementReference')).value.trim() || null
+    };
+    if (type !== 'issue') {
+        payload.lotNumber = /** @type {HTMLInputElement} */ (document.getElementById('movementLot')).value.trim() || null;
+        payload.expiryDate = /** @type {HTMLInputElement} */ (document.getElementById('movementExpiry')).value || null;
+    }
+
+    try {
+        const response = await MOVEMENT_REQUESTS[type](currentItemId, payload);
+
+        const result = await readResult(response, 'Failed to record movement');
+        currentItemEtag = itemEtag(response, result.item);
+
+        /** @type {HTMLInputElement} */ (document.getElementById('quantity')).value = String(result.item.quantity);
+        movementForm.reset();
+        fillMovementLocations(result.item);
+        fillMovementUnits(result.item);
+        updateLotFields();
+        await loadMovements(currentItemId);
+        await loadLots(currentItemId);
+        loadInventory();
+        showNotification('Stock movement recorded!', 'success');
+    } catch (error) {
+        console.error('Error recording movement:', error);
+        showNotification(error.message || 'Failed to record movement', 'error');
+    }
+}
+
+// Load categories, suppliers and locations and fill the dropdowns
+async function loadReferenceData() {
+    try {
+        await Promise.all(Object.keys(referenceData).map(async type => {
+            const response = await REFERENCE_REQUESTS[type].list();
+            if (!response.ok) throw new Error(`Failed to fetch ${type}`);
+            referenceData[type] = await response.json();
+        }));
+
+        fillSelect(categoryFilter, referenceData.categories, 'All Categories');
+        fillSelect(document.getElementById('categoryId'), referenceData.categories, 'Select Category');
+        fillSelect(document.getElementById('supplierId'), referenceData.suppliers, 'No Supplier');
+        fillSelect(document.getElementById('locationId'), referenceData.locations, 'No Location');
+        fillSelect(document.getElementById('unitId'), referenceData.units, 'Default (each)');
+        fillSelect(document.getElementById('bulkCategoryId'), referenceData.categories, 'No change');
+        fillSelect(document.getElementById('countLocationId'), referenceData.locations, 'All locations');
+        fillSelect(document.getElementById('countCategoryId'), referenceData.categories, 'All categories');
+        fillSelect(document.getElementById('bulkSupplierId'), referenceData.suppliers, 'No change');
+        fillSelect(document.getElementById('bulkLocationId'), referenceData.locations, 'No change');
+    } catch (error) {
+        console.error('Error loading lists:', error);
+        showNotification('Failed to load categories, suppliers, locations and units', 'error');
+    }
+}
+
+/**
+ * Replaces a select's options with named entities, keeping its current value
+ * @param {HTMLElement | null} select
+ * @param {Array<{id: number, name: string}>} entities
+ * @param {string} emptyLabel - Label for the blank first option
+ */
+function fillSelect(select, entities, emptyLabel) {
+    if (!select) return;
+    const dropdown = /** @type {HTMLSelectElement} */ (select);
+    const current = dropdown.value;
+
+    dropdown.innerHTML = `<option value="">${emptyLabel}</option>`;
+    entities.forEach(entity => {
+        const option = document.createElement('option');
+        option.value = String(entity.id);
+        option.textContent = entity.name;
+        dropdown.appendChild(option);
+    });
+    dropdown.value = current;
+}
+
+function openReferenceModal() {
+    referenceModal.style.display = 'flex';
+    switchReferenceTab(activeReference);
+}
+
+/**
+ * Shows one of the lists in the Manage Lists modal
+ * @param {string} type - categories, suppliers or locations
+ */
+function switchReferenceTab(type) {
+    activeReference = type;
+    document.querySelectorAll('[data-reference]').forEach(tab => {
+        tab.classList.toggle('active', /** @type {HTMLElement} */ (tab).dataset.reference === type);
+    });
+    resetReferenceForm();
+    renderReferenceList();
+}
+
+function renderReferenceList() {
+    const entities = referenceData[activeReference];
+    const detailFields = REFERENCE_FIELDS[activeReference].filter(f => f.name !== 'name');
+    referenceList.innerHTML = '';
+
+    entities.forEach(entity => {
+        const details = detailFields
+            .map(field => field.type === 'checkbox' ? (entity[field.name] ? field.label : null) : entity[field.name])
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(escapeHtml)
+            .join(' &middot; ');
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(entity.name)}</td>
+            <td>${details}</td>
+            <td>${entity.itemCount}</td>
+            <td class="actions">
+                <button class="btn btn-edit" data-action="edit">Edit</button>
+                ${hasRole('admin') ? '<button class="btn btn-delete" data-action="delete">Delete</button>' : ''}
+            </td>
+        `;
+        row.querySelector('[data-action="edit"]').addEventListener('click', () => resetReferenceForm(entity));
+        const deleteBtn = row.querySelector('[data-action="delete"]');
+        if (deleteBtn) deleteBtn.addEventListener('click', () => deleteReference(entity));
+        referenceList.appendChild(row);
+    });
+}
+
+/**
+ * Rebuilds the Manage Lists form, filled from an entity when editing
+ * @param {Object} [entity]
+ */
+function resetReferenceForm(entity = null) {
+    editingReferenceId = entity ? entity.id : null;
+    document.getElementById('referenceFormTitle').textContent = entity ? `Edit ${entity.name}` : 'Add New';
+
+    const container = document.getElementById('referenceFields');
+    container.innerHTML = '';
+    REFERENCE_FIELDS[activeReference].forEach(field => {
+        const group = document.createElement('div');
+        group.className = field.type === 'checkbox' ? 'form-group checkbox-group' : 'form-group';
+        group.innerHTML = field.type === 'checkbox' ? `
+            <label><input type="checkbox" id="ref-${field.name}"> ${field.label}</label>
+        ` : `
+            <label for="ref-${field.name}">${field.label}</label>
+            <input type="${field.type || 'text'}" id="ref-${field.name}" ${field.required ? 'required' : ''}>
+        `;
+        const input = /** @type {HTMLInputElement} */ (group.querySelector('input'));
+        if (field.type === 'checkbox') {
+            input.checked = Boolean(entity && entity[field.name]);
+        } else {
+            input.value = entity && entity[field.name] !== null && entity[field.name] !== undefined ? entity[field.name] : '';
+        }
+        container.appendChild(group);
+    });
+}
+
+// Create or update the entity in the Manage Lists form
+async function handleReferenceSubmit(e) {
+    e.preventDefault();
+
+    const payload = {};
+    REFERENCE_FIELDS[activeReference].forEach(field => {
+        const input = /** @type {HTMLInputElement} */ (document.getElementById(`ref-${field.name}`));
+        if (field.type === 'checkbox') {
+            payload[field.name] = input.checked;
+            return;
+        }
+        const value = input.value.trim();
+        payload[field.name] = field.type === 'number' ? parseOptionalInt(value) : (value || null);
+    });
+
+    try {
+        const requests = REFERENCE_REQUESTS[activeReference];
+        const response = editingReferenceId
+            ? await requests.update({ id: editingReferenceId }, payload)
+            : await requests.create(payload);
+
+        const result = await readResult(response, 'Failed to save');
+
+        showNotification('Saved!', 'success');
+        await loadReferenceData();
+        switchReferenceTab(activeReference);
+        loadInventory();
+    } catch (error) {
+        console.error('Error saving list entry:', error);
+        showNotification(error.message || 'Failed to save', 'error');
+    }
+}
+
+/**
+ * Deletes a category, supplier or location; the server refuses if items use it
+ * @param {{id: number, name: string}} entity
+ */
+async function deleteReference(entity) {
+    if (!window.confirm(`Delete "${entity.name}"?`)) return;
+
+    try {
+        const response = await REFERENCE_REQUESTS[activeReference].remove({ id: entity.id });
+        if (!response.ok) throw new Error(describeError(await response.json(), 'Failed to delete'));
+
+        showNotification(`Deleted "${entity.name}"`, 'success');
+        await loadReferenceData();
+        renderReferenceList();
+    } catch (error) {
+        console.error('Error deleting list entry:', error);
+        showNotification(error.message || 'Failed to delete', 'error');
+    }
+}
+
+/**
+ * Downloads the items matching the current search and category filter
+ * @param {'csv'|'json'} format
+ */
+async function exportInventory(format) {
+    const query = { ...buildListQuery(), page: null, pageSize: null, format };
+
+    try {
+        await downloadFile(api.exportItems(query), `inventory-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        showNotification('Failed to export items', 'error');
+    }
+}
+
+// Export just the selected rows, in the table's order
+async function exportSelectedItems() {
+    const query = { ...buildListQuery(), ids: Array.from(selectedItemIds).join(','), page: null, pageSize: null };
+
+    try {
+        await downloadFile(api.exportItems({ ...query, format: 'csv' }), `inventory-selected-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        showNotification('Failed to export items', 'error');
+    }
+}
+
+/**
+ * Sends a bulk update or delete of the selected rows. The server applies it
+ * to every item or, when any of them can't be changed, to none; the items
+ * that failed are listed in the bulk edit modal. Returns whether it applied.
+ * @param {'update'|'delete'} action
+ * @param {Object} [changes] - Fields to set, for updates
+ * @returns {Promise<boolean>}
+ */
+async function sendBatch(action, changes) {
+    const items = inventory
+        .filter(item => selectedItemIds.has(item.id))
+        .map(item => ({ id: item.id, version: item.version }));
+    const bulkResults = document.getElementById('bulkResults');
+    bulkResults.innerHTML = '';
+
+    try {
+        const response = await api.batchItems({ action, items, changes });
+        if (response.status === 409) {
+            const error = /** @type {ApiError} */ (await response.json());
+            const failures = error.details.results.filter(entry => entry.status === 'failed');
+            bulkResults.innerHTML = `
+                <h4>Nothing was changed because of these items</h4>
+                <ul class="import-errors">${failures.map(entry =>
+                    `<li>${escapeHtml(entry.sku || `Item ${entry.id}`)}: ${escapeHtml(entry.error)}</li>`).join('')}</ul>
+            `;
+            const first = failures[0];
+            throw new Error(`${error.message}. ${first.sku || `Item ${first.id}`}: ${first.error}`);
+        }
+        const result = await readResult(response, `Failed to ${action} items`);
+
+        const changed = result.results.filter(entry => entry.status !== 'unchanged').length;
+        const verb = action === 'delete' ? 'Moved' : 'Updated';
+        showNotification(`${verb} ${changed} item${changed === 1 ? '' : 's'}${action === 'delete' ? ' to the trash' : ''}`, 'success');
+        await loadInventory();
+        return true;
+    } catch (error) {
+        console.error(`Error applying bulk ${action}:`, error);
+        showNotification(error.message || `Failed to ${action} items`, 'error');
+        return false;
+    }
+}
+
+function openBulkEdit() {
+    document.getElementById('bulkEditTitle').textContent =
+        `Edit ${selectedItemIds.size} Item${selectedItemIds.size === 1 ? '' : 's'}`;
+    bulkEditModal.style.display = 'flex';
+}
+
+function closeBulkEdit() {
+    bulkEditModal.style.display = 'none';
+    bulkEditForm.reset();
+    bulkPriceValue.style.display = 'none';
+    document.getElementById('bulkResults').innerHTML = '';
+}
+
+/**
+ * Applies the bulk edit form to the selected items
+ * @param {SubmitEvent} e
+ */
+async function handleBulkEditSubmit(e) {
+    e.preventDefault();
+
+    const changes = {};
+    [['bulkCategoryId', 'categoryId'], ['bulkSupplierId', 'supplierId'], ['bulkLocationId', 'locationId']].forEach(([id, field]) => {
+        const value = /** @type {HTMLSelectElement} */ (document.getElementById(id)).value;
+        if (value) changes[field] = parseInt(value, 10);
+    });
+
+    if (bulkPriceMode.value) {
+        const amount = parseFloat(bulkPriceValue.value);
+        if (Number.isNaN(amount)) {
+            showNotification(bulkPriceMode.value === 'set' ? 'Enter the new price' : 'Enter the percentage to change prices by', 'error');
+            return;
+        }
+        changes[bulkPriceMode.value === 'set' ? 'price' : 'priceChangePercent'] = amount;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        showNotification('Choose at least one change', 'error');
+        return;
+    }
+
+    if (await sendBatch('update', changes)) closeBulkEdit();
+}
+
+// Move the selected items to the trash, all of them or none
+async function deleteSelectedItems() {
+    const count = selectedItemIds.size;
+    if (!window.confirm(`Move ${count} item${count === 1 ? '' : 's'} to the trash?`)) return;
+    await sendBatch('delete');
+}
+
+/**
+ * Sends an import file to the server, as a dry run unless commit is true
+ * @param {boolean} commit
+ * @returns {Promise<ApiImportResult & { message?: string }>}
+ */
+async function sendImport(commit) {
+    const response = await api.importItems({ commit }, pendingImport.body, {
+        headers: {
+            'Content-Type': pendingImport.contentType
+        }
+    });
+
+    if (!response.ok) {
+        const error = /** @type {ApiError} */ (await response.json());
+        // A refused commit sends the plan back, with its row errors, as details
+        if (error.details && error.details.errors) {
+            return { .../** @type {ApiImportResult} */ (error.details), message: error.message };
+        }
+        throw new Error(error.message || 'Failed to import items');
+    }
+    return response.json();
+}
+
+// Read the chosen file and show a dry-run preview
+async function handleImportFile() {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    pendingImport = {
+        body: await file.text(),
+        contentType: isJson ? 'application/json' : 'text/csv'
+    };
+
+    try {
+        renderImportPreview(await sendImport(false));
+        importModal.style.display = 'flex';
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        showNotification(error.message || 'Failed to read import file', 'error');
+        pendingImport = null;
+    }
+}
+
+/**
+ * Shows the creates, updates and errors from an import dry run
+ * @param {{creates: Array<Object>, updates: Array<Object>, unchanged: number, errors: Array<Object>}} plan
+ */
+function renderImportPreview(plan) {
+    const summary = document.getElementById('importSummary');
+    const details = document.getElementById('importDetails');
+
+    summary.textContent = `${plan.creates.length} to create, ${plan.updates.length} to update, ` +
+        `${plan.unchanged} unchanged, ${plan.errors.length} with errors`;
+
+    const section = (title, entries, className = '') => entries.length === 0 ? '' : `
+        <h4>${title}</h4>
+        <ul class="${className}">${entries.join('')}</ul>
+    `;
+
+    details.innerHTML =
+        section('Errors', plan.errors.map(e =>
+            `<li>Row ${e.row}${e.sku ? ` (${escapeHtml(e.sku)})` : ''}: ${escapeHtml(e.errors.join('; '))}</li>`), 'import-errors') +
+        section('New items', plan.creates.map(c =>
+            `<li>Row ${c.row}: ${escapeHtml(c.sku)} - ${escapeHtml(c.fields.productName)}</li>`)) +
+        section('Updates', plan.updates.map(u =>
+            `<li>Row ${u.row}: ${escapeHtml(u.sku)} - ${Object.keys(u.changes)
+                .map(key => `${escapeHtml(key)}: ${escapeHtml(u.changes[key].from)} &rarr; ${escapeHtml(u.changes[key].to)}`)
+                .join(', ')}</li>`));
+
+    // Nothing is imported until every row is valid
+    importConfirmBtn.disabled = plan.errors.length > 0 || (plan.creates.length + plan.updates.length) === 0;
+}
+
+// Commit the previewed import
+async function confirmImport() {
+    if (!pendingImport) return;
+
+    try {
+        const result = await sendImport(true);
+        if (!result.committed) throw new Error(result.message || 'Import was not applied');
+
+        showNotification(`Imported ${result.creates.length} new and ${result.updates.length} updated items`, 'success');
+        closeImportModal();
+        await loadInventory();
+    } catch (error) {
+        console.error('Error importing items:', error);
+        showNotification(error.message || 'Failed to import items', 'error');
+    }
+}
+
+function closeImportModal() {
+    importModal.style.display = 'none';
+    pendingImport = null;
+}
+
+/**
+ * Switches between the inventory table, the order pages, stock counts and the trash
+ * @param {'inventory'|'purchaseOrders'|'salesOrders'|'stockCounts'|'trash'} view
+ */
+function showView(view) {
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.classList.toggle('active', /** @type {HTMLElement} */ (tab).dataset.view === view);
+    });
+    if (inventoryView) inventoryView.style.display = view === 'inventory' ? '' : 'none';
+    if (purchaseOrdersView) purchaseOrdersView.style.display = view === 'purchaseOrders' ? 'block' : 'none';
+    if (salesOrdersView) salesOrdersView.style.display = view === 'salesOrders' ? 'block' : 'none';
+    if (stockCountsView) stockCountsView.style.display = view === 'stockCounts' ? 'block' : 'none';
+    if (trashView) trashView.style.display = view === 'trash' ? 'block' : 'none';
+
+    if (view === 'purchaseOrders') {
+        loadPurchaseOrders();
+    } else if (view === 'salesOrders') {
+        loadSalesOrders();
+    } else if (view === 'stockCounts') {
+        loadStockCounts();
+    } else if (view === 'trash') {
+        loadTrash();
+    } else {
+        loadInventory();
+        loadDashboard();
+    }
+}
+
+/**
+ * Reads a response's body, throwing the API's error message when the
+ * request failed
+ * @template T
+ * @param {ApiResponse<T>} response
+ * @param {string} fallback - Message when the error has none
+ * @returns {Promise<T>}
+ */
+async function readResult(response, fallback) {
+    if (!response.ok) throw new Error(describeError(await response.json(), fallback));
+    return response.json();
+}
+
+/**
+ * Turns an error response into a message, listing field errors from a 422
+ * @param {Object} result - Parsed response body
+ * @param {string} fallback
+ * @returns {string}
+ */
+function describeError(result, fallback) {
+    const fields = result.details && result.details.fields;
+    if (fields) {
+        return Object.keys(fields).map(f => `${f}: ${fields[f].join(' ')}`).join('; ');
+    }
+    return result.message || fallback;
+}
+
+// Load the user's saved views into the toolbar
+async function loadSavedViews() {
+    try {
+        const response = await api.listSavedViews();
+        if (!response.ok) throw new Error('Failed to fetch saved views');
+        savedViews = await response.json();
+    } catch (error) {
+        console.error('Error loading saved views:', error);
+        savedViews = [];
+    }
+    fillSelect(viewSelect, savedViews, 'Saved views');
+    selectSavedView(viewSelect ? viewSelect.value : '');
+}
+
+/**
+ * Shows which saved view is picked; delete only makes sense with one picked
+ * @param {string} id - View id, or '' for none
+ */
+function selectSavedView(id) {
+    if (viewSelect) viewSelect.value = id;
+    if (deleteViewBtn) deleteViewBtn.style.display = id ? '' : 'none';
+}
+
+/**
+ * Sets the search, category, low stock filter and sort from a saved view
+ * @param {string} id - View id, or '' to keep the current filters
+ */
+function applySavedView(id) {
+    const view = savedViews.find(v => String(v.id) === id);
+    if (!view) {
+        selectSavedView('');
+        return;
+    }
+
+    if (searchInput) searchInput.value = view.search || '';
+    if (categoryFilter) categoryFilter.value = view.categoryId ? String(view.categoryId) : '';
+    listQuery.lowStock = Boolean(view.lowStock);
+    listQuery.sort = view.sort || null;
+    listQuery.order = view.order || 'asc';
+    listQuery.page = 1;
+    selectSavedView(id);
+    loadInventory();
+    loadLowStockAlerts();
+}
+
+// Save the toolbar filters as a view, replacing a view of the same name
+async function saveCurrentView() {
+    const selected = savedViews.find(v => String(v.id) === (viewSelect ? viewSelect.value : ''));
+    const name = (window.prompt('Name this view', selected ? selected.name : '') || '').trim();
+    if (!name) return;
+
+    const categoryId = categoryFilter?.value || '';
+    const view = {
+        name,
+        search: (searchInput?.value || '').trim() || null,
+        categoryId: categoryId ? parseInt(categoryId, 10) : null,
+        lowStock: listQuery.lowStock,
+        sort: listQuery.sort,
+        order: listQuery.sort ? /** @type {'asc'|'desc'} */ (listQuery.order) : null
+    };
+
+    const existing = savedViews.find(v => v.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Replace the view "${existing.name}"?`)) return;
+
+    try {
+        const response = existing
+            ? await api.updateSavedView({ id: existing.id }, view)
+            : await api.createSavedView(view);
+        const result = await readResult(response, 'Failed to save view');
+
+        await loadSavedViews();
+        selectSavedView(String(result.id));
+        showNotification(`Saved view "${result.name}"`, 'success');
+    } catch (error) {
+        console.error('Error saving view:', error);
+        showNotification(error.message || 'Failed to save view', 'error');
+    }
+}
+
+// Delete the picked saved view; the filters it set stay as they are
+async function deleteSelectedView() {
+    const view = savedViews.find(v => String(v.id) === (viewSelect ? viewSelect.value : ''));
+    if (!view || !window.confirm(`Delete the view "${view.name}"?`)) return;
+
+    try {
+        const response = await api.deleteSavedView({ id: view.id });
+        if (!response.ok) throw new Error(describeError(await response.json(), 'Failed to delete view'));
+
+        selectSavedView('');
+        await loadSavedViews();
+        showNotification(`Deleted view "${view.name}"`, 'success');
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        showNotification(error.message || 'Failed to delete view', 'error');
+    }
+}
+
+// Load purchase orders matching the status filter
+async function loadPurchaseOrders() {
+    try {
+        const status = poStatusFilter ? poStatusFilter.value : '';
+        const response = await api.listPurchaseOrders({
+            status: /** @type {keyof typeof PO_STATUS_LABELS} */ (status) || null
+        });
+        if (!response.ok) throw new Error('Failed to fetch purchase orders');
+
+        renderPurchaseOrders(await response.json());
+    } catch (error) {
+        console.error('Error loading purchase orders:', error);
+        showNotification(error.message || 'Failed to load purchase orders', 'error');
+    }
+}
+
+function renderPurchaseOrders(orders) {
+    purchaseOrderList.innerHTML = '';
+
+    if (orders.length === 0) {
+        purchaseOrderList.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 20px;">No purchase orders found.</td></tr>';
+        return;
+    }
+
+    orders.forEach(order => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${order.number}</td>
+            <td>${escapeHtml(order.supplier || 'N/A')}</td>
+            <td><span class="status-badge status-${order.status}">${PO_STATUS_LABELS[order.status]}</span></td>
+            <td>${order.lines.length}</td>
+            <td>$${order.total.toFixed(2)}</td>
+            <td>${escapeHtml(order.expectedDate)}</td>
+            <td>${new Date(order.createdAt).toLocaleDateString()}</td>
+            <td class="actions">
+                <button class="btn btn-edit" data-action="open">
+                    <i class="fas fa-folder-open"></i> Open
+                </button>
+            </td>
+        `;
+        row.querySelector('[data-action="open"]').addEventListener('click', () => openPurchaseOrderModal(order));
+        purchaseOrderList.appendChild(row);
+    });
+}
+
+/**
+ * Opens the purchase order modal. Drafts (and new orders) are editable;
+ * submitted orders show receive quantities instead.
+ * @param {Object} [order]
+ */
+async function openPurchaseOrderModal(order = null) {
+    currentOrder = order;
+    const editable = !order || order.status === 'draft';
+    const receivable = Boolean(order) && ['submitted', 'partially_received'].indexOf(order.status) !== -1;
+    const canWrite = hasRole('clerk');
+
+    document.getElementById('poModalTitle').textContent = order ? `Purchase Order ${order.number}` : 'New Purchase Order';
+    document.getElementById('poStatus').textContent = order
+        ? `${PO_STATUS_LABELS[order.status]} · created by ${order.createdBy} on ${new Date(order.createdAt).toLocaleString()}`
+        : '';
+
+    fillSelect(poSupplierSelect, referenceData.suppliers, 'Select Supplier');
+    fillSelect(poReceiveLocation, referenceData.locations, 'Item default location');
+    poSupplierSelect.value = order ? String(order.supplierId) : '';
+    /** @type {HTMLInputElement} */ (document.getElementById('poExpectedDate')).value = order && order.expectedDate ? order.expectedDate : '';
+    /** @type {HTMLInputElement} */ (document.getElementById('poNotes')).value = order && order.notes ? order.notes : '';
+
+    [poSupplierSelect, document.getElementById('poExpectedDate'), document.getElementById('poNotes')].forEach(field => {
+        /** @type {HTMLInputElement} */ (field).disabled = !editable || !canWrite;
+    });
+
+    document.getElementById('poAddLineBtn').style.display = editable && canWrite ? '' : 'none';
+    document.getElementById('poSaveBtn').style.display = editable && canWrite ? '' : 'none';
+    document.getElementById('poSubmitBtn').style.display = editable && canWrite ? '' : 'none';
+    document.getElementById('poDeleteBtn').style.display = order && editable && canWrite ? '' : 'none';
+    document.getElementById('poCancelOrderBtn').style.display =
+        order && ['draft', 'submitted'].indexOf(order.status) !== -1 && canWrite ? '' : 'none';
+    document.getElementById('poReceiveBtn').style.display = receivable && canWrite ? '' : 'none';
+    document.getElementById('poReceiveRow').style.display = receivable && canWrite ? '' : 'none';
+
+    document.getElementById('poLinesHead').innerHTML = editable
+        ? '<tr><th>Item</th><th>Quantity</th><th>Unit Cost</th><th>Line Total</th><th colspan="2"></th></tr>'
+        : '<tr><th>Item</th><th>Ordered</th><th>Unit Cost</th><th>Line Total</th><th>Received</th><th>Receive Now</th></tr>';
+
+    poLines.innerHTML = '';
+    if (editable) {
+        await loadSupplierItems(poSupplierSelect.value);
+        (order ? order.lines : [{}]).forEach(line => addPurchaseOrderLine(line));
+    } else {
+        order.lines.forEach(line => addReceiptLine(line, receivable && canWrite));
+    }
+    updatePurchaseOrderTotal();
+
+    poModal.style.display = 'flex';
+}
+
+function closePurchaseOrderModal() {
+    poModal.style.display = 'none';
+    currentOrder = null;
+}
+
+/**
+ * Loads the items that can be ordered from a supplier for the line dropdowns
+ * @param {string} supplierId
+ */
+async function loadSupplierItems(supplierId) {
+    supplierItems = [];
+    if (!supplierId) return;
+
+    try {
+        const response = await api.listItems({ supplierId: parseInt(supplierId, 10), pageSize: 200, sort: 'productName' });
+        if (!response.ok) throw new Error('Failed to fetch supplier items');
+        supplierItems = (await response.json()).items;
+    } catch (error) {
+        console.error('Error loading supplier items:', error);
+        showNotification(error.message || 'Failed to load supplier items', 'error');
+    }
+}
+
+/**
+ * Adds an editable line to a draft order
+ * @param {{itemId?: number, quantity?: number, unitCost?: number}} line
+ */
+function addPurchaseOrderLine(line) {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><select data-field="itemId" required></select></td>
+        <td><input type="number" data-field="quantity" min="1" step="1" required></td>
+        <td><input type="number" data-field="unitCost" min="0" step="0.01" required></td>
+        <td data-field="lineTotal"></td>
+        <td colspan="2">
+            <button type="button" class="btn btn-delete" title="Remove line"><i class="fas fa-times"></i></button>
+        </td>
+    `;
+
+    const itemSelect = /** @type {HTMLSelectElement} */ (row.querySelector('[data-field="itemId"]'));
+    const quantityInput = /** @type {HTMLInputElement} */ (row.querySelector('[data-field="quantity"]'));
+    const costInput = /** @type {HTMLInputElement} */ (row.querySelector('[data-field="unitCost"]'));
+
+    fillSelect(itemSelect, supplierItems.map(item => ({ id: item.id, name: `${item.sku} - ${item.productName}` })), 'Select Item');
+    itemSelect.value = line.itemId ? String(line.itemId) : '';
+    quantityInput.value = line.quantity ? String(line.quantity) : '';
+    costInput.value = line.unitCost !== undefined ? String(line.unitCost) : '';
+
+    // Default the cost to the item price when an item is first picked
+    itemSelect.addEventListener('change', () => {
+        const item = supplierItems.find(i => i.id === parseInt(itemSelect.value, 10));
+        if (item && !costInput.value) costInput.value = String(item.price);
+        updatePurchaseOrderTotal();
+    });
+    quantityInput.addEventListener('input', updatePurchaseOrderTotal);
+    costInput.addEventListener('input', updatePurchaseOrderTotal);
+    row.querySelector('.btn-delete').addEventListener('click', () => {
+        row.remove();
+        updatePurchaseOrderTotal();
+    });
+
+    poLines.appendChild(row);
+}
+
+/**
+ * Adds a read-only line to a submitted order, with a receive input if it can still be received
+ * @param {Object} line
+ * @param {boolean} receivable
+ */
+function addReceiptLine(line, receivable) {
+    const outstanding = line.quantity - line.receivedQuantity;
+    const row = document.createElement('tr');
+    row.dataset.itemId = String(line.itemId);
+    row.innerHTML = `
+        <td>${escapeHtml(line.sku)} - ${escapeHtml(line.productName)}</td>
+        <td data-field="quantity">${line.quantity}</td>
+        <td data-field="unitCost">${line.unitCost}</td>
+        <td data-field="lineTotal"></td>
+        <td>${line.receivedQuantity}</td>
+        <td>${receivable && outstanding > 0
+            ? `<input type="number" data-field="receive" min="0" max="${outstanding}" step="1" value="${outstanding}">
+               <input type="text" data-field="lotNumber" class="receipt-lot" placeholder="Lot #">
+               <input type="date" data-field="expiryDate" class="receipt-lot" title="Lot expiry date">`
+            : ''}</td>
+    `;
+    poLines.appendChild(row);
+}
+
+/**
+ * Reads the lines of a draft order from the modal
+ * @returns {Array<{itemId: number, quantity: number, unitCost: number}>}
+ */
+function readPurchaseOrderLines() {
+    return Array.from(poLines.querySelectorAll('tr')).map(row => ({
+        itemId: parseInt(/** @type {HTMLSelectElement} */ (row.querySelector('[data-field="itemId"]')).value, 10),
+        quantity: parseInt(/** @type {HTMLInputElement} */ (row.querySelector('[data-field="quantity"]')).value, 10),
+        unitCost: parseFloat(/** @type {HTMLInputElement} */ (row.querySelector('[data-field="unitCost"]')).value)
+    }));
+}
+
+/**
+ * Recalculates the line totals and order total in an order modal
+ * @param {HTMLTableSectionElement} tbody - The order's lines
+ * @param {string} priceField - unitCost or unitPrice
+ * @param {string} totalId - Element showing the order total
+ */
+function updateOrderTotals(tbody, priceField, totalId) {
+    let total = 0;
+    tbody.querySelectorAll('tr').forEach(row => {
+        const read = field => {
+            const cell = row.querySelector(`[data-field="${field}"]`);
+            return parseFloat(cell instanceof HTMLInputElement ? cell.value : cell.textContent) || 0;
+        };
+        const lineTotal = read('quantity') * read(priceField);
+        row.querySelector('[data-field="lineTotal"]').textContent = `$${lineTotal.toFixed(2)}`;
+        total += lineTotal;
+    });
+    document.getElementById(totalId).textContent = `$${total.toFixed(2)}`;
+}
+
+function updatePurchaseOrderTotal() {
+    updateOrderTotals(poLines, 'unitCost', 'poTotal');
+}
+
+/**
+ * Creates or updates the draft in the modal
+ * @returns {Promise<Object|null>} The saved order, or null if saving failed
+ */
+async function savePurchaseOrder() {
+    const payload = {
+        supplierId: parseOptionalInt(poSupplierSelect.value),
+        expectedDate: /** @type {HTMLInputElement} */ (document.getElementById('poExpectedDate')).value || null,
+        notes: /** @type {HTMLInputElement} */ (document.getElementById('poNotes')).value.trim() || null,
+        lines: readPurchaseOrderLines()
+    };
+
+    try {
+        const response = currentOrder
+            ? await api.updatePurchaseOrder({ id: currentOrder.id }, payload)
+            : await api.createPurchaseOrder(payload);
+
+        const result = await readResult(response, 'Failed to save purchase order');
+
+        currentOrder = result;
+        loadPurchaseOrders();
+        return result;
+    } catch (error) {
+        console.error('Error saving purchase order:', error);
+        showNotification(error.message || 'Failed to save purchase order', 'error');
+        return null;
+    }
+}
+
+async function handlePurchaseOrderSubmit(e) {
+    e.preventDefault();
+    const order = await savePurchaseOrder();
+    if (order) {
+        showNotification(`Saved ${order.number}`, 'success');
+        closePurchaseOrderModal();
+    }
+}
+
+/**
+ * Moves the open order to its next status; drafts are saved first
+ * @param {'submit'|'cancel'} action
+ */
+async function changePurchaseOrderStatus(action) {
+    if (action === 'cancel' && !window.confirm(`Cancel ${currentOrder.number}?`)) return;
+
+    const order = action === 'submit' ? await savePurchaseOrder() : currentOrder;
+    if (!order) return;
+
+    try {
+        const response = action === 'submit'
+            ? await api.submitPurchaseOrder({ id: order.id })
+            : await api.cancelPurchaseOrder({ id: order.id });
+        const result = await readResult(response, `Failed to ${action} purchase order`);
+
+        showNotification(`${result.number} is now ${PO_STATUS_LABELS[result.status].toLowerCase()}`, 'success');
+        closePurchaseOrderModal();
+        loadPurchaseOrders();
+    } catch (error) {
+        console.error(`Error updating purchase order (${action}):`, error);
+        showNotification(error.message || `Failed to ${action} purchase order`, 'error');
+    }
+}
+
+// Receive the quantities entered against the open order into stock
+async function receivePurchaseOrder() {
+    const lines = Array.from(poLines.querySelectorAll('tr'))
+        .map(row => {
+            const input = /** @type {HTMLInputElement | null} */ (row.querySelector('[data-field="receive"]'));
+            if (!input) return null;
+            return {
+                itemId: parseInt(row.dataset.itemId, 10),
+                quantity: parseInt(input.value || '0', 10),
+                lotNumber: /** @type {HTMLInputElement} */ (row.querySelector('[data-field="lotNumber"]')).value.trim() || null,
+                expiryDate: /** @type {HTMLInputElement} */ (row.querySelector('[data-field="expiryDate"]')).value || null
+            };
+        })
+        .filter(line => line && line.quantity > 0);
+
+    if (lines.length === 0) {
+        showNotification('Enter a quantity to receive', 'warning');
+        return;
+    }
+
+    try {
+        const response = await api.receivePurchaseOrder({ id: currentOrder.id }, {
+            locationId: parseOptionalInt(poReceiveLocation.value),
+            lines
+        });
+
+        const result = await readResult(response, 'Failed to receive purchase order');
+
+        showNotification(`Received stock for ${result.number}`, 'success');
+        closePurchaseOrderModal();
+        loadPurchaseOrders();
+    } catch (error) {
+        console.error('Error receiving purchase order:', error);
+        showNotification(error.message || 'Failed to receive purchase order', 'error');
+    }
+}
+
+async function deletePurchaseOrder() {
+    if (!window.confirm(`Delete draft ${currentOrder.number}?`)) return;
+
+    try {
+        const response = await api.deletePurchaseOrder({ id: currentOrder.id });
+        if (!response.ok) throw new Error(describeError(await response.json(), 'Failed to delete purchase order'));
+
+        showNotification(`Deleted ${currentOrder.number}`, 'success');
+        closePurchaseOrderModal();
+        loadPurchaseOrders();
+    } catch (error) {
+        console.error('Error deleting purchase order:', error);
+        showNotification(error.message || 'Failed to delete purchase order', 'error');
+    }
+}
+
+// Draft one purchase order per supplier from the low stock alerts
+async function draftFromLowStock() {
+    try {
+        const response = await api.draftPurchaseOrdersFromLowStock({});
+
+        const result = await readResult(response, 'Failed to draft purchase orders');
+
+        const skipped = result.skipped.length > 0 ? ` (${result.skipped.length} item(s) skipped)` : '';
+        showNotification(
+            result.created.length > 0
+                ? `Drafted ${result.created.length} purchase order(s)${skipped}`
+                : `Nothing to order${skipped}`,
+            result.created.length > 0 ? 'success' : 'info'
+        );
+        loadPurchaseOrders();
+    } catch (error) {
+        console.error('Error drafting purchase orders:', error);
+        showNotification(error.message || 'Failed to draft purchase orders', 'error');
+    }
+}
+
+// Load sales orders matching the status filter
+async function loadSalesOrders() {
+    try {
+        const status = soStatusFilter ? soStatusFilter.value : '';
+        const response = await api.listSalesOrders({
+            status: /** @type {keyof typeof SO_STATUS_LABELS} */ (status) || null
+        });
+        if (!response.ok) throw new Error('Failed to fetch sales orders');
+
+        renderSalesOrders(await response.json());
+    } catch (error) {
+        console.error('Error loading sales orders:', error);
+        showNotification(error.message || 'Failed to load sales orders', 'error');
+    }
+}
+
+function renderSalesOrders(orders) {
+    salesOrderList.innerHTML = '';
+
+    if (orders.length === 0) {
+        salesOrderList.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 20px;">No sales orders found.</td></tr>';
+        return;
+    }
+
+    orders.forEach(order => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${order.number}</td>
+            <td>${escapeHtml(order.customerName)}${order.customerReference ? ` (${escapeHtml(order.customerReference)})` : ''}</td>
+            <td><span class="status-badge status-${order.status}">${SO_STATUS_LABELS[order.status]}</span></td>
+            <td>${order.lines.length}</td>
+            <td>$${order.total.toFixed(2)}</td>
+            <td>${new Date(order.createdAt).toLocaleDateString()}</td>
+            <td class="actions">
+                <button class="btn btn-edit" data-action="open">
+                    <i class="fas fa-folder-open"></i> Open
+                </button>
+            </td>
+        `;
+        row.querySelector('[data-action="open"]').addEventListener('click', () => openSalesOrderModal(order));
+        salesOrderList.appendChild(row);
+    });
+}
+
+/**
+ * Opens the sales order modal. New orders are editable and reserve stock
+ * when placed; open orders show fulfil quantities instead.
+ * @param {Object} [order]
+ */
+async function openSalesOrderModal(order = null) {
+    currentSalesOrder = order;
+    const open = Boolean(order) && ['open', 'partially_fulfilled'].indexOf(order.status) !== -1;
+    const canWrite = hasRole('clerk');
+
+    document.getElementById('soModalTitle').textContent = order ? `Sales Order ${order.number}` : 'New Sales Order';
+    document.getElementById('soStatus').textContent = order
+        ? `${SO_STATUS_LABELS[order.status]} · placed by ${order.createdBy} on ${new Date(order.createdAt).toLocaleString()}`
+        : '';
+
+    fillSelect(soFulfilLocation, referenceData.locations, 'Item default location');
+    ['soCustomerName', 'soCustomerReference', 'soNotes'].forEach(id => {
+        const input = /** @type {HTMLInputElement} */ (document.getElementById(id));
+        input.value = order && order[id.replace(/^so(.)/, (_, c) => c.toLowerCase())] || '';
+        input.disabled = Boolean(order) || !canWrite;
+    });
+
+    document.getElementById('soAddLineBtn').style.display = !order && canWrite ? '' : 'none';
+    document.getElementById('soPlaceBtn').style.display = !order && canWrite ? '' : 'none';
+    document.getElementById('soCancelOrderBtn').style.display = open && canWrite ? '' : 'none';
+    document.getElementById('soFulfilBtn').style.display = open && canWrite ? '' : 'none';
+    document.getElementById('soFulfilRow').style.display = open && canWrite ? '' : 'none';
+
+    document.getElementById('soLinesHead').innerHTML = order
+        ? '<tr><th>Item</th><th>Ordered</th><th>Unit Price</th><th>Line Total</th><th>Fulfilled</th><th>Fulfil Now</th></tr>'
+        : '<tr><th>Item</th><th>Quantity</th><th>Unit Price</th><th>Line Total</th><th colspan="2"></th></tr>';
+
+    soLines.innerHTML = '';
+    if (order) {
+        order.lines.forEach(line => addFulfilmentLine(line, open && canWrite));
+    } else {
+        await loadSellableItems();
+        addSalesOrderLine();
+    }
+    updateSalesOrderTotal();
+
+    soModal.style.display = 'flex';
+}
+
+function closeSalesOrderModal() {
+    soModal.style.display = 'none';
+    currentSalesOrder = null;
+}
+
+// Load items with available stock for the line dropdowns
+async function loadSellableItems() {
+    try {
+        const response = await api.listItems({ pageSize: 200, sort: 'productName' });
+        if (!response.ok) throw new Error('Failed to fetch items');
+        sellableItems = (await response.json()).items.filter(item => item.available > 0);
+    } catch (error) {
+        sellableItems = [];
+        console.error('Error loading items:', error);
+        showNotification(error.message || 'Failed to load items', 'error');
+    }
+}
+
+// Adds an editable line to a new sales order
+function addSalesOrderLine() {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><select data-field="itemId" required></select></td>
+        <td><input type="number" data-field="quantity" min="1" step="1" required></td>
+        <td><input type="number" data-field="unitPrice" min="0" step="0.01" required></td>
+        <td data-field="lineTotal"></td>
+        <td colspan="2">
+            <button type="button" class="btn btn-delete" title="Remove line"><i class="fas fa-times"></i></button>
+        </td>
+    `;
+
+    const itemSelect = /** @type {HTMLSelectElement} */ (row.querySelector('[data-field="itemId"]'));
+    const quantityInput = /** @type {HTMLInputElement} */ (row.querySelector('[data-field="quantity"]'));
+    const priceInput = /** @type {HTMLInputElement} */ (row.querySelector('[data-field="unitPrice"]'));
+
+    fillSelect(itemSelect, sellableItems.map(item => ({
+        id: item.id,
+        name: `${item.sku} - ${item.productName} (${item.available} available)`
+    })), 'Select Item');
+
+    // Default the price and cap the quantity at what is available
+    itemSelect.addEventListener('change', () => {
+        const item = sellableItems.find(i => i.id === parseInt(itemSelect.value, 10));
+        if (item) {
+            priceInput.value = String(item.price);
+            quantityInput.max = String(item.available);
+        }
+        updateSalesOrderTotal();
+    });
+    quantityInput.addEventListener('input', updateSalesOrderTotal);
+    priceInput.addEventListener('input', updateSalesOrderTotal);
+    row.querySelector('.btn-delete').addEventListener('click', () => {
+        row.remove();
+        updateSalesOrderTotal();
+    });
+
+    soLines.appendChild(row);
+}
+
+/**
+ * Adds a read-only line to a placed order, with a fulfil input if some is still reserved
+ * @param {Object} line
+ * @param {boolean} fulfillable
+ */
+function addFulfilmentLine(line, fulfillable) {
+    const outstanding = line.quantity - line.fulfilledQuantity;
+    const row = document.createElement('tr');
+    row.dataset.itemId = String(line.itemId);
+    row.innerHTML = `
+        <td>${escapeHtml(line.sku)} - ${escapeHtml(line.productName)}</td>
+        <td data-field="quantity">${line.quantity}</td>
+        <td data-field="unitPrice">${line.unitPrice}</td>
+        <td data-field="lineTotal"></td>
+        <td>${line.fulfilledQuantity}</td>
+        <td>${fulfillable && outstanding > 0
+            ? `<input type="number" data-field="fulfil" min="0" max="${outstanding}" step="1" value="${outstanding}">`
+            : ''}</td>
+    `;
+    soLines.appendChild(row);
+}
+
+function updateSalesOrderTotal() {
+    updateOrderTotals(soLines, 'unitPrice', 'soTotal');
+}
+
+// Place the new order, reserving its stock
+async function handleSalesOrderSubmit(e) {
+    e.preventDefault();
+
+    const payload = {
+        customerName: /** @type {HTMLInputElement} */ (document.getElementById('soCustomerName')).value.trim(),
+        customerReference: /** @type {HTMLInputElement} */ (document.getElementById('soCustomerReference')).value.trim() || null,
+        notes: /** @type {HTMLInputElement} */ (document.getElementById('soNotes')).value.trim() || null,
+        lines: Array.from(soLines.querySelectorAll('tr')).map(row => ({
+            itemId: parseInt(/** @type {HTMLSelectElement} */ (row.querySelector('[data-field="itemId"]')).value, 10),
+            quantity: parseInt(/** @type {HTMLInputElement} */ (row.querySelector('[data-field="quantity"]')).value, 10),
+            unitPrice: parseFloat(/** @type {HTMLInputElement} */ (row.querySelector('[data-field="unitPrice"]')).value)
+        }))
+    };
+
+    try {
+        const response = await api.createSalesOrder(payload);
+
+        const result = await readResult(response, 'Failed to place sales order');
+
+        showNotification(`Placed ${result.number}; stock reserved`, 'success');
+        closeSalesOrderModal();
+        loadSalesOrders();
+    } catch (error) {
+        console.error('Error placing sales order:', error);
+        showNotification(error.message || 'Failed to place sales order', 'error');
+    }
+}
+
+// Ship the quantities entered against the open order
+async function fulfilSalesOrder() {
+    const lines = Array.from(soLines.querySelectorAll('tr'))
+        .map(row => {
+            const input = /** @type {HTMLInputElement | null} */ (row.querySelector('[data-field="fulfil"]'));
+            return input ? { itemId: parseInt(row.dataset.itemId, 10), quantity: parseInt(input.value || '0', 10) } : null;
+        })
+        .filter(line => line && line.quantity > 0);
+
+    if (lines.length === 0) {
+        showNotification('Enter a quantity to fulfil', 'warning');
+        return;
+    }
+
+    try {
+        const response = await api.fulfilSalesOrder({ id: currentSalesOrder.id }, {
+            locationId: parseOptionalInt(soFulfilLocation.value),
+            lines
+        });
+
+        const result = await readResult(response, 'Failed to fulfil sales order');
+
+        showNotification(`${result.number} is now ${SO_STATUS_LABELS[result.status].toLowerCase()}`, 'success');
+        closeSalesOrderModal();
+        loadSalesOrders();
+    } catch (error) {
+        console.error('Error fulfilling sales order:', error);
+        showNotification(error.message || 'Failed to fulfil sales order', 'error');
     }
+}
 
-    // Search and filter
-    if (searchInput) {
-        searchInput.addEventListener('input', filterInventory);
+// Cancel the open order, releasing its reservations
+async function cancelSalesOrder() {
+    if (!window.confirm(`Cancel ${currentSalesOrder.number} and release its reserved stock?`)) return;
+
+    try {
+        const response = await api.cancelSalesOrder({ id: currentSalesOrder.id });
+        const result = await readResult(response, 'Failed to cancel sales order');
+
+        showNotification(`Cancelled ${result.number}`, 'success');
+        closeSalesOrderModal();
+        loadSalesOrders();
+    } catch (error) {
+        console.error('Error cancelling sales order:', error);
+        showNotification(error.message || 'Failed to cancel sales order', 'error');
     }
-    
-    if (categoryFilter) {
-        categoryFilter.addEventListener('change', filterInventory);
+}
+
+// Load stock counts matching the status filter
+async function loadStockCounts() {
+    try {
+        const status = countStatusFilter ? countStatusFilter.value : '';
+        const response = await api.listStockCounts({ status: /** @type {keyof typeof COUNT_STATUS_LABELS} */ (status) || null });
+        if (!response.ok) throw new Error('Failed to fetch stock counts');
+
+        renderStockCounts(await response.json());
+    } catch (error) {
+        console.error('Error loading stock counts:', error);
+        showNotification(error.message || 'Failed to load stock counts', 'error');
     }
+}
 
-    // Confirmation modal
-    if (confirmDeleteBtn) {
-        confirmDeleteBtn.addEventListener('click', confirmDelete);
+function renderStockCounts(counts) {
+    stockCountList.innerHTML = '';
+
+    if (counts.length === 0) {
+        stockCountList.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 20px;">No stock counts found.</td></tr>';
+        return;
     }
-    
-    if (confirmCancelBtn && confirmModal) {
-        confirmCancelBtn.addEventListener('click', () => {
-            confirmModal.style.display = 'none';
+
+    counts.forEach(count => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${count.number}</td>
+            <td>${escapeHtml([count.location, count.category].filter(Boolean).join(' · '))}</td>
+            <td><span class="status-badge status-${count.status}">${COUNT_STATUS_LABELS[count.status]}</span></td>
+            <td>${count.countedCount} of ${count.lineCount}</td>
+            <td>${new Date(count.createdAt).toLocaleDateString()} by ${escapeHtml(count.createdBy)}</td>
+            <td class="actions">
+                <button class="btn btn-edit" data-action="open">
+                    <i class="fas fa-folder-open"></i> Open
+                </button>
+            </td>
+        `;
+        row.querySelector('[data-action="open"]').addEventListener('click', () => openStockCountModal(count.id));
+        stockCountList.appendChild(row);
+    });
+}
+
+// Start counting the location and/or category picked in the toolbar
+async function startStockCount() {
+    const locationId = /** @type {HTMLSelectElement} */ (document.getElementById('countLocationId')).value;
+    const categoryId = /** @type {HTMLSelectElement} */ (document.getElementById('countCategoryId')).value;
+
+    try {
+        const response = await api.createStockCount({
+            locationId: parseOptionalInt(locationId),
+            categoryId: parseOptionalInt(categoryId)
         });
+        const result = await readResult(response, 'Failed to start stock count');
+
+        showNotification(`Started ${result.number} with ${result.lineCount} lines to count`, 'success');
+        loadStockCounts();
+        showStockCount(result);
+    } catch (error) {
+        console.error('Error starting stock count:', error);
+        showNotification(error.message || 'Failed to start stock count', 'error');
     }
 }
 
 /**
- * Loads inventory items into the table
- * @param {Array<Object>} [items] - Optional items to display (if not provided, fetches from API)
- * @returns {Promise<void>}
+ * Loads a count with its lines and opens it
+ * @param {number} id
  */
-async function loadInventory(items = null) {
+async function openStockCountModal(id) {
     try {
-        // If items are not provided, fetch from API
-        if (!items) {
-            const response = await fetch(`${API_BASE_URL}/items`);
-            if (!response.ok) throw new Error('Failed to fetch items');
-            items = await response.json();
-            inventory = items; // Update local inventory cache
-        }
-        
-        if (!inventoryList) {
-            console.error('Inventory list element not found');
-            return;
-        }
-        
-        inventoryList.innerHTML = '';
-        
-        if (!items || items.length === 0) {
-            const emptyRow = document.createElement('tr');
-            emptyRow.innerHTML = `
-                <td colspan="8" style="text-align: center; padding: 20px;">
-                    No items found. Click "Add Item" to get started.
-                </td>
-            `;
-            inventoryList.appendChild(emptyRow);
-            return;
-        }
+        const response = await api.getStockCount({ id });
+        const result = await readResult(response, 'Failed to load stock count');
+
+        showStockCount(result);
+    } catch (error) {
+        console.error('Error loading stock count:', error);
+        showNotification(error.message || 'Failed to load stock count', 'error');
+    }
+}
+
+/**
+ * Shows a count in the modal. Counters enter quantities without seeing the
+ * system figures; supervisors (and everyone once approved) see variances.
+ * @param {Object} count
+ */
+function showStockCount(count) {
+    currentCount = count;
+    const counting = count.status === 'counting' && hasRole('clerk');
+    const submitted = count.status === 'submitted';
+    const open = count.status === 'counting' || submitted;
+
+    document.getElementById('countModalTitle').textContent = `Stock Count ${count.number}`;
+    document.getElementById('countStatus').textContent = [
+        COUNT_STATUS_LABELS[count.status],
+        [count.location, count.category].filter(Boolean).join(' · '),
+        `started by ${count.createdBy} on ${new Date(count.createdAt).toLocaleString()}`,
+        count.approvedBy ? `approved by ${count.approvedBy}` : null
+    ].filter(Boolean).join(' · ');
+
+    document.getElementById('countSaveBtn').style.display = counting ? '' : 'none';
+    document.getElementById('countSubmitBtn').style.display = counting ? '' : 'none';
+    document.getElementById('countCancelBtn').style.display = open && hasRole('clerk') ? '' : 'none';
+    document.getElementById('countReopenBtn').style.display = submitted && hasRole('admin') ? '' : 'none';
+    document.getElementById('countApproveBtn').style.display = submitted && hasRole('admin') ? '' : 'none';
+    document.getElementById('countReportBtn').style.display = count.blind ? 'none' : '';
 
-    items.forEach(item => {
+    document.getElementById('countLinesHead').innerHTML = count.blind
+        ? '<tr><th>Item</th><th>Location</th><th>Counted</th></tr>'
+        : '<tr><th>Item</th><th>Location</th><th>System</th><th>Counted</th><th>Variance</th></tr>';
+
+    countLines.innerHTML = '';
+    count.lines.forEach(line => {
         const row = document.createElement('tr');
-        row.setAttribute('data-id', item.id);
-        
-        // Determine stock status
-        let statusClass = '';
-        if (item.quantity <= 0) {
-            statusClass = 'status-out-of-stock';
-        } else if (item.quantity <= 5) {
-            statusClass = 'status-low-stock';
-        } else {
-            statusClass = 'status-in-stock';
-        }
-        
+        const counted = line.countedQuantity === null ? '' : String(line.countedQuantity);
+        const variance = line.variance === null || line.variance === undefined ? '' : line.variance;
+        const varianceClass = variance > 0 ? 'variance-over' : (variance < 0 ? 'variance-short' : '');
         row.innerHTML = `
-            <td>${item.productName}</td>
-            <td>${item.sku}</td>
-            <td>${item.category}</td>
-            <td><span class="status-badge ${statusClass}">${item.quantity}</span></td>
-            <td>$${item.price.toFixed(2)}</td>
-            <td>${item.supplier || 'N/A'}</td>
-            <td>${item.location || 'N/A'}</td>
-            <td class="actions">
-                <button class="btn btn-edit" onclick="editItem(${item.id})">
-                    <i class="fas fa-edit"></i> Edit
-                </button>
-                <button class="btn btn-delete" onclick="deleteItem(${item.id})">
-                    <i class="fas fa-trash-alt"></i> Delete
-                </button>
-            </td>
+            <td>${escapeHtml(line.sku)} - ${escapeHtml(line.productName)}</td>
+            <td>${escapeHtml(line.location || 'Unassigned')}</td>
+            ${count.blind ? '' : `<td>${line.systemQuantity}</td>`}
+            <td>${counting
+                ? `<input type="number" min="0" step="1" data-field="counted" value="${counted}" data-original="${counted}">`
+                : (counted || '&mdash;')}</td>
+            ${count.blind ? '' : `<td class="${varianceClass}">${variance > 0 ? '+' : ''}${variance}</td>`}
         `;
-        
-        inventoryList.appendChild(row);
+        row.dataset.itemId = String(line.itemId);
+        row.dataset.locationId = line.locationId === null ? '' : String(line.locationId);
+        countLines.appendChild(row);
     });
+
+    document.getElementById('countSummary').textContent = `${count.countedCount} of ${count.lineCount} lines counted`;
+    if (!count.blind) loadVarianceSummary(count);
+
+    countModal.style.display = 'flex';
 }
 
-// Filter inventory based on search and category
-async function filterInventory() {
-    const searchTerm = (searchInput?.value || '').toLowerCase();
-    const category = categoryFilter?.value || '';
-    
+function closeStockCountModal() {
+    countModal.style.display = 'none';
+    currentCount = null;
+}
+
+/**
+ * Adds the variance totals to the count's summary line
+ * @param {Object} count
+ */
+async function loadVarianceSummary(count) {
     try {
-        const params = new URLSearchParams();
-        if (searchTerm) params.append('search', searchTerm);
-        if (category) params.append('category', category);
-        
-        const response = await fetch(`${API_BASE_URL}/items?${params.toString()}`);
-        if (!response.ok) throw new Error('Failed to filter items');
-        
-        const filteredItems = await response.json();
-        loadInventory(filteredItems);
+        const response = await api.getStockCountVariance({ id: count.id });
+        if (!response.ok) throw new Error('Failed to load variances');
+
+        const { totals } = await response.json();
+        if (currentCount !== count) return;
+        document.getElementById('countSummary').textContent = [
+            `${count.countedCount} of ${count.lineCount} lines counted`,
+            `${totals.withVariance} with a variance`,
+            `${totals.unitsOver} over, ${totals.unitsShort} short`,
+            `net ${totals.netValue < 0 ? '-' : ''}$${Math.abs(totals.netValue).toFixed(2)}`,
+            totals.accuracy === null ? null : `${totals.accuracy}% accurate`
+        ].filter(Boolean).join(' · ');
     } catch (error) {
-        console.error('Error filtering items:', error);
-        showNotification('Failed to filter items', 'error');
+        console.error('Error loading variances:', error);
     }
 }
 
-// Helper function to create a table row for an item
-function createTableRow(item) {
-    const row = document.createElement('tr');
-    row.setAttribute('data-id', item.id);
-    
-    // Determine stock status
-    let statusClass = '';
-    if (item.quantity <= 0) {
-        statusClass = 'status-out-of-stock';
-    } else if (item.quantity <= 5) {
-        statusClass = 'status-low-stock';
-    } else {
-        statusClass = 'status-in-stock';
+/**
+ * Sends the counts entered since the modal was opened. Returns the updated
+ * count, or null when saving failed.
+ * @param {boolean} [quiet] - Skip the success message
+ * @returns {Promise<Object|null>}
+ */
+async function saveCounts(quiet = false) {
+    const counts = Array.from(countLines.querySelectorAll('tr'))
+        .map(row => {
+            const input = /** @type {HTMLInputElement | null} */ (row.querySelector('[data-field="counted"]'));
+            if (!input || input.value === input.dataset.original) return null;
+            return {
+                itemId: parseInt(row.dataset.itemId, 10),
+                locationId: parseOptionalInt(row.dataset.locationId),
+                countedQuantity: parseOptionalInt(input.value)
+            };
+        })
+        .filter(Boolean);
+
+    if (counts.length === 0) return currentCount;
+
+    try {
+        const response = await api.enterStockCounts({ id: currentCount.id }, { counts });
+        const result = await readResult(response, 'Failed to save counts');
+
+        if (!quiet) showNotification(`Saved ${counts.length} count${counts.length === 1 ? '' : 's'}`, 'success');
+        showStockCount(result);
+        loadStockCounts();
+        return result;
+    } catch (error) {
+        console.error('Error saving counts:', error);
+        showNotification(error.message || 'Failed to save counts', 'error');
+        return null;
     }
-    
-    row.innerHTML = `
-        <td>${item.productName}</td>
-        <td>${item.sku}</td>
-        <td>${item.category}</td>
-        <td><span class="status-badge ${statusClass}">${item.quantity}</span></td>
-        <td>$${item.price.toFixed(2)}</td>
-        <td>${item.supplier || 'N/A'}</td>
-        <td>${item.location || 'N/A'}</td>
-        <td class="actions">
-            <button class="btn btn-edit" onclick="editItem(${item.id})">
-                <i class="fas fa-edit"></i> Edit
-            </button>
-            <button class="btn btn-delete" onclick="deleteItem(${item.id})">
-                <i class="fas fa-trash-alt"></i> Delete
-            </button>
-        </td>
-    `;
-    
-    return row;
 }
 
-// Open modal for adding/editing items
-async function openModal(itemId = null) {
-    const modalTitle = document.getElementById('modalTitle');
-    const form = document.getElementById('inventoryForm');
-    
-    if (itemId) {
-        // Edit mode
-        isEditMode = true;
-        currentItemId = itemId;
-        modalTitle.textContent = 'Edit Item';
-        
-        try {
-            // Fetch the item details from the API
-            const response = await fetch(`${API_BASE_URL}/items/${itemId}`);
-            if (!response.ok) throw new Error('Failed to fetch item details');
-            
-            const itemToEdit = await response.json();
-            
-            // Populate form fields
-            document.getElementById('productName').value = itemToEdit.productName;
-            document.getElementById('sku').value = itemToEdit.sku;
-            document.getElementById('category').value = itemToEdit.category;
-            document.getElementById('quantity').value = itemToEdit.quantity;
-            document.getElementById('price').value = itemToEdit.price;
-            document.getElementById('supplier').value = itemToEdit.supplier || '';
-            document.getElementById('location').value = itemToEdit.location || '';
-        } catch (error) {
-            console.error('Error fetching item:', error);
-            showNotification('Failed to load item details', 'error');
-            closeModal();
-            return;
-        }
-    } else {
-        // Add mode
-        isEditMode = false;
-        currentItemId = null;
-        modalTitle.textContent = 'Add New Item';
-        form.reset();
+// Save any new counts, then hand the count over for approval
+async function submitStockCount() {
+    const saved = await saveCounts(true);
+    if (!saved) return;
+
+    await changeStockCountStatus('submit');
+}
+
+/**
+ * Submits, reopens, cancels or approves the open count
+ * @param {'submit'|'reopen'|'cancel'|'approve'} action
+ */
+async function changeStockCountStatus(action) {
+    const prompts = {
+        cancel: `Cancel ${currentCount.number}? Nothing will be adjusted.`,
+        approve: `Approve ${currentCount.number} and post its variances as stock adjustments?`
+    };
+    if (prompts[action] && !window.confirm(prompts[action])) return;
+
+    const requests = {
+        submit: api.submitStockCount,
+        reopen: api.reopenStockCount,
+        cancel: api.cancelStockCount,
+        approve: api.approveStockCount
+    };
+
+    try {
+        const response = await requests[action]({ id: currentCount.id });
+        const result = await readResult(response, `Failed to ${action} stock count`);
+
+        showNotification(`${result.number} is now ${COUNT_STATUS_LABELS[result.status].toLowerCase()}`, 'success');
+        showStockCount(result);
+        loadStockCounts();
+    } catch (error) {
+        console.error(`Error updating stock count (${action}):`, error);
+        showNotification(error.message || `Failed to ${action} stock count`, 'error');
     }
-    
-    modal.style.display = 'flex';
 }
 
-// Close modal
-function closeModal() {
-    modal.style.display = 'none';
-    inventoryForm.reset();
-    currentItemId = null;
-    isEditMode = false;
+async function downloadVarianceReport() {
+    try {
+        await downloadFile(api.getStockCountVariance({ id: currentCount.id, format: 'csv' }), `${currentCount.number}-variance.csv`);
+    } catch (error) {
+        console.error('Error downloading variance report:', error);
+        showNotification('Failed to download variance report', 'error');
+    }
 }
 
-// Handle form submission
-async function handleFormSubmit(e) {
-    e.preventDefault();
-    
-    const formData = {
-        productName: document.getElementById('productName').value.trim(),
-        sku: document.getElementById('sku').value.trim(),
-        category: document.getElementById('category').value,
-        quantity: parseInt(document.getElementById('quantity').value, 10),
-        price: parseFloat(document.getElementById('price').value),
-        supplier: document.getElementById('supplier').value.trim() || null,
-        location: document.getElementById('location').value.trim() || null
-    };
-    
-    // Simple validation
-    if (!formData.productName || !formData.sku || isNaN(formData.quantity) || isNaN(formData.price)) {
-        showNotification('Please fill in all required fields with valid values.', 'error');
-        return;
+// Load archived items into the trash view, most recently deleted first
+async function loadTrash() {
+    try {
+        const response = await api.listItems({ archived: true, sort: 'deletedAt', order: 'desc', pageSize: 200 });
+        if (!response.ok) throw new Error('Failed to fetch deleted items');
+
+        const { items } = await response.json();
+        trashList.innerHTML = '';
+
+        if (items.length === 0) {
+            trashList.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 20px;">The trash is empty.</td></tr>';
+            return;
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(item.productName)}</td>
+                <td>${escapeHtml(item.sku)}</td>
+                <td>${escapeHtml(item.category || 'N/A')}</td>
+                <td>${item.quantity}</td>
+                <td>${new Date(item.deletedAt).toLocaleString()}</td>
+                <td>${escapeHtml(item.deletedBy)}</td>
+                <td class="actions">
+                    <button class="btn btn-edit" data-action="restore">
+                        <i class="fas fa-undo"></i> Restore
+                    </button>
+                    ${hasRole('admin') ? `
+                    <button class="btn btn-delete" data-action="purge">
+                        <i class="fas fa-times"></i> Delete Forever
+                    </button>` : ''}
+                </td>
+            `;
+            row.querySelector('[data-action="restore"]').addEventListener('click', () => restoreItem(item.id));
+            const purgeBtn = row.querySelector('[data-action="purge"]');
+            if (purgeBtn) purgeBtn.addEventListener('click', () => purgeItem(item));
+            trashList.appendChild(row);
+        });
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showNotification(error.message || 'Failed to load deleted items', 'error');
     }
-    
+}
+
+/**
+ * Takes an item out of the trash and refreshes whichever view is showing
+ * @param {number} id
+ */
+async function restoreItem(id) {
     try {
-        let response;
-        
-        if (isEditMode && currentItemId) {
-            // Update existing item
-            response = await fetch(`${API_BASE_URL}/items/${currentItemId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (!response.ok) throw new Error('Failed to update item');
-            showNotification('Item updated successfully!', 'success');
+        const response = await api.restoreItem({ id });
+        const result = await readResult(response, 'Failed to restore item');
+
+        showNotification(`Restored ${result.productName}`, 'success');
+        if (trashView.style.display === 'block') {
+            loadTrash();
         } else {
-            // Add new item
-            response = await fetch(`${API_BASE_URL}/items`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (!response.ok) throw new Error('Failed to add item');
-            showNotification('Item added successfully!', 'success');
+            loadInventory();
         }
-        
-        // Reset and update UI
-        closeModal();
-        await loadInventory();
-        filterInventory();
     } catch (error) {
-        console.error('Error saving item:', error);
-        showNotification(error.message || 'Failed to save item', 'error');
+        console.error('Error restoring item:', error);
+        showNotification(error.message || 'Failed to restore item', 'error');
     }
 }
 
-// Show notification
-function showNotification(message, type = 'info') {
+/**
+ * Permanently deletes an item from the trash (admins only)
+ * @param {{id: number, productName: string}} item
+ */
+async function purgeItem(item) {
+    if (!window.confirm(`Permanently delete "${item.productName}"? This cannot be undone.`)) return;
+
+    try {
+        const response = await api.purgeItem({ id: item.id });
+        if (!response.ok) throw new Error(describeError(await response.json(), 'Failed to purge item'));
+
+        showNotification(`Permanently deleted ${item.productName}`, 'success');
+        loadTrash();
+    } catch (error) {
+        console.error('Error purging item:', error);
+        showNotification(error.message || 'Failed to purge item', 'error');
+    }
+}
+
+/**
+ * Shows a toast, optionally with an action button such as Undo.
+ * Toasts with an action stay up longer so there is time to use it.
+ * @param {string} message
+ * @param {'info'|'success'|'warning'|'error'} [type='info']
+ * @param {{label: string, onClick: Function}} [action]
+ */
+function showNotification(message, type = 'info', action = null) {
     // Create notification element if it doesn't exist
     let notification = document.getElementById('notification');
     if (!notification) {
@@ -406,16 +3901,26 @@ function showNotification(message, type = 'info') {
         notification.id = 'notification';
         document.body.appendChild(notification);
     }
-    
+
+    const hide = () => notification.classList.remove('show');
+
     // Set notification content and style
     notification.textContent = message;
-    notification.className = `notification ${type}`;
-    notification.style.display = 'block';
-    
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-        notification.style.display = 'none';
-    }, 3000);
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            hide();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
+    notification.className = `notification ${type} show`;
+
+    // A newer toast replaces the old one, so restart the timer
+    clearTimeout(notificationTimer);
+    notificationTimer = setTimeout(hide, action ? 8000 : 3000);
 }
 
 // Add notification styles
@@ -438,6 +3943,17 @@ notificationStyles.textContent = `
     #notification.show {
         transform: translateX(0);
     }
+
+    #notification .notification-action {
+        margin-left: 15px;
+        padding: 4px 12px;
+        border: 1px solid currentColor;
+        border-radius: 4px;
+        background: none;
+        color: inherit;
+        font-weight: 600;
+        cursor: pointer;
+    }
     
     #notification.info {
         background-color: #4361ee;
@@ -476,17 +3992,30 @@ async function confirmDelete() {
         return;
     }
     
+    const deletedId = currentItemId;
+    const listed = inventory.find(item => item.id === deletedId);
+    const params = { id: deletedId, ifMatch: `"${listed ? listed.version : ''}"` };
+
     try {
-        const response = await fetch(`${API_BASE_URL}/items/${currentItemId}`, {
-            method: 'DELETE'
-        });
+        const response = await api.deleteItem(params);
         
-        if (!response.ok) throw new Error('Failed to delete item');
+        if (response.status === 412) {
+            await loadInventory();
+            throw new Error('This item was changed by someone else. Check the refreshed list and try again.');
+        }
+        const result = await readResult(response, 'Failed to delete item');
         
-        showNotification('Item deleted successfully!', 'success');
+        showNotification(`${result.productName} moved to the trash`, 'success', {
+            label: 'Undo',
+            onClick: () => restoreItem(deletedId)
+        });
         await loadInventory();
-        filterInventory();
     } catch (error) {
+        if (error.offline) {
+            await queueOfflineChange({ operation: 'deleteItem', params },
+                `Delete ${listed ? listed.sku : `item ${deletedId}`}`, deletedId);
+            return;
+        }
         console.error('Error deleting item:', error);
         showNotification(error.message || 'Failed to delete item', 'error');
     } finally {
@@ -521,15 +4050,22 @@ if (typeof window !== 'undefined') {
 
 // Initialize the application when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', () => {
-    // Load initial data
-    loadInventory().catch(error => {
-        console.error('Error loading inventory:', error);
-        // Make sure showNotification is defined before using it
-        if (typeof showNotification === 'function') {
-            showNotification('Failed to load inventory. Please try again.', 'error');
-        }
-    });
-    
     // Set up event listeners
     setupEventListeners();
+
+    // Cache the app shell and API reads so the app opens without a connection
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+    if (!navigator.onLine) setConnectionState(false);
+
+    // Resume a saved session or ask the user to log in
+    restoreSession();
+    if (session) {
+        showApp();
+    } else {
+        showLoginScreen();
+    }
 });
@@ -0,0 +1,145 @@
+// @ts-check
+// Service worker: serves the app shell from cache and keeps the latest copy
+// of the API reads the inventory screens need, so the app still opens and
+// shows the last inventory snapshot without a connection. Writes are never
+// handled here; script.js queues those while offline.
+
+const SHELL_CACHE = 'inventory-shell-v2';
+// script.js clears this cache on logout, so keep the names in step
+const DATA_CACHE = 'inventory-data-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'apiClient.js',
+    'script.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
+];
+
+// API reads kept for offline use (paths after /api/v1)
+const CACHED_API_PATHS = [
+    /^\/items$/,
+    /^\/items\/\d+(\/(movements|lots|variants))?$/,
+    /^\/(categories|suppliers|locations|units)$/,
+    /^\/alerts\/[\w-]+$/,
+    /^\/reports\/[\w-]+$/,
+    /^\/audit$/,
+    /^\/views$/
+];
+
+// Any item list page stands in for another one when that page was never loaded
+const ITEM_LIST_SNAPSHOT = 'items-snapshot';
+
+// Responses served from the cache carry the time they were saved in this header
+const SNAPSHOT_HEADER = 'X-Offline-Snapshot';
+
+/**
+ * The parts of the service worker scope used here. ServiceWorkerGlobalScope
+ * is only declared by the "webworker" lib, which can't be mixed with "dom".
+ * @typedef {Object} WorkerScope
+ * @property {(type: string, listener: (event: any) => void) => void} addEventListener
+ * @property {() => Promise<void>} skipWaiting
+ * @property {{ claim(): Promise<void> }} clients
+ * @property {{ scope: string }} registration
+ * @property {Location} location
+ */
+const sw = /** @type {WorkerScope} */ (/** @type {unknown} */ (self));
+
+sw.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => sw.skipWaiting())
+    );
+});
+
+sw.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => sw.clients.claim())
+    );
+});
+
+sw.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const apiMatch = url.pathname.match(/\/api(?:\/v1)?(\/.*)$/);
+    if (apiMatch) {
+        const apiPath = apiMatch[1];
+        // CSV downloads are left to the network
+        if (CACHED_API_PATHS.some(pattern => pattern.test(apiPath)) && url.searchParams.get('format') !== 'csv') {
+            event.respondWith(networkFirst(request, apiPath === '/items'));
+        }
+        return;
+    }
+
+    if (url.origin === sw.location.origin || SHELL_FILES.indexOf(request.url) !== -1) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Fetches from the network and saves successful responses; when the network
+ * fails, answers with the saved copy marked with the time it was saved
+ * @param {Request} request
+ * @param {boolean} isItemList
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, isItemList) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const saved = await stamp(response.clone());
+            await cache.put(request, saved.clone());
+            if (isItemList) await cache.put(snapshotKey(), saved);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true }) ||
+            (isItemList ? await cache.match(snapshotKey()) : undefined);
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Copy of a response with the snapshot header set to now
+ * @param {Response} response
+ * @returns {Promise<Response>}
+ */
+async function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set(SNAPSHOT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+function snapshotKey() {
+    return new Request(new URL(ITEM_LIST_SNAPSHOT, sw.registration.scope).href);
+}
+
+/**
+ * Answers from the cache at once and refreshes the cached copy in the
+ * background, so a new version of the app shows up on the next load
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}